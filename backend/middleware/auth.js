@@ -1,66 +1,148 @@
 /**
  * Authentication Middleware
- * Verifies JWT tokens and protects routes
+ * Verifies JWT tokens from the Authorization header or the session cookie
+ * (and optionally personal access tokens) and protects routes
  */
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { checkPolicy } = require('../utils/policies');
+const { ACCESS_COOKIE, isCsrfValid } = require('../utils/authCookies');
+
+// Avoid a database write on every API call made with the same token
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
 
 /**
- * Middleware to authenticate JWT tokens
- * Adds user information to req.user if token is valid
+ * Look up an active personal access token and record its use
+ * Returns null if the token is unknown, expired or revoked
  */
-const authMiddleware = async (req, res, next) => {
+const findActiveAccessToken = async (token) => {
+  const accessToken = await PersonalAccessToken.findByToken(token);
+  if (!accessToken || !accessToken.isActive()) {
+    return null;
+  }
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    await PersonalAccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: new Date() });
+  }
+
+  return accessToken;
+};
+
+const deny = (status, error, message) => ({ denial: { status, error, message } });
+
+/**
+ * Resolve a bearer token to the user it authenticates
+ * Returns { user, sessionId, accessToken } on success or { denial } describing
+ * why the token was rejected; shared by the HTTP and Socket.IO middleware
+ */
+const authenticateToken = async (token, { allowAccessTokens = false } = {}) => {
+  let userId;
+  let sessionId = null;
+  let accessToken = null;
+
+  if (PersonalAccessToken.isPersonalAccessToken(token)) {
+    if (!allowAccessTokens) {
+      return deny(403, 'Access denied', 'Personal access tokens cannot be used for this endpoint');
+    }
+
+    accessToken = await findActiveAccessToken(token);
+    if (!accessToken) {
+      return deny(401, 'Access denied', 'Access token is invalid, expired or revoked');
+    }
+
+    userId = accessToken.user;
+  } else {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return deny(401, 'Access denied', 'Token expired');
+      }
+      if (error.name === 'JsonWebTokenError') {
+        return deny(401, 'Access denied', 'Invalid token');
+      }
+      throw error;
+    }
+
+    // Access tokens are bound to a server-side session that can be revoked
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive()) {
+      return deny(401, 'Access denied', 'Session expired or revoked');
+    }
+
+    sessionId = session._id;
+    userId = decoded.userId;
+  }
+
+  // Get user from DB (already excludes password via schema's toJSON)
+  const user = await User.findById(userId);
+  if (!user) {
+    return deny(401, 'Access denied', 'User not found');
+  }
+
+  // Suspended and banned accounts keep their data but cannot use the API
+  const denial = checkPolicy(user, 'account:access');
+  if (denial) {
+    return { denial };
+  }
+
+  return { user, sessionId, accessToken };
+};
+
+/**
+ * Create the authentication middleware
+ * Personal access tokens are only accepted where explicitly allowed, so account
+ * management routes stay reachable from a browser session only
+ */
+const createAuthMiddleware = ({ allowAccessTokens = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
+    const cookieToken = req.cookies?.[ACCESS_COOKIE];
 
-    if (!authHeader) {
+    if (!authHeader && !cookieToken) {
       return res.status(401).json({
         error: 'Access denied',
         message: 'No token provided'
       });
     }
 
-    if (!authHeader.startsWith('Bearer ')) {
+    if (authHeader && !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
         error: 'Access denied',
         message: 'Invalid token format'
       });
     }
 
-    // Extract token
-    const token = authHeader.split(' ')[1];
+    // Browsers send cookies on their own, so cookie sessions must prove the
+    // request came from our frontend; Bearer tokens take precedence
+    if (!authHeader && !isCsrfValid(req)) {
+      return res.status(403).json({
+        error: 'Invalid CSRF token',
+        message: 'Missing or invalid CSRF token'
+      });
+    }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Extract token
+    const token = authHeader ? authHeader.split(' ')[1] : cookieToken;
 
-    // Get user from DB (already excludes password via schema's toJSON)
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(401).json({
-        error: 'Access denied',
-        message: 'User not found'
+    const { user, sessionId, accessToken, denial } = await authenticateToken(token, { allowAccessTokens });
+    if (denial) {
+      return res.status(denial.status).json({
+        error: denial.error,
+        message: denial.message
       });
     }
 
-    // Attach user to request
+    // Attach user and credential to request
     req.user = user;
+    if (sessionId) req.sessionId = sessionId;
+    if (accessToken) req.accessToken = accessToken;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        error: 'Access denied',
-        message: 'Invalid token'
-      });
-    }
-
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        error: 'Access denied',
-        message: 'Token expired'
-      });
-    }
-
     console.error('Auth middleware error:', error);
     res.status(500).json({
       error: 'Server error',
@@ -69,4 +151,36 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate JWT tokens
+ * Adds user information to req.user if token is valid
+ */
+const authMiddleware = createAuthMiddleware();
+
+/**
+ * Variant that also accepts personal access tokens (see middleware/scopes.js)
+ */
+authMiddleware.allowAccessTokens = createAuthMiddleware({ allowAccessTokens: true });
+
+/**
+ * Variant for public routes: identifies the user when a valid token is sent,
+ * anyone else (including invalid tokens) continues anonymously
+ */
+authMiddleware.optional = async (req, res, next) => {
+  try {
+    const authHeader = req.header('Authorization');
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : req.cookies?.[ACCESS_COOKIE];
+
+    if (token) {
+      const { user, denial } = await authenticateToken(token, { allowAccessTokens: true });
+      if (!denial) req.user = user;
+    }
+  } catch (error) {
+    console.error('Optional auth middleware error:', error);
+  }
+  next();
+};
+
+authMiddleware.authenticateToken = authenticateToken;
+
 module.exports = authMiddleware;
@@ -0,0 +1,23 @@
+/**
+ * Policy Middleware
+ * Rejects requests the authenticated user is not allowed to perform
+ */
+
+const { checkPolicy } = require('../utils/policies');
+
+/**
+ * Create a middleware enforcing the given policy (see utils/policies.js)
+ * Must run after authMiddleware
+ */
+const requirePolicy = (action) => (req, res, next) => {
+  const denial = checkPolicy(req.user, action);
+  if (denial) {
+    return res.status(denial.status).json({
+      error: denial.error,
+      message: denial.message
+    });
+  }
+  next();
+};
+
+module.exports = requirePolicy;
@@ -0,0 +1,24 @@
+/**
+ * Rate Limiting Middleware
+ * Stricter limits for credential-handling endpoints than the global API limiter
+ */
+
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Limit for login, registration and password/unlock flows
+ * Only failed requests count, so a user who signs in successfully is never blocked
+ */
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 20,
+  skipSuccessfulRequests: true,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    error: 'Too many requests',
+    message: 'Too many authentication attempts from this IP, please try again later.'
+  }
+});
+
+module.exports = { authLimiter };
@@ -0,0 +1,20 @@
+/**
+ * Role Middleware
+ * Restricts routes to users with a given role
+ */
+
+/**
+ * Create a middleware requiring one of the given roles (e.g. 'admin')
+ * Must run after authMiddleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'You do not have permission to access this resource'
+    });
+  }
+  next();
+};
+
+module.exports = requireRole;
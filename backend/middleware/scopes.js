@@ -0,0 +1,30 @@
+/**
+ * Scope Middleware
+ * Restricts what requests authenticated with a personal access token may do
+ */
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Create a middleware requiring the given scope (e.g. 'snippets:read')
+ * Must run after authMiddleware; browser sessions are not scoped
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.accessToken && !req.accessToken.hasScope(scope)) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: `This access token is missing the '${scope}' scope`
+    });
+  }
+  next();
+};
+
+/**
+ * Require '<resource>:read' for read-only requests and '<resource>:write' otherwise
+ */
+const requireResourceScope = (resource) => (req, res, next) => {
+  const access = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  return requireScope(`${resource}:${access}`)(req, res, next);
+};
+
+module.exports = { requireScope, requireResourceScope };
@@ -0,0 +1,52 @@
+/**
+ * Socket.IO Authentication Middleware
+ * Verifies the access token sent in the handshake (`auth: { token }`) or, for
+ * browsers using cookie sessions, the session cookie
+ */
+
+const { authenticateToken } = require('./auth');
+const { ACCESS_COOKIE } = require('../utils/authCookies');
+
+const reject = (next, message, error) => {
+  const authError = new Error(message);
+  authError.data = { error };
+  next(authError);
+};
+
+/**
+ * Create the middleware rejecting connections without a valid session token
+ * Adds the user to socket.data.user; the client sees the reason in `connect_error`.
+ * Cookies ride along on any cross-site WebSocket, which CORS does not cover, so
+ * cookie handshakes are only accepted from our own frontend origins.
+ * Requires cookie-parser on io.engine.
+ */
+const createSocketAuthMiddleware = ({ allowedOrigins = [] } = {}) => async (socket, next) => {
+  try {
+    let token = socket.handshake.auth?.token;
+
+    if (!token) {
+      token = socket.request.cookies?.[ACCESS_COOKIE];
+      if (token && !allowedOrigins.includes(socket.handshake.headers.origin)) {
+        return reject(next, 'Origin not allowed', 'Access denied');
+      }
+    }
+
+    if (!token) {
+      return reject(next, 'No token provided', 'Access denied');
+    }
+
+    const { user, sessionId, denial } = await authenticateToken(token);
+    if (denial) {
+      return reject(next, denial.message, denial.error);
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = sessionId;
+    next();
+  } catch (error) {
+    console.error('Socket auth error:', error);
+    reject(next, 'Authentication failed', 'Server error');
+  }
+};
+
+module.exports = createSocketAuthMiddleware;
@@ -0,0 +1,97 @@
+/**
+ * Upload Middleware
+ * Stores user-uploaded files (currently avatars) on the local disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const AVATAR_DIR = path.join(UPLOAD_DIR, 'avatars');
+const AVATAR_URL_PREFIX = '/uploads/avatars/';
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+const AVATAR_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+const avatarStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(AVATAR_DIR, { recursive: true }, (error) => cb(error, AVATAR_DIR));
+  },
+  filename: (req, file, cb) => {
+    const suffix = crypto.randomBytes(8).toString('hex');
+    cb(null, `${req.user._id}-${suffix}.${AVATAR_TYPES[file.mimetype]}`);
+  }
+});
+
+const avatarMulter = multer({
+  storage: avatarStorage,
+  limits: { fileSize: MAX_AVATAR_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR_TYPES[file.mimetype]) {
+      const error = new Error('Avatar must be a PNG, JPEG, GIF or WebP image');
+      error.code = 'INVALID_AVATAR_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('avatar');
+
+/**
+ * Accept an optional "avatar" image on a multipart request
+ * Must run after authMiddleware; sets req.file when an image was uploaded
+ */
+const avatarUpload = (req, res, next) => {
+  avatarMulter(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: `Avatar must be smaller than ${MAX_AVATAR_BYTES / (1024 * 1024)} MB`
+      });
+    }
+
+    if (error instanceof multer.MulterError || error.code === 'INVALID_AVATAR_TYPE') {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: error.message
+      });
+    }
+    next(error);
+  });
+};
+
+/**
+ * Public URL for a stored avatar file
+ */
+const getAvatarUrl = (filename) => `${AVATAR_URL_PREFIX}${filename}`;
+
+/**
+ * Delete a previously uploaded avatar (ignores external URLs and missing files)
+ */
+const removeAvatarFile = async (avatarUrl) => {
+  if (!avatarUrl || !avatarUrl.startsWith(AVATAR_URL_PREFIX)) return;
+
+  const filename = path.basename(avatarUrl);
+  try {
+    await fs.promises.unlink(path.join(AVATAR_DIR, filename));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Remove avatar error:', error);
+    }
+  }
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  avatarUpload,
+  getAvatarUrl,
+  removeAvatarFile
+};
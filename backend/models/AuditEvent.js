@@ -0,0 +1,108 @@
+/**
+ * Audit Event Model
+ * Append-only record of security-relevant actions on accounts, snippets and workspaces
+ */
+
+const mongoose = require('mongoose');
+
+const ACTIONS = [
+  'login.succeeded',
+  'login.failed',
+  'password.changed',
+  'email.changed',
+  'account.reclaimed',
+  'snippet.visibility_changed',
+  'snippet.share_link_created',
+  'workspace.collaborator_added',
+  'workspace.file_deleted',
+  'workspace.deleted'
+];
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null when nobody could be identified, e.g. a login with an unknown email
+  },
+  user: {
+    // The account the event concerns: the one logging in, the snippet author
+    // or the workspace owner at the time
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  snippet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet',
+    default: null
+  },
+  workspace: {
+    type: String, // workspaceId, kept after the workspace itself is deleted
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  minimize: false
+});
+
+auditEventSchema.index({ user: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ workspace: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+/**
+ * Events are never changed or removed once written
+ */
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+
+// Hide internal fields from API responses
+auditEventSchema.methods.toJSON = function() {
+  const eventObject = this.toObject();
+  delete eventObject.__v;
+  return eventObject;
+};
+
+auditEventSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
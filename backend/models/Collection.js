@@ -0,0 +1,133 @@
+/**
+ * Collection Model
+ * User-owned folders of snippets; collections nest through `parent` and are
+ * ordered among their siblings by `position`
+ */
+
+const mongoose = require('mongoose');
+
+// Deepest nesting allowed, top-level collections are at depth 1
+const MAX_DEPTH = 5;
+
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [60, 'Collection name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null // top-level collection
+  },
+  position: {
+    type: Number, // order among the collections with the same parent
+    default: 0
+  },
+  // Snippets in their display order; any snippet the owner can read may be added
+  snippets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet'
+  }],
+  isPublic: {
+    // Public collections can be viewed by anyone, but only list their public
+    // snippets and public subcollections
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ owner: 1, parent: 1, position: 1 });
+collectionSchema.index({ snippets: 1 });
+
+// Method to check whether a user owns the collection
+collectionSchema.methods.isOwner = function(userId) {
+  return this.owner.toString() === userId.toString();
+};
+
+/**
+ * Ids of the collection and every collection nested in it
+ */
+collectionSchema.statics.getSubtreeIds = async function(collectionId) {
+  const ids = [collectionId];
+  let level = [collectionId];
+
+  while (level.length > 0) {
+    level = await this.find({ parent: { $in: level } }).distinct('_id');
+    ids.push(...level);
+  }
+
+  return ids;
+};
+
+/**
+ * Number of levels below the collection (0 when it has no subcollections)
+ */
+collectionSchema.statics.getSubtreeHeight = async function(collectionId) {
+  let height = 0;
+  let level = [collectionId];
+
+  while (true) {
+    level = await this.find({ parent: { $in: level } }).distinct('_id');
+    if (level.length === 0) return height;
+    height += 1;
+  }
+};
+
+/**
+ * Depth of the collection, 1 for a top-level one
+ */
+collectionSchema.statics.getDepth = async function(collectionId) {
+  let depth = 0;
+  let current = collectionId;
+
+  while (current) {
+    const collection = await this.findById(current).select('parent');
+    if (!collection) break;
+    depth += 1;
+    current = collection.parent;
+  }
+
+  return depth;
+};
+
+/**
+ * Move a collection to `position` among the children of `parent`, renumbering the siblings
+ */
+collectionSchema.statics.placeAt = async function(collection, parent, position) {
+  const siblings = await this.find({
+    owner: collection.owner,
+    parent,
+    _id: { $ne: collection._id }
+  }).select('_id').sort({ position: 1, createdAt: 1 });
+
+  const index = Math.min(Math.max(position, 0), siblings.length);
+  const ordered = siblings.map(sibling => sibling._id);
+  ordered.splice(index, 0, collection._id);
+
+  collection.parent = parent;
+  collection.position = index;
+  await collection.save();
+
+  await this.bulkWrite(ordered
+    .map((id, order) => ({ updateOne: { filter: { _id: id }, update: { position: order } } }))
+    .filter((operation, order) => order !== index));
+};
+
+collectionSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = mongoose.model('Collection', collectionSchema);
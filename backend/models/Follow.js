@@ -0,0 +1,36 @@
+/**
+ * Follow Model
+ * One user following another, drives the activity feed
+ */
+
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can follow someone only once; also serves "who do I follow"
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+// "Who follows this user"
+followSchema.index({ following: 1, createdAt: -1 });
+
+// Static to get the ids of everyone a user follows
+followSchema.statics.getFollowingIds = async function(userId) {
+  const follows = await this.find({ follower: userId }).select('following');
+  return follows.map(follow => follow.following);
+};
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,64 @@
+/**
+ * Login Attempt Model
+ * Audit trail of password and two-factor login attempts, also used for per-IP throttling
+ */
+
+const mongoose = require('mongoose');
+
+const REASONS = [
+  'invalid_password',
+  'unknown_account',
+  'invalid_2fa',
+  'throttled',
+  'locked',
+  'suspended'
+];
+
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null when the email does not match an account
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    default: null // set for failed attempts
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60 // keep 90 days of history
+  }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Hide internal fields from API responses
+loginAttemptSchema.methods.toJSON = function() {
+  const attemptObject = this.toObject();
+  delete attemptObject.user;
+  delete attemptObject.__v;
+  return attemptObject;
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
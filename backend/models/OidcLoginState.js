@@ -0,0 +1,42 @@
+/**
+ * OIDC Login State Model
+ * Short-lived state, nonce and PKCE verifier for in-flight OpenID Connect logins
+ */
+
+const mongoose = require('mongoose');
+
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  bindingHash: {
+    // Hash of the browser binding cookie; the callback must come from the same browser
+    type: String,
+    required: true
+  },
+  cookieSession: {
+    type: Boolean, // hand the session to the browser as cookies instead of tokens
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 10 * 60 // abandon logins after 10 minutes
+  }
+});
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
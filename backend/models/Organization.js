@@ -0,0 +1,123 @@
+/**
+ * Organization Model
+ * Teams that own snippets and workspaces, so shared work stays put when people leave
+ */
+
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'admin', 'member'];
+
+// Roles allowed to manage members and every asset the organization owns
+const MANAGER_ROLES = ['owner', 'admin'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [50, 'Organization name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Organization slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minlength: [2, 'Slug must be at least 2 characters long'],
+    maxlength: [40, 'Slug cannot exceed 40 characters'],
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug can only contain lowercase letters, numbers and single hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.user': 1 });
+
+/**
+ * Instance Methods
+ */
+
+// Method to get a user's membership entry
+organizationSchema.methods.getMember = function(userId) {
+  if (!userId) return null;
+  return this.members.find(m => m.user.toString() === userId.toString()) || null;
+};
+
+// Method to get a user's role, or null if they are not a member
+organizationSchema.methods.getRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+// Method to check if a user belongs to the organization
+organizationSchema.methods.isMember = function(userId) {
+  return !!this.getMember(userId);
+};
+
+// Method to check if a user may manage members and organization assets
+organizationSchema.methods.isManager = function(userId) {
+  return MANAGER_ROLES.includes(this.getRole(userId));
+};
+
+// Method to count owners, an organization must always keep one
+organizationSchema.methods.countOwners = function() {
+  return this.members.filter(m => m.role === 'owner').length;
+};
+
+// Method to add a member or change the role of an existing one
+organizationSchema.methods.setMember = function(userId, role = 'member') {
+  const member = this.getMember(userId);
+  if (member) {
+    member.role = role;
+  } else {
+    this.members.push({ user: userId, role });
+  }
+};
+
+// Method to remove a member
+organizationSchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(m => m.user.toString() !== userId.toString());
+};
+
+/**
+ * Static Methods
+ */
+
+// Get the user's role in every organization they belong to, keyed by organization id
+organizationSchema.statics.getMemberships = async function(userId) {
+  const organizations = await this.find({ 'members.user': userId }).select('members');
+  const memberships = new Map();
+  for (const organization of organizations) {
+    memberships.set(organization._id.toString(), organization.getRole(userId));
+  }
+  return memberships;
+};
+
+organizationSchema.statics.ROLES = ROLES;
+organizationSchema.statics.MANAGER_ROLES = MANAGER_ROLES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,112 @@
+/**
+ * Personal Access Token Model
+ * Long-lived, scoped API credentials for scripts and CLI use
+ */
+
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const TOKEN_PREFIX = 'dcp_';
+
+const SCOPES = [
+  'snippets:read',
+  'snippets:write',
+  'workspaces:read',
+  'workspaces:write'
+];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [50, 'Token name cannot exceed 50 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokenHint: {
+    type: String, // last characters of the token, to help users recognise it
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  expiresAt: {
+    type: Date,
+    default: null // null = never expires
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Check if the token can still be used
+personalAccessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Check if the token grants a scope (write access implies read access)
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  if (this.scopes.includes(scope)) return true;
+
+  const [resource, access] = scope.split(':');
+  return access === 'read' && this.scopes.includes(`${resource}:write`);
+};
+
+// Hide the token hash from API responses
+personalAccessTokenSchema.methods.toJSON = function() {
+  const tokenObject = this.toObject();
+  delete tokenObject.tokenHash;
+  delete tokenObject.__v;
+  return tokenObject;
+};
+
+// Static to check whether a bearer credential looks like a personal access token
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static to generate a new raw token (only its hash is ever stored)
+personalAccessTokenSchema.statics.generateToken = function() {
+  const token = `${TOKEN_PREFIX}${generateRandomToken(20)}`;
+  return {
+    token,
+    tokenHash: hashToken(token),
+    tokenHint: token.slice(-4)
+  };
+};
+
+// Static to find the token document for a raw token
+personalAccessTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Static to revoke every active token of a user, returns how many were revoked
+personalAccessTokenSchema.statics.revokeAllForUser = async function(userId) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+personalAccessTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -0,0 +1,70 @@
+/**
+ * Session Model
+ * Server-side login sessions backing rotating refresh tokens
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHash: {
+    type: String, // last rotated-out refresh token, used to detect reuse
+    index: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke the session
+sessionSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+};
+
+// Hide token hashes from API responses
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject.tokenHash;
+  delete sessionObject.previousTokenHash;
+  delete sessionObject.__v;
+  return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
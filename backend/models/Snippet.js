@@ -5,16 +5,8 @@
 
 const mongoose = require('mongoose');
 
-const versionSchema = new mongoose.Schema({
-  content: {
-    type: String,
-    required: true
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
+// Changes to these fields count as the author updating the snippet
+const ACTIVITY_FIELDS = ['title', 'description', 'content', 'lang', 'tags', 'isPublic'];
 
 const snippetSchema = new mongoose.Schema({
   title: {
@@ -50,7 +42,19 @@ const snippetSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  versions: [versionSchema],
+  organization: {
+    // Organization-owned snippets are visible to every member even while private,
+    // and stay with the organization when the author leaves
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  sharedWithOrganizations: [{
+    // Organizations whose members may read the snippet without owning it, so a
+    // personal snippet can be shared with a team and still stay with its author
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  }],
   shareId: {
     type: String,
     unique: true,
@@ -71,6 +75,34 @@ const snippetSchema = new mongoose.Schema({
   views: {
     type: Number,
     default: 0
+  },
+  lastActivity: {
+    // Last time the author created or changed the snippet; unlike updatedAt,
+    // views and likes do not touch it
+    action: {
+      type: String,
+      enum: ['created', 'updated']
+    },
+    at: {
+      type: Date
+    }
+  },
+  moderation: {
+    unpublishedAt: {
+      type: Date, // set when an admin takes the snippet down, blocks republishing
+      default: null
+    },
+    unpublishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: ''
+    }
   }
 }, {
   timestamps: true
@@ -81,30 +113,25 @@ snippetSchema.index({ author: 1, createdAt: -1 });
 snippetSchema.index({ isPublic: 1, createdAt: -1 });
 snippetSchema.index({ shareId: 1 });
 snippetSchema.index({ tags: 1 });
+snippetSchema.index({ author: 1, 'lastActivity.at': -1 });
+snippetSchema.index({ organization: 1, updatedAt: -1 });
+snippetSchema.index({ sharedWithOrganizations: 1, updatedAt: -1 });
 
-// Method to add a new version (keep only last 3 versions)
-snippetSchema.methods.addVersion = function(content) {
-  if (!content) return;
-  
-  this.versions.unshift({ content });
-  
-  // Keep only the last 3 versions
-  if (this.versions.length > 3) {
-    this.versions = this.versions.slice(0, 3);
-  }
-  
-  this.content = content;
-};
+// Full-text search, ranked with title matches first (see GET /api/snippets/search)
+snippetSchema.index(
+  { title: 'text', tags: 'text', description: 'text', content: 'text' },
+  { name: 'snippet_text_search', weights: { title: 10, tags: 5, description: 3, content: 1 } }
+);
 
-// Method to restore a version
-snippetSchema.methods.restoreVersion = function(versionIndex) {
-  if (versionIndex >= 0 && versionIndex < this.versions.length) {
-    const versionContent = this.versions[versionIndex].content;
-    this.addVersion(versionContent);
-    return true;
+// Record the author's activity for followers' feeds
+snippetSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.lastActivity = { action: 'created', at: new Date() };
+  } else if (ACTIVITY_FIELDS.some(field => this.isModified(field))) {
+    this.lastActivity = { action: 'updated', at: new Date() };
   }
-  return false;
-};
+  next();
+});
 
 // Method to generate share link
 snippetSchema.methods.generateShareLink = function(expirationHours = 24) {
@@ -113,6 +140,27 @@ snippetSchema.methods.generateShareLink = function(expirationHours = 24) {
   this.shareExpiresAt = new Date(Date.now() + expirationHours * 60 * 60 * 1000);
 };
 
+// Method to take a public snippet down (admin moderation)
+snippetSchema.methods.forceUnpublish = function(adminId, reason = '') {
+  this.isPublic = false;
+  this.shareId = undefined;
+  this.shareExpiresAt = undefined;
+  this.moderation = {
+    unpublishedAt: new Date(),
+    unpublishedBy: adminId,
+    reason
+  };
+};
+
+// Method to lift a moderation takedown so the author may publish again
+snippetSchema.methods.clearModeration = function() {
+  this.moderation = {
+    unpublishedAt: null,
+    unpublishedBy: null,
+    reason: ''
+  };
+};
+
 // Method to check if share link is valid
 snippetSchema.methods.isShareLinkValid = function() {
   return this.shareId && this.shareExpiresAt && new Date() < this.shareExpiresAt;
@@ -0,0 +1,86 @@
+/**
+ * Snippet Event Model
+ * Timestamped views and likes of snippets, the input of the trending ranking
+ * (see utils/trending.js); kept only as long as the longest trending window needs
+ */
+
+const mongoose = require('mongoose');
+
+const TYPES = ['view', 'like'];
+
+const snippetEventSchema = new mongoose.Schema({
+  snippet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for visitors of share links
+  },
+  viewer: {
+    // Who viewed, to count a view once per window (see utils/viewTracking.js):
+    // `user:<id>` or `visitor:<hash of IP address and user agent>`
+    type: String,
+    default: null
+  },
+  dedupeKey: {
+    // `<viewer>|<snippet>|<window number>` on views, unique so that concurrent
+    // requests of one viewer in one window insert a single event
+    type: String
+  },
+  withdrawn: {
+    // Set on likes taken back; kept rather than deleted so that liking again
+    // restores the original like time instead of a fresh, undecayed one
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 35 * 24 * 60 * 60 // a little longer than the month window
+  }
+});
+
+snippetEventSchema.index({ snippet: 1, type: 1, user: 1 });
+snippetEventSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+snippetEventSchema.index({ user: 1 });
+
+/**
+ * Store a user's like of a snippet, reviving their withdrawn like with its original time
+ * if there is one; never throws, a failed write must not fail the like itself
+ */
+snippetEventSchema.statics.recordLike = async function(snippet, user) {
+  try {
+    await this.updateOne(
+      { snippet: snippet._id || snippet, type: 'like', user: user._id || user },
+      { $set: { withdrawn: false }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Record snippet like error:', error);
+  }
+};
+
+/**
+ * Take a user's like of a snippet out of the trending ranking
+ */
+snippetEventSchema.statics.withdrawLike = function(snippet, user) {
+  return this.updateMany(
+    { snippet: snippet._id || snippet, type: 'like', user: user._id || user },
+    { $set: { withdrawn: true } }
+  );
+};
+
+snippetEventSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('SnippetEvent', snippetEventSchema);
@@ -0,0 +1,204 @@
+/**
+ * Snippet Version Model
+ * Version history of snippets, kept outside the snippet document
+ *
+ * The newest version of a snippet stores its full content. When a newer one is
+ * saved it is replaced by a reverse delta from the newer version's content, except
+ * every KEYFRAME_INTERVAL-th version, which keeps its full content so rebuilding
+ * an old version never walks more than that many deltas
+ */
+
+const mongoose = require('mongoose');
+const { createDelta, applyDelta } = require('../utils/diff');
+
+// Versions between full copies of the content
+const KEYFRAME_INTERVAL = 20;
+
+// Number of versions kept per snippet; 0 (the default) keeps every save
+const VERSION_LIMIT = parseInt(process.env.SNIPPET_VERSION_LIMIT, 10) || 0;
+
+// Tries at taking the next version number when concurrent saves race for it
+const MAX_RECORD_ATTEMPTS = 5;
+
+const snippetVersionSchema = new mongoose.Schema({
+  snippet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet',
+    required: true
+  },
+  number: {
+    type: Number, // sequential per snippet, starting at 1
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Version message cannot exceed 200 characters'],
+    default: ''
+  },
+  // Snapshot of the snippet's metadata at the time of the save
+  title: {
+    type: String
+  },
+  lang: {
+    type: String
+  },
+  tags: [{
+    type: String
+  }],
+  size: {
+    type: Number, // content length, so listings need not rebuild the content
+    default: 0
+  },
+  keyframe: {
+    type: Boolean,
+    default: true
+  },
+  content: {
+    type: String, // full content, only on keyframes
+    default: null
+  },
+  delta: {
+    // Turns the next version's content into this one's (see utils/diff createDelta),
+    // only when not a keyframe
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+snippetVersionSchema.index({ snippet: 1, number: -1 }, { unique: true });
+snippetVersionSchema.index({ author: 1 });
+
+// Method to rebuild the version's content from the nearest newer keyframe
+snippetVersionSchema.methods.getContent = async function() {
+  if (this.keyframe) {
+    return this.content;
+  }
+
+  const SnippetVersion = this.constructor;
+  const keyframe = await SnippetVersion.findOne({
+    snippet: this.snippet,
+    number: { $gt: this.number },
+    keyframe: true
+  }).select('number content').sort({ number: 1 });
+
+  if (!keyframe) {
+    throw new Error(`No keyframe for version ${this.number} of snippet ${this.snippet}`);
+  }
+
+  const deltas = await SnippetVersion.find({
+    snippet: this.snippet,
+    number: { $gte: this.number, $lt: keyframe.number }
+  }).select('number delta').sort({ number: -1 });
+
+  return deltas.reduce((content, version) => applyDelta(content, version.delta), keyframe.content);
+};
+
+// Hide internal fields from API responses
+snippetVersionSchema.methods.toJSON = function() {
+  const versionObject = this.toObject();
+  delete versionObject.keyframe;
+  delete versionObject.content;
+  delete versionObject.delta;
+  delete versionObject.__v;
+  return versionObject;
+};
+
+/**
+ * Record the snippet's current content and metadata as its newest version
+ * The previous newest version becomes a delta unless it is due to stay a keyframe
+ */
+snippetVersionSchema.statics.record = async function(snippet, { author = null, message = '' } = {}) {
+  let previous;
+  let number;
+  let version;
+
+  // The unique { snippet, number } index lets only one of concurrent saves take a
+  // number; the others read the new newest version and take the next one
+  for (let attempt = 1; !version; attempt++) {
+    previous = await this.findOne({ snippet: snippet._id }).sort({ number: -1 });
+    number = previous ? previous.number + 1 : 1;
+
+    try {
+      version = await this.create({
+        snippet: snippet._id,
+        number,
+        author,
+        message,
+        title: snippet.title,
+        lang: snippet.lang,
+        tags: snippet.tags,
+        size: snippet.content.length,
+        content: snippet.content
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+
+  if (previous && previous.keyframe && previous.number % KEYFRAME_INTERVAL !== 0) {
+    previous.delta = createDelta(snippet.content, previous.content);
+    previous.content = null;
+    previous.keyframe = false;
+    await previous.save();
+  }
+
+  // Older versions only depend on newer ones, so the oldest can simply be dropped
+  if (VERSION_LIMIT > 0) {
+    await this.deleteMany({ snippet: snippet._id, number: { $lte: number - VERSION_LIMIT } });
+  }
+
+  return version;
+};
+
+/**
+ * Every version of a snippet, newest first, with its content rebuilt
+ * Walks the history once instead of rebuilding each version separately
+ */
+snippetVersionSchema.statics.getHistory = async function(snippetId) {
+  const versions = await this.find({ snippet: snippetId }).sort({ number: -1 });
+
+  let content = null;
+  return versions.map((version) => {
+    content = version.keyframe ? version.content : applyDelta(content, version.delta);
+    return { version, content };
+  });
+};
+
+/**
+ * Replace a snippet's history with the given versions, oldest first: [{ content, ...fields }]
+ * Numbers continue from the first entry's number; used to import the old embedded arrays
+ */
+snippetVersionSchema.statics.importHistory = async function(snippetId, entries) {
+  const firstNumber = (entries[0] && entries[0].number) || 1;
+  const documents = entries.map((entry, index) => {
+    const { content, ...fields } = entry;
+    const number = firstNumber + index;
+    const next = entries[index + 1];
+    const keyframe = !next || number % KEYFRAME_INTERVAL === 0;
+
+    return {
+      ...fields,
+      snippet: snippetId,
+      number,
+      size: content.length,
+      keyframe,
+      content: keyframe ? content : null,
+      delta: keyframe ? null : createDelta(next.content, content)
+    };
+  });
+
+  await this.deleteMany({ snippet: snippetId });
+  return this.insertMany(documents);
+};
+
+module.exports = mongoose.model('SnippetVersion', snippetVersionSchema);
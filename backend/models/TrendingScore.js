@@ -0,0 +1,57 @@
+/**
+ * Trending Score Model
+ * Time-decayed popularity of public snippets per window, recomputed on a schedule
+ * by utils/trending.js from the recorded snippet events
+ */
+
+const mongoose = require('mongoose');
+
+const WINDOWS = ['day', 'week', 'month'];
+
+const trendingScoreSchema = new mongoose.Schema({
+  snippet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet',
+    required: true
+  },
+  window: {
+    type: String,
+    enum: WINDOWS,
+    required: true
+  },
+  lang: {
+    type: String // copied from the snippet to rank languages and filter without a join
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  // Events counted in the window, before decay
+  views: {
+    type: Number,
+    default: 0
+  },
+  likes: {
+    type: Number,
+    default: 0
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+trendingScoreSchema.index({ snippet: 1, window: 1 }, { unique: true });
+trendingScoreSchema.index({ window: 1, score: -1 });
+trendingScoreSchema.index({ window: 1, lang: 1, score: -1 });
+
+// Hide internal fields from API responses
+trendingScoreSchema.methods.toJSON = function() {
+  const scoreObject = this.toObject();
+  delete scoreObject.__v;
+  return scoreObject;
+};
+
+trendingScoreSchema.statics.WINDOWS = WINDOWS;
+
+module.exports = mongoose.model('TrendingScore', trendingScoreSchema);
@@ -5,6 +5,44 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { encrypt, decrypt } = require('../utils/encryption');
+const {
+  generateSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/twoFactor');
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+
+// Failed logins: the first few are free, then each one doubles the wait before
+// the next attempt, until the account is locked and an unlock link is emailed
+const FREE_LOGIN_ATTEMPTS = 3;
+const MAX_LOGIN_ATTEMPTS = 10;
+const MAX_LOGIN_DELAY_SECONDS = 60;
+const ACCOUNT_LOCK_MINUTES = 30;
+const FAILED_LOGIN_RESET_HOURS = 24;
+const ACCOUNT_UNLOCK_TTL_HOURS = 24;
+
+const MAX_PROFILE_LINKS = 5;
+
+const ROLES = ['user', 'admin'];
+const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+// Code editor preferences, applied to every editor in the frontend
+const EDITOR_THEMES = ['dark', 'light', 'high-contrast'];
+const EDITOR_LINE_NUMBERS = ['on', 'off', 'relative'];
+const EDITOR_KEYBINDINGS = ['default', 'vim', 'emacs'];
+const EDITOR_PREFERENCE_FIELDS = [
+  'theme', 'fontFamily', 'fontSize', 'tabSize', 'insertSpaces',
+  'wordWrap', 'minimap', 'lineNumbers', 'keybindings'
+];
+
+// Placeholder account that takes over content kept after its author deletes their account
+const GHOST_USERNAME = 'deleted-user';
+const GHOST_EMAIL_DOMAIN = 'devcollab.invalid';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -28,10 +66,155 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpiresAt: {
+    type: Date,
+    default: null
+  },
   avatar: {
     type: String, // ✅ optional field for profile image (URL or filename)
     default: null
   },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Bio cannot exceed 300 characters'],
+    default: ''
+  },
+  links: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Links cannot exceed 200 characters'],
+      match: [/^https?:\/\/\S+$/i, 'Links must start with http:// or https://']
+    }],
+    validate: {
+      validator: (links) => links.length <= MAX_PROFILE_LINKS,
+      message: `You can add at most ${MAX_PROFILE_LINKS} links`
+    }
+  },
+  identities: [{
+    provider: {
+      type: String, // OIDC provider id
+      required: true
+    },
+    subject: {
+      type: String, // "sub" claim at that provider
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String, // encrypted TOTP secret
+      default: null
+    },
+    pendingSecret: {
+      type: String, // encrypted secret awaiting confirmation during enrollment
+      default: null
+    },
+    recoveryCodes: [{
+      type: String // hashed one-time recovery codes
+    }],
+    lastUsedStep: {
+      type: Number, // last accepted TOTP time step, prevents code replay
+      default: 0
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  editorPreferences: {
+    theme: {
+      type: String,
+      enum: { values: EDITOR_THEMES, message: `Theme must be one of ${EDITOR_THEMES.join(', ')}` },
+      default: 'dark'
+    },
+    fontFamily: {
+      type: String, // CSS font-family list
+      trim: true,
+      maxlength: [100, 'Font family cannot exceed 100 characters'],
+      match: [/^[\w\s"',-]+$/, 'Font family may only contain font names, quotes and commas'],
+      default: 'Monaco, Menlo, "Ubuntu Mono", monospace'
+    },
+    fontSize: {
+      type: Number,
+      min: [10, 'Font size must be at least 10'],
+      max: [32, 'Font size cannot exceed 32'],
+      default: 14
+    },
+    tabSize: {
+      type: Number,
+      min: [1, 'Tab size must be at least 1'],
+      max: [8, 'Tab size cannot exceed 8'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Tab size must be a whole number'
+      },
+      default: 2
+    },
+    insertSpaces: {
+      type: Boolean,
+      default: true
+    },
+    wordWrap: {
+      type: Boolean,
+      default: true
+    },
+    minimap: {
+      type: Boolean,
+      default: false
+    },
+    lineNumbers: {
+      type: String,
+      enum: { values: EDITOR_LINE_NUMBERS, message: `Line numbers must be one of ${EDITOR_LINE_NUMBERS.join(', ')}` },
+      default: 'on'
+    },
+    keybindings: {
+      type: String,
+      enum: { values: EDITOR_KEYBINDINGS, message: `Keybinding mode must be one of ${EDITOR_KEYBINDINGS.join(', ')}` },
+      default: 'default'
+    }
+  },
+  isGhost: {
+    type: Boolean, // the shared placeholder for deleted accounts, never signs in
+    default: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  status: {
+    type: String,
+    enum: ACCOUNT_STATUSES,
+    default: 'active'
+  },
+  suspendedUntil: {
+    type: Date, // null for an indefinite suspension (and for bans)
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -39,11 +222,45 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: Date.now
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    default: null
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  accountUnlockTokenHash: {
+    type: String,
+    default: null
+  },
+  accountUnlockExpiresAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// Look up users by linked external identity
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+
+// At most one ghost account, even when deletions race to create it
+userSchema.index({ isGhost: 1 }, { unique: true, partialFilterExpression: { isGhost: true } });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -64,12 +281,308 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to create a single-use password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRandomToken(32);
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Method to invalidate any outstanding password reset token
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetTokenHash = null;
+  this.passwordResetExpiresAt = null;
+};
+
+// Static to find the user owning a valid (unexpired) password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpiresAt: { $gt: new Date() }
+  });
+};
+
+// Method to create an email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken(32);
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Method to mark the email as verified and discard the token
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerificationTokenHash = null;
+  this.emailVerificationExpiresAt = null;
+};
+
+// Static to find the user owning a valid (unexpired) email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpiresAt: { $gt: new Date() }
+  });
+};
+
+// Method to start 2FA enrollment, returns the plain secret to show the user
+userSchema.methods.startTwoFactorSetup = function() {
+  const secret = generateSecret();
+  this.twoFactor.pendingSecret = encrypt(secret);
+  return secret;
+};
+
+// Method to confirm 2FA enrollment with a code from the authenticator app
+// Returns the plain recovery codes on success, null if the code is invalid
+userSchema.methods.enableTwoFactor = function(code) {
+  if (!this.twoFactor.pendingSecret) return null;
+
+  const secret = decrypt(this.twoFactor.pendingSecret);
+  const step = verifyTotp(code, secret);
+  if (step === null) return null;
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = null;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabledAt = new Date();
+  return this.regenerateRecoveryCodes();
+};
+
+// Method to replace recovery codes, returns the new plain codes
+userSchema.methods.regenerateRecoveryCodes = function() {
+  const codes = generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Method to verify a TOTP code or consume a recovery code
+userSchema.methods.verifyTwoFactor = function({ code, recoveryCode }) {
+  if (!this.twoFactor.enabled) return false;
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = this.twoFactor.recoveryCodes.indexOf(codeHash);
+    if (index === -1) return false;
+
+    // Recovery codes are single-use
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyTotp(code, decrypt(this.twoFactor.secret));
+  if (step === null || step <= this.twoFactor.lastUsedStep) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to turn 2FA off and discard its secrets
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = {
+    enabled: false,
+    secret: null,
+    pendingSecret: null,
+    recoveryCodes: [],
+    lastUsedStep: 0,
+    enabledAt: null
+  };
+};
+
+// Method to link an external (OIDC) identity to this account
+userSchema.methods.linkIdentity = function(provider, subject) {
+  const alreadyLinked = this.identities.some(
+    identity => identity.provider === provider && identity.subject === subject
+  );
+  if (!alreadyLinked) {
+    this.identities.push({ provider, subject });
+  }
+};
+
+// Method to get how many seconds the user must wait before the next login attempt
+userSchema.methods.getLoginRetryAfter = function() {
+  const now = Date.now();
+
+  if (this.lockedUntil) {
+    // Once a lock has run out, the failure count starts over
+    return this.lockedUntil > now ? Math.ceil((this.lockedUntil - now) / 1000) : 0;
+  }
+
+  if (this.failedLoginAttempts <= FREE_LOGIN_ATTEMPTS || !this.lastFailedLoginAt) {
+    return 0;
+  }
+
+  const delaySeconds = Math.min(
+    2 ** (this.failedLoginAttempts - FREE_LOGIN_ATTEMPTS),
+    MAX_LOGIN_DELAY_SECONDS
+  );
+  const waitMs = this.lastFailedLoginAt.getTime() + delaySeconds * 1000 - now;
+  return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+// Method to check if the account is currently locked
+userSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+/**
+ * Count a failed login in one atomic update, so parallel guesses cannot read the
+ * same count and slip past the delay or lock
+ * Returns { user, locked } with the updated user; locked is true only for the
+ * failure that locked the account
+ */
+userSchema.statics.registerFailedLogin = async function(userId) {
+  const now = new Date();
+  const lockUntil = new Date(now.getTime() + ACCOUNT_LOCK_MINUTES * 60 * 1000);
+  const staleBefore = new Date(now.getTime() - FAILED_LOGIN_RESET_HOURS * 60 * 60 * 1000);
+
+  // A lock that has run out or failures older than the reset period start the count over
+  const startOver = {
+    $or: [
+      { $and: [{ $ne: [{ $ifNull: ['$lockedUntil', null] }, null] }, { $lte: ['$lockedUntil', now] }] },
+      { $and: [{ $ne: [{ $ifNull: ['$lastFailedLoginAt', null] }, null] }, { $lt: ['$lastFailedLoginAt', staleBefore] }] }
+    ]
+  };
+
+  const user = await this.findOneAndUpdate({ _id: userId }, [
+    {
+      $set: {
+        failedLoginAttempts: { $cond: [startOver, 1, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }] },
+        lockedUntil: { $cond: [startOver, null, { $ifNull: ['$lockedUntil', null] }] },
+        lastFailedLoginAt: now
+      }
+    },
+    {
+      $set: {
+        lockedUntil: {
+          $cond: [
+            { $and: [{ $gte: ['$failedLoginAttempts', MAX_LOGIN_ATTEMPTS] }, { $not: [{ $gt: ['$lockedUntil', now] }] }] },
+            lockUntil,
+            '$lockedUntil'
+          ]
+        }
+      }
+    }
+  ], { new: true });
+
+  const locked = !!user && !!user.lockedUntil && user.lockedUntil.getTime() === lockUntil.getTime();
+  return { user, locked };
+};
+
+// Method to forget failed logins and lift any lock (after a successful login or unlock)
+userSchema.methods.clearFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = null;
+  this.lockedUntil = null;
+  this.accountUnlockTokenHash = null;
+  this.accountUnlockExpiresAt = null;
+};
+
+// Method to create an account unlock token (only the hash is stored)
+userSchema.methods.createAccountUnlockToken = function() {
+  const token = generateRandomToken(32);
+  this.accountUnlockTokenHash = hashToken(token);
+  this.accountUnlockExpiresAt = new Date(Date.now() + ACCOUNT_UNLOCK_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Static to find the user owning a valid (unexpired) account unlock token
+userSchema.statics.findByAccountUnlockToken = function(token) {
+  return this.findOne({
+    accountUnlockTokenHash: hashToken(token),
+    accountUnlockExpiresAt: { $gt: new Date() }
+  });
+};
+
+// Method to check if the account is currently barred from signing in
+userSchema.methods.isSuspended = function() {
+  if (this.status === 'banned') return true;
+  if (this.status !== 'suspended') return false;
+  return !this.suspendedUntil || this.suspendedUntil > new Date();
+};
+
+// Method to suspend (optionally until a date) or ban the account
+userSchema.methods.suspend = function({ status = 'suspended', until = null, reason = '' } = {}) {
+  this.status = status;
+  this.suspendedUntil = status === 'suspended' ? until : null;
+  this.suspensionReason = reason;
+};
+
+// Method to lift a suspension or ban
+userSchema.methods.reinstate = function() {
+  this.status = 'active';
+  this.suspendedUntil = null;
+  this.suspensionReason = '';
+};
+
+// Static to get (creating it on first use) the placeholder owner of deleted users' content
+userSchema.statics.getGhostUser = async function() {
+  const ghost = await this.findOne({ isGhost: true });
+  if (ghost) return ghost;
+
+  // A real account may already use the preferred username
+  const usernameTaken = await this.exists({ username: GHOST_USERNAME });
+  try {
+    return await this.create({
+      username: usernameTaken ? `${GHOST_USERNAME}-${generateRandomToken(3)}` : GHOST_USERNAME,
+      email: `ghost-${generateRandomToken(8)}@${GHOST_EMAIL_DOMAIN}`,
+      password: generateRandomToken(32),
+      emailVerified: true,
+      isGhost: true
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // A concurrent deletion created the ghost first
+    const existing = await this.findOne({ isGhost: true });
+    if (!existing) throw error;
+    return existing;
+  }
+};
+
+// Method to update editor preferences, only known fields are taken from the input
+userSchema.methods.setEditorPreferences = function(preferences = {}) {
+  for (const field of EDITOR_PREFERENCE_FIELDS) {
+    if (preferences[field] !== undefined) {
+      this.editorPreferences[field] = preferences[field];
+    }
+  }
+};
+
+// Method to get the fields anyone may see on a public profile
+userSchema.methods.toPublicProfile = function() {
+  return {
+    _id: this._id,
+    username: this.username,
+    avatar: this.avatar,
+    bio: this.bio,
+    links: this.links,
+    createdAt: this.createdAt
+  };
+};
+
 // Method to get user info without password (used in auth responses)
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpiresAt;
+  delete userObject.emailVerificationTokenHash;
+  delete userObject.emailVerificationExpiresAt;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lastFailedLoginAt;
+  delete userObject.lockedUntil;
+  delete userObject.accountUnlockTokenHash;
+  delete userObject.accountUnlockExpiresAt;
+  delete userObject.isGhost;
+  userObject.twoFactorEnabled = !!userObject.twoFactor?.enabled;
+  delete userObject.twoFactor;
   delete userObject.__v;
   return userObject;
 };
 
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.ACCOUNT_STATUSES = ACCOUNT_STATUSES;
+
 module.exports = mongoose.model('User', userSchema);
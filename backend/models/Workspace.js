@@ -65,6 +65,12 @@ const workspaceSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  organization: {
+    // Every member of the owning organization can open the workspace
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+  },
   collaborators: [collaboratorSchema],
   files: [fileSchema],
   inviteCode: {
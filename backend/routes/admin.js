@@ -0,0 +1,450 @@
+/**
+ * Admin Routes
+ * Moderation console: user search, suspensions and bans, snippet takedowns,
+ * workspace removal and platform statistics
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Snippet = require('../models/Snippet');
+const Workspace = require('../models/Workspace');
+const { recordAuditEvent } = require('../utils/audit');
+const { escapeRegex } = require('../utils/snippetSearch');
+const { isObjectId } = require('../utils/validation');
+const { disconnectUserSockets } = require('../utils/socketRooms');
+
+const router = express.Router();
+
+const MAX_SUSPENSION_DAYS = 365;
+
+/**
+ * Read page/limit query parameters
+ */
+const getPagination = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+};
+
+/**
+ * @route   GET /api/admin/stats
+ * @desc    Platform-wide counts
+ * @access  Admin
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const realUsers = { isGhost: { $ne: true } };
+
+    const [
+      totalUsers,
+      newUsers,
+      admins,
+      suspendedUsers,
+      bannedUsers,
+      totalSnippets,
+      publicSnippets,
+      unpublishedSnippets,
+      totalWorkspaces,
+      activeSessions
+    ] = await Promise.all([
+      User.countDocuments(realUsers),
+      User.countDocuments({ ...realUsers, createdAt: { $gte: weekAgo } }),
+      User.countDocuments({ ...realUsers, role: 'admin' }),
+      User.countDocuments({ ...realUsers, status: 'suspended' }),
+      User.countDocuments({ ...realUsers, status: 'banned' }),
+      Snippet.countDocuments(),
+      Snippet.countDocuments({ isPublic: true }),
+      Snippet.countDocuments({ 'moderation.unpublishedAt': { $ne: null } }),
+      Workspace.countDocuments(),
+      Session.countDocuments({ revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    res.json({
+      users: {
+        total: totalUsers,
+        newThisWeek: newUsers,
+        admins,
+        suspended: suspendedUsers,
+        banned: bannedUsers
+      },
+      snippets: {
+        total: totalSnippets,
+        public: publicSnippets,
+        unpublishedByModerators: unpublishedSnippets
+      },
+      workspaces: {
+        total: totalWorkspaces
+      },
+      activeSessions
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch platform stats'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List and search users (search matches username or email)
+ * @access  Admin
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const { search, status, role } = req.query;
+    const { limit, page, skip } = getPagination(req.query);
+
+    const query = { isGhost: { $ne: true } };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (status && User.ACCOUNT_STATUSES.includes(status)) {
+      query.status = status;
+    }
+    if (role && User.ROLES.includes(role)) {
+      query.role = role;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query).sort({ createdAt: -1 }).limit(limit).skip(skip),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      users,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch users'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/admin/users/:id/status
+ * @desc    Suspend (optionally for a number of days), ban or reinstate a user
+ * @access  Admin
+ */
+router.patch('/users/:id/status', async (req, res) => {
+  try {
+    const { status, reason = '', durationDays } = req.body;
+
+    if (!User.ACCOUNT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Status must be one of ${User.ACCOUNT_STATUSES.join(', ')}`
+      });
+    }
+
+    let until = null;
+    if (status === 'suspended' && durationDays !== undefined && durationDays !== null && durationDays !== '') {
+      const days = Number(durationDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `Suspension length must be between 1 and ${MAX_SUSPENSION_DAYS} days`
+        });
+      }
+      until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, isGhost: { $ne: true } });
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'User not found'
+      });
+    }
+
+    // Admins cannot be suspended, so the console can never lock every admin out
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Administrator accounts cannot be suspended or banned'
+      });
+    }
+
+    if (status === 'active') {
+      user.reinstate();
+    } else {
+      user.suspend({ status, until, reason: String(reason).trim() });
+    }
+    await user.save();
+
+    // Sign the user out everywhere; they must sign in again once reinstated
+    if (status !== 'active') {
+      await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      disconnectUserSockets(req.app.get('io'), user._id);
+    }
+
+    const messages = {
+      active: 'User reinstated successfully',
+      suspended: 'User suspended successfully',
+      banned: 'User banned successfully'
+    };
+
+    res.json({
+      message: messages[status],
+      user
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Validation error',
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Admin update user status error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to update user status'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/snippets
+ * @desc    List public snippets, or those taken down (?status=unpublished)
+ * @access  Admin
+ */
+router.get('/snippets', async (req, res) => {
+  try {
+    const { search, status = 'public' } = req.query;
+    const { limit, page, skip } = getPagination(req.query);
+
+    const query = status === 'unpublished'
+      ? { 'moderation.unpublishedAt': { $ne: null } }
+      : { isPublic: true };
+    if (search) {
+      query.title = new RegExp(escapeRegex(search), 'i');
+    }
+
+    const [snippets, total] = await Promise.all([
+      Snippet.find(query)
+        .select('-content')
+        .populate('author', 'username email')
+        .populate('moderation.unpublishedBy', 'username')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Snippet.countDocuments(query)
+    ]);
+
+    res.json({
+      snippets,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Admin list snippets error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch snippets'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/snippets/:id/unpublish
+ * @desc    Force a public snippet private; the author cannot republish or share it
+ * @access  Admin
+ */
+router.post('/snippets/:id/unpublish', async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid snippet ID format'
+      });
+    }
+
+    const snippet = await Snippet.findById(req.params.id);
+    if (!snippet) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Snippet not found'
+      });
+    }
+
+    const wasPublic = snippet.isPublic;
+    snippet.forceUnpublish(req.user._id, String(reason).trim());
+    await snippet.save();
+
+    if (wasPublic) {
+      await recordAuditEvent(req, {
+        action: 'snippet.visibility_changed',
+        user: snippet.author,
+        snippet,
+        details: { isPublic: false, moderation: true, reason: snippet.moderation.reason }
+      });
+    }
+
+    res.json({
+      message: 'Snippet unpublished successfully',
+      snippet
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Validation error',
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Admin unpublish snippet error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to unpublish snippet'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/snippets/:id/moderation
+ * @desc    Lift a takedown so the author may publish the snippet again
+ * @access  Admin
+ */
+router.delete('/snippets/:id/moderation', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid snippet ID format'
+      });
+    }
+
+    const snippet = await Snippet.findById(req.params.id);
+    if (!snippet) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Snippet not found'
+      });
+    }
+
+    snippet.clearModeration();
+    await snippet.save();
+
+    res.json({
+      message: 'Takedown lifted, the author may publish the snippet again',
+      snippet
+    });
+
+  } catch (error) {
+    console.error('Admin clear moderation error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to lift takedown'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/workspaces
+ * @desc    List and search all workspaces
+ * @access  Admin
+ */
+router.get('/workspaces', async (req, res) => {
+  try {
+    const { search } = req.query;
+    const { limit, page, skip } = getPagination(req.query);
+
+    const query = {};
+    if (search) {
+      query.name = new RegExp(escapeRegex(search), 'i');
+    }
+
+    const [workspaces, total] = await Promise.all([
+      Workspace.find(query)
+        .select('-files.content -inviteCode')
+        .populate('owner', 'username email')
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Workspace.countDocuments(query)
+    ]);
+
+    res.json({
+      workspaces,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Admin list workspaces error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch workspaces'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/workspaces/:workspaceId
+ * @desc    Delete any workspace
+ * @access  Admin
+ */
+router.delete('/workspaces/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await Workspace.findOneAndDelete({ workspaceId: req.params.workspaceId });
+    if (!workspace) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Workspace not found'
+      });
+    }
+
+    await recordAuditEvent(req, {
+      action: 'workspace.deleted',
+      user: workspace.owner,
+      workspace,
+      details: { name: workspace.name, moderation: true }
+    });
+
+    // Kick out anyone currently editing it
+    const io = req.app.get('io');
+    io.to(workspace.workspaceId).emit('workspace-deleted', { workspaceId: workspace.workspaceId });
+
+    res.json({ message: 'Workspace deleted successfully' });
+
+  } catch (error) {
+    console.error('Admin delete workspace error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to delete workspace'
+    });
+  }
+});
+
+module.exports = router;
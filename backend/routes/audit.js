@@ -0,0 +1,127 @@
+/**
+ * Audit Routes
+ * Read access to the security audit log
+ */
+
+const express = require('express');
+const AuditEvent = require('../models/AuditEvent');
+const Workspace = require('../models/Workspace');
+const { getOrganizationIds } = require('../utils/organizationAccess');
+const { isObjectId, parseDate } = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Conditions limiting a non-admin to events about their account and content,
+ * events they caused, and events on workspaces they own or manage through an organization
+ */
+const visibleEventsFilter = async (userId) => {
+  const { managerOf } = await getOrganizationIds(userId);
+  const workspaceIds = await Workspace.find({
+    $or: [
+      { owner: userId, organization: null },
+      { organization: { $in: managerOf } }
+    ]
+  }).distinct('workspaceId');
+
+  return {
+    $or: [
+      { user: userId },
+      { actor: userId },
+      { workspace: { $in: workspaceIds } }
+    ]
+  };
+};
+
+/**
+ * @route   GET /api/audit
+ * @desc    Audit events, newest first
+ *          Filters: actor (user ID), action (comma-separated), workspace, snippet,
+ *          from/to (ISO dates), page, limit
+ * @access  Private (your own events and workspaces; admins see everything)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { actor, action, workspace, snippet } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const query = req.user.role === 'admin' ? {} : await visibleEventsFilter(req.user._id);
+
+    if (actor) {
+      if (!isObjectId(actor)) {
+        return res.status(400).json({
+          error: 'Invalid ID',
+          message: 'Invalid actor ID format'
+        });
+      }
+      query.actor = actor;
+    }
+
+    if (action) {
+      const actions = String(action).split(',').map(a => a.trim()).filter(Boolean);
+      const unknownActions = actions.filter(a => !AuditEvent.ACTIONS.includes(a));
+      if (unknownActions.length > 0) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `Unknown action: ${unknownActions.join(', ')}. Valid actions: ${AuditEvent.ACTIONS.join(', ')}`
+        });
+      }
+      query.action = { $in: actions };
+    }
+
+    if (workspace) {
+      query.workspace = String(workspace);
+    }
+
+    if (snippet) {
+      if (!isObjectId(snippet)) {
+        return res.status(400).json({
+          error: 'Invalid ID',
+          message: 'Invalid snippet ID format'
+        });
+      }
+      query.snippet = snippet;
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'from and to must be valid dates'
+      });
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .populate('actor', 'username')
+        .populate('user', 'username')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      events,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch audit events'
+    });
+  }
+});
+
+module.exports = router;
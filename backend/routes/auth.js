@@ -1,32 +1,203 @@
 /**
  * Authentication Routes
- * Handles user registration, login, and profile fetching
+ * Handles user registration, email verification, login (incl. two-factor and
+ * OpenID Connect), token refresh, sessions, password reset and profile fetching
  */
 
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const OidcLoginState = require('../models/OidcLoginState');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const LoginAttempt = require('../models/LoginAttempt');
 const authMiddleware = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimit');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const {
+  getFrontendUrl,
+  passwordResetEmail,
+  accountLockedEmail
+} = require('../utils/emails');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { recordLoginAttempt, getIpRetryAfter } = require('../utils/loginProtection');
+const { recordAuditEvent } = require('../utils/audit');
+const { buildEnrollment } = require('../utils/twoFactor');
+const { checkPolicy } = require('../utils/policies');
+const { isObjectId } = require('../utils/validation');
+const { disconnectUserSockets, disconnectSessionSockets } = require('../utils/socketRooms');
+const {
+  REFRESH_COOKIE,
+  OIDC_BINDING_COOKIE,
+  wantsCookieSession,
+  setAuthCookies,
+  clearAuthCookies,
+  ensureCsrfToken,
+  setOidcBindingCookie,
+  clearOidcBindingCookie,
+  isCsrfValid
+} = require('../utils/authCookies');
+const oidc = require('../utils/oidc');
 
 const router = express.Router();
 
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// A refresh token rotated out this recently is treated as a benign race
+// (e.g. two tabs refreshing at once) rather than as token theft
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa-challenge';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
 /**
  * Generate JWT Token
+ * Short-lived access token bound to a server-side session
+ */
+const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const getRefreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Create a new login session for the user
+ * Returns the access token, the (only ever shown once) refresh token and when it expires
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRandomToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent') || '',
+    ipAddress: req.ip || '',
+    expiresAt: getRefreshExpiry()
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    expiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Respond with a session's credentials
+ * Browsers that asked for a cookie session get httpOnly cookies and a CSRF token,
+ * everyone else gets the tokens in the body
+ */
+const sendSession = (req, res, session, body, status = 200) => {
+  if (wantsCookieSession(req)) {
+    const csrfToken = setAuthCookies(req, res, session);
+    return res.status(status).json({ ...body, csrfToken });
+  }
+
+  res.status(status).json({
+    ...body,
+    token: session.token,
+    refreshToken: session.refreshToken
+  });
+};
+
+/**
+ * Generate a short-lived token proving the password step of a 2FA login succeeded
  */
-const generateToken = (userId) => {
+const generateTwoFactorChallenge = (userId) => {
   return jwt.sign(
-    { userId },
+    { userId, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
   );
 };
 
+/**
+ * Reject a login attempt that arrived before the caller's wait time was up
+ */
+const sendLoginThrottled = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many attempts',
+    message,
+    retryAfter
+  });
+};
+
+/**
+ * Reject a login attempt for a locked account
+ */
+const sendAccountLocked = (res, user) => {
+  const retryAfter = user.getLoginRetryAfter();
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    error: 'Account locked',
+    message: `This account is locked after too many failed login attempts. Use the unlock link we emailed you or try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+    retryAfter
+  });
+};
+
+/**
+ * Handle a refresh token that no longer matches a session
+ * A rotated-out token presented again after the grace period may have been
+ * stolen, so the session it came from is revoked
+ */
+const revokeReusedSession = async (req, tokenHash) => {
+  const reusedSession = await Session.findOne({ previousTokenHash: tokenHash });
+  if (reusedSession && Date.now() - reusedSession.lastUsedAt.getTime() > REFRESH_REUSE_GRACE_MS) {
+    reusedSession.revoke();
+    await reusedSession.save();
+    disconnectSessionSockets(req.app.get('io'), reusedSession._id);
+  }
+};
+
+/**
+ * Count a failed login against the account
+ * Locks the account and emails an unlock link once too many attempts have failed
+ */
+const registerFailedLogin = async (user) => {
+  const { user: updated, locked } = await User.registerFailedLogin(user._id);
+  if (updated) {
+    user.failedLoginAttempts = updated.failedLoginAttempts;
+    user.lastFailedLoginAt = updated.lastFailedLoginAt;
+    user.lockedUntil = updated.lockedUntil;
+  }
+
+  if (locked) {
+    // Only the unlock token is written, the counters were updated atomically above
+    const unlockToken = updated.createAccountUnlockToken();
+    await updated.save();
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...accountLockedEmail({
+          username: user.username,
+          token: unlockToken,
+          lockedMinutes: Math.round((user.lockedUntil - Date.now()) / 60000)
+        })
+      });
+    } catch (mailError) {
+      console.error('Account locked email error:', mailError);
+    }
+  }
+
+  return locked;
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', async (req, res) => {
+router.post('/register', authLimiter, async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
@@ -63,14 +234,20 @@ router.post('/register', async (req, res) => {
     const user = new User({ username, email, password });
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // The account works right away, but publishing waits for email verification
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session for the new user
+    const session = await createSession(user, req);
 
-    res.status(201).json({
+    sendSession(req, res, session, {
       message: 'User registered successfully',
-      token,
       user: user.toJSON() // ✅ uses schema's toJSON (no password, no __v)
-    });
+    }, 201);
 
   } catch (error) {
     console.error('Registration error:', error);
@@ -90,50 +267,160 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/verify/:token
+ * @desc    Verify an email address
+ * @access  Public
+ */
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to verify email'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify/resend
+ * @desc    Resend the email verification link
+ * @access  Private
+ */
+router.post('/verify/resend', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'Your email address is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
 /**
  * @route   POST /api/auth/login
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
 
-    if (!email || !password) {
+    if (!req.body.email || !password) {
       return res.status(400).json({
         error: 'Validation error',
         message: 'Email and password are required'
       });
     }
 
+    if (typeof req.body.email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Email and password must be strings'
+      });
+    }
+
+    // Stored emails are lowercase, so this is also the key of the lockout counters
+    const email = req.body.email.toLowerCase().trim();
+
+    // Slow down IP addresses that keep failing, whichever accounts they try
+    const ipRetryAfter = await getIpRetryAfter(req.ip);
+    if (ipRetryAfter) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'throttled' });
+      return sendLoginThrottled(res, ipRetryAfter, 'Too many failed login attempts from this network. Please try again later.');
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'unknown_account' });
       return res.status(401).json({
         error: 'Authentication failed',
         message: 'Invalid email or password'
       });
     }
 
+    if (user.isLocked()) {
+      await recordLoginAttempt(req, { user, email, success: false, reason: 'locked' });
+      return sendAccountLocked(res, user);
+    }
+
+    const retryAfter = user.getLoginRetryAfter();
+    if (retryAfter) {
+      await recordLoginAttempt(req, { user, email, success: false, reason: 'throttled' });
+      return sendLoginThrottled(res, retryAfter, `Too many failed login attempts. Please wait ${retryAfter} seconds and try again.`);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const locked = await registerFailedLogin(user);
+      await recordLoginAttempt(req, { user, email, success: false, reason: 'invalid_password' });
+      if (locked) {
+        return sendAccountLocked(res, user);
+      }
       return res.status(401).json({
         error: 'Authentication failed',
         message: 'Invalid email or password'
       });
     }
 
+    // Only tell a suspended user about it once they have proven who they are
+    const denial = checkPolicy(user, 'account:access');
+    if (denial) {
+      await recordLoginAttempt(req, { user, email, success: false, reason: 'suspended' });
+      return res.status(denial.status).json({ error: denial.error, message: denial.message });
+    }
+
+    // Accounts with 2FA must complete a second step at /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
+    user.clearFailedLogins();
     await user.save();
+    await recordLoginAttempt(req, { user, email, success: true });
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const session = await createSession(user, req);
 
-    res.json({
+    sendSession(req, res, session, {
       message: 'Login successful',
-      token,
       user: user.toJSON() // ✅ clean response (includes avatar if set)
     });
 
@@ -147,18 +434,927 @@ router.post('/login', async (req, res) => {
 });
 
 /**
- * @route   GET /api/auth/me
- * @desc    Get current user info
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete a login with a TOTP or recovery code
+ * @access  Public (requires the challenge token from /login)
+ */
+router.post('/login/2fa', authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Challenge token and an authentication or recovery code are required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Login challenge expired, please sign in again'
+      });
+    }
+
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid login challenge'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid login challenge'
+      });
+    }
+
+    if (user.isLocked()) {
+      await recordLoginAttempt(req, { user, email: user.email, success: false, reason: 'locked' });
+      return sendAccountLocked(res, user);
+    }
+
+    const retryAfter = user.getLoginRetryAfter();
+    if (retryAfter) {
+      await recordLoginAttempt(req, { user, email: user.email, success: false, reason: 'throttled' });
+      return sendLoginThrottled(res, retryAfter, `Too many failed login attempts. Please wait ${retryAfter} seconds and try again.`);
+    }
+
+    if (!user.verifyTwoFactor({ code, recoveryCode })) {
+      const locked = await registerFailedLogin(user);
+      await recordLoginAttempt(req, { user, email: user.email, success: false, reason: 'invalid_2fa' });
+      if (locked) {
+        return sendAccountLocked(res, user);
+      }
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+      });
+    }
+
+    const denial = checkPolicy(user, 'account:access');
+    if (denial) {
+      await user.save(); // persist the consumed code
+      await recordLoginAttempt(req, { user, email: user.email, success: false, reason: 'suspended' });
+      return res.status(denial.status).json({ error: denial.error, message: denial.message });
+    }
+
+    // Update last login (also persists the consumed code)
+    user.lastLogin = new Date();
+    user.clearFailedLogins();
+    await user.save();
+    await recordLoginAttempt(req, { user, email: user.email, success: true });
+
+    const session = await createSession(user, req);
+
+    sendSession(req, res, session, {
+      message: 'Login successful',
+      user: user.toJSON(),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to complete login'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment, returns an otpauth URI and QR code
  * @access  Private
  */
-router.get('/me', authMiddleware, async (req, res) => {
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
   try {
-    res.json({ user: req.user.toJSON() });
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = req.user.startTwoFactorSetup();
+    await req.user.save();
+
+    const { otpauthUrl, qrCode } = await buildEnrollment(req.user.email, secret);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+
   } catch (error) {
-    console.error('Get user info error:', error);
+    console.error('2FA setup error:', error);
     res.status(500).json({
       error: 'Server error',
-      message: 'Failed to get user information'
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code, returns one-time recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Authentication code is required'
+      });
+    }
+
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!req.user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: 'Setup required',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = req.user.enableTwoFactor(code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await req.user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      user: req.user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off 2FA (requires password and a current or recovery code)
+ * @access  Private
+ */
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Password and an authentication or recovery code are required'
+      });
+    }
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await req.user.comparePassword(password);
+    if (!isPasswordValid || !req.user.verifyTwoFactor({ code, recoveryCode })) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid password or code'
+      });
+    }
+
+    req.user.disableTwoFactor();
+    await req.user.save();
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      user: req.user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (requires a current authentication code)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!req.user.verifyTwoFactor({ code })) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = req.user.regenerateRecoveryCodes();
+    await req.user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+/**
+ * Send the browser back to the frontend OIDC callback page
+ * Values travel in the URL fragment so they never reach server logs
+ */
+const redirectToOidcCallback = (res, params) => {
+  res.redirect(`${getFrontendUrl()}/auth/callback#${new URLSearchParams(params).toString()}`);
+};
+
+const getOidcRedirectUri = (req, providerId) => {
+  const baseUrl = (process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return `${baseUrl}/api/auth/oidc/${encodeURIComponent(providerId)}/callback`;
+};
+
+/**
+ * Derive an available username from the IdP profile
+ */
+const generateUniqueUsername = async (claims) => {
+  const source = claims.preferred_username || claims.nickname || claims.email.split('@')[0];
+  let base = String(source).replace(/[^a-zA-Z0-9_.-]/g, '').slice(0, 24);
+  if (base.length < 3) base = `user${base}`;
+
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}${Math.floor(1000 + Math.random() * 9000)}`;
+  }
+  return username;
+};
+
+/**
+ * Find the user for an OIDC identity, linking by verified email or creating one
+ */
+const findOrCreateOidcUser = async (req, providerId, claims) => {
+  const subject = String(claims.sub);
+
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: providerId, subject } }
+  });
+  if (user) return user;
+
+  const email = claims.email.toLowerCase();
+  user = await User.findOne({ email });
+  let reclaimed = false;
+
+  if (user) {
+    // An unverified local account may have been registered by someone else
+    // with this address; the IdP has proven ownership, so lock them out of
+    // every way in: password, sessions, access tokens and their own 2FA
+    if (!user.emailVerified) {
+      user.password = generateRandomToken(32);
+      user.disableTwoFactor();
+      await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      await PersonalAccessToken.revokeAllForUser(user._id);
+      disconnectUserSockets(req.app.get('io'), user._id);
+      reclaimed = true;
+    }
+  } else {
+    user = new User({
+      username: await generateUniqueUsername(claims),
+      email,
+      password: generateRandomToken(32) // unusable until the user resets it
+    });
+  }
+
+  user.markEmailVerified();
+  user.linkIdentity(providerId, subject);
+  await user.save();
+
+  if (reclaimed) {
+    await recordAuditEvent(req, { action: 'account.reclaimed', actor: user, user, details: { provider: providerId } });
+  }
+
+  return user;
+};
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List configured OpenID Connect providers
+ * @access  Public
+ */
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    providers: oidc.getProviders().map(({ id, name }) => ({ id, name }))
+  });
+});
+
+/**
+ * @route   GET /api/auth/oidc/:provider/authorize
+ * @desc    Start an OpenID Connect login (authorization code + PKCE)
+ * @access  Public
+ */
+router.get('/oidc/:provider/authorize', async (req, res) => {
+  try {
+    const provider = oidc.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Unknown identity provider'
+      });
+    }
+
+    const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+    const state = generateRandomToken(24);
+    const nonce = generateRandomToken(24);
+
+    // Without this cookie an attacker could send a victim to the callback with
+    // the attacker's own code and sign them into the attacker's account
+    const binding = setOidcBindingCookie(res);
+
+    await OidcLoginState.create({
+      state,
+      provider: provider.id,
+      nonce,
+      codeVerifier,
+      bindingHash: hashToken(binding),
+      cookieSession: req.query.mode === 'cookie'
+    });
+
+    const authorizationUrl = await oidc.buildAuthorizationUrl(provider, {
+      redirectUri: getOidcRedirectUri(req, provider.id),
+      state,
+      nonce,
+      codeChallenge
+    });
+
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    redirectToOidcCallback(res, { error: 'Could not reach the identity provider' });
+  }
+});
+
+/**
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @desc    Complete an OpenID Connect login and hand tokens to the frontend
+ * @access  Public
+ */
+router.get('/oidc/:provider/callback', async (req, res) => {
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    if (error) {
+      return redirectToOidcCallback(res, { error: errorDescription || error });
+    }
+
+    const provider = oidc.getProvider(req.params.provider);
+    if (!provider || !code || !state) {
+      return redirectToOidcCallback(res, { error: 'Invalid sign-in response' });
+    }
+
+    // The login must finish in the browser that started it
+    const binding = req.cookies?.[OIDC_BINDING_COOKIE];
+    clearOidcBindingCookie(res);
+    if (!binding) {
+      return redirectToOidcCallback(res, { error: 'Sign-in must be completed in the browser that started it' });
+    }
+
+    // State is single-use
+    const loginState = await OidcLoginState.findOneAndDelete({
+      state: String(state),
+      provider: provider.id,
+      bindingHash: hashToken(String(binding))
+    });
+    if (!loginState) {
+      return redirectToOidcCallback(res, { error: 'Sign-in attempt expired, please try again' });
+    }
+
+    const tokens = await oidc.exchangeCode(provider, {
+      code: String(code),
+      redirectUri: getOidcRedirectUri(req, provider.id),
+      codeVerifier: loginState.codeVerifier
+    });
+
+    if (!tokens.id_token) {
+      return redirectToOidcCallback(res, { error: 'Identity provider did not return an ID token' });
+    }
+
+    const claims = await oidc.verifyIdToken(provider, tokens.id_token, loginState.nonce);
+
+    if (!claims.email || claims.email_verified !== true) {
+      return redirectToOidcCallback(res, { error: 'Your identity provider account has no verified email' });
+    }
+
+    const user = await findOrCreateOidcUser(req, provider.id, claims);
+
+    const denial = checkPolicy(user, 'account:access');
+    if (denial) {
+      await recordLoginAttempt(req, { user, email: user.email, success: false, reason: 'suspended' });
+      return redirectToOidcCallback(res, { error: denial.message });
+    }
+
+    // Local 2FA still applies on top of the identity provider
+    if (user.twoFactor.enabled) {
+      return redirectToOidcCallback(res, { challengeToken: generateTwoFactorChallenge(user._id) });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+    await recordLoginAttempt(req, { user, email: user.email, success: true });
+
+    const session = await createSession(user, req);
+
+    // Browsers using cookie sessions never see the tokens
+    if (loginState.cookieSession) {
+      setAuthCookies(req, res, session);
+      return redirectToOidcCallback(res, { session: 'cookie' });
+    }
+
+    redirectToOidcCallback(res, { token: session.token, refreshToken: session.refreshToken });
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToOidcCallback(res, { error: 'Failed to sign in with identity provider' });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get current user info
+ * @access  Private
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+  try {
+    res.json({ user: req.user.toJSON() });
+  } catch (error) {
+    console.error('Get user info error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to get user information'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/unlock/:token
+ * @desc    Unlock an account locked after too many failed logins
+ * @access  Public
+ */
+router.get('/unlock/:token', authLimiter, async (req, res) => {
+  try {
+    const user = await User.findByAccountUnlockToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Unlock link is invalid or has expired'
+      });
+    }
+
+    user.clearFailedLogins();
+    await user.save();
+
+    res.json({ message: 'Account unlocked. You can sign in again.' });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Email is required'
+      });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const response = {
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) {
+      return res.json(response);
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({
+          username: user.username,
+          token,
+          expiresInMinutes: Math.round((user.passwordResetExpiresAt - Date.now()) / 60000)
+        })
+      });
+    } catch (mailError) {
+      // Still answer with the generic response, an error here would reveal the account exists
+      console.error('Password reset email error:', mailError);
+      user.clearPasswordResetToken();
+      await user.save();
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // Tokens are single-use; a new password also lifts any lockout
+    user.password = password;
+    user.clearPasswordResetToken();
+    user.clearFailedLogins();
+    await user.save();
+
+    // Sign out every device that used the old password; whoever had it may
+    // also have created access tokens
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    const revokedTokens = await PersonalAccessToken.revokeAllForUser(user._id);
+    disconnectUserSockets(req.app.get('io'), user._id);
+
+    await recordAuditEvent(req, {
+      action: 'password.changed',
+      actor: user,
+      user,
+      details: { method: 'reset', revokedTokens }
+    });
+
+    res.json({
+      message: 'Password reset successfully. Your personal access tokens have been revoked. Please sign in with your new password.',
+      revokedTokens
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Validation error',
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @access  Public
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    // Cookie sessions keep the refresh token in an httpOnly cookie
+    const fromCookie = !req.body.refreshToken && !!req.cookies?.[REFRESH_COOKIE];
+    const refreshToken = req.body.refreshToken || req.cookies?.[REFRESH_COOKIE];
+
+    if (fromCookie && !isCsrfValid(req)) {
+      return res.status(403).json({
+        error: 'Invalid CSRF token',
+        message: 'Missing or invalid CSRF token'
+      });
+    }
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ tokenHash });
+
+    if (!session) {
+      await revokeReusedSession(req, tokenHash);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Session expired or revoked'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'User not found'
+      });
+    }
+
+    const denial = checkPolicy(user, 'account:access');
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error, message: denial.message });
+    }
+
+    // Rotate the refresh token, matching on the presented hash so only one
+    // concurrent request can swap it
+    const newRefreshToken = generateRandomToken();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash, revokedAt: null },
+      {
+        $set: {
+          previousTokenHash: tokenHash,
+          tokenHash: hashToken(newRefreshToken),
+          lastUsedAt: new Date(),
+          ipAddress: req.ip || session.ipAddress,
+          userAgent: req.get('User-Agent') || session.userAgent,
+          expiresAt: getRefreshExpiry()
+        }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await revokeReusedSession(req, tokenHash);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const credentials = {
+      token: generateToken(user._id, rotated._id),
+      refreshToken: newRefreshToken,
+      expiresAt: rotated.expiresAt
+    };
+
+    if (fromCookie) {
+      const csrfToken = setAuthCookies(req, res, credentials);
+      return res.json({ message: 'Token refreshed successfully', csrfToken });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: credentials.token,
+      refreshToken: credentials.refreshToken
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/csrf
+ * @desc    Get the CSRF token to send as X-CSRF-Token with cookie sessions
+ * @access  Public
+ */
+router.get('/csrf', (req, res) => {
+  res.json({ csrfToken: ensureCsrfToken(req, res) });
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session
+ * @access  Private
+ */
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, user: req.user._id },
+      { revokedAt: new Date() }
+    );
+    if (req.sessionId) disconnectSessionSockets(req.app.get('io'), req.sessionId);
+
+    clearAuthCookies(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to logout'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke every session except the current one
+ * @access  Private
+ */
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { user: req.user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    disconnectUserSockets(req.app.get('io'), req.user._id, { exceptSessionId: req.sessionId });
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke a specific session
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.sessionId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid session ID format'
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Session not found'
+      });
+    }
+
+    session.revoke();
+    await session.save();
+    disconnectSessionSockets(req.app.get('io'), session._id);
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/login-attempts
+ * @desc    List recent login attempts on the current user's account
+ * @access  Private
+ */
+router.get('/login-attempts', authMiddleware, async (req, res) => {
+  try {
+    const attempts = await LoginAttempt.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ attempts });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch login activity'
     });
   }
 });
@@ -0,0 +1,532 @@
+/**
+ * Collection Routes
+ * Nested, ordered folders of snippets; public collections can be viewed without signing in
+ */
+
+const express = require('express');
+const Collection = require('../models/Collection');
+const Snippet = require('../models/Snippet');
+const { readableSnippetFilter } = require('../utils/organizationAccess');
+const { isObjectId } = require('../utils/validation');
+
+const router = express.Router();
+
+// Collections are only visible to their owner here; everyone else gets a 404
+const findOwnCollection = async (id, userId) => {
+  if (!isObjectId(id)) return null;
+  return Collection.findOne({ _id: id, owner: userId });
+};
+
+const collectionNotFound = (res) => res.status(404).json({
+  error: 'Not found',
+  message: 'Collection not found'
+});
+
+const validationErrorMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+/**
+ * Collection without its snippet list, with the number of snippets in it
+ */
+const collectionSummary = (collection) => {
+  const { snippets, __v, ...summary } = collection.toObject ? collection.toObject() : collection;
+  return { ...summary, snippetCount: snippets.length };
+};
+
+/**
+ * A page of the collection's snippets that match `filter`, in the collection's order
+ */
+const getSnippetPage = async (collection, filter, { page, limit, select }) => {
+  const visible = await Snippet.find({ _id: { $in: collection.snippets }, ...filter }).distinct('_id');
+  const visibleIds = new Set(visible.map(id => id.toString()));
+  const orderedIds = collection.snippets.filter(id => visibleIds.has(id.toString()));
+  const pageIds = orderedIds.slice((page - 1) * limit, page * limit);
+
+  const snippets = await Snippet.find({ _id: { $in: pageIds } })
+    .select(select)
+    .populate('author', 'username');
+  const byId = new Map(snippets.map(snippet => [snippet._id.toString(), snippet]));
+
+  return {
+    snippets: pageIds.map(id => byId.get(id.toString())).filter(Boolean),
+    totalPages: Math.ceil(orderedIds.length / limit),
+    currentPage: page,
+    total: orderedIds.length
+  };
+};
+
+const parsePaging = (query) => ({
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 12, 1), 50),
+  page: Math.max(parseInt(query.page, 10) || 1, 1)
+});
+
+/**
+ * @route   GET /api/collections
+ * @desc    The current user's collections, flat and ordered by position
+ *          (nest them with `parent`)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const collections = await Collection.find({ owner: req.user._id })
+      .sort({ position: 1, createdAt: 1 })
+      .lean();
+
+    res.json({
+      collections: collections.map(collectionSummary)
+    });
+
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch collections'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/collections
+ * @desc    Create a collection, last among its siblings
+ *          Body: name, description, parent (collection id or null), isPublic
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+    const parentId = req.body.parent || null;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Collection name is required'
+      });
+    }
+
+    if (parentId) {
+      const parent = await findOwnCollection(parentId, req.user._id);
+      if (!parent) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Parent collection not found'
+        });
+      }
+
+      if (await Collection.getDepth(parent._id) >= Collection.MAX_DEPTH) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `Collections cannot be nested more than ${Collection.MAX_DEPTH} levels deep`
+        });
+      }
+    }
+
+    const position = await Collection.countDocuments({ owner: req.user._id, parent: parentId });
+
+    const collection = new Collection({
+      name,
+      description,
+      owner: req.user._id,
+      parent: parentId,
+      position,
+      isPublic: isPublic === true
+    });
+    await collection.save();
+
+    res.status(201).json({
+      message: 'Collection created successfully',
+      collection: collectionSummary(collection)
+    });
+
+  } catch (error) {
+    console.error('Create collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: validationErrorMessage(error)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to create collection'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/collections/public/:id
+ * @desc    A public collection with its public subcollections and a page of its
+ *          public snippets (with content)
+ *          Query: page, limit
+ * @access  Public
+ */
+router.get('/public/:id', async (req, res) => {
+  try {
+    const { page, limit } = parsePaging(req.query);
+
+    const collection = isObjectId(req.params.id) && await Collection.findOne({ _id: req.params.id, isPublic: true })
+      .populate('owner', 'username avatar');
+    if (!collection) {
+      return collectionNotFound(res);
+    }
+
+    const [collections, snippetPage] = await Promise.all([
+      Collection.find({ parent: collection._id, isPublic: true })
+        .sort({ position: 1, createdAt: 1 })
+        .lean(),
+      getSnippetPage(collection, { isPublic: true }, {
+        page,
+        limit,
+        select: '-shareId -shareExpiresAt -__v'
+      })
+    ]);
+
+    // Only link to the parent when visitors may open it
+    const parent = collection.parent && await Collection.findOne({ _id: collection.parent, isPublic: true })
+      .select('name');
+
+    res.json({
+      collection: {
+        ...collectionSummary(collection),
+        // Count what visitors can see, not the private snippets as well
+        snippetCount: snippetPage.total,
+        parent: parent || null
+      },
+      collections: collections.map(({ snippets, __v, ...child }) => child),
+      ...snippetPage
+    });
+
+  } catch (error) {
+    console.error('Get public collection error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch collection'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/collections/:id
+ * @desc    A collection with its path from the top level, its subcollections and
+ *          a page of the snippets in it that you can still read
+ *          Query: page, limit
+ * @access  Private (owner)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { page, limit } = parsePaging(req.query);
+
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return collectionNotFound(res);
+    }
+
+    const path = [];
+    let parentId = collection.parent;
+    while (parentId) {
+      const parent = await Collection.findById(parentId).select('name parent');
+      if (!parent) break;
+      path.unshift({ _id: parent._id, name: parent.name });
+      parentId = parent.parent;
+    }
+
+    const [collections, snippetPage] = await Promise.all([
+      Collection.find({ parent: collection._id })
+        .sort({ position: 1, createdAt: 1 })
+        .lean(),
+      getSnippetPage(collection, await readableSnippetFilter(req.user._id), {
+        page,
+        limit,
+        select: '-content -shareId -shareExpiresAt -__v'
+      })
+    ]);
+
+    res.json({
+      collection: collectionSummary(collection),
+      path,
+      collections: collections.map(collectionSummary),
+      ...snippetPage
+    });
+
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch collection'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/collections/:id
+ * @desc    Rename a collection, change its description or visibility
+ * @access  Private (owner)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return collectionNotFound(res);
+    }
+
+    if (name !== undefined) collection.name = name;
+    if (description !== undefined) collection.description = description;
+    if (isPublic !== undefined) collection.isPublic = isPublic === true;
+
+    await collection.save();
+
+    res.json({
+      message: 'Collection updated successfully',
+      collection: collectionSummary(collection)
+    });
+
+  } catch (error) {
+    console.error('Update collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: validationErrorMessage(error)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to update collection'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/collections/:id/move
+ * @desc    Move a collection to another parent and/or position among its siblings
+ *          Body: parent (collection id or null for the top level), position (0-based)
+ * @access  Private (owner)
+ */
+router.put('/:id/move', async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return collectionNotFound(res);
+    }
+
+    const parentId = req.body.parent === undefined ? collection.parent : req.body.parent || null;
+    const position = parseInt(req.body.position, 10);
+
+    if (Number.isNaN(position)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'position must be a number'
+      });
+    }
+
+    if (parentId) {
+      const parent = await findOwnCollection(parentId, req.user._id);
+      if (!parent) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Parent collection not found'
+        });
+      }
+
+      const subtreeIds = await Collection.getSubtreeIds(collection._id);
+      if (subtreeIds.some(id => id.equals(parent._id))) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'A collection cannot be moved into itself or one of its subcollections'
+        });
+      }
+
+      const depth = await Collection.getDepth(parent._id) + 1 + await Collection.getSubtreeHeight(collection._id);
+      if (depth > Collection.MAX_DEPTH) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `Collections cannot be nested more than ${Collection.MAX_DEPTH} levels deep`
+        });
+      }
+    }
+
+    await Collection.placeAt(collection, parentId, position);
+
+    res.json({
+      message: 'Collection moved successfully',
+      collection: collectionSummary(collection)
+    });
+
+  } catch (error) {
+    console.error('Move collection error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to move collection'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/collections/:id
+ * @desc    Delete a collection and its subcollections (the snippets are kept)
+ * @access  Private (owner)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return collectionNotFound(res);
+    }
+
+    const subtreeIds = await Collection.getSubtreeIds(collection._id);
+    const deleted = await Collection.deleteMany({ _id: { $in: subtreeIds } });
+
+    res.json({
+      message: 'Collection deleted successfully',
+      collectionsDeleted: deleted.deletedCount
+    });
+
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to delete collection'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/collections/:id/snippets
+ * @desc    Add a snippet you can read to the end of a collection
+ *          Body: snippetId
+ * @access  Private (owner)
+ */
+router.post('/:id/snippets', async (req, res) => {
+  try {
+    const { snippetId } = req.body;
+
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return collectionNotFound(res);
+    }
+
+    const snippet = isObjectId(snippetId) && await Snippet.findOne({
+      _id: snippetId,
+      ...await readableSnippetFilter(req.user._id)
+    }).select('_id');
+    if (!snippet) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Snippet not found or access denied'
+      });
+    }
+
+    if (collection.snippets.some(id => id.equals(snippet._id))) {
+      return res.status(409).json({
+        error: 'Already added',
+        message: 'The snippet is already in this collection'
+      });
+    }
+
+    collection.snippets.push(snippet._id);
+    await collection.save();
+
+    res.status(201).json({
+      message: 'Snippet added to collection',
+      collection: collectionSummary(collection)
+    });
+
+  } catch (error) {
+    console.error('Add snippet to collection error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to add snippet to collection'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/collections/:id/snippets/:snippetId/position
+ * @desc    Move a snippet to another position in the collection
+ *          Body: position (0-based)
+ * @access  Private (owner)
+ */
+router.put('/:id/snippets/:snippetId/position', async (req, res) => {
+  try {
+    const position = parseInt(req.body.position, 10);
+    if (Number.isNaN(position)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'position must be a number'
+      });
+    }
+
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return collectionNotFound(res);
+    }
+
+    const index = collection.snippets.findIndex(id => id.toString() === req.params.snippetId);
+    if (index === -1) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'The snippet is not in this collection'
+      });
+    }
+
+    const ordered = [...collection.snippets];
+    const [snippetId] = ordered.splice(index, 1);
+    ordered.splice(Math.min(Math.max(position, 0), ordered.length), 0, snippetId);
+    collection.snippets = ordered;
+    await collection.save();
+
+    res.json({
+      message: 'Snippet moved',
+      collection: collectionSummary(collection)
+    });
+
+  } catch (error) {
+    console.error('Move collection snippet error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to move snippet'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/collections/:id/snippets/:snippetId
+ * @desc    Remove a snippet from a collection (the snippet itself is kept)
+ * @access  Private (owner)
+ */
+router.delete('/:id/snippets/:snippetId', async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return collectionNotFound(res);
+    }
+
+    const index = collection.snippets.findIndex(id => id.toString() === req.params.snippetId);
+    if (index === -1) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'The snippet is not in this collection'
+      });
+    }
+
+    collection.snippets.splice(index, 1);
+    await collection.save();
+
+    res.json({
+      message: 'Snippet removed from collection',
+      collection: collectionSummary(collection)
+    });
+
+  } catch (error) {
+    console.error('Remove snippet from collection error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to remove snippet from collection'
+    });
+  }
+});
+
+module.exports = router;
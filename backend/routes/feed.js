@@ -0,0 +1,57 @@
+/**
+ * Feed Routes
+ * Activity feed of public snippets from the people you follow
+ */
+
+const express = require('express');
+const Snippet = require('../models/Snippet');
+const Follow = require('../models/Follow');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/feed
+ * @desc    Public snippets created or updated by followed users, newest activity first
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const followingIds = await Follow.getFollowingIds(req.user._id);
+    const query = { author: { $in: followingIds }, isPublic: true };
+
+    const [snippets, total] = await Promise.all([
+      Snippet.find(query)
+        .select('-content -shareId -shareExpiresAt')
+        .populate('author', 'username avatar')
+        .sort({ 'lastActivity.at': -1, createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Snippet.countDocuments(query)
+    ]);
+
+    res.json({
+      items: snippets.map(snippet => ({
+        // Snippets saved before activity was tracked count as created
+        action: snippet.lastActivity?.action || 'created',
+        at: snippet.lastActivity?.at || snippet.createdAt,
+        snippet
+      })),
+      following: followingIds.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch feed'
+    });
+  }
+});
+
+module.exports = router;
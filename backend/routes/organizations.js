@@ -0,0 +1,555 @@
+/**
+ * Organization Routes
+ * Teams, their members and the snippets and workspaces they own
+ */
+
+const express = require('express');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Snippet = require('../models/Snippet');
+const Workspace = require('../models/Workspace');
+const { isObjectId } = require('../utils/validation');
+const { leaveWorkspaceRooms } = require('../utils/socketRooms');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'username avatar';
+
+// Turn a name into a slug suggestion, e.g. "Acme Tools" -> "acme-tools"
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40);
+
+// Organizations are only visible to their members; everyone else gets a 404
+const findMemberOrganization = async (slug, userId) => {
+  const organization = await Organization.findOne({ slug: String(slug).toLowerCase() });
+  if (!organization || !organization.isMember(userId)) return null;
+  return organization;
+};
+
+const organizationNotFound = (res) => res.status(404).json({
+  error: 'Not found',
+  message: 'Organization not found'
+});
+
+const validationErrorMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+/**
+ * @route   GET /api/organizations
+ * @desc    Organizations the current user belongs to, with their role in each
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'members.user': req.user._id })
+      .sort({ name: 1 });
+
+    res.json({
+      organizations: organizations.map(organization => ({
+        _id: organization._id,
+        name: organization.name,
+        slug: organization.slug,
+        description: organization.description,
+        memberCount: organization.members.length,
+        role: organization.getRole(req.user._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch organizations'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization, the creator becomes its owner
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Organization name is required'
+      });
+    }
+
+    const slug = req.body.slug ? String(req.body.slug).toLowerCase().trim() : slugify(name);
+    if (await Organization.exists({ slug })) {
+      return res.status(409).json({
+        error: 'Slug taken',
+        message: 'An organization with this slug already exists'
+      });
+    }
+
+    const organization = new Organization({
+      name,
+      slug,
+      description,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+    await organization.save();
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: validationErrorMessage(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Slug taken',
+        message: 'An organization with this slug already exists'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to create organization'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:slug
+ * @desc    Organization details and members
+ * @access  Private (members)
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const organization = await findMemberOrganization(req.params.slug, req.user._id);
+    if (!organization) {
+      return organizationNotFound(res);
+    }
+
+    await organization.populate('members.user', MEMBER_FIELDS);
+
+    const [snippetCount, workspaceCount] = await Promise.all([
+      Snippet.countDocuments({ organization: organization._id }),
+      Workspace.countDocuments({ organization: organization._id })
+    ]);
+
+    res.json({
+      organization,
+      role: organization.getRole(req.user._id),
+      snippetCount,
+      workspaceCount
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch organization'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/organizations/:slug
+ * @desc    Update the organization name and description
+ * @access  Private (owners and admins)
+ */
+router.patch('/:slug', async (req, res) => {
+  try {
+    const organization = await findMemberOrganization(req.params.slug, req.user._id);
+    if (!organization) {
+      return organizationNotFound(res);
+    }
+
+    if (!organization.isManager(req.user._id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only organization owners and admins can change its details'
+      });
+    }
+
+    const { name, description } = req.body;
+    if (name !== undefined) organization.name = name;
+    if (description !== undefined) organization.description = description;
+
+    await organization.save();
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: validationErrorMessage(error)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to update organization'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/organizations/:slug
+ * @desc    Delete an organization that no longer owns any snippets or workspaces
+ * @access  Private (owners)
+ */
+router.delete('/:slug', async (req, res) => {
+  try {
+    const organization = await findMemberOrganization(req.params.slug, req.user._id);
+    if (!organization) {
+      return organizationNotFound(res);
+    }
+
+    if (organization.getRole(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only organization owners can delete it'
+      });
+    }
+
+    const [hasSnippets, hasWorkspaces] = await Promise.all([
+      Snippet.exists({ organization: organization._id }),
+      Workspace.exists({ organization: organization._id })
+    ]);
+
+    if (hasSnippets || hasWorkspaces) {
+      return res.status(409).json({
+        error: 'Organization not empty',
+        message: 'Move or delete the organization\'s snippets and workspaces before deleting it'
+      });
+    }
+
+    // Snippets shared with the organization stay with their owners
+    await Snippet.updateMany(
+      { sharedWithOrganizations: organization._id },
+      { $pull: { sharedWithOrganizations: organization._id } },
+      { timestamps: false }
+    );
+    await organization.deleteOne();
+
+    res.json({
+      message: 'Organization deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to delete organization'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/organizations/:slug/members
+ * @desc    Add a user to the organization by username
+ * @access  Private (owners and admins; only owners can add admins and owners)
+ */
+router.post('/:slug/members', async (req, res) => {
+  try {
+    const { username, role = 'member' } = req.body;
+
+    const organization = await findMemberOrganization(req.params.slug, req.user._id);
+    if (!organization) {
+      return organizationNotFound(res);
+    }
+
+    if (!organization.isManager(req.user._id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only organization owners and admins can add members'
+      });
+    }
+
+    if (!Organization.ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Role must be one of: ${Organization.ROLES.join(', ')}`
+      });
+    }
+
+    if (role !== 'member' && organization.getRole(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only organization owners can add admins and owners'
+      });
+    }
+
+    if (!username) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Username is required'
+      });
+    }
+
+    const user = await User.findOne({ username: String(username).trim(), isGhost: { $ne: true } });
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'User not found'
+      });
+    }
+
+    if (organization.isMember(user._id)) {
+      return res.status(409).json({
+        error: 'Already member',
+        message: `${user.username} is already a member of ${organization.name}`
+      });
+    }
+
+    organization.setMember(user._id, role);
+    await organization.save();
+    await organization.populate('members.user', MEMBER_FIELDS);
+
+    res.status(201).json({
+      message: `${user.username} added to ${organization.name}`,
+      members: organization.members
+    });
+
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to add member'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/organizations/:slug/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (owners)
+ */
+router.patch('/:slug/members/:userId', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!isObjectId(req.params.userId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const organization = await findMemberOrganization(req.params.slug, req.user._id);
+    if (!organization) {
+      return organizationNotFound(res);
+    }
+
+    if (organization.getRole(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only organization owners can change roles'
+      });
+    }
+
+    if (!Organization.ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Role must be one of: ${Organization.ROLES.join(', ')}`
+      });
+    }
+
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && organization.countOwners() === 1) {
+      return res.status(400).json({
+        error: 'Last owner',
+        message: 'An organization must keep at least one owner'
+      });
+    }
+
+    member.role = role;
+    await organization.save();
+    await organization.populate('members.user', MEMBER_FIELDS);
+
+    res.json({
+      message: 'Role updated',
+      members: organization.members
+    });
+
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to update member'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/organizations/:slug/members/:userId
+ * @desc    Remove a member, or leave the organization when removing yourself
+ * @access  Private (owners remove anyone, admins remove members)
+ */
+router.delete('/:slug/members/:userId', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.userId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const organization = await findMemberOrganization(req.params.slug, req.user._id);
+    if (!organization) {
+      return organizationNotFound(res);
+    }
+
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Member not found'
+      });
+    }
+
+    const leaving = req.params.userId === req.user._id.toString();
+    const actorRole = organization.getRole(req.user._id);
+    const allowed = leaving ||
+      actorRole === 'owner' ||
+      (actorRole === 'admin' && member.role === 'member');
+
+    if (!allowed) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You cannot remove this member'
+      });
+    }
+
+    if (member.role === 'owner' && organization.countOwners() === 1) {
+      return res.status(400).json({
+        error: 'Last owner',
+        message: 'An organization must keep at least one owner, make someone else an owner first'
+      });
+    }
+
+    // Snippets and workspaces they created stay with the organization
+    organization.removeMember(req.params.userId);
+    await organization.save();
+
+    // Stop live updates of the organization's workspaces they no longer collaborate on
+    const workspaces = await Workspace.find({
+      organization: organization._id,
+      'collaborators.user': { $ne: req.params.userId }
+    }).select('workspaceId');
+    leaveWorkspaceRooms(req.app.get('io'), req.params.userId, workspaces.map(workspace => workspace.workspaceId));
+    await organization.populate('members.user', MEMBER_FIELDS);
+
+    res.json({
+      message: leaving ? `You left ${organization.name}` : 'Member removed',
+      members: organization.members
+    });
+
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to remove member'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:slug/snippets
+ * @desc    Snippets owned by or shared with the organization, most recently updated first
+ * @access  Private (members)
+ */
+router.get('/:slug/snippets', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const organization = await findMemberOrganization(req.params.slug, req.user._id);
+    if (!organization) {
+      return organizationNotFound(res);
+    }
+
+    const query = {
+      $or: [
+        { organization: organization._id },
+        { sharedWithOrganizations: organization._id }
+      ]
+    };
+    const [snippets, total] = await Promise.all([
+      Snippet.find(query)
+        .select('-content -shareId -shareExpiresAt')
+        .populate('author', 'username avatar')
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Snippet.countDocuments(query)
+    ]);
+
+    res.json({
+      snippets,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get organization snippets error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch organization snippets'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:slug/workspaces
+ * @desc    Workspaces owned by the organization, most recently updated first
+ * @access  Private (members)
+ */
+router.get('/:slug/workspaces', async (req, res) => {
+  try {
+    const organization = await findMemberOrganization(req.params.slug, req.user._id);
+    if (!organization) {
+      return organizationNotFound(res);
+    }
+
+    const workspaces = await Workspace.find({ organization: organization._id })
+      .select('-files.content')
+      .populate('owner', 'username avatar')
+      .sort({ updatedAt: -1 });
+
+    res.json({ workspaces, total: workspaces.length });
+
+  } catch (error) {
+    console.error('Get organization workspaces error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch organization workspaces'
+    });
+  }
+});
+
+module.exports = router;
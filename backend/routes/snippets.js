@@ -5,44 +5,218 @@
 
 const express = require('express');
 const Snippet = require('../models/Snippet');
+const SnippetVersion = require('../models/SnippetVersion');
+const SnippetEvent = require('../models/SnippetEvent');
+const TrendingScore = require('../models/TrendingScore');
+const Collection = require('../models/Collection');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const requirePolicy = require('../middleware/policy');
+const { checkPolicy } = require('../utils/policies');
+const { recordAuditEvent } = require('../utils/audit');
+const { recordView } = require('../utils/viewTracking');
+const { DEFAULT_CONTEXT, compareTexts, revertHunks } = require('../utils/diff');
+const {
+  escapeRegex,
+  parseSearchQuery,
+  buildTextSearch,
+  buildExclusionFilter,
+  highlightSnippet
+} = require('../utils/snippetSearch');
+const {
+  getOrganizationIds,
+  readableSnippetFilter,
+  writableSnippetFilter,
+  resolveOrganization,
+  resolveSharedOrganizations,
+  canReleaseFromOrganization
+} = require('../utils/organizationAccess');
+const { isObjectId, parseDate } = require('../utils/validation');
 
 const router = express.Router();
 
+// Snippet fields captured with each version
+const VERSIONED_FIELDS = ['content', 'title', 'lang', 'tags'];
+
+/**
+ * Snippet as returned by the API, with the size of its version history
+ * (the history itself is paged through /:id/versions)
+ */
+const snippetResponse = async (snippet) => ({
+  ...snippet.toObject(),
+  versionCount: await SnippetVersion.countDocuments({ snippet: snippet._id })
+});
+
+/**
+ * Check the optional message saved with a version before anything is written
+ */
+const isValidVersionMessage = (message) => {
+  return message === undefined || (typeof message === 'string' && message.trim().length <= 200);
+};
+
+const invalidVersionMessage = {
+  error: 'Validation error',
+  message: 'Version message must be text of at most 200 characters'
+};
+
+// isPublic must be a real boolean: Mongoose would cast "true" or 1 to true
+// after the publish policy and moderation checks had looked at the raw value
+const invalidVisibility = {
+  error: 'Validation error',
+  message: 'isPublic must be true or false'
+};
+
+// Orderings of the snippet list; likeCount is computed per query and
+// trendingScore is the snippet's weekly trending score (see utils/trending.js)
+const LIST_SORTS = {
+  recent: { createdAt: -1, _id: -1 },
+  updated: { updatedAt: -1, _id: -1 },
+  views: { views: -1, createdAt: -1, _id: -1 },
+  likes: { likeCount: -1, createdAt: -1, _id: -1 },
+  title: { title: 1, _id: 1 },
+  trending: { trendingScore: -1, createdAt: -1, _id: -1 }
+};
+
+const LIST_SCOPES = ['mine', 'all', 'public', 'liked', 'followed'];
+
+/**
+ * Query conditions for each list scope
+ * - mine: snippets you wrote (left behind in organizations you have left are excluded)
+ * - all: everything you can read
+ * - public: all public snippets
+ * - liked: snippets you liked that you can still read
+ * - followed: public snippets of the people you follow
+ */
+const scopeFilter = async (scope, userId) => {
+  switch (scope) {
+    case 'all':
+      return readableSnippetFilter(userId);
+    case 'public':
+      return { isPublic: true };
+    case 'liked':
+      return { likes: userId, ...await readableSnippetFilter(userId) };
+    case 'followed':
+      return { author: { $in: await Follow.getFollowingIds(userId) }, isPublic: true };
+    default: {
+      const { memberOf } = await getOrganizationIds(userId);
+      return { author: userId, organization: { $in: [null, ...memberOf] } };
+    }
+  }
+};
+
 /**
  * @route   GET /api/snippets
- * @desc    Get all snippets for the authenticated user
+ * @desc    List snippets
+ *          Query: scope (mine | all | public | liked | followed, default mine),
+ *          sort (recent | updated | views | likes | title | trending, default recent),
+ *          search, lang, tags (comma-separated, all must match), isPublic,
+ *          from/to (ISO dates, on creation time), page, limit
  * @access  Private
  */
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, lang, isPublic } = req.query;
-    
-    // Build query
-    const query = { author: req.user._id };
-    
+    const { scope = 'mine', sort = 'recent', search, lang, tags, isPublic } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    if (!LIST_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `scope must be one of: ${LIST_SCOPES.join(', ')}`
+      });
+    }
+
+    if (!LIST_SORTS[sort]) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `sort must be one of: ${Object.keys(LIST_SORTS).join(', ')}`
+      });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    const conditions = [await scopeFilter(scope, req.user._id)];
+
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      conditions.push({
+        $or: [
+          { title: pattern },
+          { description: pattern },
+          { tags: pattern }
+        ]
+      });
     }
-    
+
     if (lang) {
-      query.lang = lang;
+      conditions.push({ lang: String(lang) });
     }
-    
+
+    if (tags) {
+      const tagList = String(tags).split(',').map(tag => tag.trim()).filter(Boolean);
+      if (tagList.length > 0) conditions.push({ tags: { $all: tagList } });
+    }
+
     if (isPublic !== undefined) {
-      query.isPublic = isPublic === 'true';
+      conditions.push({ isPublic: isPublic === 'true' });
+    }
+
+    if (from || to) {
+      const createdAt = {};
+      if (from) createdAt.$gte = from;
+      if (to) createdAt.$lte = to;
+      conditions.push({ createdAt });
     }
 
-    const snippets = await Snippet.find(query)
-      .populate('author', 'username')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const query = { $and: conditions };
 
-    const total = await Snippet.countDocuments(query);
+    // Sorting by likes or trending needs values computed from each document;
+    // aggregation does not cast, so ids given as strings are cast first
+    const [snippets, total] = await Promise.all([
+      Snippet.aggregate([
+        { $match: Snippet.find().cast(Snippet, query) },
+        {
+          $addFields: {
+            likeCount: { $size: { $ifNull: ['$likes', []] } }
+          }
+        },
+        ...(sort === 'trending' ? [
+          {
+            $lookup: {
+              from: TrendingScore.collection.name,
+              let: { snippetId: '$_id' },
+              pipeline: [
+                { $match: { $expr: { $and: [{ $eq: ['$snippet', '$$snippetId'] }, { $eq: ['$window', 'week'] }] } } },
+                { $project: { score: 1 } }
+              ],
+              as: 'trending'
+            }
+          },
+          {
+            $addFields: {
+              trendingScore: { $ifNull: [{ $arrayElemAt: ['$trending.score', 0] }, 0] }
+            }
+          }
+        ] : []),
+        { $sort: LIST_SORTS[sort] },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { content: 0, shareId: 0, shareExpiresAt: 0, trending: 0, trendingScore: 0, __v: 0 } }
+      ]),
+      Snippet.countDocuments(query)
+    ]);
+
+    await Snippet.populate(snippets, [
+      { path: 'author', select: 'username' },
+      { path: 'organization', select: 'name slug' }
+    ]);
 
     res.json({
       snippets,
@@ -60,6 +234,202 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/snippets/trending
+ * @desc    Public snippets ranked by their time-decayed views and likes in the window,
+ *          and the languages with the highest total scores
+ *          Query: window (day | week | month, default week), lang, page, limit
+ * @access  Private
+ */
+router.get('/trending', async (req, res) => {
+  try {
+    const { window = 'week', lang } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    if (!TrendingScore.WINDOWS.includes(window)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `window must be one of: ${TrendingScore.WINDOWS.join(', ')}`
+      });
+    }
+
+    const languages = Snippet.schema.path('lang').enumValues;
+    if (lang && !languages.includes(lang)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Unknown language: ${lang}`
+      });
+    }
+
+    // Snippets deleted or made private since the last computation are left out
+    // before paging, so pages stay full and the total only counts what is shown
+    const stillPublic = [
+      {
+        $lookup: {
+          from: Snippet.collection.name,
+          let: { snippetId: '$snippet' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$snippetId'] }, isPublic: true } },
+            { $project: { _id: 1 } }
+          ],
+          as: 'public'
+        }
+      },
+      { $match: { 'public.0': { $exists: true } } }
+    ];
+
+    const [[{ scores, total }], languageScores] = await Promise.all([
+      TrendingScore.aggregate([
+        { $match: { window, ...(lang && { lang }) } },
+        ...stillPublic,
+        { $sort: { score: -1, _id: 1 } },
+        {
+          $facet: {
+            scores: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+            total: [{ $count: 'count' }]
+          }
+        },
+        { $project: { scores: 1, total: { $ifNull: [{ $arrayElemAt: ['$total.count', 0] }, 0] } } }
+      ]),
+      TrendingScore.aggregate([
+        { $match: { window } },
+        ...stillPublic,
+        { $group: { _id: '$lang', score: { $sum: '$score' }, snippets: { $sum: 1 } } },
+        { $sort: { score: -1, _id: 1 } },
+        { $limit: 10 }
+      ])
+    ]);
+
+    const pageSnippets = await Snippet.find({ _id: { $in: scores.map(entry => entry.snippet) }, isPublic: true })
+      .select('-content -shareId -shareExpiresAt -__v')
+      .populate([
+        { path: 'author', select: 'username' },
+        { path: 'organization', select: 'name slug' }
+      ]);
+    const snippetsById = new Map(pageSnippets.map(snippet => [snippet._id.toString(), snippet]));
+
+    const snippets = scores
+      .filter(entry => snippetsById.has(entry.snippet.toString()))
+      .map(entry => ({
+        ...snippetsById.get(entry.snippet.toString()).toObject(),
+        trending: {
+          score: Math.round(entry.score * 100) / 100,
+          views: entry.views,
+          likes: entry.likes
+        }
+      }));
+
+    res.json({
+      snippets,
+      languages: languageScores.map(entry => ({
+        lang: entry._id,
+        score: Math.round(entry.score * 100) / 100,
+        snippets: entry.snippets
+      })),
+      window,
+      computedAt: scores.length > 0 ? scores[0].computedAt : null,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get trending snippets error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch trending snippets'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/snippets/search
+ * @desc    Full-text search over title, description, tags and content of the snippets
+ *          you can read, most relevant first, with highlighted matches
+ *          Query: q (words, "exact phrases", -excluded, and the qualifiers
+ *          lang:<language> tag:<tag> author:<username> is:public|private), page, limit
+ * @access  Private
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const parsed = parseSearchQuery(req.query.q);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const languages = Snippet.schema.path('lang').enumValues;
+    if (parsed.lang && !languages.includes(parsed.lang)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Unknown language: ${parsed.lang}`
+      });
+    }
+
+    if (parsed.visibility && !['public', 'private'].includes(parsed.visibility)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'is: must be public or private'
+      });
+    }
+
+    const query = await readableSnippetFilter(req.user._id);
+    const textSearch = buildTextSearch(parsed);
+
+    if (textSearch) {
+      query.$text = { $search: textSearch };
+    } else if (parsed.excluded.length > 0) {
+      // $text needs a word to search for, so lone exclusions are matched directly
+      query.$and = [buildExclusionFilter(parsed)];
+    }
+    if (parsed.lang) query.lang = parsed.lang;
+    if (parsed.tags.length > 0) query.tags = { $all: parsed.tags };
+    if (parsed.visibility) query.isPublic = parsed.visibility === 'public';
+
+    if (parsed.author) {
+      const author = await User.findOne({ username: parsed.author }).select('_id');
+      if (!author) {
+        return res.json({ snippets: [], totalPages: 0, currentPage: page, total: 0 });
+      }
+      query.author = author._id;
+    }
+
+    // Without words to rank by, the most recently updated come first
+    const projection = textSearch ? { score: { $meta: 'textScore' } } : {};
+    const sort = textSearch ? { score: { $meta: 'textScore' }, updatedAt: -1 } : { updatedAt: -1 };
+
+    const [results, total] = await Promise.all([
+      Snippet.find(query, projection)
+        .populate('author', 'username')
+        .populate('organization', 'name slug')
+        .sort(sort)
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      Snippet.countDocuments(query)
+    ]);
+
+    // Results carry highlighted matches instead of the full content
+    const snippets = results.map(({ content, shareId, shareExpiresAt, __v, ...snippet }) => ({
+      ...snippet,
+      highlights: highlightSnippet({ ...snippet, content }, parsed)
+    }));
+
+    res.json({
+      snippets,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Search snippets error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to search snippets'
+    });
+  }
+});
+
 /**
  * @route   POST /api/snippets
  * @desc    Create a new snippet
@@ -67,7 +437,10 @@ router.get('/', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const { title, description, content, lang, isPublic = false, tags = [] } = req.body;
+    const {
+      title, description, content, lang, isPublic = false, tags = [],
+      organization: organizationId, sharedWithOrganizations = [], message: versionMessage
+    } = req.body;
 
     // Validation
     if (!title || !content || !lang) {
@@ -77,6 +450,14 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!isValidVersionMessage(versionMessage)) {
+      return res.status(400).json(invalidVersionMessage);
+    }
+
+    if (typeof isPublic !== 'boolean') {
+      return res.status(400).json(invalidVisibility);
+    }
+
     // Validate lang
     const validLanguages = [
       'javascript', 'typescript', 'python', 'java', 'cpp', 'c', 'csharp',
@@ -90,6 +471,24 @@ router.post('/', async (req, res) => {
         message: 'Invalid programming lang'
       });
     }
+
+    if (isPublic) {
+      const denial = checkPolicy(req.user, 'snippet:publish');
+      if (denial) {
+        return res.status(denial.status).json({ error: denial.error, message: denial.message });
+      }
+    }
+
+    const { organization, denial } = await resolveOrganization(organizationId, req.user._id);
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error, message: denial.message });
+    }
+
+    const shared = await resolveSharedOrganizations(sharedWithOrganizations, req.user._id);
+    if (shared.denial) {
+      return res.status(shared.denial.status).json({ error: shared.denial.error, message: shared.denial.message });
+    }
+
     const snippet = new Snippet({
       title,
       description,
@@ -97,20 +496,25 @@ router.post('/', async (req, res) => {
       lang,
       isPublic,
       author: req.user._id,
+      organization: organization ? organization._id : null,
+      sharedWithOrganizations: shared.organizationIds,
       tags: Array.isArray(tags) ? tags : []
     });
 
-    // Add initial version
-    if (content) {
-      snippet.addVersion(content);
-    }
-
     await snippet.save();
-    await snippet.populate('author', 'username');
+
+    // Initial version
+    await SnippetVersion.record(snippet, { author: req.user._id, message: versionMessage });
+
+    await snippet.populate([
+      { path: 'author', select: 'username' },
+      { path: 'organization', select: 'name slug' },
+      { path: 'sharedWithOrganizations', select: 'name slug' }
+    ]);
 
     res.status(201).json({
       message: 'Snippet created successfully',
-      snippet
+      snippet: await snippetResponse(snippet)
     });
 
   } catch (error) {
@@ -146,7 +550,7 @@ router.post('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     // Check if it's a valid ObjectId
-    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    if (!isObjectId(req.params.id)) {
       return res.status(400).json({
         error: 'Invalid ID',
         message: 'Invalid snippet ID format'
@@ -155,11 +559,12 @@ router.get('/:id', async (req, res) => {
 
     const snippet = await Snippet.findOne({
       _id: req.params.id,
-      $or: [
-        { author: req.user._id },
-        { isPublic: true }
-      ]
-    }).populate('author', 'username');
+      ...await readableSnippetFilter(req.user._id)
+    }).populate([
+      { path: 'author', select: 'username' },
+      { path: 'organization', select: 'name slug' },
+      { path: 'sharedWithOrganizations', select: 'name slug' }
+    ]);
 
     if (!snippet) {
       return res.status(404).json({
@@ -168,13 +573,12 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Increment view count if not the author
-    if (snippet.author._id.toString() !== req.user._id.toString()) {
+    // Count the view (once per viewer and window, not the author, see utils/viewTracking.js)
+    if (await recordView(req, snippet)) {
       snippet.views += 1;
-      await snippet.save();
     }
 
-    res.json({ snippet });
+    res.json({ snippet: await snippetResponse(snippet) });
 
   } catch (error) {
     console.error('Get snippet error:', error);
@@ -192,19 +596,30 @@ router.get('/:id', async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
   try {
-    const { title, description, content, lang, isPublic, tags = [] } = req.body;
+    const {
+      title, description, content, lang, isPublic, tags = [],
+      organization: organizationId, sharedWithOrganizations, message: versionMessage
+    } = req.body;
 
     // Check if it's a valid ObjectId
-    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    if (!isObjectId(req.params.id)) {
       return res.status(400).json({
         error: 'Invalid ID',
         message: 'Invalid snippet ID format'
       });
     }
 
+    if (!isValidVersionMessage(versionMessage)) {
+      return res.status(400).json(invalidVersionMessage);
+    }
+
+    if (isPublic !== undefined && typeof isPublic !== 'boolean') {
+      return res.status(400).json(invalidVisibility);
+    }
+
     const snippet = await Snippet.findOne({
       _id: req.params.id,
-      author: req.user._id
+      ...await writableSnippetFilter(req.user._id)
     });
 
     if (!snippet) {
@@ -214,6 +629,61 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // Publishing a private snippet is subject to account policy
+    if (isPublic === true && !snippet.isPublic) {
+      if (snippet.moderation?.unpublishedAt) {
+        return res.status(403).json({
+          error: 'Unpublished by moderator',
+          message: 'This snippet was taken down by a moderator and cannot be made public again'
+        });
+      }
+
+      const denial = checkPolicy(req.user, 'snippet:publish');
+      if (denial) {
+        return res.status(denial.status).json({ error: denial.error, message: denial.message });
+      }
+    }
+
+    // Moving between personal and organization ownership
+    if (organizationId !== undefined && String(organizationId || '') !== String(snippet.organization || '')) {
+      if (snippet.organization && !await canReleaseFromOrganization(snippet.organization, req.user._id)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only organization owners and admins can move snippets out of the organization'
+        });
+      }
+
+      const { organization, denial } = await resolveOrganization(organizationId, req.user._id);
+      if (denial) {
+        return res.status(denial.status).json({ error: denial.error, message: denial.message });
+      }
+      snippet.organization = organization ? organization._id : null;
+    }
+
+    // Sharing with other organizations, without changing who owns the snippet
+    const previouslySharedWith = snippet.sharedWithOrganizations.map(String);
+    let sharingChanged = false;
+    if (sharedWithOrganizations !== undefined) {
+      const { organizationIds, denial } = await resolveSharedOrganizations(
+        sharedWithOrganizations, req.user._id, previouslySharedWith
+      );
+      if (denial) {
+        return res.status(denial.status).json({ error: denial.error, message: denial.message });
+      }
+
+      sharingChanged = organizationIds.length !== previouslySharedWith.length ||
+        organizationIds.some(id => !previouslySharedWith.includes(id));
+      if (sharingChanged && snippet.organization && !await canReleaseFromOrganization(snippet.organization, req.user._id)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only organization owners and admins can share organization snippets with other organizations'
+        });
+      }
+      snippet.sharedWithOrganizations = organizationIds;
+    }
+
+    const wasPublic = snippet.isPublic;
+
     // Update fields
     if (title) snippet.title = title;
     if (description !== undefined) snippet.description = description;
@@ -221,21 +691,50 @@ router.put('/:id', async (req, res) => {
     if (isPublic !== undefined) snippet.isPublic = isPublic;
     if (Array.isArray(tags)) snippet.tags = tags;
 
-    // Add new version if content changed
     if (content && content !== snippet.content) {
-      snippet.addVersion(content);
+      snippet.content = content;
     }
 
+    // A new version is recorded when the content or its snapshot fields changed
+    const versioned = VERSIONED_FIELDS.some(field => snippet.isModified(field));
+
     await snippet.save();
-    await snippet.populate('author', 'username');
+
+    if (versioned) {
+      await SnippetVersion.record(snippet, { author: req.user._id, message: versionMessage });
+    }
+
+    if (snippet.isPublic !== wasPublic || sharingChanged) {
+      await recordAuditEvent(req, {
+        action: 'snippet.visibility_changed',
+        user: snippet.author,
+        snippet,
+        details: { isPublic: snippet.isPublic, sharedWithOrganizations: snippet.sharedWithOrganizations }
+      });
+    }
+
+    await snippet.populate([
+      { path: 'author', select: 'username' },
+      { path: 'organization', select: 'name slug' },
+      { path: 'sharedWithOrganizations', select: 'name slug' }
+    ]);
 
     res.json({
       message: 'Snippet updated successfully',
-      snippet
+      snippet: await snippetResponse(snippet)
     });
 
   } catch (error) {
     console.error('Update snippet error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Validation error',
+        message: messages.join(', ')
+      });
+    }
+
     res.status(500).json({
       error: 'Server error',
       message: 'Failed to update snippet'
@@ -250,9 +749,16 @@ router.put('/:id', async (req, res) => {
  */
 router.delete('/:id', async (req, res) => {
   try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid snippet ID format'
+      });
+    }
+
     const snippet = await Snippet.findOneAndDelete({
       _id: req.params.id,
-      author: req.user._id
+      ...await writableSnippetFilter(req.user._id)
     });
 
     if (!snippet) {
@@ -262,6 +768,13 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    await Promise.all([
+      SnippetVersion.deleteMany({ snippet: snippet._id }),
+      SnippetEvent.deleteMany({ snippet: snippet._id }),
+      TrendingScore.deleteMany({ snippet: snippet._id }),
+      Collection.updateMany({ snippets: snippet._id }, { $pull: { snippets: snippet._id } })
+    ]);
+
     res.json({
       message: 'Snippet deleted successfully'
     });
@@ -280,13 +793,20 @@ router.delete('/:id', async (req, res) => {
  * @desc    Generate a share link for a snippet
  * @access  Private
  */
-router.post('/:id/share', async (req, res) => {
+router.post('/:id/share', requirePolicy('snippet:share'), async (req, res) => {
   try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid snippet ID format'
+      });
+    }
+
     const { expirationHours = 24 } = req.body;
 
     const snippet = await Snippet.findOne({
       _id: req.params.id,
-      author: req.user._id
+      ...await writableSnippetFilter(req.user._id)
     });
 
     if (!snippet) {
@@ -296,9 +816,23 @@ router.post('/:id/share', async (req, res) => {
       });
     }
 
+    if (snippet.moderation?.unpublishedAt) {
+      return res.status(403).json({
+        error: 'Unpublished by moderator',
+        message: 'This snippet was taken down by a moderator and cannot be shared'
+      });
+    }
+
     snippet.generateShareLink(expirationHours);
     await snippet.save();
 
+    await recordAuditEvent(req, {
+      action: 'snippet.share_link_created',
+      user: snippet.author,
+      snippet,
+      details: { expiresAt: snippet.shareExpiresAt }
+    });
+
     res.json({
       message: 'Share link generated successfully',
       shareId: snippet.shareId,
@@ -339,11 +873,12 @@ router.get('/share/:shareId', async (req, res) => {
       });
     }
 
-    // Increment view count
-    snippet.views += 1;
-    await snippet.save();
+    // Count the view (once per visitor and window, not the author, see utils/viewTracking.js)
+    if (await recordView(req, snippet)) {
+      snippet.views += 1;
+    }
 
-    res.json({ snippet });
+    res.json({ snippet: await snippetResponse(snippet) });
 
   } catch (error) {
     console.error('Get shared snippet error:', error);
@@ -361,30 +896,51 @@ router.get('/share/:shareId', async (req, res) => {
  */
 router.post('/:id/like', async (req, res) => {
   try {
-    const snippet = await Snippet.findById(req.params.id);
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid snippet ID format'
+      });
+    }
+
+    const userId = req.user._id;
+    const filter = {
+      _id: req.params.id,
+      ...await readableSnippetFilter(userId)
+    };
+
+    // Like if not yet liked, otherwise unlike; each update only matches in its own case
+    let snippet = await Snippet.findOneAndUpdate(
+      { ...filter, likes: { $ne: userId } },
+      { $addToSet: { likes: userId } },
+      { new: true }
+    );
+    const liked = Boolean(snippet);
+
+    if (!liked) {
+      snippet = await Snippet.findOneAndUpdate(
+        { ...filter, likes: userId },
+        { $pull: { likes: userId } },
+        { new: true }
+      );
+    }
 
     if (!snippet) {
       return res.status(404).json({
         error: 'Not found',
-        message: 'Snippet not found'
+        message: 'Snippet not found or access denied'
       });
     }
 
-    const userId = req.user._id;
-    const likeIndex = snippet.likes.indexOf(userId);
-
-    if (likeIndex > -1) {
-      // Unlike
-      snippet.likes.splice(likeIndex, 1);
-    } else {
-      // Like
-      snippet.likes.push(userId);
+    // Unliking takes the like back out of the trending ranking; only public snippets trend
+    if (!liked) {
+      await SnippetEvent.withdrawLike(snippet, userId);
+    } else if (snippet.isPublic) {
+      await SnippetEvent.recordLike(snippet, userId);
     }
 
-    await snippet.save();
-
     res.json({
-      message: likeIndex > -1 ? 'Snippet unliked' : 'Snippet liked',
+      message: liked ? 'Snippet liked' : 'Snippet unliked',
       likes: snippet.likes.length
     });
 
@@ -398,17 +954,222 @@ router.post('/:id/like', async (req, res) => {
 });
 
 /**
- * @route   POST /api/snippets/:id/restore/:versionIndex
- * @desc    Restore a previous version of a snippet
+ * @route   GET /api/snippets/:id/versions
+ * @desc    Version history of a snippet, newest first, without content
+ *          Query: page, limit
+ * @access  Private
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid snippet ID format'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const snippet = await Snippet.findOne({
+      _id: req.params.id,
+      ...await readableSnippetFilter(req.user._id)
+    }).select('_id');
+
+    if (!snippet) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Snippet not found or access denied'
+      });
+    }
+
+    const [versions, total] = await Promise.all([
+      SnippetVersion.find({ snippet: snippet._id })
+        .select('-content -delta')
+        .populate('author', 'username')
+        .sort({ number: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      SnippetVersion.countDocuments({ snippet: snippet._id })
+    ]);
+
+    res.json({
+      versions,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get versions error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch versions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/snippets/:id/versions/:versionId
+ * @desc    Get a single version of a snippet with its content
+ * @access  Private
+ */
+router.get('/:id/versions/:versionId', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id) || !isObjectId(req.params.versionId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid snippet or version ID format'
+      });
+    }
+
+    const snippet = await Snippet.findOne({
+      _id: req.params.id,
+      ...await readableSnippetFilter(req.user._id)
+    }).select('_id');
+
+    const version = snippet && await SnippetVersion.findOne({
+      _id: req.params.versionId,
+      snippet: snippet._id
+    }).populate('author', 'username');
+
+    if (!version) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Version not found or access denied'
+      });
+    }
+
+    res.json({
+      version: { ...version.toJSON(), content: await version.getContent() }
+    });
+
+  } catch (error) {
+    console.error('Get version error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch version'
+    });
+  }
+});
+
+/**
+ * Context lines for a diff from a query or body value
+ */
+const parseContext = (value) => {
+  const context = parseInt(value, 10);
+  return Number.isNaN(context) ? DEFAULT_CONTEXT : Math.min(Math.max(context, 0), 20);
+};
+
+/**
+ * @route   GET /api/snippets/:id/diff
+ * @desc    Line diff between two versions, or a version and the current content
+ *          Query: from, to (version IDs or "current"; to defaults to current), context
+ * @access  Private
+ */
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid snippet ID format'
+      });
+    }
+
+    const refs = [from, to];
+    if (refs.some(ref => ref !== 'current' && !isObjectId(ref))) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'from and to must be version IDs or "current"'
+      });
+    }
+
+    const snippet = await Snippet.findOne({
+      _id: req.params.id,
+      ...await readableSnippetFilter(req.user._id)
+    }).select('content updatedAt');
+
+    if (!snippet) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Snippet not found or access denied'
+      });
+    }
+
+    // Each side is the current content or a version
+    const sides = await Promise.all(refs.map(async (ref) => {
+      if (ref === 'current') {
+        return { content: snippet.content, meta: { _id: 'current', createdAt: snippet.updatedAt }, label: 'current' };
+      }
+      const version = await SnippetVersion.findOne({ _id: ref, snippet: snippet._id })
+        .populate('author', 'username');
+      return version && {
+        content: await version.getContent(),
+        meta: version,
+        label: `version ${version.number}`
+      };
+    }));
+
+    if (sides.some(side => !side)) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Version not found'
+      });
+    }
+
+    const [fromSide, toSide] = sides;
+
+    res.json({
+      from: fromSide.meta,
+      to: toSide.meta,
+      original: fromSide.content,
+      modified: toSide.content,
+      ...compareTexts(fromSide.content, toSide.content, {
+        context: parseContext(req.query.context),
+        fromLabel: fromSide.label,
+        toLabel: toSide.label
+      })
+    });
+
+  } catch (error) {
+    console.error('Diff versions error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to compare versions'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/snippets/:id/restore/:versionId
+ * @desc    Restore a previous version of a snippet as a new version
+ *          Body: hunks (optional) - indexes of the hunks in the diff from the version to the
+ *          current content to undo, leaving the other changes; context must match that diff
  * @access  Private
  */
-router.post('/:id/restore/:versionIndex', async (req, res) => {
+router.post('/:id/restore/:versionId', async (req, res) => {
   try {
-    const versionIndex = parseInt(req.params.versionIndex);
+    const { hunks } = req.body;
+
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid snippet ID format'
+      });
+    }
+
+    if (hunks !== undefined && (!Array.isArray(hunks) || hunks.length === 0 || !hunks.every(Number.isInteger))) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'hunks must be a non-empty array of hunk indexes'
+      });
+    }
 
     const snippet = await Snippet.findOne({
       _id: req.params.id,
-      author: req.user._id
+      ...await writableSnippetFilter(req.user._id)
     });
 
     if (!snippet) {
@@ -418,21 +1179,53 @@ router.post('/:id/restore/:versionIndex', async (req, res) => {
       });
     }
 
-    const restored = snippet.restoreVersion(versionIndex);
-    
-    if (!restored) {
+    const version = isObjectId(req.params.versionId) && await SnippetVersion.findOne({
+      _id: req.params.versionId,
+      snippet: snippet._id
+    });
+
+    if (!version) {
       return res.status(400).json({
         error: 'Invalid version',
-        message: 'Version index is invalid'
+        message: 'Version not found'
       });
     }
 
+    const versionContent = await version.getContent();
+    let message;
+
+    if (hunks) {
+      const content = revertHunks(versionContent, snippet.content, hunks, { context: parseContext(req.body.context) });
+      if (content === null) {
+        return res.status(400).json({
+          error: 'Invalid hunk',
+          message: 'The selected changes no longer match the current content'
+        });
+      }
+      snippet.content = content;
+      message = `Restored ${hunks.length} ${hunks.length === 1 ? 'change' : 'changes'} from version ${version.number}`;
+    } else {
+      snippet.content = versionContent;
+      // Versions imported from before metadata snapshots only carry content
+      if (version.title) {
+        snippet.title = version.title;
+        snippet.lang = version.lang;
+        snippet.tags = version.tags;
+      }
+      message = `Restored version ${version.number}`;
+    }
+
     await snippet.save();
-    await snippet.populate('author', 'username');
+    await SnippetVersion.record(snippet, { author: req.user._id, message });
+    await snippet.populate([
+      { path: 'author', select: 'username' },
+      { path: 'organization', select: 'name slug' },
+      { path: 'sharedWithOrganizations', select: 'name slug' }
+    ]);
 
     res.json({
       message: 'Version restored successfully',
-      snippet
+      snippet: await snippetResponse(snippet)
     });
 
   } catch (error) {
@@ -0,0 +1,164 @@
+/**
+ * Personal Access Token Routes
+ * Lets users create, list and revoke scoped API tokens
+ */
+
+const express = require('express');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { isObjectId } = require('../utils/validation');
+
+const router = express.Router();
+
+const MAX_TOKENS_PER_USER = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * @route   GET /api/tokens
+ * @desc    List the current user's personal access tokens
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({
+      user: req.user._id,
+      revokedAt: null
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      tokens,
+      availableScopes: PersonalAccessToken.SCOPES
+    });
+  } catch (error) {
+    console.error('Get tokens error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch access tokens'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tokens
+ * @desc    Create a personal access token (the raw token is only returned once)
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Token name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'At least one scope is required'
+      });
+    }
+
+    const unknownScopes = scopes.filter(scope => !PersonalAccessToken.SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Unknown scopes: ${unknownScopes.join(', ')}`
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await PersonalAccessToken.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        error: 'Limit reached',
+        message: `You can have at most ${MAX_TOKENS_PER_USER} access tokens`
+      });
+    }
+
+    const { token, tokenHash, tokenHint } = PersonalAccessToken.generateToken();
+    const accessToken = new PersonalAccessToken({
+      user: req.user._id,
+      name: name.trim(),
+      tokenHash,
+      tokenHint,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+    await accessToken.save();
+
+    res.status(201).json({
+      message: 'Access token created successfully',
+      token,
+      accessToken
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Validation error',
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Create token error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to create access token'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tokens/:id
+ * @desc    Revoke a personal access token
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid token ID format'
+      });
+    }
+
+    const accessToken = await PersonalAccessToken.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!accessToken) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Access token not found'
+      });
+    }
+
+    accessToken.revokedAt = new Date();
+    await accessToken.save();
+
+    res.json({ message: 'Access token revoked successfully' });
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to revoke access token'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,530 @@
+/**
+ * User Routes
+ * Handles profile updates, password changes, editor preferences, data export,
+ * account deletion, public profiles and following other users
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Snippet = require('../models/Snippet');
+const Follow = require('../models/Follow');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const authMiddleware = require('../middleware/auth');
+const { avatarUpload, getAvatarUrl, removeAvatarFile } = require('../middleware/upload');
+const { createAccountExport } = require('../utils/accountExport');
+const { SNIPPET_OPTIONS, WORKSPACE_OPTIONS, deleteAccount } = require('../utils/accountDeletion');
+const { clearAuthCookies } = require('../utils/authCookies');
+const { recordAuditEvent } = require('../utils/audit');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { isObjectId } = require('../utils/validation');
+const { disconnectUserSockets } = require('../utils/socketRooms');
+
+const router = express.Router();
+
+/**
+ * Read the "links" field from a JSON or multipart body
+ * Multipart forms send it as a JSON string or as repeated fields
+ */
+const parseLinks = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch (error) {
+    return [value];
+  }
+};
+
+/**
+ * @route   PATCH /api/users/me
+ * @desc    Update the current user's profile (username, email, bio, links, avatar);
+ *          changing the email requires currentPassword and a new verification
+ * @access  Private
+ */
+router.patch('/me', authMiddleware, avatarUpload, async (req, res) => {
+  const uploadedAvatar = req.file ? getAvatarUrl(req.file.filename) : null;
+
+  try {
+    const { username, email, currentPassword, bio, links, removeAvatar } = req.body;
+    const user = req.user;
+    const previousAvatar = user.avatar;
+    const previousEmail = user.email;
+
+    if (username !== undefined && username !== user.username) {
+      const trimmed = String(username).trim();
+      const existingUser = await User.findOne({ username: trimmed, _id: { $ne: user._id } });
+      if (existingUser) {
+        await removeAvatarFile(uploadedAvatar);
+        return res.status(400).json({
+          error: 'User already exists',
+          message: 'Username is already taken'
+        });
+      }
+      user.username = trimmed;
+    }
+
+    // A new address needs the current password and has to be verified again
+    const newEmail = email !== undefined ? String(email).trim().toLowerCase() : previousEmail;
+    if (newEmail !== previousEmail) {
+      const isPasswordValid = currentPassword && await user.comparePassword(String(currentPassword));
+      if (!isPasswordValid) {
+        await removeAvatarFile(uploadedAvatar);
+        return res.status(401).json({
+          error: 'Authentication failed',
+          message: 'Current password is required to change your email'
+        });
+      }
+
+      const existingUser = await User.findOne({ email: newEmail, _id: { $ne: user._id } });
+      if (existingUser) {
+        await removeAvatarFile(uploadedAvatar);
+        return res.status(400).json({
+          error: 'User already exists',
+          message: 'Email is already registered'
+        });
+      }
+
+      user.email = newEmail;
+      user.emailVerified = false;
+    }
+
+    if (bio !== undefined) {
+      user.bio = String(bio);
+    }
+
+    if (links !== undefined) {
+      user.links = parseLinks(links)
+        .map(link => String(link).trim())
+        .filter(Boolean);
+    }
+
+    if (uploadedAvatar) {
+      user.avatar = uploadedAvatar;
+    } else if (removeAvatar === true || removeAvatar === 'true') {
+      user.avatar = null;
+    }
+
+    await user.save();
+
+    if (user.avatar !== previousAvatar) {
+      await removeAvatarFile(previousAvatar);
+    }
+
+    const emailChanged = user.email !== previousEmail;
+    if (emailChanged) {
+      await recordAuditEvent(req, { action: 'email.changed', user, details: { from: previousEmail, to: user.email } });
+
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    res.json({
+      message: emailChanged
+        ? 'Profile updated successfully. Check your new email address for a verification link.'
+        : 'Profile updated successfully',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    await removeAvatarFile(uploadedAvatar);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Validation error',
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'User already exists',
+        message: error.keyPattern?.email ? 'Email is already registered' : 'Username is already taken'
+      });
+    }
+
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/users/me/password
+ * @desc    Change password (requires the current password)
+ * @access  Private
+ */
+router.post('/me/password', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Current and new password are required'
+      });
+    }
+
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Passwords must be strings'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const isPasswordValid = await req.user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    req.user.password = newPassword;
+    req.user.clearPasswordResetToken();
+    await req.user.save();
+
+    // Keep this device signed in, sign out every other one and revoke the access tokens
+    await Session.updateMany(
+      { user: req.user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    const revokedTokens = await PersonalAccessToken.revokeAllForUser(req.user._id);
+    disconnectUserSockets(req.app.get('io'), req.user._id, { exceptSessionId: req.sessionId });
+
+    await recordAuditEvent(req, { action: 'password.changed', user: req.user, details: { method: 'change', revokedTokens } });
+
+    res.json({
+      message: 'Password changed successfully. Other devices have been signed out and your personal access tokens revoked.',
+      revokedTokens
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Validation error',
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to change password'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/me/preferences
+ * @desc    Get the current user's code editor preferences
+ * @access  Private
+ */
+router.get('/me/preferences', authMiddleware, (req, res) => {
+  res.json({ preferences: req.user.editorPreferences });
+});
+
+/**
+ * @route   PATCH /api/users/me/preferences
+ * @desc    Update code editor preferences (theme, font, tabs, wrapping, minimap,
+ *          line numbers, keybinding mode); omitted fields are left unchanged
+ * @access  Private
+ */
+router.patch('/me/preferences', authMiddleware, async (req, res) => {
+  try {
+    req.user.setEditorPreferences(req.body);
+    await req.user.save();
+
+    res.json({
+      message: 'Editor preferences saved',
+      preferences: req.user.editorPreferences
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Validation error',
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Update editor preferences error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to save editor preferences'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/me/export
+ * @desc    Download a ZIP of all the current user's data
+ * @access  Private
+ */
+router.get('/me/export', authMiddleware, async (req, res) => {
+  try {
+    const archive = await createAccountExport(req.user);
+    const date = new Date().toISOString().slice(0, 10);
+
+    archive.on('error', (error) => {
+      console.error('Export archive error:', error);
+      res.destroy(error);
+    });
+
+    res.attachment(`devcollab-export-${req.user.username}-${date}.zip`);
+    archive.pipe(res);
+
+    // Failures reach the 'error' listener above, so the rejection needs no handling of its own
+    archive.finalize().catch(() => {});
+
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to export account data'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/me
+ * @desc    Permanently delete the current user's account
+ * @access  Private
+ */
+router.delete('/me', authMiddleware, async (req, res) => {
+  try {
+    const { password, code, recoveryCode, snippets = 'delete', workspaces = 'transfer' } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Password is required to delete your account'
+      });
+    }
+
+    if (typeof password !== 'string' || [code, recoveryCode].some(value => value != null && typeof value !== 'string')) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Password and codes must be strings'
+      });
+    }
+
+    if (!SNIPPET_OPTIONS.includes(snippets) || !WORKSPACE_OPTIONS.includes(workspaces)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `snippets must be one of ${SNIPPET_OPTIONS.join(', ')} and workspaces one of ${WORKSPACE_OPTIONS.join(', ')}`
+      });
+    }
+
+    if (req.user.twoFactor.enabled && !code && !recoveryCode) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'An authentication or recovery code is required'
+      });
+    }
+
+    const isPasswordValid = await req.user.comparePassword(password);
+    if (!isPasswordValid || (req.user.twoFactor.enabled && !req.user.verifyTwoFactor({ code, recoveryCode }))) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: req.user.twoFactor.enabled ? 'Invalid password or code' : 'Password is incorrect'
+      });
+    }
+
+    const summary = await deleteAccount(req.user, { snippets, workspaces });
+    disconnectUserSockets(req.app.get('io'), req.user._id);
+    clearAuthCookies(res);
+
+    res.json({
+      message: 'Account deleted successfully',
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to delete account'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/me/following
+ * @desc    List the users the current user follows
+ * @access  Private
+ */
+router.get('/me/following', authMiddleware, async (req, res) => {
+  try {
+    const follows = await Follow.find({ follower: req.user._id })
+      .populate('following', 'username avatar bio')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      following: follows
+        .filter(follow => follow.following)
+        .map(follow => ({ ...follow.following.toObject(), followedAt: follow.createdAt }))
+    });
+
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch followed users'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/users/:id/follow
+ * @desc    Follow a user, their public snippets show up in your feed
+ * @access  Private
+ */
+router.post('/:id/follow', authMiddleware, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid user ID format'
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, isGhost: { $ne: true } });
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'User not found'
+      });
+    }
+
+    // Following twice is a no-op
+    await Follow.updateOne(
+      { follower: req.user._id, following: user._id },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    const followers = await Follow.countDocuments({ following: user._id });
+
+    res.json({
+      message: `You are now following ${user.username}`,
+      following: true,
+      followers
+    });
+
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to follow user'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:id/follow
+ * @desc    Unfollow a user
+ * @access  Private
+ */
+router.delete('/:id/follow', authMiddleware, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Invalid user ID format'
+      });
+    }
+
+    await Follow.deleteOne({ follower: req.user._id, following: req.params.id });
+    const followers = await Follow.countDocuments({ following: req.params.id });
+
+    res.json({
+      message: 'User unfollowed',
+      following: false,
+      followers
+    });
+
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to unfollow user'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/:username
+ * @desc    Get a public profile and the user's public snippets
+ * @access  Public
+ */
+router.get('/:username', async (req, res) => {
+  try {
+    const { page = 1, limit = 12 } = req.query;
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 12, 1), 50);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const user = await User.findOne({ username: req.params.username });
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'User not found'
+      });
+    }
+
+    const query = { author: user._id, isPublic: true };
+    const snippets = await Snippet.find(query)
+      .select('-content -shareId -shareExpiresAt')
+      .populate('author', 'username')
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize);
+
+    const [total, followers, following] = await Promise.all([
+      Snippet.countDocuments(query),
+      Follow.countDocuments({ following: user._id }),
+      Follow.countDocuments({ follower: user._id })
+    ]);
+
+    res.json({
+      user: { ...user.toPublicProfile(), followers, following },
+      snippets,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch profile'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,20 +5,31 @@
 
 const express = require('express');
 const Workspace = require('../models/Workspace');
+const {
+  getOrganizationIds,
+  canAccessWorkspace,
+  canManageWorkspace,
+  resolveOrganization,
+  canReleaseFromOrganization
+} = require('../utils/organizationAccess');
+const { recordAuditEvent } = require('../utils/audit');
 
 const router = express.Router();
 
 // GET all workspaces for the authenticated user
 router.get('/', async (req, res) => {
   try {
+    const { memberOf } = await getOrganizationIds(req.user._id);
     const workspaces = await Workspace.find({
       $or: [
-        { owner: req.user._id },
-        { 'collaborators.user': req.user._id }
+        { owner: req.user._id, organization: null },
+        { 'collaborators.user': req.user._id },
+        { organization: { $in: memberOf } }
       ]
     })
     .populate('owner', 'username email')
     .populate('collaborators.user', 'username email')
+    .populate('organization', 'name slug')
     .sort({ updatedAt: -1 });
 
     res.json({ workspaces, total: workspaces.length });
@@ -31,13 +42,25 @@ router.get('/', async (req, res) => {
 // Create a new workspace
 router.post('/', async (req, res) => {
   try {
-    const { name, description, isPublic } = req.body;
+    const { name, description, isPublic, organization: organizationId } = req.body;
     if (!name) return res.status(400).json({ error: 'Validation error', message: 'Workspace name is required' });
 
-    const workspace = new Workspace({ name, description, owner: req.user._id, isPublic: isPublic || false });
+    const { organization, denial } = await resolveOrganization(organizationId, req.user._id);
+    if (denial) return res.status(denial.status).json({ error: denial.error, message: denial.message });
+
+    const workspace = new Workspace({
+      name,
+      description,
+      owner: req.user._id,
+      organization: organization ? organization._id : null,
+      isPublic: isPublic || false
+    });
     workspace.generateInviteCode();
     await workspace.save();
-    await workspace.populate({ path: 'owner', select: 'username email' });
+    await workspace.populate([
+      { path: 'owner', select: 'username email' },
+      { path: 'organization', select: 'name slug' }
+    ]);
 
     res.status(201).json({ message: 'Workspace created successfully', workspace });
   } catch (error) {
@@ -55,8 +78,9 @@ router.get('/:workspaceId', async (req, res) => {
       .populate('files.createdBy', 'username email');
 
     if (!workspace) return res.status(404).json({ error: 'Not found', message: 'Workspace not found' });
-    if (!workspace.isCollaborator(req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'You do not have access' });
+    if (!await canAccessWorkspace(workspace, req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'You do not have access' });
 
+    await workspace.populate('organization', 'name slug');
     res.json({ workspace });
   } catch (error) {
     console.error('Get workspace error:', error);
@@ -69,10 +93,16 @@ router.post('/join/:workspaceId', async (req, res) => {
   try {
     const workspace = await Workspace.findOne({ workspaceId: req.params.workspaceId });
     if (!workspace) return res.status(404).json({ error: 'Not found', message: 'Workspace not found' });
-    if (workspace.isCollaborator(req.user._id)) return res.status(400).json({ error: 'Already member', message: 'You are already a collaborator' });
+    if (await canAccessWorkspace(workspace, req.user._id)) return res.status(400).json({ error: 'Already member', message: 'You are already a collaborator' });
 
     workspace.addCollaborator(req.user._id);
     await workspace.save();
+    await recordAuditEvent(req, {
+      action: 'workspace.collaborator_added',
+      user: workspace.owner,
+      workspace,
+      details: { collaborator: req.user._id, role: 'editor' }
+    });
     await workspace.populate('collaborators.user', 'username email');
 
     const io = req.app.get('io');
@@ -93,7 +123,7 @@ router.post('/:workspaceId/files', async (req, res) => {
 
     const workspace = await Workspace.findOne({ workspaceId: req.params.workspaceId });
     if (!workspace) return res.status(404).json({ error: 'Not found', message: 'Workspace not found' });
-    if (!workspace.isCollaborator(req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'You do not have access' });
+    if (!await canAccessWorkspace(workspace, req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'You do not have access' });
 
     const file = { name, content: content || '', language, createdBy: req.user._id };
     workspace.files.push(file);
@@ -117,7 +147,7 @@ router.put('/:workspaceId/files/:fileId', async (req, res) => {
     const { content, name } = req.body;
     const workspace = await Workspace.findOne({ workspaceId: req.params.workspaceId });
     if (!workspace) return res.status(404).json({ error: 'Not found', message: 'Workspace not found' });
-    if (!workspace.isCollaborator(req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'You do not have access' });
+    if (!await canAccessWorkspace(workspace, req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'You do not have access' });
 
     const file = workspace.files.find(f => f.id === req.params.fileId);
     if (!file) return res.status(404).json({ error: 'Not found', message: 'File not found' });
@@ -136,14 +166,51 @@ router.put('/:workspaceId/files/:fileId', async (req, res) => {
   }
 });
 
+// Move a workspace between personal and organization ownership
+router.put('/:workspaceId/organization', async (req, res) => {
+  try {
+    const organizationId = req.body.organization || null;
+    const workspace = await Workspace.findOne({ workspaceId: req.params.workspaceId });
+    if (!workspace) return res.status(404).json({ error: 'Not found', message: 'Workspace not found' });
+    if (!await canManageWorkspace(workspace, req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'Only the owner can move a workspace' });
+
+    if (workspace.organization && !await canReleaseFromOrganization(workspace.organization, req.user._id)) {
+      return res.status(403).json({ error: 'Access denied', message: 'Only organization owners and admins can move workspaces out of the organization' });
+    }
+
+    const { organization, denial } = await resolveOrganization(organizationId, req.user._id);
+    if (denial) return res.status(denial.status).json({ error: denial.error, message: denial.message });
+
+    // A workspace taken out of an organization belongs to whoever moved it
+    if (!organization && !workspace.isOwner(req.user._id)) {
+      workspace.collaborators = workspace.collaborators.filter(c => c.user.toString() !== req.user._id.toString());
+      workspace.owner = req.user._id;
+    }
+
+    workspace.organization = organization ? organization._id : null;
+    await workspace.save();
+    await workspace.populate([
+      { path: 'owner', select: 'username email' },
+      { path: 'collaborators.user', select: 'username email' },
+      { path: 'organization', select: 'name slug' }
+    ]);
+
+    res.json({ message: organization ? `Workspace moved to ${organization.name}` : 'Workspace moved to your personal account', workspace });
+  } catch (error) {
+    console.error('Move workspace error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Failed to move workspace' });
+  }
+});
+
 // Delete a workspace
 router.delete('/:workspaceId', async (req, res) => {
   try {
     const workspace = await Workspace.findOne({ workspaceId: req.params.workspaceId });
     if (!workspace) return res.status(404).json({ error: 'Not found', message: 'Workspace not found' });
-    if (!workspace.isOwner(req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'Only the owner can delete' });
+    if (!await canManageWorkspace(workspace, req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'Only the owner can delete' });
 
     await Workspace.deleteOne({ workspaceId: req.params.workspaceId });
+    await recordAuditEvent(req, { action: 'workspace.deleted', user: workspace.owner, workspace, details: { name: workspace.name } });
     const io = req.app.get('io');
     io.to(workspace.workspaceId).emit('workspace-deleted', { workspaceId: workspace.workspaceId });
 
@@ -159,13 +226,19 @@ router.delete('/:workspaceId/files/:fileId', async (req, res) => {
   try {
     const workspace = await Workspace.findOne({ workspaceId: req.params.workspaceId });
     if (!workspace) return res.status(404).json({ error: 'Not found', message: 'Workspace not found' });
-    if (!workspace.isCollaborator(req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'You do not have access' });
+    if (!await canAccessWorkspace(workspace, req.user._id)) return res.status(403).json({ error: 'Access denied', message: 'You do not have access' });
 
     const fileIndex = workspace.files.findIndex(f => f.id === req.params.fileId);
     if (fileIndex === -1) return res.status(404).json({ error: 'Not found', message: 'File not found' });
 
-    workspace.files.splice(fileIndex, 1);
+    const [deletedFile] = workspace.files.splice(fileIndex, 1);
     await workspace.save();
+    await recordAuditEvent(req, {
+      action: 'workspace.file_deleted',
+      user: workspace.owner,
+      workspace,
+      details: { fileId: deletedFile.id, name: deletedFile.name }
+    });
 
     const io = req.app.get('io');
     io.to(workspace.workspaceId).emit('file-deleted', { fileId: req.params.fileId, userId: req.user._id });
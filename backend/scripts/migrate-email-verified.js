@@ -0,0 +1,38 @@
+/**
+ * Migrate Email Verification
+ * Marks accounts created before email verification existed as verified, so they
+ * keep publishing and sharing, and single sign-on does not treat them as
+ * unverified accounts to take back
+ *
+ * Only accounts without the field at all are changed; ones registered since then
+ * carry it explicitly, so the script is safe to run more than once
+ *
+ * Usage:
+ *   npm run migrate-email-verified
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // Read the raw documents: the schema default would report the field as false
+    const result = await User.collection.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+
+    console.log(`✅ Marked ${result.modifiedCount} existing accounts as verified`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to migrate email verification:', error);
+  process.exit(1);
+});
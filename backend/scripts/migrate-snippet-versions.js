@@ -0,0 +1,71 @@
+/**
+ * Migrate Snippet Versions
+ * Moves version history from the `versions` arrays embedded in snippet documents
+ * into the snippetversions collection, stored as reverse deltas with keyframes
+ *
+ * Safe to run more than once: a snippet's embedded array is only removed after its
+ * history has been written, and rerunning replaces what a failed run left behind
+ *
+ * Usage:
+ *   npm run migrate-versions
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Snippet = require('../models/Snippet');
+const SnippetVersion = require('../models/SnippetVersion');
+
+/**
+ * Embedded versions (newest first) as importHistory entries (oldest first)
+ * Versions saved before numbering count by position
+ */
+const toHistoryEntries = (versions) => {
+  return versions
+    .map((version, index) => ({
+      number: version.number || versions.length - index,
+      content: version.content,
+      author: version.author || null,
+      message: version.message || '',
+      title: version.title,
+      lang: version.lang,
+      tags: version.tags || [],
+      createdAt: version.createdAt
+    }))
+    .reverse();
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // The field is no longer in the schema, so read the raw documents
+    const cursor = Snippet.collection.find(
+      { versions: { $exists: true } },
+      { projection: { versions: 1 } }
+    );
+
+    let migrated = 0;
+    let versionsMigrated = 0;
+
+    for await (const snippet of cursor) {
+      const entries = toHistoryEntries(snippet.versions || []);
+      if (entries.length > 0) {
+        await SnippetVersion.importHistory(snippet._id, entries);
+      }
+      await Snippet.collection.updateOne({ _id: snippet._id }, { $unset: { versions: '' } });
+
+      migrated += 1;
+      versionsMigrated += entries.length;
+    }
+
+    console.log(`✅ Migrated ${versionsMigrated} versions of ${migrated} snippets`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to migrate snippet versions:', error);
+  process.exit(1);
+});
@@ -0,0 +1,146 @@
+/**
+ * Mock OpenID Connect Provider
+ * Minimal identity provider for exercising OIDC sign-in locally
+ *
+ * Usage:
+ *   npm run mock-oidc
+ *
+ * Then configure the backend with:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_NAME=Mock SSO
+ *   OIDC_MOCK_ISSUER=http://localhost:4000
+ *   OIDC_MOCK_CLIENT_ID=devcollab
+ *
+ * The login page lets you sign in as any email address, so it must never be
+ * exposed outside local development.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'devcollab';
+const KEY_ID = 'mock-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Issued authorization codes, single-use
+const codes = new Map();
+
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+// Login form: pick who to sign in as
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, code_challenge_method: method } = req.query;
+
+  if (clientId !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+  if (method !== 'S256') {
+    return res.status(400).send('PKCE with S256 is required');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+    <title>Mock SSO</title>
+    <form method="post" action="/authorize" style="font-family: sans-serif; max-width: 320px; margin: 80px auto;">
+      <h2>Mock SSO</h2>
+      ${hidden}
+      <p><label>Email<br><input name="email" value="dev@example.com" required></label></p>
+      <p><label>Username<br><input name="preferred_username" value="dev"></label></p>
+      <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+      <button type="submit">Sign in</button>
+    </form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.body;
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    redirectUri,
+    nonce,
+    codeChallenge,
+    email: req.body.email,
+    preferredUsername: req.body.preferred_username,
+    emailVerified: req.body.email_verified === 'on'
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !grant || clientId !== CLIENT_ID || redirectUri !== grant.redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const subject = crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24);
+  const idToken = jwt.sign({
+    sub: subject,
+    email: grant.email,
+    email_verified: grant.emailVerified,
+    preferred_username: grant.preferredUsername,
+    nonce: grant.nonce
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
@@ -0,0 +1,47 @@
+/**
+ * Set User Role
+ * Grants or removes administrator access from the command line, which is how
+ * the first admin account is created
+ *
+ * Usage:
+ *   npm run set-role -- <email> <user|admin>
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !User.ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${User.ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase().trim() },
+      { role },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`❌ No user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ ${user.username} <${user.email}> is now ${role === 'admin' ? 'an admin' : 'a regular user'}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to set role:', error);
+  process.exit(1);
+});
@@ -7,6 +7,7 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const http = require('http');
 const socketIo = require('socket.io');
@@ -15,22 +16,43 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const snippetRoutes = require('./routes/snippets');
+const collectionRoutes = require('./routes/collections');
 const workspaceRoutes = require('./routes/workspaces');
+const tokenRoutes = require('./routes/tokens');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const feedRoutes = require('./routes/feed');
+const organizationRoutes = require('./routes/organizations');
+const auditRoutes = require('./routes/audit');
 
 // Import middleware
 const authMiddleware = require('./middleware/auth');
+const { requireResourceScope } = require('./middleware/scopes');
+const requireRole = require('./middleware/roles');
+const createSocketAuthMiddleware = require('./middleware/socketAuth');
+const { UPLOAD_DIR } = require('./middleware/upload');
+
+// Import models
+const Workspace = require('./models/Workspace');
+const { canAccessWorkspace } = require('./utils/organizationAccess');
+const { userRoom, sessionRoom } = require('./utils/socketRooms');
+const { startTrendingSchedule } = require('./utils/trending');
 
 const app = express();
 app.set('trust proxy', 1);
 const server = http.createServer(app);
 
+// Frontend origins allowed to call the API with credentials
+const allowedOrigins = process.env.NODE_ENV === 'production'
+  ? [process.env.FRONTEND_URL]
+  : ["http://localhost:3000", "http://127.0.0.1:3000"];
+
 // Socket.IO setup for real-time features
 const io = socketIo(server, {
   cors: {
-    origin: process.env.NODE_ENV === 'production'
-      ? process.env.FRONTEND_URL
-      : ["http://localhost:3000", "http://127.0.0.1:3000"],
-    methods: ["GET", "POST"]
+    origin: allowedOrigins,
+    methods: ["GET", "POST"],
+    credentials: true
   }
 });
 
@@ -47,9 +69,7 @@ app.use(limiter);
 
 // CORS configuration
 app.use(cors({
-  origin: process.env.NODE_ENV === 'production'
-    ? process.env.FRONTEND_URL
-    : ["http://localhost:3000", "http://127.0.0.1:3000"],
+  origin: allowedOrigins,
   credentials: true
 }));
 
@@ -57,6 +77,15 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Cookie sessions (see utils/authCookies.js)
+app.use(cookieParser());
+
+// Uploaded files (avatars) are loaded cross-origin by the frontend
+app.use('/uploads', (req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+}, express.static(UPLOAD_DIR, { index: false }));
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
@@ -64,42 +93,76 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
   console.log('✅ Connected to MongoDB Atlas');
+
+  // Rank public snippets by recent views and likes (see utils/trending.js)
+  startTrendingSchedule();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
   process.exit(1);
 });
 
-// Socket.IO connection handling
+// Socket.IO connection handling (only authenticated users may connect)
+io.engine.use(cookieParser());
+io.use(createSocketAuthMiddleware({ allowedOrigins }));
+
 io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
+  const { user } = socket.data;
+  console.log(`👤 User ${user.username} connected:`, socket.id);
+
+  // Per-user and per-session rooms, let routes disconnect sockets when access is revoked
+  socket.join([userRoom(user._id), sessionRoom(socket.data.sessionId)]);
 
-  socket.on('join-workspace', (workspaceId) => {
-    socket.join(workspaceId);
-    socket.to(workspaceId).emit('user-joined', socket.id);
-    console.log(`👤 User ${socket.id} joined workspace ${workspaceId}`);
+  // Rooms are workspace IDs; only collaborators and organization members may join and receive their updates
+  socket.on('join-workspace', async (workspaceId, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const workspace = await Workspace.findOne({ workspaceId: String(workspaceId) });
+      if (!workspace || !await canAccessWorkspace(workspace, user._id)) {
+        return reply({ error: 'Access denied', message: 'You do not have access to this workspace' });
+      }
+
+      socket.join(workspace.workspaceId);
+      socket.to(workspace.workspaceId).emit('user-joined', {
+        socketId: socket.id,
+        userId: user._id,
+        username: user.username
+      });
+      console.log(`👤 User ${user.username} joined workspace ${workspace.workspaceId}`);
+      reply({ ok: true });
+    } catch (error) {
+      console.error('Join workspace error:', error);
+      reply({ error: 'Server error', message: 'Failed to join workspace' });
+    }
   });
 
   socket.on('leave-workspace', (workspaceId) => {
     socket.leave(workspaceId);
-    console.log(`👤 User ${socket.id} left workspace ${workspaceId}`);
+    console.log(`👤 User ${user.username} left workspace ${workspaceId}`);
   });
 
-  socket.on('lock-file', (data) => {
+  // Lock events are only relayed to rooms the socket has joined, and always
+  // carry the authenticated identity rather than anything the client claims
+  socket.on('lock-file', (data = {}) => {
+    if (!socket.rooms.has(data.workspaceId)) return;
+
     socket.to(data.workspaceId).emit('file-locked', {
       fileId: data.fileId,
-      userId: data.userId,
-      username: data.username
+      userId: user._id,
+      username: user.username
     });
-    console.log(`🔒 File ${data.fileId} locked by ${data.username}`);
+    console.log(`🔒 File ${data.fileId} locked by ${user.username}`);
   });
 
-  socket.on('unlock-file', (data) => {
+  socket.on('unlock-file', (data = {}) => {
+    if (!socket.rooms.has(data.workspaceId)) return;
+
     socket.to(data.workspaceId).emit('file-unlocked', {
       fileId: data.fileId,
-      userId: data.userId
+      userId: user._id
     });
-    console.log(`🔓 File ${data.fileId} unlocked by user ${data.userId}`);
+    console.log(`🔓 File ${data.fileId} unlocked by ${user.username}`);
   });
 
   socket.on('disconnect', () => {
@@ -109,7 +172,7 @@ io.on('connection', (socket) => {
         console.log(`👤 User ${socket.id} left room ${room} on disconnect`);
       }
     }
-    console.log('👤 User disconnected:', socket.id);
+    console.log(`👤 User ${user.username} disconnected:`, socket.id);
   });
 });
 
@@ -120,11 +183,23 @@ app.set('io', io);
 app.use('/api/auth', authRoutes);
 app.use('/api/snippets', (req, res, next) => {
   if (req.path.startsWith('/share/')) {
-    return next(); // allow public access
+    return authMiddleware.optional(req, res, next); // allow public access, knowing who is signed in
+  }
+  return authMiddleware.allowAccessTokens(req, res, next); // require auth
+}, requireResourceScope('snippets'), snippetRoutes);
+app.use('/api/collections', (req, res, next) => {
+  if (req.method === 'GET' && req.path.startsWith('/public/')) {
+    return next(); // public collections are viewable without signing in
   }
-  return authMiddleware(req, res, next); // require auth
-}, snippetRoutes);
-app.use('/api/workspaces', authMiddleware, workspaceRoutes);
+  return authMiddleware.allowAccessTokens(req, res, next);
+}, requireResourceScope('snippets'), collectionRoutes);
+app.use('/api/workspaces', authMiddleware.allowAccessTokens, requireResourceScope('workspaces'), workspaceRoutes);
+app.use('/api/tokens', authMiddleware, tokenRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/feed', authMiddleware, feedRoutes);
+app.use('/api/organizations', authMiddleware, organizationRoutes);
+app.use('/api/audit', authMiddleware, auditRoutes);
+app.use('/api/admin', authMiddleware, requireRole('admin'), adminRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,114 @@
+/**
+ * Diff Utilities tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareTexts, revertHunks, createDelta, applyDelta } = require('../utils/diff');
+
+const lines = (...values) => values.join('\n');
+
+test('compareTexts finds no hunks for identical texts', () => {
+  const text = lines('a', 'b', 'c');
+  const diff = compareTexts(text, text);
+
+  assert.deepEqual(diff.hunks, []);
+  assert.equal(diff.additions, 0);
+  assert.equal(diff.deletions, 0);
+  assert.equal(diff.unified, '');
+});
+
+test('compareTexts builds a unified hunk with context', () => {
+  const diff = compareTexts(lines('a', 'b', 'c'), lines('a', 'B', 'c'), { fromLabel: 'v1', toLabel: 'v2' });
+
+  assert.equal(diff.additions, 1);
+  assert.equal(diff.deletions, 1);
+  assert.equal(diff.hunks.length, 1);
+  assert.equal(diff.hunks[0].patch, lines('@@ -1,3 +1,3 @@', ' a', '-b', '+B', ' c'));
+  assert.equal(diff.unified, lines('--- v1', '+++ v2', diff.hunks[0].patch));
+});
+
+test('compareTexts splits changes further apart than twice the context', () => {
+  const old = lines('1', '2', '3', '4', '5', '6', '7', '8', '9', '10');
+  const changed = lines('one', '2', '3', '4', '5', '6', '7', '8', '9', 'ten');
+
+  assert.equal(compareTexts(old, changed, { context: 1 }).hunks.length, 2);
+  assert.equal(compareTexts(old, changed, { context: 4 }).hunks.length, 1);
+});
+
+test('compareTexts starts an empty side at the line before it', () => {
+  const diff = compareTexts('', lines('a', 'b'));
+
+  assert.equal(diff.hunks[0].oldStart, 1);
+  assert.equal(diff.hunks[0].newStart, 1);
+
+  const added = compareTexts(lines('a'), lines('a', 'b'), { context: 0 });
+  assert.equal(added.hunks[0].patch, lines('@@ -1,0 +2,1 @@', '+b'));
+});
+
+test('revertHunks undoes only the selected hunks', () => {
+  const old = lines('1', '2', '3', '4', '5', '6', '7', '8', '9', '10');
+  const changed = lines('one', '2', '3', '4', '5', '6', '7', '8', '9', 'ten');
+
+  assert.equal(revertHunks(old, changed, [0], { context: 1 }), lines('1', '2', '3', '4', '5', '6', '7', '8', '9', 'ten'));
+  assert.equal(revertHunks(old, changed, [1], { context: 1 }), lines('one', '2', '3', '4', '5', '6', '7', '8', '9', '10'));
+  assert.equal(revertHunks(old, changed, [0, 1], { context: 1 }), old);
+  assert.equal(revertHunks(old, changed, [], { context: 1 }), changed);
+});
+
+test('revertHunks restores removed and drops added lines', () => {
+  const old = lines('a', 'b', 'c');
+  const changed = lines('a', 'c', 'd');
+
+  assert.equal(revertHunks(old, changed, [0]), old);
+});
+
+test('revertHunks returns null for hunk indexes out of range', () => {
+  const old = lines('a', 'b');
+  const changed = lines('a', 'c');
+
+  assert.equal(revertHunks(old, changed, [1]), null);
+  assert.equal(revertHunks(old, changed, [-1]), null);
+  assert.equal(revertHunks(old, changed, ['0']), null);
+});
+
+test('applyDelta rebuilds the target text of createDelta', () => {
+  const pairs = [
+    [lines('a', 'b', 'c'), lines('a', 'B', 'c', 'd')],
+    [lines('x', 'y'), ''],
+    ['', lines('x', 'y')],
+    [lines('same', 'text'), lines('same', 'text')],
+    [lines('a', '', '', 'b'), lines('', 'a', 'b', '', '')],
+    [lines('trailing', ''), lines('trailing')]
+  ];
+
+  for (const [base, target] of pairs) {
+    assert.equal(applyDelta(base, createDelta(base, target)), target);
+  }
+});
+
+test('createDelta copies and skips base lines by count instead of storing them', () => {
+  const base = lines('1', '2', '3', '4', '5');
+  const delta = createDelta(base, lines('1', '2', 'new', '5'));
+
+  assert.deepEqual(delta, [2, -2, ['new'], 1]);
+  assert.deepEqual(createDelta(base, base), [5]);
+});
+
+test('a chain of reverse deltas rebuilds every older version', () => {
+  const versions = [
+    lines('function add(a, b) {', '  return a + b;', '}'),
+    lines('function add(a, b) {', '  // sum', '  return a + b;', '}'),
+    lines('const add = (a, b) => a + b;'),
+    lines('const add = (a, b) => a + b;', '', 'module.exports = add;')
+  ];
+
+  // Like SnippetVersion: the newest keeps its content, each older one a delta from the next
+  const deltas = versions.slice(0, -1).map((content, index) => createDelta(versions[index + 1], content));
+
+  let content = versions[versions.length - 1];
+  for (let index = deltas.length - 1; index >= 0; index--) {
+    content = applyDelta(content, deltas[index]);
+    assert.equal(content, versions[index]);
+  }
+});
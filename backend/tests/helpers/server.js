@@ -0,0 +1,31 @@
+/**
+ * Test server helper
+ * Mounts a router on a bare Express app listening on a free port
+ */
+
+const express = require('express');
+
+/**
+ * Start a server with `router` at `basePath`
+ * With `user`, stands in for the auth middleware that runs before the router in server.js
+ * Returns the server and the router's URL; close the server when done
+ */
+const startServer = async (basePath, router, { user = null } = {}) => {
+  const app = express();
+  app.use(express.json());
+  if (user) {
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+  }
+  app.use(basePath, router);
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}${basePath}` };
+};
+
+module.exports = {
+  startServer
+};
@@ -0,0 +1,58 @@
+/**
+ * Refresh route tests
+ * Rotation of refresh tokens when the same token is presented concurrently
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const { hashToken } = require('../utils/tokens');
+const { startServer } = require('./helpers/server');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const REFRESH_TOKEN = 'a'.repeat(64);
+
+const refresh = (url) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ refreshToken: REFRESH_TOKEN })
+});
+
+test('only one of two concurrent refreshes rotates the token', async (t) => {
+  const user = new User({ username: 'alice', email: 'alice@example.com', password: 'Password1!' });
+  const session = new Session({
+    user: user._id,
+    tokenHash: hashToken(REFRESH_TOKEN),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+
+  // Both requests read the session before either has rotated it
+  t.mock.method(Session, 'findOne', async (filter) => (filter.tokenHash ? session : null));
+  t.mock.method(User, 'findById', async () => user);
+
+  const filters = [];
+  let rotated = false;
+  t.mock.method(Session, 'findOneAndUpdate', async (filter) => {
+    filters.push(filter);
+    if (rotated) {
+      return null;
+    }
+    rotated = true;
+    return session;
+  });
+
+  const { server, url } = await startServer('/api/auth', authRoutes);
+  t.after(() => server.close());
+
+  const responses = await Promise.all([refresh(`${url}/refresh`), refresh(`${url}/refresh`)]);
+  const statuses = responses.map(response => response.status).sort();
+
+  assert.deepEqual(statuses, [200, 401]);
+  for (const filter of filters) {
+    assert.equal(filter.tokenHash, hashToken(REFRESH_TOKEN));
+    assert.equal(filter.revokedAt, null);
+  }
+});
@@ -0,0 +1,124 @@
+/**
+ * Snippet Search Helpers tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapeRegex,
+  parseSearchQuery,
+  buildTextSearch,
+  buildExclusionFilter,
+  highlightSnippet
+} = require('../utils/snippetSearch');
+
+test('parseSearchQuery separates words, phrases, exclusions and qualifiers', () => {
+  const parsed = parseSearchQuery('debounce "event loop" -jquery lang:JavaScript tag:async tag:timers author:alice is:Public');
+
+  assert.deepEqual(parsed, {
+    terms: ['debounce'],
+    phrases: ['event loop'],
+    excluded: ['jquery'],
+    lang: 'javascript',
+    tags: ['async', 'timers'],
+    author: 'alice',
+    visibility: 'public'
+  });
+});
+
+test('parseSearchQuery keeps excluded phrases quoted', () => {
+  assert.deepEqual(parseSearchQuery('-"hello world" hooks').excluded, ['"hello world"']);
+});
+
+test('parseSearchQuery searches unknown and negated qualifiers as text', () => {
+  const parsed = parseSearchQuery('http:get -lang:python');
+
+  assert.deepEqual(parsed.terms, ['http:get']);
+  assert.deepEqual(parsed.excluded, ['lang:python']);
+  assert.equal(parsed.lang, null);
+});
+
+test('parseSearchQuery ignores empty qualifiers and handles an unclosed quote', () => {
+  const parsed = parseSearchQuery('lang: "open phrase');
+
+  assert.equal(parsed.lang, null);
+  assert.deepEqual(parsed.phrases, ['open phrase']);
+  assert.deepEqual(parseSearchQuery(), parseSearchQuery(''));
+});
+
+test('buildTextSearch combines words, quoted phrases and exclusions', () => {
+  assert.equal(
+    buildTextSearch(parseSearchQuery('react "use effect" -class')),
+    'react "use effect" -class'
+  );
+});
+
+test('buildTextSearch is empty without words or phrases', () => {
+  assert.equal(buildTextSearch(parseSearchQuery('lang:python -django')), '');
+});
+
+test('buildExclusionFilter excludes whole words in every searched field', () => {
+  const filter = buildExclusionFilter(parseSearchQuery('-react -"c++"'));
+
+  assert.equal(filter.$nor.length, 8);
+  assert.deepEqual(filter.$nor.slice(0, 4).map(condition => Object.keys(condition)[0]), ['title', 'description', 'tags', 'content']);
+
+  const [react, cpp] = [filter.$nor[0].title, filter.$nor[4].title];
+  assert.ok(react.test('Learning React'));
+  assert.ok(!react.test('reactive streams'));
+  assert.ok(cpp.test('modern c++ tips'));
+  assert.equal(buildExclusionFilter(parseSearchQuery('react')), null);
+});
+
+test('escapeRegex escapes every special character', () => {
+  const special = '.*+?^${}()|[]\\';
+  assert.ok(new RegExp(`^${escapeRegex(special)}$`).test(special));
+});
+
+test('highlightSnippet marks matches in the title and description', () => {
+  const highlights = highlightSnippet(
+    { title: 'Debounce in React', description: 'A react hook', content: '' },
+    parseSearchQuery('react')
+  );
+
+  assert.deepEqual(highlights.title, [
+    { text: 'Debounce in ', match: false },
+    { text: 'React', match: true }
+  ]);
+  assert.deepEqual(highlights.description, [
+    { text: 'A ', match: false },
+    { text: 'react', match: true },
+    { text: ' hook', match: false }
+  ]);
+  assert.deepEqual(highlights.content, []);
+});
+
+test('highlightSnippet prefers the longest match and numbers content lines', () => {
+  const content = ['import x', 'const useEffect = 1;', 'no match', 'useEffect()'].join('\n');
+  const highlights = highlightSnippet({ title: 'Hooks', content }, parseSearchQuery('use useEffect'));
+
+  assert.equal(highlights.title, null);
+  assert.deepEqual(highlights.content.map(line => line.line), [2, 4]);
+  assert.deepEqual(highlights.content[1].segments, [
+    { text: 'useEffect', match: true },
+    { text: '()', match: false }
+  ]);
+});
+
+test('highlightSnippet keeps at most three content lines and cuts long ones', () => {
+  const content = Array.from({ length: 5 }, () => 'match').join('\n');
+  assert.equal(highlightSnippet({ content }, parseSearchQuery('match')).content.length, 3);
+
+  const long = `${'x'.repeat(300)} match ${'y'.repeat(300)}`;
+  const [line] = highlightSnippet({ content: long }, parseSearchQuery('match')).content;
+  const text = line.segments.map(segment => segment.text).join('');
+  assert.ok(text.startsWith('…') && text.endsWith('…'));
+  assert.ok(line.segments.some(segment => segment.match));
+});
+
+test('highlightSnippet highlights nothing for qualifier-only queries', () => {
+  const highlights = highlightSnippet({ title: 'python', content: 'python' }, parseSearchQuery('lang:python'));
+
+  assert.equal(highlights.title, null);
+  assert.deepEqual(highlights.content, []);
+});
@@ -0,0 +1,70 @@
+/**
+ * Snippet Version Model tests
+ * The database calls are stubbed; these cover how record() uses them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SnippetVersion = require('../models/SnippetVersion');
+
+const snippet = {
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Add',
+  lang: 'javascript',
+  tags: [],
+  content: 'const add = (a, b) => a + b;'
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Stub findOne(...).sort(...) to return the given newest versions in turn
+const stubNewest = (t, newest) => {
+  let call = 0;
+  t.mock.method(SnippetVersion, 'findOne', () => ({
+    sort: async () => newest[Math.min(call++, newest.length - 1)]
+  }));
+};
+
+test('record takes the next number after a concurrent save took the same one', async (t) => {
+  // Another save recorded version 2 between our read and our insert
+  const taken = new SnippetVersion({ snippet: snippet._id, number: 2, keyframe: true, content: 'other' });
+  stubNewest(t, [null, taken]);
+  t.mock.method(taken, 'save', async () => taken);
+
+  const created = [];
+  t.mock.method(SnippetVersion, 'create', async (fields) => {
+    created.push(fields.number);
+    if (fields.number === 1) throw duplicateKeyError();
+    return new SnippetVersion(fields);
+  });
+
+  const version = await SnippetVersion.record(snippet, { message: 'second writer' });
+
+  assert.deepEqual(created, [1, 3]);
+  assert.equal(version.number, 3);
+  // The version we lost the race to becomes a delta from ours
+  assert.equal(taken.keyframe, false);
+  assert.equal(taken.content, null);
+  assert.equal(taken.save.mock.callCount(), 1);
+});
+
+test('record gives up after repeated duplicate numbers', async (t) => {
+  stubNewest(t, [null]);
+  t.mock.method(SnippetVersion, 'create', async () => {
+    throw duplicateKeyError();
+  });
+
+  await assert.rejects(SnippetVersion.record(snippet), { code: 11000 });
+  assert.equal(SnippetVersion.create.mock.callCount(), 5);
+});
+
+test('record does not retry other errors', async (t) => {
+  stubNewest(t, [null]);
+  t.mock.method(SnippetVersion, 'create', async () => {
+    throw new Error('connection lost');
+  });
+
+  await assert.rejects(SnippetVersion.record(snippet), /connection lost/);
+  assert.equal(SnippetVersion.create.mock.callCount(), 1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Snippet routes tests
+ * Requests that must be rejected before the database is reached
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Snippet = require('../models/Snippet');
+const snippetRoutes = require('../routes/snippets');
+const { startServer } = require('./helpers/server');
+
+const SNIPPET_ID = '0123456789abcdef01234567';
+const USER = { _id: 'fedcba9876543210fedcba98', emailVerified: false };
+
+const send = (url, method, body) => fetch(url, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('snippet routes reject a non-boolean isPublic', async (t) => {
+  // Reaching the database would mean the value got past validation
+  t.mock.method(Snippet, 'findOne', () => {
+    throw new Error('Snippet.findOne must not be called');
+  });
+  t.mock.method(Snippet.prototype, 'save', () => {
+    throw new Error('Snippet#save must not be called');
+  });
+
+  const { server, url } = await startServer('/api/snippets', snippetRoutes, { user: USER });
+  t.after(() => server.close());
+
+  for (const isPublic of ['true', 1, 'false', 0, null]) {
+    const update = await send(`${url}/${SNIPPET_ID}`, 'PUT', { isPublic });
+    assert.equal(update.status, 400, `PUT isPublic=${JSON.stringify(isPublic)}`);
+    assert.equal((await update.json()).message, 'isPublic must be true or false');
+
+    const create = await send(url, 'POST', { title: 'T', content: 'x', lang: 'javascript', isPublic });
+    assert.equal(create.status, 400, `POST isPublic=${JSON.stringify(isPublic)}`);
+  }
+});
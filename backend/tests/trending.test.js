@@ -0,0 +1,45 @@
+/**
+ * Trending Snippets tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WINDOWS, eventScore } = require('../utils/trending');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+test('eventScore gives fresh events their full weight, likes more than views', () => {
+  assert.equal(eventScore('view', 0, 'week'), 1);
+  assert.equal(eventScore('like', 0, 'week'), 5);
+});
+
+test('eventScore halves every half-life of the window', () => {
+  for (const [window, { halfLife }] of Object.entries(WINDOWS)) {
+    assert.equal(eventScore('view', halfLife, window), 0.5);
+    assert.equal(eventScore('view', 2 * halfLife, window), 0.25);
+    assert.equal(eventScore('like', halfLife, window), 2.5);
+  }
+});
+
+test('eventScore decays continuously between half-lives', () => {
+  const score = eventScore('view', DAY, 'week'); // half of the week's two-day half-life
+
+  assert.ok(Math.abs(score - Math.SQRT1_2) < 1e-12);
+  assert.ok(eventScore('view', DAY - 1, 'week') > score);
+  assert.ok(eventScore('view', DAY + 1, 'week') < score);
+});
+
+test('eventScore ignores events outside the window', () => {
+  assert.equal(eventScore('like', DAY, 'day'), 0);
+  assert.ok(eventScore('like', DAY - 1, 'day') > 0);
+  assert.equal(eventScore('view', 7 * DAY, 'week'), 0);
+  assert.equal(eventScore('view', -1, 'week'), 0);
+});
+
+test('a recent view can outrank an older like', () => {
+  const oldLike = eventScore('like', 5 * DAY, 'week');
+  const freshView = eventScore('view', HOUR, 'week');
+
+  assert.ok(freshView > oldLike);
+});
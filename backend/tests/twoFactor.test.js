@@ -0,0 +1,59 @@
+/**
+ * Two-Factor Authentication Utilities tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticator } = require('otplib');
+const { generateSecret, verifyTotp } = require('../utils/twoFactor');
+
+const STEP_MS = 30 * 1000;
+
+// Code an authenticator app would show at the given time
+const codeAt = (secret, time) => authenticator.clone({ epoch: time }).generate(secret);
+const stepAt = (time) => Math.floor(time / STEP_MS);
+
+test('verifyTotp returns the time step of a current code', () => {
+  const secret = generateSecret();
+  const now = Date.now();
+
+  assert.equal(verifyTotp(codeAt(secret, now), secret), stepAt(now));
+});
+
+test('verifyTotp accepts codes from the neighbouring steps for clock drift', () => {
+  const secret = generateSecret();
+  const previous = Date.now() - STEP_MS;
+  const next = Date.now() + STEP_MS;
+
+  assert.equal(verifyTotp(codeAt(secret, previous), secret), stepAt(previous));
+  assert.equal(verifyTotp(codeAt(secret, next), secret), stepAt(next));
+});
+
+test('verifyTotp rejects codes further away in time', () => {
+  const secret = generateSecret();
+
+  assert.equal(verifyTotp(codeAt(secret, Date.now() - 3 * STEP_MS), secret), null);
+  assert.equal(verifyTotp(codeAt(secret, Date.now() + 3 * STEP_MS), secret), null);
+});
+
+test('verifyTotp ignores whitespace inside the code', () => {
+  const secret = generateSecret();
+  const now = Date.now();
+  const code = codeAt(secret, now);
+
+  assert.equal(verifyTotp(` ${code.slice(0, 3)} ${code.slice(3)} `, secret), stepAt(now));
+});
+
+test('verifyTotp rejects malformed codes and codes of another secret', () => {
+  const secret = generateSecret();
+  const code = codeAt(generateSecret(), Date.now());
+
+  assert.equal(verifyTotp('', secret), null);
+  assert.equal(verifyTotp(undefined, secret), null);
+  assert.equal(verifyTotp('12345', secret), null);
+  assert.equal(verifyTotp('abcdef', secret), null);
+  // 1 in 10^6 chance per step that another secret gives the same code
+  if (code !== codeAt(secret, Date.now())) {
+    assert.equal(verifyTotp(code, secret), null);
+  }
+});
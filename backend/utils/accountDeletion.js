@@ -0,0 +1,174 @@
+/**
+ * Account Deletion
+ * Removes a user and cleans up every reference to them
+ */
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Snippet = require('../models/Snippet');
+const SnippetVersion = require('../models/SnippetVersion');
+const SnippetEvent = require('../models/SnippetEvent');
+const TrendingScore = require('../models/TrendingScore');
+const Collection = require('../models/Collection');
+const Workspace = require('../models/Workspace');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const Follow = require('../models/Follow');
+const Organization = require('../models/Organization');
+const { removeAvatarFile } = require('../middleware/upload');
+
+const SNIPPET_OPTIONS = ['delete', 'anonymize'];
+const WORKSPACE_OPTIONS = ['transfer', 'delete'];
+
+/**
+ * Pick the collaborator who inherits a workspace (editors before viewers, then longest-standing)
+ */
+const pickNewOwner = (workspace) => {
+  const editor = workspace.collaborators.find(c => c.role === 'editor');
+  return editor || workspace.collaborators[0] || null;
+};
+
+/**
+ * Pick the member who takes over an organization from its last owner
+ * (admins before members, then longest-standing)
+ */
+const pickNewOrganizationOwner = (organization) => {
+  const byJoinDate = [...organization.members].sort((a, b) => a.joinedAt - b.joinedAt);
+  return byJoinDate.find(m => m.role === 'admin') || byJoinDate[0] || null;
+};
+
+/**
+ * Leave every organization, handing ownership on when the user was the last owner
+ * Organizations nobody else belongs to are deleted and their content goes back to
+ * its authors, so it is cleaned up below like any other personal content
+ */
+const leaveOrganizations = async (user) => {
+  const organizations = await Organization.find({ 'members.user': user._id });
+
+  for (const organization of organizations) {
+    organization.removeMember(user._id);
+
+    if (organization.members.length === 0) {
+      await Snippet.updateMany({ organization: organization._id }, { organization: null });
+      await Workspace.updateMany({ organization: organization._id }, { organization: null });
+      await organization.deleteOne();
+      continue;
+    }
+
+    if (organization.countOwners() === 0) {
+      pickNewOrganizationOwner(organization).role = 'owner';
+    }
+    await organization.save();
+  }
+};
+
+/**
+ * Delete a user account
+ * - snippets: 'delete' removes all of them, 'anonymize' keeps public ones under the
+ *   placeholder "deleted user" account (private ones are always deleted)
+ * - workspaces: 'transfer' hands owned workspaces to a collaborator (deleting those
+ *   nobody else uses), 'delete' removes them all
+ * Snippets and workspaces owned by an organization always stay with it
+ * Returns a summary of what happened
+ */
+const deleteAccount = async (user, { snippets = 'delete', workspaces = 'transfer' } = {}) => {
+  const summary = {
+    snippetsDeleted: 0,
+    snippetsAnonymized: 0,
+    workspacesDeleted: 0,
+    workspacesTransferred: 0
+  };
+
+  // Content that outlives the account is attributed to the placeholder user
+  const ghost = await User.getGhostUser();
+
+  await leaveOrganizations(user);
+
+  // Organization content stays where it is
+  await Snippet.updateMany(
+    { author: user._id, organization: { $ne: null } },
+    { author: ghost._id }
+  );
+  await Workspace.updateMany(
+    { owner: user._id, organization: { $ne: null } },
+    { owner: ghost._id }
+  );
+
+  // Snippets
+  if (snippets === 'anonymize') {
+    const anonymized = await Snippet.updateMany(
+      { author: user._id, isPublic: true },
+      { author: ghost._id, $unset: { shareId: 1, shareExpiresAt: 1 } }
+    );
+    summary.snippetsAnonymized = anonymized.modifiedCount;
+  }
+  const deletedSnippetIds = await Snippet.find({ author: user._id }).distinct('_id');
+  await Promise.all([
+    SnippetVersion.deleteMany({ snippet: { $in: deletedSnippetIds } }),
+    SnippetEvent.deleteMany({ snippet: { $in: deletedSnippetIds } }),
+    TrendingScore.deleteMany({ snippet: { $in: deletedSnippetIds } }),
+    Collection.updateMany(
+      { snippets: { $in: deletedSnippetIds } },
+      { $pull: { snippets: { $in: deletedSnippetIds } } }
+    )
+  ]);
+  const deletedSnippets = await Snippet.deleteMany({ _id: { $in: deletedSnippetIds } });
+  summary.snippetsDeleted = deletedSnippets.deletedCount;
+
+  // Owned workspaces
+  const ownedWorkspaces = await Workspace.find({ owner: user._id });
+  for (const workspace of ownedWorkspaces) {
+    const newOwner = workspaces === 'transfer' ? pickNewOwner(workspace) : null;
+
+    if (!newOwner) {
+      await workspace.deleteOne();
+      summary.workspacesDeleted += 1;
+      continue;
+    }
+
+    workspace.owner = newOwner.user;
+    workspace.collaborators.pull(newOwner._id);
+    await workspace.save();
+    summary.workspacesTransferred += 1;
+  }
+
+  // References in other users' content
+  await Workspace.updateMany(
+    { 'collaborators.user': user._id },
+    { $pull: { collaborators: { user: user._id } } }
+  );
+  await Workspace.updateMany(
+    { 'files.createdBy': user._id },
+    { $set: { 'files.$[file].createdBy': ghost._id } },
+    { arrayFilters: [{ 'file.createdBy': user._id }] }
+  );
+  await Snippet.updateMany(
+    { likes: user._id },
+    { $pull: { likes: user._id } }
+  );
+  await SnippetVersion.updateMany(
+    { author: user._id },
+    { author: ghost._id }
+  );
+  await SnippetEvent.deleteMany({ user: user._id });
+
+  // Credentials and account records
+  await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    PersonalAccessToken.deleteMany({ user: user._id }),
+    LoginAttempt.deleteMany({ user: user._id }),
+    Collection.deleteMany({ owner: user._id }),
+    Follow.deleteMany({ $or: [{ follower: user._id }, { following: user._id }] })
+  ]);
+
+  await removeAvatarFile(user.avatar);
+  await User.deleteOne({ _id: user._id });
+
+  return summary;
+};
+
+module.exports = {
+  SNIPPET_OPTIONS,
+  WORKSPACE_OPTIONS,
+  deleteAccount
+};
@@ -0,0 +1,155 @@
+/**
+ * Account Export
+ * Writes everything we store about a user into a ZIP archive
+ */
+
+const archiver = require('archiver');
+const Snippet = require('../models/Snippet');
+const SnippetVersion = require('../models/SnippetVersion');
+const Collection = require('../models/Collection');
+const Workspace = require('../models/Workspace');
+const Follow = require('../models/Follow');
+const Organization = require('../models/Organization');
+const AuditEvent = require('../models/AuditEvent');
+
+const LANGUAGE_EXTENSIONS = {
+  javascript: 'js',
+  typescript: 'ts',
+  python: 'py',
+  java: 'java',
+  cpp: 'cpp',
+  c: 'c',
+  csharp: 'cs',
+  php: 'php',
+  ruby: 'rb',
+  go: 'go',
+  rust: 'rs',
+  swift: 'swift',
+  kotlin: 'kt',
+  html: 'html',
+  css: 'css',
+  sql: 'sql',
+  json: 'json',
+  xml: 'xml',
+  yaml: 'yml',
+  markdown: 'md',
+  shell: 'sh',
+  dockerfile: 'Dockerfile'
+};
+
+/**
+ * Make a string safe to use as a single path segment inside the archive
+ */
+const toFileName = (value, fallback = 'untitled') => {
+  const cleaned = String(value || '')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^[.-]+|-+$/g, '')
+    .slice(0, 60);
+  return cleaned || fallback;
+};
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Create a ZIP archive of the user's data
+ * Returns the archiver stream with every entry queued but not yet finalized; attach an
+ * error handler and pipe it before calling finalize()
+ */
+const createAccountExport = async (user) => {
+  const [snippets, workspaces, likedSnippets, follows, organizations, auditEvents, collections] = await Promise.all([
+    Snippet.find({ author: user._id }).sort({ createdAt: 1 }),
+    Workspace.find({ owner: user._id })
+      .populate('collaborators.user', 'username')
+      .sort({ createdAt: 1 }),
+    Snippet.find({ likes: user._id })
+      .select('title lang isPublic author createdAt')
+      .populate('author', 'username'),
+    Follow.find({ follower: user._id })
+      .populate('following', 'username')
+      .sort({ createdAt: 1 }),
+    Organization.find({ 'members.user': user._id }).sort({ name: 1 }),
+    AuditEvent.find({ user: user._id }).sort({ createdAt: 1 }),
+    Collection.find({ owner: user._id }).sort({ parent: 1, position: 1 })
+  ]);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.append(toJson({
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON()
+  }), { name: 'profile.json' });
+
+  const histories = await Promise.all(snippets.map(snippet => SnippetVersion.getHistory(snippet._id)));
+
+  archive.append(toJson(snippets.map((snippet, index) => ({
+    ...snippet.toObject(),
+    likes: snippet.likes.length,
+    versions: histories[index].map(({ version }) => version.toJSON())
+  }))), { name: 'snippets.json' });
+
+  snippets.forEach((snippet, index) => {
+    const extension = LANGUAGE_EXTENSIONS[snippet.lang] || 'txt';
+    const baseName = `${toFileName(snippet.title)}-${snippet._id}`;
+    archive.append(snippet.content, { name: `snippets/${baseName}.${extension}` });
+
+    for (const { version, content } of histories[index]) {
+      archive.append(content, { name: `snippets/${baseName}.versions/${version.number}.${extension}` });
+    }
+  });
+
+  archive.append(toJson(workspaces.map(workspace => workspace.toObject())), { name: 'workspaces.json' });
+
+  for (const workspace of workspaces) {
+    const folder = `workspaces/${toFileName(workspace.name)}-${workspace.workspaceId}`;
+    const usedNames = new Set();
+    for (const file of workspace.files) {
+      // File names are not unique within a workspace
+      let fileName = toFileName(file.name, 'file');
+      if (usedNames.has(fileName)) {
+        fileName = `${file._id}-${fileName}`;
+      }
+      usedNames.add(fileName);
+      archive.append(file.content || '', { name: `${folder}/${fileName}` });
+    }
+  }
+
+  archive.append(toJson(likedSnippets.map(snippet => ({
+    _id: snippet._id,
+    title: snippet.title,
+    lang: snippet.lang,
+    isPublic: snippet.isPublic,
+    author: snippet.author?.username || null,
+    createdAt: snippet.createdAt
+  }))), { name: 'likes.json' });
+
+  archive.append(toJson(follows.map(follow => ({
+    username: follow.following?.username || null,
+    followedAt: follow.createdAt
+  }))), { name: 'following.json' });
+
+  archive.append(toJson(organizations.map(organization => ({
+    name: organization.name,
+    slug: organization.slug,
+    role: organization.getRole(user._id),
+    joinedAt: organization.getMember(user._id).joinedAt
+  }))), { name: 'organizations.json' });
+
+  archive.append(toJson(collections.map(collection => ({
+    _id: collection._id,
+    name: collection.name,
+    description: collection.description,
+    parent: collection.parent,
+    position: collection.position,
+    isPublic: collection.isPublic,
+    snippets: collection.snippets,
+    createdAt: collection.createdAt
+  }))), { name: 'collections.json' });
+
+  archive.append(toJson(auditEvents.map(event => event.toJSON())), { name: 'audit-log.json' });
+
+  return archive;
+};
+
+module.exports = {
+  createAccountExport
+};
@@ -0,0 +1,34 @@
+/**
+ * Audit Log Helpers
+ * Writes audit events from route handlers
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+
+const idOf = (value) => (value && value._id ? value._id : value) || null;
+
+/**
+ * Store an audit event for the current request
+ * actor/user accept documents or ids; the actor defaults to the signed-in user
+ * Never throws: a failed audit write must not fail the action being audited
+ */
+const recordAuditEvent = async (req, { action, actor, user = null, snippet = null, workspace = null, details = {} }) => {
+  try {
+    await AuditEvent.create({
+      action,
+      actor: idOf(actor === undefined ? req.user : actor),
+      user: idOf(user),
+      snippet: idOf(snippet),
+      workspace: workspace ? workspace.workspaceId || String(workspace) : null,
+      details,
+      ipAddress: req.ip || '',
+      userAgent: req.get('User-Agent') || ''
+    });
+  } catch (error) {
+    console.error('Record audit event error:', error);
+  }
+};
+
+module.exports = {
+  recordAuditEvent
+};
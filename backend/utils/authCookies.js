@@ -0,0 +1,139 @@
+/**
+ * Auth Cookies
+ * httpOnly cookie sessions for browsers, as an alternative to Bearer tokens kept
+ * in localStorage. Cookie-authenticated requests that change state must echo the
+ * CSRF token in a header (double-submit); the token is handed to the client in
+ * response bodies so it also works when the API is on another domain.
+ */
+
+const crypto = require('crypto');
+const { generateRandomToken } = require('./tokens');
+
+const ACCESS_COOKIE = 'dc_access';
+const REFRESH_COOKIE = 'dc_refresh';
+const CSRF_COOKIE = 'dc_csrf';
+const OIDC_BINDING_COOKIE = 'dc_oidc';
+
+const CSRF_HEADER = 'X-CSRF-Token';
+const AUTH_MODE_HEADER = 'X-Auth-Mode';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The refresh token is only ever needed by /api/auth/refresh and /logout
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// The OIDC binding cookie is only read by the provider callback
+const OIDC_BINDING_COOKIE_PATH = '/api/auth/oidc';
+const OIDC_BINDING_COOKIE_MAX_AGE = 10 * 60 * 1000; // as long as an OidcLoginState
+
+// A CSRF token issued before sign-in lives as long as a session would
+const CSRF_COOKIE_MAX_AGE = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const getCookieOptions = (maxAge) => ({
+  httpOnly: true,
+  // A frontend on another site needs SameSite=None, which browsers only accept with Secure
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || 'lax',
+  secure: process.env.AUTH_COOKIE_SECURE
+    ? process.env.AUTH_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+  maxAge
+});
+
+/**
+ * Check if the client asked for a cookie session instead of tokens in the body
+ */
+const wantsCookieSession = (req) => {
+  return String(req.get(AUTH_MODE_HEADER) || '').toLowerCase() === 'cookie';
+};
+
+/**
+ * Store a session's tokens in cookies, returns the CSRF token for the client
+ */
+const setAuthCookies = (req, res, { token, refreshToken, expiresAt }) => {
+  const maxAge = Math.max(expiresAt - Date.now(), 0);
+  const csrfToken = req.cookies?.[CSRF_COOKIE] || generateRandomToken(24);
+
+  // The access JWT expires long before the cookie; the server answers
+  // "Token expired" and the client refreshes, like in token mode
+  res.cookie(ACCESS_COOKIE, token, getCookieOptions(maxAge));
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...getCookieOptions(maxAge), path: REFRESH_COOKIE_PATH });
+  res.cookie(CSRF_COOKIE, csrfToken, getCookieOptions(maxAge));
+
+  return csrfToken;
+};
+
+/**
+ * Remove all session cookies
+ */
+const clearAuthCookies = (res) => {
+  const { maxAge, ...options } = getCookieOptions();
+  res.clearCookie(ACCESS_COOKIE, options);
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, options);
+};
+
+/**
+ * Get the CSRF token for this browser, issuing one if it has none yet
+ */
+const ensureCsrfToken = (req, res) => {
+  const existing = req.cookies?.[CSRF_COOKIE];
+  if (existing) return existing;
+
+  const csrfToken = generateRandomToken(24);
+  res.cookie(CSRF_COOKIE, csrfToken, getCookieOptions(CSRF_COOKIE_MAX_AGE));
+  return csrfToken;
+};
+
+/**
+ * Bind an OIDC login to this browser, returns the binding value to store (hashed)
+ * with the login state. Lax even when sessions use SameSite=None: the callback is
+ * a top-level navigation to the API, which Lax cookies accompany.
+ */
+const setOidcBindingCookie = (res) => {
+  const binding = generateRandomToken(24);
+  res.cookie(OIDC_BINDING_COOKIE, binding, {
+    ...getCookieOptions(OIDC_BINDING_COOKIE_MAX_AGE),
+    sameSite: 'lax',
+    path: OIDC_BINDING_COOKIE_PATH
+  });
+  return binding;
+};
+
+/**
+ * Remove the OIDC binding cookie once the callback has read it
+ */
+const clearOidcBindingCookie = (res) => {
+  const { maxAge, ...options } = getCookieOptions();
+  res.clearCookie(OIDC_BINDING_COOKIE, { ...options, sameSite: 'lax', path: OIDC_BINDING_COOKIE_PATH });
+};
+
+/**
+ * Check the double-submit CSRF token of a cookie-authenticated request
+ * Safe methods never need one
+ */
+const isCsrfValid = (req) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const cookieToken = req.cookies?.[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+  if (!cookieToken || !headerToken) return false;
+
+  const a = Buffer.from(String(cookieToken));
+  const b = Buffer.from(String(headerToken));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  OIDC_BINDING_COOKIE,
+  wantsCookieSession,
+  setAuthCookies,
+  clearAuthCookies,
+  ensureCsrfToken,
+  setOidcBindingCookie,
+  clearOidcBindingCookie,
+  isCsrfValid
+};
@@ -0,0 +1,269 @@
+/**
+ * Diff Utilities
+ * Line diffs between two texts (Myers' algorithm), grouped into unified-diff hunks
+ */
+
+// Lines of unchanged context shown around each change
+const DEFAULT_CONTEXT = 3;
+
+// Beyond this many edits the search memory grows too large; the differing
+// block is then shown as removed and re-added as a whole
+const MAX_EDIT_DISTANCE = 2000;
+
+const splitLines = (text) => String(text || '').split('\n');
+
+/**
+ * Shortest edit script turning lines a into lines b
+ * Returns operations in order: { type: 'equal' | 'removed' | 'added', content }
+ */
+const diffLines = (a, b) => {
+  // Unchanged leading and trailing lines need no search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+  const n = oldLines.length;
+  const m = newLines.length;
+  const offset = n + m + 1;
+
+  // v[k] holds the furthest x reached on diagonal k; trace keeps v after each edit distance d
+  const v = new Array(2 * offset + 1).fill(0);
+  const trace = [];
+  let distance = -1;
+
+  search:
+  for (let d = 0; d <= Math.min(n + m, MAX_EDIT_DISTANCE); d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        distance = d;
+        break search;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  const unchanged = (lines) => lines.map(content => ({ type: 'equal', content }));
+
+  if (distance === -1) {
+    return [
+      ...unchanged(a.slice(0, start)),
+      ...oldLines.map(content => ({ type: 'removed', content })),
+      ...newLines.map(content => ({ type: 'added', content })),
+      ...unchanged(a.slice(endA))
+    ];
+  }
+
+  // Walk back from the end to recover the edits
+  const changes = [];
+  let x = n;
+  let y = m;
+  for (let d = distance; d > 0; d--) {
+    const previous = trace[d - 1];
+    const at = (k) => previous[k + d - 1];
+    const k = x - y;
+    const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+    const previousK = down ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      changes.push({ type: 'equal', content: oldLines[--x] });
+      y--;
+    }
+    if (down) {
+      changes.push({ type: 'added', content: newLines[previousY] });
+    } else {
+      changes.push({ type: 'removed', content: oldLines[previousX] });
+    }
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0) {
+    changes.push({ type: 'equal', content: oldLines[--x] });
+  }
+
+  return [
+    ...unchanged(a.slice(0, start)),
+    ...changes.reverse(),
+    ...unchanged(a.slice(endA))
+  ];
+};
+
+/**
+ * Group operations into hunks with up to `context` unchanged lines around the changes
+ * Each hunk keeps the range of operations it covers so it can be reverted later
+ */
+const createHunks = (operations, context = DEFAULT_CONTEXT) => {
+  // Old and new line counts before each operation, for hunk headers
+  const positions = [];
+  let oldCount = 0;
+  let newCount = 0;
+  const lines = operations.map((operation) => {
+    positions.push({ old: oldCount, new: newCount });
+    return {
+      ...operation,
+      oldNumber: operation.type === 'added' ? null : ++oldCount,
+      newNumber: operation.type === 'removed' ? null : ++newCount
+    };
+  });
+
+  const changed = [];
+  operations.forEach((operation, index) => {
+    if (operation.type !== 'equal') changed.push(index);
+  });
+
+  // Changes closer than twice the context share a hunk
+  const ranges = [];
+  for (const index of changed) {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.lastChange <= 2 * context + 1) {
+      last.lastChange = index;
+    } else {
+      ranges.push({ firstChange: index, lastChange: index });
+    }
+  }
+
+  return ranges.map(({ firstChange, lastChange }) => {
+    const start = Math.max(firstChange - context, 0);
+    const end = Math.min(lastChange + context, operations.length - 1);
+    const hunkLines = lines.slice(start, end + 1);
+    const oldLines = hunkLines.filter(line => line.type !== 'added').length;
+    const newLines = hunkLines.filter(line => line.type !== 'removed').length;
+
+    // An empty side starts at the line before it, as in `diff -u`
+    const oldStart = positions[start].old + (oldLines > 0 ? 1 : 0);
+    const newStart = positions[start].new + (newLines > 0 ? 1 : 0);
+
+    return {
+      oldStart,
+      oldLines,
+      newStart,
+      newLines,
+      start,
+      end,
+      lines: hunkLines
+    };
+  });
+};
+
+const LINE_PREFIXES = { equal: ' ', removed: '-', added: '+' };
+
+/**
+ * Unified diff text of a single hunk
+ */
+const formatHunk = (hunk) => {
+  const header = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+  return [header, ...hunk.lines.map(line => `${LINE_PREFIXES[line.type]}${line.content}`)].join('\n');
+};
+
+/**
+ * Compare two texts line by line
+ * Returns the hunks (each with its unified text as `patch`), counts and the full unified diff
+ */
+const compareTexts = (oldText, newText, { context = DEFAULT_CONTEXT, fromLabel = 'a', toLabel = 'b' } = {}) => {
+  const operations = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = createHunks(operations, context).map(({ start, end, ...hunk }) => ({
+    ...hunk,
+    patch: formatHunk(hunk)
+  }));
+
+  return {
+    hunks,
+    additions: operations.filter(operation => operation.type === 'added').length,
+    deletions: operations.filter(operation => operation.type === 'removed').length,
+    unified: hunks.length > 0
+      ? [`--- ${fromLabel}`, `+++ ${toLabel}`, ...hunks.map(hunk => hunk.patch)].join('\n')
+      : ''
+  };
+};
+
+/**
+ * Undo the selected hunks of the diff from oldText to newText, keeping the other changes
+ * Hunk indexes refer to compareTexts with the same context; returns null when one is out of range
+ */
+const revertHunks = (oldText, newText, hunkIndexes, { context = DEFAULT_CONTEXT } = {}) => {
+  const operations = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = createHunks(operations, context);
+  if (hunkIndexes.some(index => !Number.isInteger(index) || index < 0 || index >= hunks.length)) {
+    return null;
+  }
+
+  const reverted = new Set();
+  for (const index of hunkIndexes) {
+    for (let i = hunks[index].start; i <= hunks[index].end; i++) reverted.add(i);
+  }
+
+  return operations
+    .filter((operation, index) => {
+      if (operation.type === 'equal') return true;
+      // Reverted hunks keep the old side of each change
+      return reverted.has(index) ? operation.type === 'removed' : operation.type === 'added';
+    })
+    .map(operation => operation.content)
+    .join('\n');
+};
+
+/**
+ * Compact line delta turning baseText into targetText, stored instead of a full copy
+ * Positive numbers copy that many base lines, negative numbers skip base lines
+ * and arrays insert new lines
+ */
+const createDelta = (baseText, targetText) => {
+  const delta = [];
+  for (const operation of diffLines(splitLines(baseText), splitLines(targetText))) {
+    const last = delta[delta.length - 1];
+    if (operation.type === 'added') {
+      if (Array.isArray(last)) last.push(operation.content);
+      else delta.push([operation.content]);
+    } else {
+      const step = operation.type === 'equal' ? 1 : -1;
+      if (typeof last === 'number' && Math.sign(last) === step) delta[delta.length - 1] += step;
+      else delta.push(step);
+    }
+  }
+  return delta;
+};
+
+/**
+ * Rebuild the target text of a delta from its base text
+ */
+const applyDelta = (baseText, delta) => {
+  const lines = splitLines(baseText);
+  const result = [];
+  let position = 0;
+  for (const step of delta) {
+    if (Array.isArray(step)) {
+      result.push(...step);
+    } else if (step > 0) {
+      result.push(...lines.slice(position, position + step));
+      position += step;
+    } else {
+      position -= step;
+    }
+  }
+  return result.join('\n');
+};
+
+module.exports = {
+  DEFAULT_CONTEXT,
+  compareTexts,
+  revertHunks,
+  createDelta,
+  applyDelta
+};
@@ -0,0 +1,28 @@
+/**
+ * Email Verification
+ * Issues verification tokens and emails the link, for new accounts and changed addresses
+ */
+
+const { sendMail } = require('./mailer');
+const { emailVerificationEmail } = require('./emails');
+
+/**
+ * Issue a fresh email verification token and email it to the user
+ */
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      username: user.username,
+      token,
+      expiresInHours: Math.round((user.emailVerificationExpiresAt - Date.now()) / 3600000)
+    })
+  });
+};
+
+module.exports = {
+  sendVerificationEmail
+};
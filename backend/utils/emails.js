@@ -0,0 +1,119 @@
+/**
+ * Email Templates
+ * Builds the subject and body of transactional emails
+ */
+
+const getFrontendUrl = () => {
+  return (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Password reset email
+ */
+const passwordResetEmail = ({ username, token, expiresInMinutes }) => {
+  const resetUrl = `${getFrontendUrl()}/reset-password/${token}`;
+
+  return {
+    subject: 'Reset your DevCollab password',
+    text: [
+      `Hi ${username},`,
+      '',
+      'We received a request to reset your DevCollab password.',
+      `Open the link below to choose a new one. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'Resetting your password signs out all your devices and revokes your personal access tokens.',
+      '',
+      resetUrl,
+      '',
+      "If you didn't request this, you can safely ignore this email."
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>We received a request to reset your DevCollab password.</p>
+      <p>
+        <a href="${resetUrl}">Choose a new password</a>.
+        This link expires in ${expiresInMinutes} minutes and can only be used once.
+      </p>
+      <p>Resetting your password signs out all your devices and revokes your personal access tokens.</p>
+      <p>If you didn't request this, you can safely ignore this email.</p>
+    `
+  };
+};
+
+/**
+ * Email verification email
+ */
+const emailVerificationEmail = ({ username, token, expiresInHours }) => {
+  const verifyUrl = `${getFrontendUrl()}/verify-email/${token}`;
+
+  return {
+    subject: 'Verify your DevCollab email address',
+    text: [
+      `Hi ${username},`,
+      '',
+      'Please confirm your email address to publish public snippets and create share links.',
+      `Open the link below within ${expiresInHours} hours to verify it.`,
+      '',
+      verifyUrl,
+      '',
+      "If you didn't create a DevCollab account, you can safely ignore this email."
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>Please confirm your email address to publish public snippets and create share links.</p>
+      <p>
+        <a href="${verifyUrl}">Verify my email</a>.
+        This link expires in ${expiresInHours} hours.
+      </p>
+      <p>If you didn't create a DevCollab account, you can safely ignore this email.</p>
+    `
+  };
+};
+
+/**
+ * Account locked email, sent when too many failed logins lock the account
+ */
+const accountLockedEmail = ({ username, token, lockedMinutes }) => {
+  const unlockUrl = `${getFrontendUrl()}/unlock-account/${token}`;
+  const resetUrl = `${getFrontendUrl()}/forgot-password`;
+
+  return {
+    subject: 'Your DevCollab account has been locked',
+    text: [
+      `Hi ${username},`,
+      '',
+      `After several failed sign-in attempts, your DevCollab account has been locked for ${lockedMinutes} minutes.`,
+      'If this was you, open the link below to unlock it right away:',
+      '',
+      unlockUrl,
+      '',
+      "If it wasn't you, someone may be trying to guess your password. We recommend resetting it:",
+      '',
+      resetUrl
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>After several failed sign-in attempts, your DevCollab account has been locked for ${lockedMinutes} minutes.</p>
+      <p>If this was you, <a href="${unlockUrl}">unlock your account</a> right away.</p>
+      <p>
+        If it wasn't you, someone may be trying to guess your password.
+        We recommend <a href="${resetUrl}">resetting it</a>.
+      </p>
+    `
+  };
+};
+
+module.exports = {
+  getFrontendUrl,
+  passwordResetEmail,
+  emailVerificationEmail,
+  accountLockedEmail
+};
@@ -0,0 +1,45 @@
+/**
+ * Encryption Utilities
+ * Symmetric encryption for secrets stored at rest (e.g. TOTP secrets)
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Derive the 32-byte key from ENCRYPTION_KEY (falls back to JWT_SECRET)
+ */
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY or JWT_SECRET must be set');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a string, returning "iv:authTag:ciphertext" (hex encoded)
+ */
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+  return [iv, authTag, encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
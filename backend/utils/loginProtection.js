@@ -0,0 +1,67 @@
+/**
+ * Login Protection Helpers
+ * Records login attempts and throttles IP addresses with too many failures
+ */
+
+const LoginAttempt = require('../models/LoginAttempt');
+const { recordAuditEvent } = require('./audit');
+
+const IP_FAILURE_WINDOW_MINUTES = 15;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 30;
+
+/**
+ * Store a login attempt for auditing, in the login history and the audit log
+ * Never throws: a failed audit write must not break logging in
+ */
+const recordLoginAttempt = async (req, { user = null, email = '', success, reason = null }) => {
+  try {
+    await LoginAttempt.create({
+      user: user ? user._id : null,
+      email: String(email || ''),
+      ipAddress: req.ip || '',
+      userAgent: req.get('User-Agent') || '',
+      success,
+      reason
+    });
+  } catch (error) {
+    console.error('Record login attempt error:', error);
+  }
+
+  // Failed attempts may come from anyone, so they have no actor
+  await recordAuditEvent(req, {
+    action: success ? 'login.succeeded' : 'login.failed',
+    actor: success ? user : null,
+    user,
+    details: reason ? { email: String(email || ''), reason } : { email: String(email || '') }
+  });
+};
+
+/**
+ * Get how many seconds an IP address must wait before trying to log in again
+ * (0 if it has not failed too often recently)
+ */
+const getIpRetryAfter = async (ipAddress) => {
+  const windowStart = new Date(Date.now() - IP_FAILURE_WINDOW_MINUTES * 60 * 1000);
+  const failures = await LoginAttempt.find({
+    ipAddress: ipAddress || '',
+    success: false,
+    reason: { $nin: ['throttled', 'locked'] },
+    createdAt: { $gt: windowStart }
+  })
+    .sort({ createdAt: 1 })
+    .limit(MAX_IP_FAILURES)
+    .select('createdAt');
+
+  if (failures.length < MAX_IP_FAILURES) {
+    return 0;
+  }
+
+  // Wait until the oldest counted failure drops out of the window
+  const retryAt = failures[0].createdAt.getTime() + IP_FAILURE_WINDOW_MINUTES * 60 * 1000;
+  return Math.max(Math.ceil((retryAt - Date.now()) / 1000), 1);
+};
+
+module.exports = {
+  recordLoginAttempt,
+  getIpRetryAfter
+};
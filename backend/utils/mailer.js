@@ -0,0 +1,114 @@
+/**
+ * Mailer
+ * Sends transactional email through a pluggable transport
+ *
+ * Transports are selected with MAIL_TRANSPORT:
+ *   - smtp:    delivers through an SMTP server (SMTP_HOST, SMTP_PORT, ...)
+ *   - file:    writes each message as JSON into MAIL_FILE_DIR (local dev/tests)
+ *   - console: logs each message to stdout (default outside production)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'DevCollab <no-reply@devcollab.local>';
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+/**
+ * File transport, writes one JSON file per message
+ */
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail'));
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const file = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      return { file };
+    }
+  };
+};
+
+/**
+ * Console transport, logs messages instead of delivering them
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * Resolve the configured transport (created lazily on first use)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with an in-memory one in tests)
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
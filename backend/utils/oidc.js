@@ -0,0 +1,189 @@
+/**
+ * OpenID Connect Utilities
+ * Provider configuration, discovery, PKCE and ID token verification
+ *
+ * Providers are configured through environment variables:
+ *   OIDC_PROVIDERS=company            comma-separated provider ids
+ *   OIDC_COMPANY_ISSUER=https://idp.example.com
+ *   OIDC_COMPANY_CLIENT_ID=devcollab
+ *   OIDC_COMPANY_CLIENT_SECRET=...    optional for public clients
+ *   OIDC_COMPANY_NAME=Company SSO     button label (defaults to the id)
+ *   OIDC_COMPANY_SCOPES=openid email profile
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_SCOPES = 'openid email profile';
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Read configured providers from the environment
+ */
+const getProviders = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean)
+    .map(id => {
+      const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+      return {
+        id,
+        name: process.env[`${prefix}NAME`] || id,
+        issuer: (process.env[`${prefix}ISSUER`] || '').replace(/\/$/, ''),
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scopes: process.env[`${prefix}SCOPES`] || DEFAULT_SCOPES
+      };
+    })
+    .filter(provider => provider.issuer && provider.clientId);
+};
+
+/**
+ * Find a configured provider by id
+ */
+const getProvider = (id) => {
+  return getProviders().find(provider => provider.id === id) || null;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+  return body;
+};
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.config;
+  }
+
+  const config = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.issuer, { config, expiresAt: Date.now() + CACHE_TTL_MS });
+  return config;
+};
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ */
+const createPkcePair = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build the URL that sends the browser to the provider's login page
+ */
+const buildAuthorizationUrl = async (provider, { redirectUri, state, nonce, codeChallenge }) => {
+  const config = await discover(provider);
+  const url = new URL(config.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ */
+const exchangeCode = async (provider, { code, redirectUri, codeVerifier }) => {
+  const config = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  return fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: params.toString()
+  });
+};
+
+/**
+ * Resolve the signing key for an ID token, refreshing the JWKS on unknown key ids
+ */
+const getSigningKey = async (provider, kid) => {
+  const config = await discover(provider);
+
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let cached = jwksCache.get(provider.issuer);
+  let jwk = cached && cached.expiresAt > Date.now() && findKey(cached.keys);
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(config.jwks_uri);
+    cached = { keys, expiresAt: Date.now() + CACHE_TTL_MS };
+    jwksCache.set(provider.issuer, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature and standard claims, returning its claims
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+  const config = await discover(provider);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: config.issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+};
@@ -0,0 +1,181 @@
+/**
+ * Organization Access
+ * Rules for who may see and change snippets and workspaces owned by an organization
+ */
+
+const Organization = require('../models/Organization');
+const { isObjectId } = require('./validation');
+
+// Most organizations a single snippet can be shared with
+const MAX_SHARED_ORGANIZATIONS = 10;
+
+/**
+ * Ids of the organizations a user belongs to, and of those they manage (owner or admin)
+ */
+const getOrganizationIds = async (userId) => {
+  const memberships = await Organization.getMemberships(userId);
+  const memberOf = [];
+  const managerOf = [];
+
+  for (const [organizationId, role] of memberships) {
+    memberOf.push(organizationId);
+    if (Organization.MANAGER_ROLES.includes(role)) {
+      managerOf.push(organizationId);
+    }
+  }
+
+  return { memberOf, managerOf };
+};
+
+/**
+ * Query conditions for snippets a user may read: their personal snippets, public
+ * snippets, everything owned by organizations they belong to and snippets shared
+ * with those organizations
+ */
+const readableSnippetFilter = async (userId) => {
+  const { memberOf } = await getOrganizationIds(userId);
+  return {
+    $or: [
+      { author: userId, organization: null },
+      { isPublic: true },
+      { organization: { $in: memberOf } },
+      { sharedWithOrganizations: { $in: memberOf } }
+    ]
+  };
+};
+
+/**
+ * Query conditions for snippets a user may edit, share and delete: their personal
+ * snippets, their own in organizations they still belong to, and every snippet of
+ * organizations they manage
+ */
+const writableSnippetFilter = async (userId) => {
+  const { memberOf, managerOf } = await getOrganizationIds(userId);
+  return {
+    $or: [
+      { author: userId, organization: null },
+      { author: userId, organization: { $in: memberOf } },
+      { organization: { $in: managerOf } }
+    ]
+  };
+};
+
+/**
+ * Check if a user may open a workspace
+ * Organization workspaces are open to every member plus explicitly added
+ * collaborators; creators who have left the organization lose access
+ */
+const canAccessWorkspace = async (workspace, userId) => {
+  if (!userId) return false;
+  if (!workspace.organization) return workspace.isCollaborator(userId);
+
+  if (workspace.collaborators.some(c => c.user.toString() === userId.toString())) {
+    return true;
+  }
+
+  const organization = await Organization.findById(workspace.organization).select('members');
+  return !!organization && organization.isMember(userId);
+};
+
+/**
+ * Check if a user may delete a workspace or move it between owners
+ * Organization workspaces are managed by organization owners and admins, and by
+ * their creator while they remain a member
+ */
+const canManageWorkspace = async (workspace, userId) => {
+  if (!userId) return false;
+  if (!workspace.organization) return workspace.isOwner(userId);
+
+  const organization = await Organization.findById(workspace.organization).select('members');
+  if (!organization) return workspace.isOwner(userId);
+
+  return organization.isManager(userId) || (workspace.isOwner(userId) && organization.isMember(userId));
+};
+
+/**
+ * Validate a requested organization owner for a snippet or workspace
+ * Returns { organization } (null for personal ownership) or { denial } when the
+ * user is not a member of the requested organization
+ */
+const resolveOrganization = async (organizationId, userId) => {
+  if (!organizationId) return { organization: null };
+
+  if (!isObjectId(organizationId)) {
+    return {
+      denial: { status: 400, error: 'Invalid ID', message: 'Invalid organization ID format' }
+    };
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization || !organization.isMember(userId)) {
+    return {
+      denial: { status: 403, error: 'Access denied', message: 'You are not a member of this organization' }
+    };
+  }
+
+  return { organization };
+};
+
+/**
+ * Validate the organizations a snippet is to be shared with
+ * Returns { organizationIds } or { denial }; users can only add organizations
+ * they belong to, while those in `current` may stay even if they do not
+ */
+const resolveSharedOrganizations = async (organizationIds, userId, current = []) => {
+  if (!Array.isArray(organizationIds)) {
+    return {
+      denial: { status: 400, error: 'Validation error', message: 'sharedWithOrganizations must be a list of organization IDs' }
+    };
+  }
+
+  const ids = [...new Set(organizationIds.map(String))];
+  if (ids.length > MAX_SHARED_ORGANIZATIONS) {
+    return {
+      denial: {
+        status: 400,
+        error: 'Validation error',
+        message: `A snippet can be shared with at most ${MAX_SHARED_ORGANIZATIONS} organizations`
+      }
+    };
+  }
+
+  if (ids.some(id => !isObjectId(id))) {
+    return {
+      denial: { status: 400, error: 'Invalid ID', message: 'Invalid organization ID format' }
+    };
+  }
+
+  const kept = new Set(current.map(String));
+  const added = ids.filter(id => !kept.has(id));
+  if (added.length > 0) {
+    const { memberOf } = await getOrganizationIds(userId);
+    const memberOfIds = new Set(memberOf.map(String));
+    if (added.some(id => !memberOfIds.has(id))) {
+      return {
+        denial: { status: 403, error: 'Access denied', message: 'You can only share snippets with organizations you belong to' }
+      };
+    }
+  }
+
+  return { organizationIds: ids };
+};
+
+/**
+ * Check if a user may take an asset out of the organization that owns it
+ * Only organization owners and admins can, so shared work cannot walk out the door
+ */
+const canReleaseFromOrganization = async (organizationId, userId) => {
+  const organization = await Organization.findById(organizationId).select('members');
+  return !organization || organization.isManager(userId);
+};
+
+module.exports = {
+  getOrganizationIds,
+  readableSnippetFilter,
+  writableSnippetFilter,
+  canAccessWorkspace,
+  canManageWorkspace,
+  resolveOrganization,
+  resolveSharedOrganizations,
+  canReleaseFromOrganization
+};
@@ -0,0 +1,71 @@
+/**
+ * Account Policies
+ * Central place for rules about what an account is allowed to do
+ */
+
+/**
+ * Each policy returns null when the action is allowed, or a denial
+ * ({ status, error, message }) describing why it is not
+ */
+const policies = {
+  'account:access': (user) => {
+    if (!user.isSuspended()) {
+      return null;
+    }
+
+    const reason = user.suspensionReason ? ` Reason: ${user.suspensionReason}` : '';
+    if (user.status === 'banned') {
+      return {
+        status: 403,
+        error: 'Account banned',
+        message: `This account has been banned.${reason}`
+      };
+    }
+
+    const until = user.suspendedUntil
+      ? ` until ${user.suspendedUntil.toISOString()}`
+      : '';
+    return {
+      status: 403,
+      error: 'Account suspended',
+      message: `This account has been suspended${until}.${reason}`
+    };
+  },
+
+  'snippet:publish': (user) => {
+    if (!user.emailVerified) {
+      return {
+        status: 403,
+        error: 'Email not verified',
+        message: 'Please verify your email address before publishing public snippets'
+      };
+    }
+    return null;
+  },
+
+  'snippet:share': (user) => {
+    if (!user.emailVerified) {
+      return {
+        status: 403,
+        error: 'Email not verified',
+        message: 'Please verify your email address before creating share links'
+      };
+    }
+    return null;
+  }
+};
+
+/**
+ * Check whether a user may perform an action
+ */
+const checkPolicy = (user, action) => {
+  const policy = policies[action];
+  if (!policy) {
+    throw new Error(`Unknown policy: ${action}`);
+  }
+  return policy(user);
+};
+
+module.exports = {
+  checkPolicy
+};
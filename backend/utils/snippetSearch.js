@@ -0,0 +1,176 @@
+/**
+ * Snippet Search Helpers
+ * Parses search queries with qualifiers and highlights matches in results
+ */
+
+// Qualifiers understood in a query, e.g. `lang:python tag:auth author:alice is:public`
+const QUALIFIERS = ['lang', 'tag', 'author', 'is'];
+
+// Content lines with matches returned per result
+const MAX_CONTENT_HIGHLIGHTS = 3;
+
+// Longest highlighted content line; longer lines are cut around the first match
+const MAX_LINE_LENGTH = 160;
+
+// Fields searched by the text index, which exclusions also apply to
+const SEARCHED_FIELDS = ['title', 'description', 'tags', 'content'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a query into words, "quoted phrases" and qualifiers
+ * Words and phrases prefixed with - are excluded from the results
+ */
+const parseSearchQuery = (query = '') => {
+  const parsed = { terms: [], phrases: [], excluded: [], lang: null, tags: [], author: null, visibility: null };
+  const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+  let match;
+  while ((match = tokenPattern.exec(String(query))) !== null) {
+    const [, negated, qualifier, phrase, word] = match;
+    const value = (phrase !== undefined ? phrase : word || '').trim();
+    const key = qualifier && qualifier.toLowerCase();
+
+    if (key && QUALIFIERS.includes(key) && !negated) {
+      if (!value) continue;
+      if (key === 'lang') parsed.lang = value.toLowerCase();
+      if (key === 'tag') parsed.tags.push(value);
+      if (key === 'author') parsed.author = value;
+      if (key === 'is') parsed.visibility = value.toLowerCase();
+      continue;
+    }
+
+    // Unknown qualifiers are searched as plain text
+    const text = qualifier ? `${qualifier}:${value}` : value;
+    if (!text) continue;
+
+    if (negated) {
+      parsed.excluded.push(phrase !== undefined ? `"${text}"` : text);
+    } else if (phrase !== undefined) {
+      parsed.phrases.push(text);
+    } else {
+      parsed.terms.push(text);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * $text search string for a parsed query, empty when it only has qualifiers
+ * Words match any of them (ranked by relevance); every phrase must match
+ */
+const buildTextSearch = ({ terms, phrases, excluded }) => {
+  if (terms.length === 0 && phrases.length === 0) {
+    return '';
+  }
+
+  return [
+    ...terms,
+    ...phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+    ...excluded.map(value => `-${value}`)
+  ].join(' ');
+};
+
+/**
+ * Query conditions for the excluded words and phrases of a query without any to
+ * search for, where $text cannot apply them; null when nothing is excluded
+ */
+const buildExclusionFilter = ({ excluded }) => {
+  if (excluded.length === 0) {
+    return null;
+  }
+
+  return {
+    $nor: excluded.flatMap((value) => {
+      // Whole words only, like $text; \b would fail next to symbols as in c++
+      const pattern = new RegExp(`(?<!\\w)${escapeRegex(value.replace(/"/g, ''))}(?!\\w)`, 'i');
+      return SEARCHED_FIELDS.map(field => ({ [field]: pattern }));
+    })
+  };
+};
+
+/**
+ * Pattern matching any searched word or phrase, longest first
+ */
+const buildHighlightPattern = ({ terms, phrases }) => {
+  const values = [...phrases, ...terms]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex);
+
+  return values.length > 0 ? new RegExp(values.join('|'), 'gi') : null;
+};
+
+/**
+ * Split text into [{ text, match }] segments, or null when nothing matches
+ */
+const highlightText = (text, pattern) => {
+  if (!text || !pattern) return null;
+
+  const segments = [];
+  let lastIndex = 0;
+  pattern.lastIndex = 0;
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (segments.length === 0) return null;
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+};
+
+/**
+ * The first content lines with matches: [{ line, segments }]
+ */
+const highlightContent = (content, pattern) => {
+  if (!content || !pattern) return [];
+
+  const highlights = [];
+  const lines = content.split('\n');
+
+  for (let index = 0; index < lines.length && highlights.length < MAX_CONTENT_HIGHLIGHTS; index++) {
+    let line = lines[index];
+    pattern.lastIndex = 0;
+    const match = pattern.exec(line);
+    if (!match) continue;
+
+    if (line.length > MAX_LINE_LENGTH) {
+      const start = Math.max(match.index - MAX_LINE_LENGTH / 4, 0);
+      line = `${start > 0 ? '…' : ''}${line.slice(start, start + MAX_LINE_LENGTH)}…`;
+    }
+
+    highlights.push({ line: index + 1, segments: highlightText(line, pattern) });
+  }
+
+  return highlights;
+};
+
+/**
+ * Highlighted title, description and content lines of a search result
+ */
+const highlightSnippet = (snippet, parsed) => {
+  const pattern = buildHighlightPattern(parsed);
+
+  return {
+    title: highlightText(snippet.title, pattern),
+    description: highlightText(snippet.description, pattern),
+    content: highlightContent(snippet.content, pattern)
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearchQuery,
+  buildTextSearch,
+  buildExclusionFilter,
+  highlightSnippet
+};
@@ -0,0 +1,41 @@
+/**
+ * Socket.IO Rooms
+ * Every socket joins a room for its user and one for the session it signed in
+ * with, so routes can disconnect sockets once the session behind them is revoked
+ */
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Disconnect every socket of a user, except those of `exceptSessionId`
+ */
+const disconnectUserSockets = (io, userId, { exceptSessionId = null } = {}) => {
+  let sockets = io.in(userRoom(userId));
+  if (exceptSessionId) sockets = sockets.except(sessionRoom(exceptSessionId));
+  sockets.disconnectSockets(true);
+};
+
+/**
+ * Disconnect the sockets of one session
+ */
+const disconnectSessionSockets = (io, sessionId) => {
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+/**
+ * Take a user's sockets out of workspace rooms they may no longer receive updates of
+ */
+const leaveWorkspaceRooms = (io, userId, workspaceIds) => {
+  if (workspaceIds.length > 0) {
+    io.in(userRoom(userId)).socketsLeave(workspaceIds);
+  }
+};
+
+module.exports = {
+  userRoom,
+  sessionRoom,
+  disconnectUserSockets,
+  disconnectSessionSockets,
+  leaveWorkspaceRooms
+};
@@ -0,0 +1,25 @@
+/**
+ * Token Utilities
+ * Helpers for generating and hashing opaque tokens (refresh tokens, etc.)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a cryptographically random token, hex encoded
+ */
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token with SHA-256 so only the digest is stored in the database
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};
@@ -0,0 +1,145 @@
+/**
+ * Trending Snippets
+ * Periodically ranks public snippets by their recent views and likes
+ *
+ * Each event counts for less the older it is, halving every `halfLife`, and events
+ * older than the window are ignored; likes weigh more than views
+ */
+
+const Snippet = require('../models/Snippet');
+const SnippetEvent = require('../models/SnippetEvent');
+const TrendingScore = require('../models/TrendingScore');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const WINDOWS = {
+  day: { duration: DAY, halfLife: 6 * HOUR },
+  week: { duration: 7 * DAY, halfLife: 2 * DAY },
+  month: { duration: 30 * DAY, halfLife: 7 * DAY }
+};
+
+const EVENT_WEIGHTS = { view: 1, like: 5 };
+
+// Minutes between recomputations
+const INTERVAL_MINUTES = parseInt(process.env.TRENDING_INTERVAL_MINUTES, 10) || 15;
+
+/**
+ * Score a single event adds to its snippet in a window, `age` ms after it happened
+ * computeWindowScores sums the same in the database; this is its reference
+ */
+const eventScore = (type, age, window) => {
+  const { duration, halfLife } = WINDOWS[window];
+  if (age < 0 || age >= duration) return 0;
+  return EVENT_WEIGHTS[type] * Math.pow(0.5, age / halfLife);
+};
+
+/**
+ * Decayed score and event counts of every public snippet with events in the window
+ * (the sum of eventScore over its events)
+ */
+const computeWindowScores = (window, now) => {
+  const { duration, halfLife } = WINDOWS[window];
+  const isLike = { $eq: ['$type', 'like'] };
+
+  return SnippetEvent.aggregate([
+    {
+      $match: {
+        createdAt: { $gt: new Date(now.getTime() - duration), $lte: now },
+        withdrawn: { $ne: true }
+      }
+    },
+    {
+      $group: {
+        _id: '$snippet',
+        score: {
+          $sum: {
+            $multiply: [
+              { $cond: [isLike, EVENT_WEIGHTS.like, EVENT_WEIGHTS.view] },
+              { $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLife] }] }
+            ]
+          }
+        },
+        views: { $sum: { $cond: [isLike, 0, 1] } },
+        likes: { $sum: { $cond: [isLike, 1, 0] } }
+      }
+    },
+    {
+      $lookup: {
+        from: Snippet.collection.name,
+        let: { snippetId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$snippetId'] } } },
+          { $project: { isPublic: 1, lang: 1 } }
+        ],
+        as: 'snippet'
+      }
+    },
+    { $unwind: '$snippet' },
+    { $match: { 'snippet.isPublic': true } }
+  ]);
+};
+
+/**
+ * Recompute the scores of every window, replacing the previous run's
+ * Snippets without events in a window (or no longer public) drop out of it
+ */
+const computeTrendingScores = async () => {
+  const now = new Date();
+
+  for (const window of Object.keys(WINDOWS)) {
+    const scores = await computeWindowScores(window, now);
+
+    if (scores.length > 0) {
+      await TrendingScore.bulkWrite(scores.map(entry => ({
+        updateOne: {
+          filter: { snippet: entry._id, window },
+          update: {
+            $set: {
+              lang: entry.snippet.lang,
+              score: entry.score,
+              views: entry.views,
+              likes: entry.likes,
+              computedAt: now
+            }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    await TrendingScore.deleteMany({ window, computedAt: { $lt: now } });
+  }
+};
+
+/**
+ * Compute the scores now and then every INTERVAL_MINUTES
+ * Runs never overlap; a failed run is logged and retried on the next tick
+ */
+const startTrendingSchedule = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await computeTrendingScores();
+    } catch (error) {
+      console.error('Compute trending scores error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WINDOWS,
+  eventScore,
+  computeTrendingScores,
+  startTrendingSchedule
+};
@@ -0,0 +1,66 @@
+/**
+ * Two-Factor Authentication Utilities
+ * TOTP secret generation/verification and recovery codes
+ */
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'DevCollab';
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+// Accept codes from the previous and next step to tolerate clock drift
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+/**
+ * Generate a new base32 TOTP secret
+ */
+const generateSecret = () => authenticator.generateSecret();
+
+/**
+ * Build the otpauth:// URI and a QR code (data URL) for authenticator apps
+ */
+const buildEnrollment = async (accountName, secret) => {
+  const otpauthUrl = authenticator.keyuri(accountName, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { otpauthUrl, qrCode };
+};
+
+/**
+ * Verify a TOTP code
+ * Returns the time step the code belongs to, or null if it is invalid
+ */
+const verifyTotp = (code, secret) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const delta = authenticator.checkDelta(normalized, secret);
+  if (delta === null) return null;
+
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+};
+
+/**
+ * Generate one-time recovery codes (xxxxx-xxxxx)
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+/**
+ * Normalize user-entered recovery codes before hashing
+ */
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase();
+
+module.exports = {
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
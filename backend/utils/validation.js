@@ -0,0 +1,23 @@
+/**
+ * Validation Helpers
+ * Checks and parsers for values taken from request parameters and query strings
+ */
+
+/**
+ * Check that a value is a MongoDB ObjectId in its 24 hex digit form
+ */
+const isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+/**
+ * Parse an optional date query parameter, returns undefined when absent and null when invalid
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = {
+  isObjectId,
+  parseDate
+};
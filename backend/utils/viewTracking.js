@@ -0,0 +1,85 @@
+/**
+ * View Tracking
+ * Counts a snippet view at most once per viewer in each VIEW_WINDOW_MINUTES window,
+ * ignoring known bots and the author, without loading or saving the snippet
+ */
+
+const crypto = require('crypto');
+const Snippet = require('../models/Snippet');
+const SnippetEvent = require('../models/SnippetEvent');
+
+// Minutes during which repeated views by the same viewer count once
+const VIEW_WINDOW_MINUTES = parseInt(process.env.VIEW_WINDOW_MINUTES, 10) || 30;
+
+// Crawlers, link previews and headless browsers; requests without a user agent are ignored too
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime/i;
+
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+/**
+ * Signed-in users are counted by account, anyone else by IP address and user agent
+ * (hashed, so the raw address is not stored)
+ */
+const viewerKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${req.ip || ''}|${req.get('User-Agent') || ''}`)
+    .digest('hex');
+  return `visitor:${hash.slice(0, 32)}`;
+};
+
+/**
+ * Record a view of the snippet for the current request
+ * Returns whether it counted; never throws, a failed count must not fail the request
+ */
+const recordView = async (req, snippet) => {
+  try {
+    if (isBot(req.get('User-Agent'))) {
+      return false;
+    }
+
+    // Authors looking at their own snippet, by id or share link, are not views
+    const authorId = snippet.author?._id || snippet.author;
+    if (req.user && authorId && authorId.toString() === req.user._id.toString()) {
+      return false;
+    }
+
+    // Views fall into fixed windows of VIEW_WINDOW_MINUTES; the unique key lets
+    // only the first view of a viewer in a window insert its event
+    const now = Date.now();
+    const viewer = viewerKey(req);
+    const windowNumber = Math.floor(now / (VIEW_WINDOW_MINUTES * 60 * 1000));
+
+    try {
+      await SnippetEvent.create({
+        snippet: snippet._id,
+        type: 'view',
+        user: req.user ? req.user._id : null,
+        viewer,
+        dedupeKey: `${viewer}|${snippet._id}|${windowNumber}`,
+        createdAt: new Date(now)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return false; // already counted in this window
+      }
+      throw error;
+    }
+
+    // Views are not edits, so updatedAt is left alone
+    await Snippet.updateOne({ _id: snippet._id }, { $inc: { views: 1 } }, { timestamps: false });
+    return true;
+  } catch (error) {
+    console.error('Record view error:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  isBot,
+  recordView
+};
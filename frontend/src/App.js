@@ -5,20 +5,36 @@
 
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { EditorPreferencesProvider } from './contexts/EditorPreferencesContext';
+import { OrganizationProvider } from './contexts/OrganizationContext';
 
 import Landing from './pages/Landing';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import UnlockAccount from './pages/UnlockAccount';
+import OidcCallback from './pages/OidcCallback';
 import Dashboard from './pages/Dashboard';
 import Snippets from './pages/Snippets';
 import SnippetEditor from './pages/SnippetEditor';
 import SharedSnippet from './pages/SharedSnippet';
+import Collection from './pages/Collection';
 import Workspaces from './pages/Workspaces';
 import WorkspaceEditor from './pages/WorkspaceEditor';
+import Security from './pages/Security';
+import AccessTokens from './pages/AccessTokens';
+import Settings from './pages/Settings';
+import Profile from './pages/Profile';
+import Organizations from './pages/Organizations';
+import Organization from './pages/Organization';
+import Admin from './pages/Admin';
 
 // Import components
 import Navbar from './components/Navbar';
 import LoadingSpinner from './components/LoadingSpinner';
+import VerifyEmailBanner from './components/VerifyEmailBanner';
 
 /**
  * Protected Route Component
@@ -34,6 +50,24 @@ const ProtectedRoute = ({ children }) => {
   return user ? children : <Navigate to="/login" replace />;
 };
 
+/**
+ * Admin Route Component
+ * Only lets administrators through, everyone else goes to the dashboard
+ */
+const AdminRoute = ({ children }) => {
+  const { user, loading } = useAuth();
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return user.role === 'admin' ? children : <Navigate to="/dashboard" replace />;
+};
+
 /**
  * Public Route Component
  * Redirects to dashboard if user is already authenticated
@@ -56,6 +90,31 @@ const AppLayout = ({ children }) => {
   return (
     <div className="min-h-screen bg-slate-900">
       <Navbar />
+      <VerifyEmailBanner />
+      <main className="container mx-auto px-4 py-8">
+        {children}
+      </main>
+    </div>
+  );
+};
+
+/**
+ * Public Layout Component
+ * Uses the app layout when signed in and a plain page otherwise
+ */
+const PublicLayout = ({ children }) => {
+  const { user, loading } = useAuth();
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (user) {
+    return <AppLayout>{children}</AppLayout>;
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-900">
       <main className="container mx-auto px-4 py-8">
         {children}
       </main>
@@ -69,125 +128,250 @@ const AppLayout = ({ children }) => {
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <div className="App">
-          <Routes>
-            {/* Public routes */}
-            <Route 
-              path="/" 
-              element={<Landing />} 
-            />
-            <Route 
-              path="/login" 
-              element={
-                <PublicRoute>
-                  <Login />
-                </PublicRoute>
-              } 
-            />
-            <Route 
-              path="/register" 
-              element={
-                <PublicRoute>
-                  <Register />
-                </PublicRoute>
-              } 
-            />
-            
-            {/* Shared snippet route (public) */}
-            <Route 
-              path="/share/:shareId" 
-              element={<SharedSnippet />} 
-            />
-            
-            {/* Protected routes */}
-            <Route 
-              path="/dashboard" 
-              element={
-                <ProtectedRoute>
-                  <AppLayout>
-                    <Dashboard />
-                  </AppLayout>
-                </ProtectedRoute>
-              } 
-            />
-            
-            <Route 
-              path="/snippets" 
-              element={
-                <ProtectedRoute>
-                  <AppLayout>
-                    <Snippets />
-                  </AppLayout>
-                </ProtectedRoute>
-              } 
-            />
-            
-            <Route 
-              path="/snippets/new" 
-              element={
-                <ProtectedRoute>
-                  <AppLayout>
-                    <SnippetEditor />
-                  </AppLayout>
-                </ProtectedRoute>
-              } 
-            />
-            
-            <Route
-              path="/snippets/:id"
-              element={
-                <ProtectedRoute>
-                  <AppLayout>
-                    <SnippetEditor />
-                  </AppLayout>
-                </ProtectedRoute>
-              }
-            />
-
-            <Route
-              path="/workspaces"
-              element={
-                <ProtectedRoute>
-                  <AppLayout>
-                    <Workspaces />
-                  </AppLayout>
-                </ProtectedRoute>
-              }
-            />
-
-            <Route
-              path="/workspaces/:workspaceId"
-              element={
-                <ProtectedRoute>
-                  <AppLayout>
-                    <WorkspaceEditor />
-                  </AppLayout>
-                </ProtectedRoute>
-              }
-            />
-            
-            {/* 404 fallback */}
-            <Route 
-              path="*" 
-              element={
-                <div className="min-h-screen flex items-center justify-center bg-slate-900">
-                  <div className="text-center">
-                    <h1 className="text-4xl font-bold text-white mb-4">404</h1>
-                    <p className="text-slate-300 mb-8">Page not found</p>
-                    <a 
-                      href="/" 
-                      className="btn-primary"
-                    >
-                      Go Home
-                    </a>
-                  </div>
-                </div>
-              } 
-            />
-          </Routes>
-        </div>
-      </Router>
+      <EditorPreferencesProvider>
+        <OrganizationProvider>
+          <Router>
+            <div className="App">
+              <Routes>
+                {/* Public routes */}
+                <Route 
+                  path="/" 
+                  element={<Landing />} 
+                />
+                <Route 
+                  path="/login" 
+                  element={
+                    <PublicRoute>
+                      <Login />
+                    </PublicRoute>
+                  } 
+                />
+                <Route 
+                  path="/register" 
+                  element={
+                    <PublicRoute>
+                      <Register />
+                    </PublicRoute>
+                  } 
+                />
+                <Route
+                  path="/forgot-password"
+                  element={
+                    <PublicRoute>
+                      <ForgotPassword />
+                    </PublicRoute>
+                  }
+                />
+                <Route
+                  path="/reset-password/:token"
+                  element={
+                    <PublicRoute>
+                      <ResetPassword />
+                    </PublicRoute>
+                  }
+                />
+
+                {/* Single sign-on callback */}
+                <Route
+                  path="/auth/callback"
+                  element={<OidcCallback />}
+                />
+
+                {/* Email verification (works signed in or out) */}
+                <Route
+                  path="/verify-email/:token"
+                  element={<VerifyEmail />}
+                />
+
+                {/* Unlock after too many failed logins (works signed in or out) */}
+                <Route
+                  path="/unlock-account/:token"
+                  element={<UnlockAccount />}
+                />
+                
+                {/* Public profile */}
+                <Route
+                  path="/u/:username"
+                  element={
+                    <PublicLayout>
+                      <Profile />
+                    </PublicLayout>
+                  }
+                />
+
+                {/* Public collection */}
+                <Route
+                  path="/collections/:id"
+                  element={
+                    <PublicLayout>
+                      <Collection />
+                    </PublicLayout>
+                  }
+                />
+
+                {/* Shared snippet route (public) */}
+                <Route 
+                  path="/share/:shareId" 
+                  element={<SharedSnippet />} 
+                />
+                
+                {/* Protected routes */}
+                <Route 
+                  path="/dashboard" 
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <Dashboard />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  } 
+                />
+                
+                <Route 
+                  path="/snippets" 
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <Snippets />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  } 
+                />
+                
+                <Route 
+                  path="/snippets/new" 
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <SnippetEditor />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  } 
+                />
+                
+                <Route
+                  path="/snippets/:id"
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <SnippetEditor />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                <Route
+                  path="/workspaces"
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <Workspaces />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                <Route
+                  path="/workspaces/:workspaceId"
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <WorkspaceEditor />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                <Route
+                  path="/organizations"
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <Organizations />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                <Route
+                  path="/organizations/:slug"
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <Organization />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                <Route
+                  path="/settings"
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <Settings />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                <Route
+                  path="/settings/security"
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <Security />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                <Route
+                  path="/settings/tokens"
+                  element={
+                    <ProtectedRoute>
+                      <AppLayout>
+                        <AccessTokens />
+                      </AppLayout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                {/* Moderation console */}
+                <Route
+                  path="/admin"
+                  element={
+                    <AdminRoute>
+                      <AppLayout>
+                        <Admin />
+                      </AppLayout>
+                    </AdminRoute>
+                  }
+                />
+                
+                {/* 404 fallback */}
+                <Route 
+                  path="*" 
+                  element={
+                    <div className="min-h-screen flex items-center justify-center bg-slate-900">
+                      <div className="text-center">
+                        <h1 className="text-4xl font-bold text-white mb-4">404</h1>
+                        <p className="text-slate-300 mb-8">Page not found</p>
+                        <a 
+                          href="/" 
+                          className="btn-primary"
+                        >
+                          Go Home
+                        </a>
+                      </div>
+                    </div>
+                  } 
+                />
+              </Routes>
+            </div>
+          </Router>
+        </OrganizationProvider>
+      </EditorPreferencesProvider>
     </AuthProvider>
   );
 }
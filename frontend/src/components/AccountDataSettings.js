@@ -0,0 +1,213 @@
+/**
+ * Account Data Settings Component
+ * Export all personal data and permanently delete the account
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { Download, Trash2, AlertTriangle } from 'lucide-react';
+import authService from '../services/authService';
+import userService from '../services/userService';
+
+const AccountDataSettings = () => {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [exporting, setExporting] = useState(false);
+  const [showDelete, setShowDelete] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState({
+    password: '',
+    code: '',
+    snippets: 'delete',
+    workspaces: 'transfer'
+  });
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError('');
+      const { blob, fileName } = await userService.exportData();
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export data:', error);
+      setError('Failed to export your data. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('This permanently deletes your account. Continue?')) return;
+
+    try {
+      setDeleting(true);
+      setError('');
+      const isRecoveryCode = form.code.includes('-');
+      const response = await userService.deleteAccount({
+        password: form.password,
+        ...(user?.twoFactorEnabled && (isRecoveryCode ? { recoveryCode: form.code } : { code: form.code })),
+        snippets: form.snippets,
+        workspaces: form.workspaces
+      });
+
+      // The session no longer exists, so there is nothing to revoke server-side
+      authService.clearTokens();
+      await logout();
+      navigate('/login', { replace: true, state: { message: response.message } });
+    } catch (error) {
+      console.error('Failed to delete account:', error);
+      setError(error.response?.data?.message || 'Failed to delete account');
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="card border-red-500/30">
+      <div className="card-header">
+        <h2 className="text-xl font-semibold text-white flex items-center">
+          <AlertTriangle className="w-5 h-5 mr-2 text-red-400" />
+          Your Data
+        </h2>
+      </div>
+
+      <div className="space-y-6">
+        {error && (
+          <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {/* Export */}
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="font-medium text-white">Export your data</p>
+            <p className="text-sm text-slate-400">
+              Download a ZIP with your profile, snippets and their versions, owned workspaces and likes
+            </p>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="btn-secondary text-sm flex items-center ml-4 whitespace-nowrap"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            {exporting ? 'Preparing...' : 'Export'}
+          </button>
+        </div>
+
+        {/* Delete */}
+        <div className="pt-6 border-t border-slate-700">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="font-medium text-white">Delete account</p>
+              <p className="text-sm text-slate-400">
+                Permanently remove your account. This cannot be undone.
+              </p>
+            </div>
+            {!showDelete && (
+              <button
+                onClick={() => setShowDelete(true)}
+                className="btn-danger text-sm flex items-center ml-4 whitespace-nowrap"
+              >
+                <Trash2 className="w-4 h-4 mr-1" />
+                Delete account
+              </button>
+            )}
+          </div>
+
+          {showDelete && (
+            <form onSubmit={handleDelete} className="mt-4 space-y-4">
+              <div>
+                <label htmlFor="deleteSnippets" className="block text-sm font-medium text-slate-300 mb-2">
+                  Your snippets
+                </label>
+                <select
+                  id="deleteSnippets"
+                  className="form-input"
+                  value={form.snippets}
+                  onChange={(e) => setForm({ ...form, snippets: e.target.value })}
+                >
+                  <option value="delete">Delete all of them</option>
+                  <option value="anonymize">Keep public snippets, credited to a deleted user</option>
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="deleteWorkspaces" className="block text-sm font-medium text-slate-300 mb-2">
+                  Workspaces you own
+                </label>
+                <select
+                  id="deleteWorkspaces"
+                  className="form-input"
+                  value={form.workspaces}
+                  onChange={(e) => setForm({ ...form, workspaces: e.target.value })}
+                >
+                  <option value="transfer">Hand over to a collaborator (delete if there is none)</option>
+                  <option value="delete">Delete all of them</option>
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="deletePassword" className="block text-sm font-medium text-slate-300 mb-2">
+                  Password
+                </label>
+                <input
+                  id="deletePassword"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  className="form-input"
+                  value={form.password}
+                  onChange={(e) => setForm({ ...form, password: e.target.value })}
+                />
+              </div>
+
+              {user?.twoFactorEnabled && (
+                <div>
+                  <label htmlFor="deleteCode" className="block text-sm font-medium text-slate-300 mb-2">
+                    Authentication or recovery code
+                  </label>
+                  <input
+                    id="deleteCode"
+                    type="text"
+                    autoComplete="one-time-code"
+                    required
+                    className="form-input tracking-widest"
+                    value={form.code}
+                    onChange={(e) => setForm({ ...form, code: e.target.value.trim() })}
+                  />
+                </div>
+              )}
+
+              <div className="flex items-center space-x-2">
+                <button type="submit" disabled={deleting} className="btn-danger">
+                  {deleting ? 'Deleting...' : 'Permanently delete my account'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowDelete(false)}
+                  className="btn-secondary"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountDataSettings;
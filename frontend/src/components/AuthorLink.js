@@ -0,0 +1,50 @@
+/**
+ * Author Link Component
+ * Links a snippet author's name to their public profile
+ */
+
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+
+const AuthorLink = ({ author, className = '', nested = false }) => {
+  const navigate = useNavigate();
+
+  if (!author?.username) {
+    return <span className={className}>Unknown</span>;
+  }
+
+  const profilePath = `/u/${encodeURIComponent(author.username)}`;
+
+  // Inside another link (e.g. a whole clickable card) a nested <a> is invalid HTML
+  if (nested) {
+    return (
+      <span
+        role="link"
+        tabIndex={0}
+        className={`hover:underline cursor-pointer ${className}`}
+        onClick={(e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          navigate(profilePath);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            e.stopPropagation();
+            navigate(profilePath);
+          }
+        }}
+      >
+        {author.username}
+      </span>
+    );
+  }
+
+  return (
+    <Link to={profilePath} className={`hover:underline ${className}`}>
+      {author.username}
+    </Link>
+  );
+};
+
+export default AuthorLink;
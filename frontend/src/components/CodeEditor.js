@@ -1,22 +1,177 @@
 /**
  * Code Editor Component
  * Monaco Editor wrapper with custom configuration
+ * Theme, font, indentation, layout and Vim/Emacs keybindings come from the
+ * user's editor preferences
  */
 
-import React, { useRef, useEffect } from 'react';
-import Editor from '@monaco-editor/react';
+import React, { useRef, useState, useEffect } from 'react';
+import * as monaco from 'monaco-editor';
+import Editor, { loader } from '@monaco-editor/react';
+import { initVimMode, VimMode } from 'monaco-vim';
+import { EmacsExtension, registerGlobalCommand } from 'monaco-emacs';
+import { useEditorPreferences } from '../contexts/EditorPreferencesContext';
+
+// Use the bundled Monaco instead of the CDN copy, the Vim and Emacs
+// keybinding packages only work with the instance they import themselves
+window.MonacoEnvironment = {
+  getWorker: (workerId, label) => {
+    switch (label) {
+      case 'json':
+        return new Worker(new URL('monaco-editor/esm/vs/language/json/json.worker', import.meta.url));
+      case 'css':
+      case 'scss':
+      case 'less':
+        return new Worker(new URL('monaco-editor/esm/vs/language/css/css.worker', import.meta.url));
+      case 'html':
+        return new Worker(new URL('monaco-editor/esm/vs/language/html/html.worker', import.meta.url));
+      case 'typescript':
+      case 'javascript':
+        return new Worker(new URL('monaco-editor/esm/vs/language/typescript/ts.worker', import.meta.url));
+      default:
+        return new Worker(new URL('monaco-editor/esm/vs/editor/editor.worker', import.meta.url));
+    }
+  },
+};
+loader.config({ monaco });
+
+// Monaco theme used for each preference value
+export const MONACO_THEMES = {
+  dark: 'devcollab-dark',
+  light: 'devcollab-light',
+  'high-contrast': 'hc-black',
+};
+
+/**
+ * Define the DevCollab Monaco themes
+ * Themes must exist before an editor is created with one of them
+ */
+export const defineEditorThemes = (monaco) => {
+  monaco.editor.defineTheme('devcollab-dark', {
+    base: 'vs-dark',
+    inherit: true,
+    rules: [
+      { token: 'comment', foreground: '6A9955' },
+      { token: 'keyword', foreground: '569CD6' },
+      { token: 'string', foreground: 'CE9178' },
+      { token: 'number', foreground: 'B5CEA8' },
+    ],
+    colors: {
+      'editor.background': '#1E1E1E',
+      'editor.foreground': '#D4D4D4',
+      'editorLineNumber.foreground': '#858585',
+      'editor.selectionBackground': '#264F78',
+      'editor.inactiveSelectionBackground': '#3A3D41',
+    }
+  });
+
+  monaco.editor.defineTheme('devcollab-light', {
+    base: 'vs',
+    inherit: true,
+    rules: [
+      { token: 'comment', foreground: '008000' },
+      { token: 'keyword', foreground: '0000FF' },
+      { token: 'string', foreground: 'A31515' },
+      { token: 'number', foreground: '098658' },
+    ],
+    colors: {
+      'editor.background': '#FFFFFF',
+      'editor.foreground': '#000000',
+      'editorLineNumber.foreground': '#237893',
+      'editor.selectionBackground': '#ADD6FF',
+      'editor.inactiveSelectionBackground': '#E5EBF1',
+    }
+  });
+};
+
+// Save handler of each mounted editor, looked up by the global Vim and Emacs save commands
+const saveHandlers = new WeakMap();
+
+// :w / :write in Vim mode
+VimMode.Vim.defineEx('write', 'w', (cm) => {
+  const save = saveHandlers.get(cm.editor);
+  if (save) save();
+});
+
+// C-x C-s in Emacs mode (C-s is incremental search there)
+registerGlobalCommand('C-x C-s', {
+  description: 'Save',
+  run: (editor) => {
+    const save = saveHandlers.get(editor);
+    if (save) save();
+  },
+});
+
+// How to save in each keybinding mode, shown in the status bar
+const SAVE_HINTS = {
+  vim: ':w to save',
+  emacs: 'C-x C-s to save',
+};
 
 const CodeEditor = ({
   value,
   onChange,
   language = 'javascript',
-  theme = 'vs-dark',
   height = '400px',
   options = {},
   onMount,
-  readOnly = false
+  readOnly = false,
+  onSave, // Ctrl+S (:w in Vim, C-x C-s in Emacs)
+  onShare, // Ctrl+Enter
+  preferences // overrides the saved preferences, e.g. for a live preview
 }) => {
   const editorRef = useRef(null);
+  const statusBarRef = useRef(null);
+  const onSaveRef = useRef(onSave);
+  const onShareRef = useRef(onShare);
+  const [editorInstance, setEditorInstance] = useState(null);
+  const [emacsStatus, setEmacsStatus] = useState({ keys: '', mark: false });
+  const { preferences: savedPreferences } = useEditorPreferences();
+  const editorPreferences = preferences || savedPreferences;
+  const keybindings = editorPreferences.keybindings;
+
+  // Shortcuts always call the latest handlers
+  onSaveRef.current = onSave;
+  onShareRef.current = onShare;
+
+  /**
+   * Attach the keybinding mode and the editor's own shortcuts
+   * The shortcuts are registered first so Vim and Emacs leave those keys alone,
+   * and stop propagation so page-level handlers do not run them a second time
+   */
+  useEffect(() => {
+    if (!editorInstance) return;
+
+    const shortcuts = editorInstance.onKeyDown((e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+
+      if (e.keyCode === monaco.KeyCode.Enter && onShareRef.current) {
+        e.preventDefault();
+        e.stopPropagation();
+        onShareRef.current();
+      } else if (e.keyCode === monaco.KeyCode.KeyS && keybindings !== 'emacs' && onSaveRef.current) {
+        e.preventDefault();
+        e.stopPropagation();
+        onSaveRef.current();
+      }
+    });
+
+    let mode = null;
+    if (keybindings === 'vim') {
+      mode = initVimMode(editorInstance, statusBarRef.current);
+    } else if (keybindings === 'emacs') {
+      mode = new EmacsExtension(editorInstance);
+      mode.onDidChangeKey((keys) => setEmacsStatus((status) => ({ ...status, keys })));
+      mode.onDidMarkChange((mark) => setEmacsStatus((status) => ({ ...status, mark })));
+      mode.start();
+    }
+
+    return () => {
+      shortcuts.dispose();
+      if (mode) mode.dispose();
+      setEmacsStatus({ keys: '', mark: false });
+    };
+  }, [editorInstance, keybindings]);
 
   const defaultOptions = {
     selectOnLineNumbers: true,
@@ -24,69 +179,31 @@ const CodeEditor = ({
     readOnly: readOnly,
     cursorStyle: 'line',
     automaticLayout: true,
-    minimap: { enabled: false },
+    minimap: { enabled: editorPreferences.minimap },
     scrollBeyondLastLine: false,
-    fontSize: 14,
-    lineHeight: 20,
-    fontFamily: 'Monaco, Menlo, "Ubuntu Mono", monospace',
-    wordWrap: 'on',
-    lineNumbers: 'on',
+    fontSize: editorPreferences.fontSize,
+    lineHeight: Math.round(editorPreferences.fontSize * 1.45),
+    fontFamily: editorPreferences.fontFamily,
+    wordWrap: editorPreferences.wordWrap ? 'on' : 'off',
+    lineNumbers: editorPreferences.lineNumbers,
     glyphMargin: false,
     folding: true,
     lineDecorationsWidth: 0,
     lineNumbersMinChars: 0,
     renderLineHighlight: 'line',
-    tabSize: 2,
-    insertSpaces: true,
+    tabSize: editorPreferences.tabSize,
+    insertSpaces: editorPreferences.insertSpaces,
+    // Otherwise Monaco guesses indentation from the content and ignores the preference
+    detectIndentation: false,
     ...options
   };
 
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
-    
-    // Configure Monaco themes
-    monaco.editor.defineTheme('devcollab-dark', {
-      base: 'vs-dark',
-      inherit: true,
-      rules: [
-        { token: 'comment', foreground: '6A9955' },
-        { token: 'keyword', foreground: '569CD6' },
-        { token: 'string', foreground: 'CE9178' },
-        { token: 'number', foreground: 'B5CEA8' },
-      ],
-      colors: {
-        'editor.background': '#1E1E1E',
-        'editor.foreground': '#D4D4D4',
-        'editorLineNumber.foreground': '#858585',
-        'editor.selectionBackground': '#264F78',
-        'editor.inactiveSelectionBackground': '#3A3D41',
-      }
-    });
-
-    monaco.editor.defineTheme('devcollab-light', {
-      base: 'vs',
-      inherit: true,
-      rules: [
-        { token: 'comment', foreground: '008000' },
-        { token: 'keyword', foreground: '0000FF' },
-        { token: 'string', foreground: 'A31515' },
-        { token: 'number', foreground: '098658' },
-      ],
-      colors: {
-        'editor.background': '#FFFFFF',
-        'editor.foreground': '#000000',
-        'editorLineNumber.foreground': '#237893',
-        'editor.selectionBackground': '#ADD6FF',
-        'editor.inactiveSelectionBackground': '#E5EBF1',
-      }
+    saveHandlers.set(editor, () => {
+      if (onSaveRef.current) onSaveRef.current();
     });
-
-    // Set custom theme
-    if (theme === 'vs-dark') {
-      monaco.editor.setTheme('devcollab-dark');
-    } else if (theme === 'vs') {
-      monaco.editor.setTheme('devcollab-light');
-    }
+    setEditorInstance(editor);
 
     // Call onMount callback if provided
     if (onMount) {
@@ -101,16 +218,39 @@ const CodeEditor = ({
   };
 
   return (
-    <div className="border border-gray-300 rounded-lg overflow-hidden">
-      <Editor
-        height={height}
-        language={language}
-        value={value}
-        theme={theme}
-        options={defaultOptions}
-        onChange={handleEditorChange}
-        onMount={handleEditorDidMount}
-      />
+    <div className="border border-gray-300 rounded-lg overflow-hidden flex flex-col" style={{ height }}>
+      <div className="flex-1 min-h-0">
+        <Editor
+          height="100%"
+          language={language}
+          value={value}
+          theme={MONACO_THEMES[editorPreferences.theme] || MONACO_THEMES.dark}
+          options={defaultOptions}
+          onChange={handleEditorChange}
+          beforeMount={defineEditorThemes}
+          onMount={handleEditorDidMount}
+        />
+      </div>
+
+      {/* Mode and pending command for Vim and Emacs keybindings */}
+      {keybindings !== 'default' && (
+        <div className="editor-status-bar flex items-center bg-slate-800 border-t border-slate-700 text-slate-300 text-xs font-mono px-3 py-1">
+          {keybindings === 'vim' ? (
+            <div ref={statusBarRef} className="flex-1" />
+          ) : (
+            <div className="flex-1 flex justify-between">
+              <span>
+                --EMACS--
+                {emacsStatus.mark && <span className="ml-3 text-blue-400">Mark set</span>}
+              </span>
+              <span>{emacsStatus.keys}</span>
+            </div>
+          )}
+          {onSave && !readOnly && (
+            <span className="ml-4 text-slate-500">{SAVE_HINTS[keybindings]}</span>
+          )}
+        </div>
+      )}
     </div>
   );
 };
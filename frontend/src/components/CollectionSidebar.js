@@ -0,0 +1,239 @@
+/**
+ * Collection Sidebar Component
+ * Tree of the user's collections for browsing snippets by folder, with
+ * creating, renaming, reordering, sharing and deleting collections
+ */
+
+import React, { useState } from 'react';
+import {
+  Folder,
+  FolderOpen,
+  FolderPlus,
+  ChevronRight,
+  ChevronDown,
+  ChevronUp,
+  Code,
+  Pencil,
+  Trash2,
+  Globe,
+  Lock,
+  Link2,
+  Check
+} from 'lucide-react';
+import collectionService from '../services/collectionService';
+
+// Keep in sync with MAX_DEPTH in backend/models/Collection.js
+const MAX_DEPTH = 5;
+
+const CollectionSidebar = ({ collections, selectedId, onSelect, onChange }) => {
+  const [expanded, setExpanded] = useState([]);
+  // { parent } while creating a collection, { id } while renaming one
+  const [form, setForm] = useState(null);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const childrenOf = (parentId) => collections.filter(c => (c.parent || null) === parentId);
+
+  const toggleExpanded = (id) => {
+    setExpanded((current) => (
+      current.includes(id) ? current.filter(value => value !== id) : [...current, id]
+    ));
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      setError('');
+      await action();
+      await onChange();
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const openForm = (nextForm, initialName = '') => {
+    setForm(nextForm);
+    setName(initialName);
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    await runAction(async () => {
+      if (form.id) {
+        await collectionService.updateCollection(form.id, { name: name.trim() });
+      } else {
+        await collectionService.createCollection({ name: name.trim(), parent: form.parent });
+        if (form.parent && !expanded.includes(form.parent)) {
+          setExpanded([...expanded, form.parent]);
+        }
+      }
+      setForm(null);
+    }, form.id ? 'Failed to rename collection' : 'Failed to create collection');
+  };
+
+  const handleMove = (collection, offset) => {
+    const siblings = childrenOf(collection.parent || null);
+    const position = siblings.findIndex(c => c._id === collection._id) + offset;
+    if (position < 0 || position >= siblings.length) return;
+
+    runAction(
+      () => collectionService.moveCollection(collection._id, { parent: collection.parent || null, position }),
+      'Failed to move collection'
+    );
+  };
+
+  const handleToggleVisibility = (collection) => {
+    runAction(
+      () => collectionService.updateCollection(collection._id, { isPublic: !collection.isPublic }),
+      'Failed to change visibility'
+    );
+  };
+
+  const handleDelete = (collection) => {
+    if (!window.confirm(`Delete "${collection.name}" and its subcollections? The snippets in them are kept.`)) return;
+
+    runAction(async () => {
+      await collectionService.deleteCollection(collection._id);
+      if (selectedId === collection._id) onSelect(null);
+    }, 'Failed to delete collection');
+  };
+
+  const copyShareLink = async (collection) => {
+    await navigator.clipboard.writeText(`${window.location.origin}/collections/${collection._id}`);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSubmit} className="flex items-center gap-1 py-1">
+      <input
+        type="text"
+        className="form-input py-1 text-sm"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Collection name"
+        maxLength={60}
+        autoFocus
+      />
+      <button type="submit" className="text-green-400 hover:text-green-300" title="Save">
+        <Check className="w-4 h-4" />
+      </button>
+    </form>
+  );
+
+  const renderActions = (collection, depth) => (
+    <div className="flex items-center gap-2 pl-8 py-1 text-slate-400">
+      {depth < MAX_DEPTH && (
+        <button onClick={() => openForm({ parent: collection._id })} className="hover:text-white" title="New subcollection">
+          <FolderPlus className="w-4 h-4" />
+        </button>
+      )}
+      <button onClick={() => openForm({ id: collection._id }, collection.name)} className="hover:text-white" title="Rename">
+        <Pencil className="w-4 h-4" />
+      </button>
+      <button onClick={() => handleMove(collection, -1)} className="hover:text-white" title="Move up">
+        <ChevronUp className="w-4 h-4" />
+      </button>
+      <button onClick={() => handleMove(collection, 1)} className="hover:text-white" title="Move down">
+        <ChevronDown className="w-4 h-4" />
+      </button>
+      <button
+        onClick={() => handleToggleVisibility(collection)}
+        className="hover:text-white"
+        title={collection.isPublic ? 'Public, click to make private' : 'Private, click to make public'}
+      >
+        {collection.isPublic ? <Globe className="w-4 h-4 text-green-400" /> : <Lock className="w-4 h-4" />}
+      </button>
+      {collection.isPublic && (
+        <button onClick={() => copyShareLink(collection)} className="hover:text-white" title="Copy share link">
+          {copied ? <Check className="w-4 h-4 text-green-400" /> : <Link2 className="w-4 h-4" />}
+        </button>
+      )}
+      <button onClick={() => handleDelete(collection)} className="hover:text-red-400" title="Delete">
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  const renderTree = (parentId, depth) => childrenOf(parentId).map((collection) => {
+    const children = childrenOf(collection._id);
+    const isExpanded = expanded.includes(collection._id);
+    const isSelected = selectedId === collection._id;
+
+    return (
+      <li key={collection._id}>
+        <div
+          className={`flex items-center rounded-lg px-2 py-1 text-sm ${
+            isSelected ? 'bg-blue-500/20 text-blue-300' : 'text-slate-300 hover:bg-slate-700/50'
+          }`}
+        >
+          <button
+            onClick={() => toggleExpanded(collection._id)}
+            className={`mr-1 text-slate-500 hover:text-white ${children.length === 0 ? 'invisible' : ''}`}
+          >
+            {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          </button>
+          <button onClick={() => onSelect(collection._id)} className="flex items-center flex-1 min-w-0 text-left">
+            {isSelected ? <FolderOpen className="w-4 h-4 mr-2 flex-shrink-0" /> : <Folder className="w-4 h-4 mr-2 flex-shrink-0" />}
+            <span className="truncate">{collection.name}</span>
+            {collection.isPublic && <Globe className="w-3 h-3 ml-1 text-green-400 flex-shrink-0" />}
+          </button>
+          <span className="text-xs text-slate-500 ml-2">{collection.snippetCount}</span>
+        </div>
+
+        {isSelected && renderActions(collection, depth)}
+        {form && (form.id === collection._id || form.parent === collection._id) && (
+          <div className="pl-8">{renderForm()}</div>
+        )}
+
+        {isExpanded && children.length > 0 && (
+          <ul className="pl-4">{renderTree(collection._id, depth + 1)}</ul>
+        )}
+      </li>
+    );
+  });
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-white">Collections</h2>
+        <button
+          onClick={() => openForm({ parent: null })}
+          className="text-slate-400 hover:text-white"
+          title="New collection"
+        >
+          <FolderPlus className="w-5 h-5" />
+        </button>
+      </div>
+
+      <button
+        onClick={() => onSelect(null)}
+        className={`w-full flex items-center rounded-lg px-2 py-1 mb-1 text-sm ${
+          selectedId ? 'text-slate-300 hover:bg-slate-700/50' : 'bg-blue-500/20 text-blue-300'
+        }`}
+      >
+        <Code className="w-4 h-4 mr-2" />
+        All snippets
+      </button>
+
+      {form && form.parent === null && !form.id && renderForm()}
+
+      {collections.length > 0 ? (
+        <ul>{renderTree(null, 1)}</ul>
+      ) : (
+        <p className="text-slate-500 text-sm px-2 py-2">
+          Group your snippets into collections and nest them like folders.
+        </p>
+      )}
+
+      {error && (
+        <p className="text-red-400 text-sm mt-2">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default CollectionSidebar;
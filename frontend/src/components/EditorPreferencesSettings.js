@@ -0,0 +1,281 @@
+/**
+ * Editor Preferences Settings Component
+ * Choose the code editor theme, font, indentation and layout with a live preview
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Code } from 'lucide-react';
+import CodeEditor from './CodeEditor';
+import { useEditorPreferences, DEFAULT_EDITOR_PREFERENCES } from '../contexts/EditorPreferencesContext';
+
+const THEME_OPTIONS = [
+  { value: 'dark', label: 'Dark' },
+  { value: 'light', label: 'Light' },
+  { value: 'high-contrast', label: 'High contrast' },
+];
+
+const FONT_OPTIONS = [
+  { value: DEFAULT_EDITOR_PREFERENCES.fontFamily, label: 'Monaco / Menlo (default)' },
+  { value: '"Fira Code", monospace', label: 'Fira Code' },
+  { value: '"JetBrains Mono", monospace', label: 'JetBrains Mono' },
+  { value: '"Source Code Pro", monospace', label: 'Source Code Pro' },
+  { value: 'Consolas, "Courier New", monospace', label: 'Consolas' },
+  { value: 'monospace', label: 'System monospace' },
+];
+
+const LINE_NUMBER_OPTIONS = [
+  { value: 'on', label: 'Show' },
+  { value: 'relative', label: 'Relative' },
+  { value: 'off', label: 'Hide' },
+];
+
+const KEYBINDING_OPTIONS = [
+  { value: 'default', label: 'Default' },
+  { value: 'vim', label: 'Vim' },
+  { value: 'emacs', label: 'Emacs' },
+];
+
+const PREVIEW_CODE = `// Preview of your editor settings
+function greet(names) {
+  for (const name of names) {
+    if (name.length > 0) {
+      console.log(\`Hello, \${name}! Welcome to DevCollab, where snippets and workspaces are shared with your team.\`);
+    }
+  }
+}
+
+greet(['Ada', 'Linus']);
+`;
+
+const EditorPreferencesSettings = () => {
+  const { preferences, savePreferences } = useEditorPreferences();
+  const [draft, setDraft] = useState(preferences);
+  const [previewCode, setPreviewCode] = useState(PREVIEW_CODE);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  // Start over from the saved preferences once they have loaded
+  useEffect(() => {
+    setDraft(preferences);
+  }, [preferences]);
+
+  const updateDraft = (field, value) => {
+    setDraft({ ...draft, [field]: value });
+    setMessage({ type: '', text: '' });
+  };
+
+  // A font saved from elsewhere still shows up in the list
+  const fontOptions = FONT_OPTIONS.some(option => option.value === draft.fontFamily)
+    ? FONT_OPTIONS
+    : [...FONT_OPTIONS, { value: draft.fontFamily, label: draft.fontFamily }];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setMessage({ type: '', text: '' });
+      const response = await savePreferences(draft);
+      setMessage({ type: 'success', text: response.message });
+    } catch (error) {
+      console.error('Failed to save editor preferences:', error);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Failed to save editor preferences'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-xl font-semibold text-white flex items-center">
+          <Code className="w-5 h-5 mr-2" />
+          Editor
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Applies to snippets, shared snippets and workspaces. Changes show up in the preview before you save.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {message.text && (
+          message.type === 'success' ? (
+            <div className="bg-green-900/20 border border-green-500/30 text-green-400 px-4 py-3 rounded-lg">
+              {message.text}
+            </div>
+          ) : (
+            <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+              {message.text}
+            </div>
+          )
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="editorTheme" className="block text-sm font-medium text-slate-300 mb-2">
+              Theme
+            </label>
+            <select
+              id="editorTheme"
+              className="form-input"
+              value={draft.theme}
+              onChange={(e) => updateDraft('theme', e.target.value)}
+            >
+              {THEME_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="editorKeybindings" className="block text-sm font-medium text-slate-300 mb-2">
+              Keybindings
+            </label>
+            <select
+              id="editorKeybindings"
+              className="form-input"
+              value={draft.keybindings}
+              onChange={(e) => updateDraft('keybindings', e.target.value)}
+            >
+              {KEYBINDING_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="editorFontFamily" className="block text-sm font-medium text-slate-300 mb-2">
+              Font
+            </label>
+            <select
+              id="editorFontFamily"
+              className="form-input"
+              value={draft.fontFamily}
+              onChange={(e) => updateDraft('fontFamily', e.target.value)}
+            >
+              {fontOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="editorFontSize" className="block text-sm font-medium text-slate-300 mb-2">
+              Font size
+            </label>
+            <input
+              id="editorFontSize"
+              type="number"
+              min={10}
+              max={32}
+              required
+              className="form-input"
+              value={draft.fontSize}
+              onChange={(e) => updateDraft('fontSize', parseInt(e.target.value, 10) || DEFAULT_EDITOR_PREFERENCES.fontSize)}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="editorTabSize" className="block text-sm font-medium text-slate-300 mb-2">
+              Tab size
+            </label>
+            <select
+              id="editorTabSize"
+              className="form-input"
+              value={draft.tabSize}
+              onChange={(e) => updateDraft('tabSize', parseInt(e.target.value, 10))}
+            >
+              {[1, 2, 3, 4, 5, 6, 7, 8].map((size) => (
+                <option key={size} value={size}>
+                  {size}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="editorLineNumbers" className="block text-sm font-medium text-slate-300 mb-2">
+              Line numbers
+            </label>
+            <select
+              id="editorLineNumbers"
+              className="form-input"
+              value={draft.lineNumbers}
+              onChange={(e) => updateDraft('lineNumbers', e.target.value)}
+            >
+              {LINE_NUMBER_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <label className="flex items-center text-slate-300">
+            <input
+              type="checkbox"
+              checked={draft.insertSpaces}
+              onChange={(e) => updateDraft('insertSpaces', e.target.checked)}
+              className="mr-2"
+            />
+            Indent with spaces
+          </label>
+          <label className="flex items-center text-slate-300">
+            <input
+              type="checkbox"
+              checked={draft.wordWrap}
+              onChange={(e) => updateDraft('wordWrap', e.target.checked)}
+              className="mr-2"
+            />
+            Wrap long lines
+          </label>
+          <label className="flex items-center text-slate-300">
+            <input
+              type="checkbox"
+              checked={draft.minimap}
+              onChange={(e) => updateDraft('minimap', e.target.checked)}
+              className="mr-2"
+            />
+            Show minimap
+          </label>
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-slate-300 mb-2">Preview</span>
+          <CodeEditor
+            value={previewCode}
+            onChange={(value) => setPreviewCode(value || '')}
+            height="240px"
+            preferences={draft}
+          />
+        </div>
+
+        <div className="flex items-center space-x-3">
+          <button type="submit" disabled={saving} className="btn-primary">
+            {saving ? 'Saving...' : 'Save editor settings'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setDraft(DEFAULT_EDITOR_PREFERENCES)}
+            className="btn-secondary"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default EditorPreferencesSettings;
@@ -0,0 +1,28 @@
+/**
+ * Highlighted Text Component
+ * Renders [{ text, match }] segments from search results with matches marked
+ */
+
+import React from 'react';
+
+const HighlightedText = ({ segments, fallback = '' }) => {
+  if (!segments) {
+    return <>{fallback}</>;
+  }
+
+  return (
+    <>
+      {segments.map((segment, index) => (
+        segment.match ? (
+          <mark key={index} className="bg-yellow-500/30 text-yellow-200 rounded px-0.5">
+            {segment.text}
+          </mark>
+        ) : (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        )
+      ))}
+    </>
+  );
+};
+
+export default HighlightedText;
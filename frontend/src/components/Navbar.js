@@ -6,7 +6,8 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Code, FileText, Hop as Home, LogOut, User, Menu, X, FolderOpen } from 'lucide-react';
+import OrganizationSwitcher from './OrganizationSwitcher';
+import { Code, FileText, Hop as Home, LogOut, User, Menu, X, FolderOpen, Shield, ShieldAlert, KeyRound, Settings } from 'lucide-react';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
@@ -15,8 +16,8 @@ const Navbar = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
   };
 
@@ -36,6 +37,7 @@ const Navbar = () => {
     { path: '/dashboard', label: 'Dashboard', icon: Home },
     { path: '/snippets', label: 'Snippets', icon: Code },
     { path: '/workspaces', label: 'Workspaces', icon: FolderOpen },
+    ...(user?.role === 'admin' ? [{ path: '/admin', label: 'Admin', icon: ShieldAlert }] : []),
   ];
 
   return (
@@ -76,6 +78,7 @@ const Navbar = () => {
 
           {/* User Menu */}
           <div className="hidden md:flex items-center space-x-4">
+            <OrganizationSwitcher />
             <div className="relative">
               <button
                 onClick={toggleUserMenu}
@@ -92,6 +95,30 @@ const Navbar = () => {
                     <p className="text-sm font-medium text-white">{user?.username}</p>
                     <p className="text-sm text-slate-400">{user?.email}</p>
                   </div>
+                  <Link
+                    to="/settings"
+                    onClick={() => setIsUserMenuOpen(false)}
+                    className="w-full flex items-center space-x-2 px-4 py-2 text-left text-slate-300 hover:bg-slate-700 hover:text-white transition-colors"
+                  >
+                    <Settings className="w-4 h-4" />
+                    <span>Settings</span>
+                  </Link>
+                  <Link
+                    to="/settings/security"
+                    onClick={() => setIsUserMenuOpen(false)}
+                    className="w-full flex items-center space-x-2 px-4 py-2 text-left text-slate-300 hover:bg-slate-700 hover:text-white transition-colors"
+                  >
+                    <Shield className="w-4 h-4" />
+                    <span>Security</span>
+                  </Link>
+                  <Link
+                    to="/settings/tokens"
+                    onClick={() => setIsUserMenuOpen(false)}
+                    className="w-full flex items-center space-x-2 px-4 py-2 text-left text-slate-300 hover:bg-slate-700 hover:text-white transition-colors"
+                  >
+                    <KeyRound className="w-4 h-4" />
+                    <span>Access Tokens</span>
+                  </Link>
                   <button
                     onClick={handleLogout}
                     className="w-full flex items-center space-x-2 px-4 py-2 text-left text-slate-300 hover:bg-slate-700 hover:text-white transition-colors"
@@ -143,6 +170,31 @@ const Navbar = () => {
                 <p className="text-sm font-medium text-white">{user?.username}</p>
                 <p className="text-sm text-slate-400">{user?.email}</p>
               </div>
+              <OrganizationSwitcher onSwitch={() => setIsMobileMenuOpen(false)} />
+              <Link
+                to="/settings"
+                onClick={() => setIsMobileMenuOpen(false)}
+                className="w-full flex items-center space-x-2 px-3 py-2 text-left text-slate-300 hover:bg-slate-800 hover:text-white rounded-lg transition-colors"
+              >
+                <Settings className="w-4 h-4" />
+                <span>Settings</span>
+              </Link>
+              <Link
+                to="/settings/security"
+                onClick={() => setIsMobileMenuOpen(false)}
+                className="w-full flex items-center space-x-2 px-3 py-2 text-left text-slate-300 hover:bg-slate-800 hover:text-white rounded-lg transition-colors"
+              >
+                <Shield className="w-4 h-4" />
+                <span>Security</span>
+              </Link>
+              <Link
+                to="/settings/tokens"
+                onClick={() => setIsMobileMenuOpen(false)}
+                className="w-full flex items-center space-x-2 px-3 py-2 text-left text-slate-300 hover:bg-slate-800 hover:text-white rounded-lg transition-colors"
+              >
+                <KeyRound className="w-4 h-4" />
+                <span>Access Tokens</span>
+              </Link>
               <button
                 onClick={handleLogout}
                 className="w-full flex items-center space-x-2 px-3 py-2 text-left text-slate-300 hover:bg-slate-800 hover:text-white rounded-lg transition-colors"
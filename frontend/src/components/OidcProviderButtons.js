@@ -0,0 +1,45 @@
+/**
+ * OIDC Provider Buttons Component
+ * Single sign-on buttons for each configured identity provider
+ */
+
+import React, { useState, useEffect } from 'react';
+import { KeyRound } from 'lucide-react';
+import authService from '../services/authService';
+
+const OidcProviderButtons = ({ label = 'Continue with' }) => {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    authService.getOidcProviders()
+      .then((response) => setProviders(response.providers || []))
+      .catch((error) => console.error('Failed to load sign-in providers:', error));
+  }, []);
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center">
+        <div className="flex-1 border-t border-slate-700" />
+        <span className="px-3 text-xs uppercase tracking-wide text-slate-500">or</span>
+        <div className="flex-1 border-t border-slate-700" />
+      </div>
+
+      {providers.map((provider) => (
+        <a
+          key={provider.id}
+          href={authService.getOidcLoginUrl(provider.id)}
+          className="w-full btn-secondary flex items-center justify-center"
+        >
+          <KeyRound className="w-4 h-4 mr-2" />
+          {label} {provider.name}
+        </a>
+      ))}
+    </div>
+  );
+};
+
+export default OidcProviderButtons;
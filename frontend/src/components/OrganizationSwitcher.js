@@ -0,0 +1,80 @@
+/**
+ * Organization Switcher Component
+ * Navbar menu for switching between the personal account and organizations
+ */
+
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Building2, Check, ChevronDown, User, Settings } from 'lucide-react';
+import { useOrganizations } from '../contexts/OrganizationContext';
+
+const OrganizationSwitcher = ({ onSwitch }) => {
+  const { organizations, activeOrganization, switchOrganization } = useOrganizations();
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleSwitch = (organization) => {
+    switchOrganization(organization ? organization._id : null);
+    setIsOpen(false);
+    if (onSwitch) onSwitch();
+    navigate(organization ? `/organizations/${organization.slug}` : '/dashboard');
+  };
+
+  const itemClassName = 'w-full flex items-center space-x-2 px-4 py-2 text-left text-slate-300 hover:bg-slate-700 hover:text-white transition-colors';
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center space-x-2 px-3 py-2 rounded-lg text-slate-300 hover:text-white hover:bg-slate-800 transition-colors"
+        title="Switch organization"
+      >
+        {activeOrganization ? <Building2 className="w-4 h-4" /> : <User className="w-4 h-4" />}
+        <span className="max-w-[10rem] truncate">{activeOrganization ? activeOrganization.name : 'Personal'}</span>
+        <ChevronDown className="w-4 h-4" />
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="absolute right-0 mt-2 w-56 bg-slate-800 rounded-lg shadow-lg border border-slate-700 py-2 z-50">
+            <p className="px-4 py-1 text-xs uppercase tracking-wide text-slate-500">Switch to</p>
+            <button onClick={() => handleSwitch(null)} className={itemClassName}>
+              <User className="w-4 h-4" />
+              <span className="flex-1">Personal</span>
+              {!activeOrganization && <Check className="w-4 h-4 text-blue-400" />}
+            </button>
+            {organizations.map((organization) => (
+              <button
+                key={organization._id}
+                onClick={() => handleSwitch(organization)}
+                className={itemClassName}
+              >
+                <Building2 className="w-4 h-4" />
+                <span className="flex-1 truncate">{organization.name}</span>
+                {activeOrganization?._id === organization._id && <Check className="w-4 h-4 text-blue-400" />}
+              </button>
+            ))}
+            <div className="border-t border-slate-700 mt-2 pt-2">
+              <Link
+                to="/organizations"
+                onClick={() => {
+                  setIsOpen(false);
+                  if (onSwitch) onSwitch();
+                }}
+                className={itemClassName}
+              >
+                <Settings className="w-4 h-4" />
+                <span>Manage organizations</span>
+              </Link>
+            </div>
+          </div>
+
+          {/* Click outside to close */}
+          <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OrganizationSwitcher;
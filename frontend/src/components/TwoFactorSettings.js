@@ -0,0 +1,259 @@
+/**
+ * Two-Factor Settings Component
+ * Enroll in, manage and disable TOTP two-factor authentication
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { ShieldCheck, KeyRound, Copy, Check } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+import authService from '../services/authService';
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [setupData, setSetupData] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [showDisable, setShowDisable] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const run = async (action) => {
+    try {
+      setWorking(true);
+      setError('');
+      await action();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    const response = await authService.setupTwoFactor();
+    setSetupData(response);
+    setRecoveryCodes([]);
+    setCode('');
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authService.enableTwoFactor(code);
+      setRecoveryCodes(response.recoveryCodes);
+      setSetupData(null);
+      setCode('');
+      updateUser({ twoFactorEnabled: true });
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const isRecoveryCode = code.includes('-');
+      await authService.disableTwoFactor(
+        password,
+        isRecoveryCode ? { recoveryCode: code } : { code }
+      );
+      setShowDisable(false);
+      setPassword('');
+      setCode('');
+      setRecoveryCodes([]);
+      updateUser({ twoFactorEnabled: false });
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authService.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.recoveryCodes);
+      setCode('');
+    });
+  };
+
+  const copyRecoveryCodes = async () => {
+    await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <ShieldCheck className="w-5 h-5 mr-2" />
+            Two-Factor Authentication
+          </h2>
+          {user?.twoFactorEnabled ? (
+            <span className="bg-green-500/20 text-green-400 px-2 py-1 rounded-full text-xs font-medium">
+              Enabled
+            </span>
+          ) : (
+            <span className="bg-slate-700 text-slate-400 px-2 py-1 rounded-full text-xs font-medium">
+              Disabled
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        {error && (
+          <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {/* Recovery codes are only ever shown once */}
+        {recoveryCodes.length > 0 && (
+          <div className="border border-yellow-500/30 bg-yellow-500/10 rounded-lg p-4 space-y-3">
+            <p className="text-sm text-yellow-300 flex items-center">
+              <KeyRound className="w-4 h-4 mr-2" />
+              Save these recovery codes somewhere safe. Each can be used once, and they won't be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm text-white">
+              {recoveryCodes.map((recoveryCode) => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </div>
+            <button onClick={copyRecoveryCodes} className="btn-secondary text-sm flex items-center">
+              {copied ? <Check className="w-4 h-4 mr-1" /> : <Copy className="w-4 h-4 mr-1" />}
+              Copy codes
+            </button>
+          </div>
+        )}
+
+        {!user?.twoFactorEnabled && !setupData && (
+          <div className="flex items-center justify-between">
+            <p className="text-slate-400 text-sm">
+              Require a code from an authenticator app when signing in.
+            </p>
+            <button
+              onClick={handleStartSetup}
+              disabled={working}
+              className="btn-primary text-sm ml-4"
+            >
+              Enable
+            </button>
+          </div>
+        )}
+
+        {/* Enrollment */}
+        {setupData && (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <p className="text-slate-400 text-sm">
+              Scan this QR code with your authenticator app, or enter the key manually.
+            </p>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+              <img
+                src={setupData.qrCode}
+                alt="Two-factor QR code"
+                className="w-40 h-40 bg-white rounded-lg p-2"
+              />
+              <code className="text-sm text-slate-300 break-all bg-slate-900 p-3 rounded">
+                {setupData.secret}
+              </code>
+            </div>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className="form-input"
+              placeholder="Enter the 6-digit code to confirm"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <div className="flex items-center space-x-3">
+              <button type="submit" disabled={working} className="btn-primary text-sm">
+                {working ? <LoadingSpinner size="small" text="" /> : 'Confirm'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setSetupData(null)}
+                className="btn-secondary text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Manage */}
+        {user?.twoFactorEnabled && !showDisable && (
+          <form onSubmit={handleRegenerate} className="space-y-3">
+            <p className="text-slate-400 text-sm">
+              Lost your recovery codes? Enter a current code to generate a new set.
+            </p>
+            <div className="flex">
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                className="form-input flex-1 mr-2"
+                placeholder="6-digit code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+              />
+              <button type="submit" disabled={working} className="btn-secondary text-sm">
+                New recovery codes
+              </button>
+            </div>
+            <button
+              type="button"
+              onClick={() => {
+                setShowDisable(true);
+                setCode('');
+              }}
+              className="text-sm text-red-400 hover:text-red-300"
+            >
+              Disable two-factor authentication
+            </button>
+          </form>
+        )}
+
+        {user?.twoFactorEnabled && showDisable && (
+          <form onSubmit={handleDisable} className="space-y-3">
+            <input
+              type="password"
+              autoComplete="current-password"
+              className="form-input"
+              placeholder="Current password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              className="form-input"
+              placeholder="Authentication or recovery code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <div className="flex items-center space-x-3">
+              <button type="submit" disabled={working} className="btn-danger text-sm">
+                Disable
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowDisable(false)}
+                className="btn-secondary text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,36 @@
+/**
+ * User Avatar Component
+ * Shows the user's uploaded picture, or their initial as a fallback
+ */
+
+import React from 'react';
+import userService from '../services/userService';
+
+const SIZES = {
+  sm: 'w-8 h-8 text-sm',
+  md: 'w-12 h-12 text-lg',
+  lg: 'w-24 h-24 text-3xl'
+};
+
+const UserAvatar = ({ user, size = 'md' }) => {
+  const avatarUrl = userService.getAvatarUrl(user?.avatar);
+  const sizeClasses = SIZES[size] || SIZES.md;
+
+  if (avatarUrl) {
+    return (
+      <img
+        src={avatarUrl}
+        alt={user.username}
+        className={`${sizeClasses} rounded-full object-cover flex-shrink-0`}
+      />
+    );
+  }
+
+  return (
+    <div className={`${sizeClasses} rounded-full bg-gradient-to-r from-blue-500 to-purple-600 flex items-center justify-center font-semibold text-white flex-shrink-0`}>
+      {user?.username?.charAt(0).toUpperCase() || '?'}
+    </div>
+  );
+};
+
+export default UserAvatar;
@@ -0,0 +1,54 @@
+/**
+ * Verify Email Banner Component
+ * Reminds unverified users to confirm their email address
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { Mail } from 'lucide-react';
+import authService from '../services/authService';
+
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (!user || user.emailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await authService.resendVerification();
+      setMessage(response.message);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-500/10 border-b border-yellow-500/30">
+      <div className="container mx-auto px-4 py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between text-sm">
+        <p className="text-yellow-300 flex items-center">
+          <Mail className="w-4 h-4 mr-2" />
+          Verify {user.email} to publish public snippets and create share links.
+        </p>
+        <div className="mt-2 sm:mt-0 flex items-center space-x-3">
+          {message && <span className="text-slate-300">{message}</span>}
+          <button
+            onClick={handleResend}
+            disabled={sending}
+            className="text-yellow-300 hover:text-yellow-200 font-medium disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Resend email'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
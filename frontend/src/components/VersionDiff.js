@@ -0,0 +1,212 @@
+/**
+ * Version Diff Component
+ * Side-by-side Monaco diff of two snippet versions (or a version and the current
+ * content), with copyable hunks that can be restored one by one
+ */
+
+import React, { useState, useEffect } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { ArrowLeft, Copy, Check, RotateCcw } from 'lucide-react';
+import { MONACO_THEMES, defineEditorThemes } from './CodeEditor';
+import LoadingSpinner from './LoadingSpinner';
+import { useEditorPreferences } from '../contexts/EditorPreferencesContext';
+import snippetService from '../services/snippetService';
+
+const LINE_STYLES = {
+  added: 'bg-green-900/30 text-green-300',
+  removed: 'bg-red-900/30 text-red-300',
+  equal: 'text-slate-400',
+};
+
+const LINE_PREFIXES = { added: '+', removed: '-', equal: ' ' };
+
+const VersionDiff = ({ snippetId, versions, initialFrom, language, onBack, onRestoreHunks }) => {
+  const { preferences } = useEditorPreferences();
+  const [from, setFrom] = useState(initialFrom);
+  const [to, setTo] = useState('current');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedHunks, setSelectedHunks] = useState([]);
+  const [copied, setCopied] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadDiff = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setSelectedHunks([]);
+        const result = await snippetService.getDiff(snippetId, { from, to });
+        if (!cancelled) setDiff(result);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to compare versions');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadDiff();
+    return () => {
+      cancelled = true;
+    };
+  }, [snippetId, from, to]);
+
+  // Hunks are undone against the current content, so only that comparison can restore them
+  const canRestoreHunks = to === 'current' && from !== 'current';
+
+  const copyText = async (text, key) => {
+    await navigator.clipboard.writeText(text);
+    setCopied(key);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  const toggleHunk = (index) => {
+    setSelectedHunks((current) => (
+      current.includes(index) ? current.filter(i => i !== index) : [...current, index]
+    ));
+  };
+
+  const handleRestoreHunks = async () => {
+    setRestoring(true);
+    try {
+      await onRestoreHunks(from, [...selectedHunks].sort((a, b) => a - b));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const renderSideSelect = (value, onChange) => (
+    <select
+      className="form-input py-1 text-sm w-auto"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      <option value="current">Current</option>
+      {versions.map((version) => (
+        <option key={version._id} value={version._id}>
+          Version {version.number}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center flex-wrap gap-3">
+        <button onClick={onBack} className="btn-secondary text-sm flex items-center">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          All versions
+        </button>
+        {renderSideSelect(from, setFrom)}
+        <span className="text-slate-400 text-sm">to</span>
+        {renderSideSelect(to, setTo)}
+        {diff && !loading && (
+          <>
+            <span className="text-green-400 text-sm">+{diff.additions}</span>
+            <span className="text-red-400 text-sm">-{diff.deletions}</span>
+            {diff.unified && (
+              <button
+                onClick={() => copyText(diff.unified, 'all')}
+                className="btn-secondary text-sm flex items-center ml-auto"
+              >
+                {copied === 'all' ? <Check className="w-4 h-4 mr-1" /> : <Copy className="w-4 h-4 mr-1" />}
+                Copy diff
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <LoadingSpinner text="Comparing versions..." />
+      ) : diff && (
+        <>
+          <div className="border border-slate-700 rounded-lg overflow-hidden" style={{ height: '360px' }}>
+            <DiffEditor
+              height="100%"
+              language={language}
+              original={diff.original}
+              modified={diff.modified}
+              theme={MONACO_THEMES[preferences.theme] || MONACO_THEMES.dark}
+              beforeMount={defineEditorThemes}
+              options={{
+                readOnly: true,
+                renderSideBySide: true,
+                automaticLayout: true,
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                fontSize: preferences.fontSize,
+                fontFamily: preferences.fontFamily,
+              }}
+            />
+          </div>
+
+          {diff.hunks.length === 0 ? (
+            <p className="text-slate-400 text-sm">No differences.</p>
+          ) : (
+            <div className="space-y-3">
+              {diff.hunks.map((hunk, index) => (
+                <div key={`${hunk.oldStart}-${hunk.newStart}`} className="border border-slate-700 rounded-lg overflow-hidden">
+                  <div className="flex items-center justify-between bg-slate-900/60 px-3 py-2">
+                    <label className="flex items-center text-slate-300 text-sm font-mono">
+                      {canRestoreHunks && (
+                        <input
+                          type="checkbox"
+                          className="mr-2"
+                          checked={selectedHunks.includes(index)}
+                          onChange={() => toggleHunk(index)}
+                        />
+                      )}
+                      @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+                    </label>
+                    <button
+                      onClick={() => copyText(hunk.patch, index)}
+                      className="text-slate-400 hover:text-white text-sm flex items-center"
+                    >
+                      {copied === index ? <Check className="w-4 h-4 mr-1" /> : <Copy className="w-4 h-4 mr-1" />}
+                      Copy
+                    </button>
+                  </div>
+                  <pre className="text-sm font-mono overflow-auto max-h-48">
+                    {hunk.lines.map((line, lineIndex) => (
+                      <div key={lineIndex} className={`px-3 ${LINE_STYLES[line.type]}`}>
+                        {LINE_PREFIXES[line.type]} {line.content}
+                      </div>
+                    ))}
+                  </pre>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {canRestoreHunks && diff.hunks.length > 0 && (
+            <div className="flex items-center justify-between">
+              <p className="text-slate-400 text-sm">
+                Checked hunks are restored to the left-hand version.
+              </p>
+              <button
+                onClick={handleRestoreHunks}
+                disabled={selectedHunks.length === 0 || restoring}
+                className="btn-primary text-sm flex items-center"
+              >
+                <RotateCcw className="w-4 h-4 mr-1" />
+                Restore selected ({selectedHunks.length})
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VersionDiff;
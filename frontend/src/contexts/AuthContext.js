@@ -39,16 +39,15 @@ export const AuthProvider = ({ children }) => {
    */
   const initializeAuth = async () => {
     try {
-      const token = localStorage.getItem('token');
-      if (token) {
+      if (authService.hasSession()) {
         // Verify token and get user info
         const userData = await authService.getCurrentUser();
         setUser(userData.user);
       }
     } catch (error) {
       console.error('Auth initialization error:', error);
-      // Clear invalid token
-      localStorage.removeItem('token');
+      // Clear invalid tokens
+      authService.clearTokens();
     } finally {
       setLoading(false);
     }
@@ -62,9 +61,14 @@ export const AuthProvider = ({ children }) => {
       setError(null);
       
       const response = await authService.login(email, password);
+
+      // Accounts with 2FA get a challenge instead of tokens
+      if (response.twoFactorRequired) {
+        return response;
+      }
       
-      // Store token
-      localStorage.setItem('token', response.token);
+      // Store access and refresh tokens
+      authService.setTokens(response);
       
       // Set user state
       setUser(response.user);
@@ -76,6 +80,44 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Complete a two-factor login challenge
+   */
+  const completeTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      setError(null);
+
+      const response = await authService.loginTwoFactor(challengeToken, { code, recoveryCode });
+
+      authService.setTokens(response);
+      setUser(response.user);
+
+      return response;
+    } catch (error) {
+      setError(error.response?.data?.message || 'Two-factor verification failed');
+      throw error;
+    }
+  };
+
+  /**
+   * Sign in with tokens issued outside the login form (e.g. single sign-on)
+   */
+  const loginWithTokens = async (tokens) => {
+    try {
+      setError(null);
+
+      authService.setTokens(tokens);
+      const userData = await authService.getCurrentUser();
+      setUser(userData.user);
+
+      return userData;
+    } catch (error) {
+      authService.clearTokens();
+      setError(error.response?.data?.message || 'Login failed');
+      throw error;
+    }
+  };
+
   /**
    * Register new user
    */
@@ -85,8 +127,8 @@ export const AuthProvider = ({ children }) => {
       
       const response = await authService.register(username, email, password);
       
-      // Store token
-      localStorage.setItem('token', response.token);
+      // Store access and refresh tokens
+      authService.setTokens(response);
       
       // Set user state
       setUser(response.user);
@@ -101,9 +143,9 @@ export const AuthProvider = ({ children }) => {
   /**
    * Logout user
    */
-  const logout = () => {
-    // Clear token
-    localStorage.removeItem('token');
+  const logout = async () => {
+    // Revoke the session and clear tokens
+    await authService.logout();
     
     // Clear user state
     setUser(null);
@@ -121,24 +163,25 @@ export const AuthProvider = ({ children }) => {
    * Update user information
    */
   const updateUser = (userData) => {
-    setUser(prevUser => ({
+    // Never create a user out of thin air when signed out
+    setUser(prevUser => prevUser && {
       ...prevUser,
       ...userData
-    }));
+    });
   };
 
   /**
    * Check if user is authenticated
    */
   const isAuthenticated = () => {
-    return !!user && !!localStorage.getItem('token');
+    return !!user && authService.hasSession();
   };
 
   /**
    * Get authentication token
    */
   const getToken = () => {
-    return localStorage.getItem('token');
+    return authService.getToken();
   };
 
   const value = {
@@ -146,6 +189,8 @@ export const AuthProvider = ({ children }) => {
     loading,
     error,
     login,
+    completeTwoFactorLogin,
+    loginWithTokens,
     register,
     logout,
     clearError,
@@ -0,0 +1,91 @@
+/**
+ * Editor Preferences Context
+ * Loads the signed-in user's code editor preferences so every CodeEditor
+ * renders with the same theme, font and indentation settings
+ */
+
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { useAuth } from './AuthContext';
+import userService from '../services/userService';
+
+// Matches the server defaults, also used when nobody is signed in
+export const DEFAULT_EDITOR_PREFERENCES = {
+  theme: 'dark',
+  fontFamily: 'Monaco, Menlo, "Ubuntu Mono", monospace',
+  fontSize: 14,
+  tabSize: 2,
+  insertSpaces: true,
+  wordWrap: true,
+  minimap: false,
+  lineNumbers: 'on',
+  keybindings: 'default',
+};
+
+const EditorPreferencesContext = createContext();
+
+/**
+ * Custom hook to use editor preferences context
+ */
+export const useEditorPreferences = () => {
+  const context = useContext(EditorPreferencesContext);
+  if (!context) {
+    throw new Error('useEditorPreferences must be used within an EditorPreferencesProvider');
+  }
+  return context;
+};
+
+/**
+ * Editor Preferences Provider Component
+ */
+export const EditorPreferencesProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?._id;
+  const [preferences, setPreferences] = useState(DEFAULT_EDITOR_PREFERENCES);
+
+  /**
+   * Reload preferences whenever a different user signs in
+   */
+  useEffect(() => {
+    if (!userId) {
+      setPreferences(DEFAULT_EDITOR_PREFERENCES);
+      return;
+    }
+
+    let cancelled = false;
+    userService.getPreferences()
+      .then((data) => {
+        if (!cancelled) {
+          setPreferences({ ...DEFAULT_EDITOR_PREFERENCES, ...data.preferences });
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load editor preferences:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  /**
+   * Save preferences on the server and apply them to every editor
+   */
+  const savePreferences = async (newPreferences) => {
+    const response = await userService.updatePreferences(newPreferences);
+    setPreferences({ ...DEFAULT_EDITOR_PREFERENCES, ...response.preferences });
+    return response;
+  };
+
+  const value = {
+    preferences,
+    savePreferences,
+  };
+
+  return (
+    <EditorPreferencesContext.Provider value={value}>
+      {children}
+    </EditorPreferencesContext.Provider>
+  );
+};
+
+export default EditorPreferencesContext;
@@ -0,0 +1,85 @@
+/**
+ * Organization Context
+ * Loads the organizations the signed-in user belongs to and tracks which one
+ * is active; new snippets and workspaces are created under the active one
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import organizationService from '../services/organizationService';
+
+// Remembers the active organization across reloads (null = personal account)
+const ACTIVE_ORGANIZATION_KEY = 'activeOrganization';
+
+const OrganizationContext = createContext();
+
+/**
+ * Custom hook to use organization context
+ */
+export const useOrganizations = () => {
+  const context = useContext(OrganizationContext);
+  if (!context) {
+    throw new Error('useOrganizations must be used within an OrganizationProvider');
+  }
+  return context;
+};
+
+/**
+ * Organization Provider Component
+ */
+export const OrganizationProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?._id;
+  const [organizations, setOrganizations] = useState([]);
+  const [activeId, setActiveId] = useState(() => localStorage.getItem(ACTIVE_ORGANIZATION_KEY));
+
+  const refreshOrganizations = useCallback(async () => {
+    const data = await organizationService.getOrganizations();
+    setOrganizations(data.organizations || []);
+    return data.organizations || [];
+  }, []);
+
+  /**
+   * Reload organizations whenever a different user signs in
+   */
+  useEffect(() => {
+    if (!userId) {
+      setOrganizations([]);
+      return;
+    }
+
+    refreshOrganizations().catch((error) => {
+      console.error('Failed to load organizations:', error);
+    });
+  }, [userId, refreshOrganizations]);
+
+  /**
+   * Switch to an organization by id, or back to the personal account with null
+   */
+  const switchOrganization = useCallback((organizationId) => {
+    if (organizationId) {
+      localStorage.setItem(ACTIVE_ORGANIZATION_KEY, organizationId);
+    } else {
+      localStorage.removeItem(ACTIVE_ORGANIZATION_KEY);
+    }
+    setActiveId(organizationId || null);
+  }, []);
+
+  // An organization the user has left falls back to the personal account
+  const activeOrganization = organizations.find(org => org._id === activeId) || null;
+
+  const value = {
+    organizations,
+    activeOrganization,
+    switchOrganization,
+    refreshOrganizations,
+  };
+
+  return (
+    <OrganizationContext.Provider value={value}>
+      {children}
+    </OrganizationContext.Provider>
+  );
+};
+
+export default OrganizationContext;
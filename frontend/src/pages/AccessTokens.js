@@ -0,0 +1,280 @@
+/**
+ * Access Tokens Page Component
+ * Create and revoke personal access tokens for API and CLI use
+ */
+
+import React, { useState, useEffect } from 'react';
+import { KeyRound, Plus, Trash2, Copy, Check, Clock } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import tokenService from '../services/tokenService';
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'No expiration' }
+];
+
+const AccessTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const [newToken, setNewToken] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [form, setForm] = useState({ name: '', scopes: [], expiresInDays: '30' });
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const loadTokens = async () => {
+    try {
+      setLoading(true);
+      const response = await tokenService.getTokens();
+      setTokens(response.tokens || []);
+      setAvailableScopes(response.availableScopes || []);
+    } catch (error) {
+      console.error('Failed to load access tokens:', error);
+      setError(error.response?.data?.message || 'Failed to load access tokens');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope)
+        ? form.scopes.filter(s => s !== scope)
+        : [...form.scopes, scope]
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!form.name.trim() || form.scopes.length === 0) {
+      setError('Please enter a name and select at least one scope');
+      return;
+    }
+
+    try {
+      setCreating(true);
+      const response = await tokenService.createToken({
+        name: form.name,
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays || null
+      });
+      setTokens([response.accessToken, ...tokens]);
+      setNewToken(response.token);
+      setCopied(false);
+      setForm({ name: '', scopes: [], expiresInDays: '30' });
+    } catch (error) {
+      console.error('Failed to create access token:', error);
+      setError(error.response?.data?.message || 'Failed to create access token');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm('Revoke this token? Scripts using it will stop working.')) return;
+
+    try {
+      await tokenService.revokeToken(id);
+      setTokens(tokens.filter(t => t._id !== id));
+    } catch (error) {
+      console.error('Failed to revoke access token:', error);
+      setError(error.response?.data?.message || 'Failed to revoke access token');
+    }
+  };
+
+  const copyNewToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy token:', error);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  return (
+    <div className="space-y-6 max-w-3xl mx-auto">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-white flex items-center">
+          <KeyRound className="w-7 h-7 mr-3" />
+          Access Tokens
+        </h1>
+        <p className="mt-2 text-slate-400">
+          Use personal access tokens to call the API from scripts and the command line
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {newToken && (
+        <div className="card border-green-500/30">
+          <p className="text-green-400 font-medium mb-3">
+            Copy your new token now. You won't be able to see it again.
+          </p>
+          <div className="flex">
+            <input
+              type="text"
+              className="form-input flex-1 mr-2 text-sm font-mono"
+              value={newToken}
+              readOnly
+            />
+            <button onClick={copyNewToken} className="btn-secondary px-3">
+              {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+            </button>
+          </div>
+          <p className="text-xs text-slate-400 mt-3">
+            Send it as <code className="text-slate-300">Authorization: Bearer &lt;token&gt;</code>
+          </p>
+        </div>
+      )}
+
+      {/* New Token */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Plus className="w-5 h-5 mr-2" />
+            New Token
+          </h2>
+        </div>
+
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="tokenName" className="block text-sm font-medium text-slate-300 mb-2">
+                Name
+              </label>
+              <input
+                id="tokenName"
+                type="text"
+                maxLength={50}
+                className="form-input"
+                placeholder="e.g. Deploy script"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="tokenExpiry" className="block text-sm font-medium text-slate-300 mb-2">
+                Expiration
+              </label>
+              <select
+                id="tokenExpiry"
+                className="form-input"
+                value={form.expiresInDays}
+                onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.label} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-slate-300 mb-2">Scopes</span>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="flex items-center text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    className="mr-2"
+                  />
+                  <code className="text-sm">{scope}</code>
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 mt-2">
+              Write scopes include read access to the same resource
+            </p>
+          </div>
+
+          <button type="submit" disabled={creating} className="btn-primary">
+            {creating ? 'Creating...' : 'Generate token'}
+          </button>
+        </form>
+      </div>
+
+      {/* Existing Tokens */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-xl font-semibold text-white">Your Tokens</h2>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner text="Loading tokens..." />
+        ) : tokens.length === 0 ? (
+          <p className="text-slate-400">You don't have any access tokens yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {tokens.map((token) => (
+              <div
+                key={token._id}
+                className="flex items-center justify-between p-4 border border-slate-700 rounded-lg bg-slate-800/50"
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-white truncate">
+                    {token.name}
+                    <span className="ml-2 text-xs font-mono text-slate-500">…{token.tokenHint}</span>
+                  </p>
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {token.scopes.map((scope) => (
+                      <span key={scope} className="bg-blue-500/20 text-blue-400 px-2 py-0.5 rounded-full text-xs font-medium">
+                        {scope}
+                      </span>
+                    ))}
+                  </div>
+                  <div className="flex items-center space-x-4 text-xs text-slate-500 mt-2">
+                    <span className="flex items-center">
+                      <Clock className="w-3 h-3 mr-1" />
+                      {token.lastUsedAt ? `Last used ${formatDate(token.lastUsedAt)}` : 'Never used'}
+                    </span>
+                    <span>
+                      {token.expiresAt ? `Expires ${formatDate(token.expiresAt)}` : 'Never expires'}
+                    </span>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(token._id)}
+                  className="ml-4 p-2 text-slate-400 hover:text-red-400 transition-colors"
+                  title="Revoke token"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccessTokens;
@@ -0,0 +1,444 @@
+/**
+ * Admin Page Component
+ * Moderation console: platform stats, user suspensions and bans,
+ * snippet takedowns and workspace removal
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ShieldAlert, Users, Code, FolderOpen, Search, Ban, PauseCircle, PlayCircle,
+  EyeOff, Undo2, Trash2, Activity
+} from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import adminService from '../services/adminService';
+
+const TABS = [
+  { id: 'users', label: 'Users', icon: Users },
+  { id: 'snippets', label: 'Snippets', icon: Code },
+  { id: 'workspaces', label: 'Workspaces', icon: FolderOpen }
+];
+
+const STATUS_STYLES = {
+  active: 'bg-green-500/20 text-green-400',
+  suspended: 'bg-yellow-500/20 text-yellow-400',
+  banned: 'bg-red-500/20 text-red-400'
+};
+
+const Admin = () => {
+  const [stats, setStats] = useState(null);
+  const [tab, setTab] = useState('users');
+  const [filter, setFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [items, setItems] = useState([]);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [action, setAction] = useState(null); // { type, id } of the row being acted on
+  const [actionForm, setActionForm] = useState({ reason: '', durationDays: '' });
+
+  const loadStats = useCallback(async () => {
+    try {
+      setStats(await adminService.getStats());
+    } catch (error) {
+      console.error('Failed to load stats:', error);
+    }
+  }, []);
+
+  const loadItems = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const params = { page: currentPage, search: query || undefined };
+
+      let response;
+      if (tab === 'users') {
+        response = await adminService.getUsers({ ...params, status: filter || undefined });
+        setItems(response.users || []);
+      } else if (tab === 'snippets') {
+        response = await adminService.getSnippets({ ...params, status: filter || 'public' });
+        setItems(response.snippets || []);
+      } else {
+        response = await adminService.getWorkspaces(params);
+        setItems(response.workspaces || []);
+      }
+      setTotalPages(response.totalPages || 1);
+    } catch (error) {
+      console.error('Failed to load admin data:', error);
+      setError(error.response?.data?.message || 'Failed to load data');
+    } finally {
+      setLoading(false);
+    }
+  }, [tab, filter, query, currentPage]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  const switchTab = (id) => {
+    setTab(id);
+    setFilter('');
+    setSearch('');
+    setQuery('');
+    setCurrentPage(1);
+    setAction(null);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery(search.trim());
+    setCurrentPage(1);
+  };
+
+  const openAction = (type, id) => {
+    setAction({ type, id });
+    setActionForm({ reason: '', durationDays: '' });
+  };
+
+  // Run a moderation call, then refresh the list and the stats
+  const run = async (request) => {
+    try {
+      setError('');
+      const response = await request();
+      setNotice(response.message);
+      setAction(null);
+      await Promise.all([loadItems(), loadStats()]);
+    } catch (error) {
+      console.error('Moderation action failed:', error);
+      setError(error.response?.data?.message || 'Action failed');
+    }
+  };
+
+  const submitAction = (e) => {
+    e.preventDefault();
+    const { type, id } = action;
+    const reason = actionForm.reason.trim();
+
+    if (type === 'unpublish') {
+      run(() => adminService.unpublishSnippet(id, reason));
+    } else {
+      run(() => adminService.setUserStatus(id, {
+        status: type,
+        reason,
+        durationDays: type === 'suspended' && actionForm.durationDays ? Number(actionForm.durationDays) : undefined
+      }));
+    }
+  };
+
+  const reinstateUser = (id) => {
+    run(() => adminService.setUserStatus(id, { status: 'active' }));
+  };
+
+  const liftTakedown = (id) => {
+    run(() => adminService.clearSnippetModeration(id));
+  };
+
+  const deleteWorkspace = (workspace) => {
+    if (!window.confirm(`Delete workspace "${workspace.name}" and all its files? This cannot be undone.`)) return;
+    run(() => adminService.deleteWorkspace(workspace.workspaceId));
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const statCards = stats ? [
+    { label: 'Users', value: stats.users.total, detail: `${stats.users.newThisWeek} new this week`, icon: Users, style: 'bg-blue-500/20 text-blue-400' },
+    { label: 'Suspended / Banned', value: `${stats.users.suspended} / ${stats.users.banned}`, detail: `${stats.users.admins} admins`, icon: Ban, style: 'bg-red-500/20 text-red-400' },
+    { label: 'Snippets', value: stats.snippets.total, detail: `${stats.snippets.public} public, ${stats.snippets.unpublishedByModerators} taken down`, icon: Code, style: 'bg-purple-500/20 text-purple-400' },
+    { label: 'Workspaces', value: stats.workspaces.total, detail: `${stats.activeSessions} active sessions`, icon: FolderOpen, style: 'bg-green-500/20 text-green-400' }
+  ] : [];
+
+  const renderActionForm = () => (
+    <form onSubmit={submitAction} className="mt-3 p-3 bg-slate-900/50 rounded-lg space-y-3">
+      <input
+        type="text"
+        maxLength={500}
+        className="form-input text-sm"
+        placeholder="Reason (shown to the user)"
+        value={actionForm.reason}
+        onChange={(e) => setActionForm({ ...actionForm, reason: e.target.value })}
+      />
+      {action.type === 'suspended' && (
+        <input
+          type="number"
+          min={1}
+          max={365}
+          className="form-input text-sm"
+          placeholder="Days (leave empty for indefinite)"
+          value={actionForm.durationDays}
+          onChange={(e) => setActionForm({ ...actionForm, durationDays: e.target.value })}
+        />
+      )}
+      <div className="flex items-center space-x-2">
+        <button type="submit" className="btn-danger text-sm">
+          {{ suspended: 'Suspend', banned: 'Ban', unpublish: 'Unpublish' }[action.type]}
+        </button>
+        <button type="button" onClick={() => setAction(null)} className="btn-secondary text-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderUser = (user) => (
+    <div key={user._id} className="p-4 border border-slate-700 rounded-lg bg-slate-800/50">
+      <div className="flex items-center justify-between">
+        <div className="min-w-0">
+          <div className="flex items-center space-x-2">
+            <Link to={`/u/${encodeURIComponent(user.username)}`} className="font-medium text-white hover:text-blue-400">
+              {user.username}
+            </Link>
+            <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[user.status] || STATUS_STYLES.active}`}>
+              {user.status}
+            </span>
+            {user.role === 'admin' && (
+              <span className="px-2 py-0.5 rounded-full text-xs bg-blue-500/20 text-blue-400">admin</span>
+            )}
+          </div>
+          <p className="text-sm text-slate-400 truncate">
+            {user.email} · joined {formatDate(user.createdAt)}
+            {user.status === 'suspended' && user.suspendedUntil && ` · until ${formatDate(user.suspendedUntil)}`}
+          </p>
+          {user.suspensionReason && (
+            <p className="text-xs text-slate-500 mt-1">Reason: {user.suspensionReason}</p>
+          )}
+        </div>
+        {user.role !== 'admin' && (
+          <div className="flex items-center space-x-2 ml-4">
+            {user.status === 'active' ? (
+              <>
+                <button onClick={() => openAction('suspended', user._id)} className="btn-secondary text-sm flex items-center">
+                  <PauseCircle className="w-4 h-4 mr-1" />
+                  Suspend
+                </button>
+                <button onClick={() => openAction('banned', user._id)} className="btn-danger text-sm flex items-center">
+                  <Ban className="w-4 h-4 mr-1" />
+                  Ban
+                </button>
+              </>
+            ) : (
+              <button onClick={() => reinstateUser(user._id)} className="btn-secondary text-sm flex items-center">
+                <PlayCircle className="w-4 h-4 mr-1" />
+                Reinstate
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+      {action?.id === user._id && renderActionForm()}
+    </div>
+  );
+
+  const renderSnippet = (snippet) => (
+    <div key={snippet._id} className="p-4 border border-slate-700 rounded-lg bg-slate-800/50">
+      <div className="flex items-center justify-between">
+        <div className="min-w-0">
+          <p className="font-medium text-white truncate">{snippet.title}</p>
+          <p className="text-sm text-slate-400">
+            {snippet.lang} · by {snippet.author?.username || 'unknown'} · {formatDate(snippet.createdAt)}
+          </p>
+          {snippet.moderation?.unpublishedAt && (
+            <p className="text-xs text-slate-500 mt-1">
+              Taken down {formatDate(snippet.moderation.unpublishedAt)}
+              {snippet.moderation.unpublishedBy && ` by ${snippet.moderation.unpublishedBy.username}`}
+              {snippet.moderation.reason && `: ${snippet.moderation.reason}`}
+            </p>
+          )}
+        </div>
+        <div className="ml-4">
+          {snippet.moderation?.unpublishedAt ? (
+            <button onClick={() => liftTakedown(snippet._id)} className="btn-secondary text-sm flex items-center">
+              <Undo2 className="w-4 h-4 mr-1" />
+              Lift takedown
+            </button>
+          ) : (
+            <button onClick={() => openAction('unpublish', snippet._id)} className="btn-danger text-sm flex items-center">
+              <EyeOff className="w-4 h-4 mr-1" />
+              Unpublish
+            </button>
+          )}
+        </div>
+      </div>
+      {action?.id === snippet._id && renderActionForm()}
+    </div>
+  );
+
+  const renderWorkspace = (workspace) => (
+    <div key={workspace.workspaceId} className="p-4 border border-slate-700 rounded-lg bg-slate-800/50">
+      <div className="flex items-center justify-between">
+        <div className="min-w-0">
+          <p className="font-medium text-white truncate">{workspace.name}</p>
+          <p className="text-sm text-slate-400">
+            by {workspace.owner?.username || 'unknown'} · {workspace.collaborators?.length || 0} collaborators
+            · {workspace.files?.length || 0} files · updated {formatDate(workspace.updatedAt)}
+          </p>
+        </div>
+        <button onClick={() => deleteWorkspace(workspace)} className="btn-danger text-sm flex items-center ml-4">
+          <Trash2 className="w-4 h-4 mr-1" />
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderers = { users: renderUser, snippets: renderSnippet, workspaces: renderWorkspace };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-white flex items-center">
+          <ShieldAlert className="w-7 h-7 mr-3" />
+          Admin
+        </h1>
+        <p className="mt-2 text-slate-400">
+          Moderate users and content across DevCollab
+        </p>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {statCards.map((stat) => {
+          const Icon = stat.icon;
+          return (
+            <div key={stat.label} className="card">
+              <div className="flex items-center">
+                <div className={`p-3 rounded-lg ${stat.style}`}>
+                  <Icon className="w-6 h-6" />
+                </div>
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-slate-400">{stat.label}</p>
+                  <p className="text-2xl font-bold text-white">{stat.value}</p>
+                  <p className="text-xs text-slate-500">{stat.detail}</p>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {error && (
+        <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {notice && (
+        <div className="bg-green-900/20 border border-green-500/30 text-green-400 px-4 py-3 rounded-lg">
+          {notice}
+        </div>
+      )}
+
+      <div className="card">
+        {/* Tabs */}
+        <div className="card-header flex flex-wrap items-center gap-2">
+          {TABS.map((item) => {
+            const Icon = item.icon;
+            return (
+              <button
+                key={item.id}
+                onClick={() => switchTab(item.id)}
+                className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                  tab === item.id
+                    ? 'bg-blue-500/20 text-blue-400 font-medium border border-blue-500/30'
+                    : 'text-slate-300 hover:text-white hover:bg-slate-800'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                <span>{item.label}</span>
+              </button>
+            );
+          })}
+        </div>
+
+        {/* Search and filters */}
+        <form onSubmit={handleSearch} className="flex flex-col sm:flex-row gap-2 mb-4">
+          <div className="relative flex-1">
+            <Search className="w-4 h-4 text-slate-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              className="form-input pl-9"
+              placeholder={tab === 'users' ? 'Search by username or email' : 'Search by name'}
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+          {tab === 'users' && (
+            <select
+              className="form-input sm:w-44"
+              value={filter}
+              onChange={(e) => { setFilter(e.target.value); setCurrentPage(1); }}
+            >
+              <option value="">All statuses</option>
+              <option value="active">Active</option>
+              <option value="suspended">Suspended</option>
+              <option value="banned">Banned</option>
+            </select>
+          )}
+          {tab === 'snippets' && (
+            <select
+              className="form-input sm:w-44"
+              value={filter}
+              onChange={(e) => { setFilter(e.target.value); setCurrentPage(1); }}
+            >
+              <option value="">Public</option>
+              <option value="unpublished">Taken down</option>
+            </select>
+          )}
+          <button type="submit" className="btn-primary">Search</button>
+        </form>
+
+        {/* Results */}
+        {loading ? (
+          <LoadingSpinner text="Loading..." />
+        ) : items.length > 0 ? (
+          <div className="space-y-3">
+            {items.map(renderers[tab])}
+          </div>
+        ) : (
+          <div className="text-center py-8">
+            <Activity className="w-10 h-10 text-slate-600 mx-auto mb-2" />
+            <p className="text-slate-400">Nothing to show</p>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="flex items-center justify-center space-x-2 mt-6">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={currentPage === 1}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-slate-400">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={currentPage === totalPages}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
@@ -0,0 +1,256 @@
+/**
+ * Collection Page Component
+ * Shareable page of a public collection: its public snippets (with code)
+ * and public subcollections, viewable without signing in
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { Folder, FolderOpen, ChevronLeft, ChevronDown, ChevronRight, Clock, Code, Copy, Check, User } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import AuthorLink from '../components/AuthorLink';
+import collectionService from '../services/collectionService';
+
+const Collection = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [collection, setCollection] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [snippets, setSnippets] = useState([]);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [openSnippetId, setOpenSnippetId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    setCollection(null);
+    setCurrentPage(1);
+  }, [id]);
+
+  useEffect(() => {
+    const loadCollection = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await collectionService.getPublicCollection(id, { page: currentPage });
+        setCollection(response.collection);
+        setCollections(response.collections || []);
+        setSnippets(response.snippets || []);
+        setTotalPages(response.totalPages || 1);
+      } catch (error) {
+        console.error('Failed to load collection:', error);
+        setError(error.response?.data?.message || 'Failed to load collection');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadCollection();
+  }, [id, currentPage]);
+
+  const copyCode = async (snippet) => {
+    await navigator.clipboard.writeText(snippet.content);
+    setCopiedId(snippet._id);
+    setTimeout(() => setCopiedId(null), 2000);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const getLanguageColor = (language) => {
+    const colors = {
+      javascript: 'bg-yellow-100 text-yellow-800',
+      typescript: 'bg-blue-100 text-blue-800',
+      python: 'bg-green-100 text-green-800',
+      java: 'bg-red-100 text-red-800',
+      cpp: 'bg-purple-100 text-purple-800',
+      html: 'bg-orange-100 text-orange-800',
+      css: 'bg-pink-100 text-pink-800',
+      default: 'bg-gray-100 text-gray-800'
+    };
+    return colors[language] || colors.default;
+  };
+
+  if (loading && !collection) {
+    return <LoadingSpinner text="Loading collection..." />;
+  }
+
+  if (error || !collection) {
+    return (
+      <div className="text-center py-12">
+        <Folder className="w-16 h-16 text-slate-500 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-white mb-2">Collection Not Available</h1>
+        <p className="text-slate-400 mb-8">{error}</p>
+        <Link to="/" className="btn-primary">
+          Go to DevCollab
+        </Link>
+      </div>
+    );
+  }
+
+  const isOwner = user && collection.owner && user._id === collection.owner._id;
+
+  return (
+    <div className="space-y-6 max-w-4xl mx-auto">
+      {/* Collection Header */}
+      <div className="card">
+        {collection.parent && (
+          <Link
+            to={`/collections/${collection.parent._id}`}
+            className="flex items-center text-sm text-slate-400 hover:text-white mb-3"
+          >
+            <ChevronLeft className="w-4 h-4 mr-1" />
+            {collection.parent.name}
+          </Link>
+        )}
+        <div className="flex items-start justify-between">
+          <h1 className="text-3xl font-bold text-white flex items-center">
+            <FolderOpen className="w-8 h-8 mr-3 text-blue-400" />
+            {collection.name}
+          </h1>
+          {isOwner && (
+            <Link to={`/snippets?collection=${collection._id}`} className="btn-secondary text-sm">
+              Manage
+            </Link>
+          )}
+        </div>
+        {collection.description && (
+          <p className="mt-2 text-slate-300 whitespace-pre-line">{collection.description}</p>
+        )}
+        <div className="mt-4 flex flex-wrap items-center gap-4 text-sm text-slate-400">
+          <span className="flex items-center">
+            <User className="w-4 h-4 mr-1" />
+            <AuthorLink author={collection.owner} />
+          </span>
+          <span className="flex items-center">
+            <Clock className="w-4 h-4 mr-1" />
+            Updated {formatDate(collection.updatedAt)}
+          </span>
+        </div>
+
+        {/* Subcollections */}
+        {collections.length > 0 && (
+          <div className="mt-4 flex flex-wrap gap-2">
+            {collections.map((child) => (
+              <Link
+                key={child._id}
+                to={`/collections/${child._id}`}
+                className="flex items-center px-3 py-2 rounded-lg text-sm text-slate-300 bg-slate-800 hover:bg-slate-700"
+              >
+                <Folder className="w-4 h-4 mr-2" />
+                {child.name}
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Snippets */}
+      <div className="card">
+        {snippets.length > 0 ? (
+          <div className="space-y-4">
+            {snippets.map((snippet) => (
+              <div
+                key={snippet._id}
+                className="p-4 border border-slate-700 rounded-lg bg-slate-800/50"
+              >
+                <div className="flex items-start justify-between">
+                  <button
+                    onClick={() => setOpenSnippetId(openSnippetId === snippet._id ? null : snippet._id)}
+                    className="flex items-start text-left flex-1 min-w-0"
+                  >
+                    {openSnippetId === snippet._id ? (
+                      <ChevronDown className="w-4 h-4 mt-1 mr-2 text-slate-400 flex-shrink-0" />
+                    ) : (
+                      <ChevronRight className="w-4 h-4 mt-1 mr-2 text-slate-400 flex-shrink-0" />
+                    )}
+                    <div className="min-w-0">
+                      <h3 className="font-medium text-white mb-1">{snippet.title}</h3>
+                      <p className="text-sm text-slate-400 line-clamp-2">
+                        {snippet.description || 'No description'}
+                      </p>
+                    </div>
+                  </button>
+                  {user && (
+                    <Link
+                      to={`/snippets/${snippet._id}`}
+                      className="text-blue-400 hover:text-blue-300 text-sm font-medium ml-4"
+                    >
+                      Open
+                    </Link>
+                  )}
+                </div>
+
+                <div className="flex items-center space-x-4 text-xs text-slate-500 mt-2 ml-6">
+                  <span className={`px-2 py-1 rounded-full ${getLanguageColor(snippet.lang)}`}>
+                    {snippet.lang}
+                  </span>
+                  <span className="flex items-center">
+                    <User className="w-3 h-3 mr-1" />
+                    <AuthorLink author={snippet.author} />
+                  </span>
+                  <span className="flex items-center">
+                    <Clock className="w-3 h-3 mr-1" />
+                    {formatDate(snippet.createdAt)}
+                  </span>
+                </div>
+
+                {openSnippetId === snippet._id && (
+                  <div className="mt-3 ml-6 relative">
+                    <button
+                      onClick={() => copyCode(snippet)}
+                      className="absolute top-2 right-2 text-slate-400 hover:text-white"
+                      title="Copy code"
+                    >
+                      {copiedId === snippet._id ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+                    </button>
+                    <pre className="bg-slate-900 rounded p-3 text-sm font-mono text-slate-300 overflow-auto max-h-96">
+                      {snippet.content}
+                    </pre>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-center py-8">
+            <Code className="w-12 h-12 text-slate-500 mx-auto mb-4" />
+            <p className="text-slate-400">This collection has no public snippets yet.</p>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="flex items-center justify-center space-x-2 mt-6">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={currentPage === 1}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-slate-400">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={currentPage === totalPages}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Collection;
@@ -1,6 +1,7 @@
 /**
  * Dashboard Page Component
- * Main dashboard showing overview of snippets and workspaces
+ * Main dashboard showing overview of snippets and workspaces, and the feed
+ * of public snippets from followed developers
  */
 
 import React, { useState, useEffect } from 'react';
@@ -19,11 +20,16 @@ import {
   Heart,
   FolderOpen,
   Users,
-  FileCode
+  FileCode,
+  User,
+  Rss
 } from 'lucide-react';
 import LoadingSpinner from '../components/LoadingSpinner';
+import AuthorLink from '../components/AuthorLink';
+import UserAvatar from '../components/UserAvatar';
 import snippetService from '../services/snippetService';
 import workspaceService from '../services/workspaceService';
+import feedService from '../services/feedService';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -39,11 +45,34 @@ const Dashboard = () => {
   const [popularSnippets, setPopularSnippets] = useState([]);
   const [trendingLanguages, setTrendingLanguages] = useState([]);
   const [recentWorkspaces, setRecentWorkspaces] = useState([]);
+  const [feed, setFeed] = useState({ items: [], following: 0, currentPage: 1, totalPages: 1 });
+  const [loadingFeed, setLoadingFeed] = useState(false);
 
   useEffect(() => {
     loadDashboardData();
+    loadFeed();
   }, []);
 
+  /**
+   * Load a page of the feed, later pages are appended
+   */
+  const loadFeed = async (page = 1) => {
+    try {
+      setLoadingFeed(true);
+      const response = await feedService.getFeed({ page });
+      setFeed((prev) => ({
+        items: page === 1 ? response.items : [...prev.items, ...response.items],
+        following: response.following,
+        currentPage: response.currentPage,
+        totalPages: response.totalPages
+      }));
+    } catch (error) {
+      console.error('Failed to load feed:', error);
+    } finally {
+      setLoadingFeed(false);
+    }
+  };
+
   const loadDashboardData = async () => {
     try {
       setLoading(true);
@@ -53,11 +82,14 @@ const Dashboard = () => {
 
       const popularResponse = await snippetService.getSnippets({
         limit: 5,
-        sortBy: 'views',
-        isPublic: true
+        scope: 'public',
+        sort: 'views'
       });
       setPopularSnippets(popularResponse.snippets || []);
 
+      const trendingResponse = await snippetService.getTrending({ window: 'week', limit: 1 });
+      setTrendingLanguages((trendingResponse.languages || []).slice(0, 5));
+
       const workspacesResponse = await workspaceService.getWorkspaces();
       setRecentWorkspaces((workspacesResponse.workspaces || []).slice(0, 3));
 
@@ -67,16 +99,6 @@ const Dashboard = () => {
       const totalViews = snippets.reduce((sum, s) => sum + (s.views || 0), 0);
       const totalLikes = snippets.reduce((sum, s) => sum + (s.likes?.length || 0), 0);
 
-      const languageCount = {};
-      snippets.forEach(s => {
-        languageCount[s.language] = (languageCount[s.language] || 0) + 1;
-      });
-      const trending = Object.entries(languageCount)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 5)
-        .map(([lang, count]) => ({ language: lang, count }));
-      setTrendingLanguages(trending);
-
       setStats({
         snippets: snippetsResponse.total || 0,
         publicSnippets,
@@ -270,6 +292,85 @@ const Dashboard = () => {
         </Link>
       </div>
 
+      {/* Feed */}
+      <div className="card">
+        <div className="card-header">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-white flex items-center">
+              <Rss className="w-5 h-5 mr-2" />
+              Feed
+            </h2>
+            {feed.following > 0 && (
+              <span className="text-sm text-slate-400">
+                Following {feed.following} {feed.following === 1 ? 'developer' : 'developers'}
+              </span>
+            )}
+          </div>
+        </div>
+
+        {feed.items.length > 0 ? (
+          <div className="space-y-4">
+            {feed.items.map((item) => (
+              <Link
+                key={`${item.snippet._id}-${item.at}`}
+                to={`/snippets/${item.snippet._id}`}
+                className="flex items-start p-4 border border-slate-700 rounded-lg hover:border-blue-500/50 hover:shadow-sm transition-all bg-slate-800/50"
+              >
+                <UserAvatar user={item.snippet.author} size="sm" />
+                <div className="ml-3 flex-1 min-w-0">
+                  <p className="text-sm text-slate-400 mb-1">
+                    <AuthorLink author={item.snippet.author} nested className="font-medium text-slate-200" />
+                    {item.action === 'updated' ? ' updated ' : ' published '}
+                    <span className="font-medium text-white">{item.snippet.title}</span>
+                  </p>
+                  <p className="text-sm text-slate-400 mb-2 line-clamp-2">
+                    {item.snippet.description || 'No description'}
+                  </p>
+                  <div className="flex items-center space-x-4 text-xs text-slate-500">
+                    <span className={`px-2 py-1 rounded-full ${getLanguageColor(item.snippet.lang)}`}>
+                      {item.snippet.lang}
+                    </span>
+                    <span className="flex items-center">
+                      <Clock className="w-3 h-3 mr-1" />
+                      {formatDate(item.at)}
+                    </span>
+                    <span className="flex items-center">
+                      <Eye className="w-3 h-3 mr-1" />
+                      {item.snippet.views}
+                    </span>
+                    <span className="flex items-center">
+                      <Heart className="w-3 h-3 mr-1" />
+                      {item.snippet.likes?.length || 0}
+                    </span>
+                  </div>
+                </div>
+              </Link>
+            ))}
+
+            {feed.currentPage < feed.totalPages && (
+              <div className="text-center">
+                <button
+                  onClick={() => loadFeed(feed.currentPage + 1)}
+                  disabled={loadingFeed}
+                  className="btn-secondary text-sm"
+                >
+                  {loadingFeed ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="text-center py-8">
+            <Rss className="w-12 h-12 text-slate-500 mx-auto mb-4" />
+            <p className="text-slate-400">
+              {feed.following > 0
+                ? 'The developers you follow have not published anything yet'
+                : 'Follow developers from their profile pages to see their public snippets here'}
+            </p>
+          </div>
+        )}
+      </div>
+
       <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
         {/* Recent Snippets */}
         <div className="card">
@@ -320,6 +421,10 @@ const Dashboard = () => {
                           <Heart className="w-3 h-3 mr-1" />
                           {snippet.likes?.length || 0}
                         </span>
+                        <span className="flex items-center">
+                          <User className="w-3 h-3 mr-1" />
+                          <AuthorLink author={snippet.author} nested />
+                        </span>
                         {snippet.isPublic ? (
                           <Globe className="w-3 h-3 text-green-400" />
                         ) : (
@@ -394,6 +499,10 @@ const Dashboard = () => {
                           <Clock className="w-3 h-3 mr-1" />
                           {formatDate(snippet.createdAt)}
                         </span>
+                        <span className="flex items-center">
+                          <User className="w-3 h-3 mr-1" />
+                          <AuthorLink author={snippet.author} nested />
+                        </span>
                       </div>
                     </div>
                   </div>
@@ -417,26 +526,35 @@ const Dashboard = () => {
         {/* Trending Languages */}
         <div className="card">
           <div className="card-header">
-            <h2 className="text-xl font-semibold text-white flex items-center">
-              <TrendingUp className="w-5 h-5 mr-2" />
-              Trending Languages
-            </h2>
+            <div className="flex items-center justify-between">
+              <h2 className="text-xl font-semibold text-white flex items-center">
+                <TrendingUp className="w-5 h-5 mr-2" />
+                Trending Languages
+              </h2>
+              <span className="text-sm text-slate-400">This week</span>
+            </div>
           </div>
 
           <div className="space-y-4">
             {trendingLanguages.length > 0 ? (
               trendingLanguages.map((item, index) => (
-                <div key={item.language} className="flex items-center justify-between">
+                <Link
+                  key={item.lang}
+                  to={`/snippets?filter=trending&language=${item.lang}`}
+                  className="flex items-center justify-between hover:bg-slate-800/50 rounded-lg"
+                >
                   <div className="flex items-center">
                     <span className="w-6 h-6 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-xs font-bold text-white mr-3">
                       {index + 1}
                     </span>
-                    <span className={`px-2 py-1 rounded-full text-xs ${getLanguageColor(item.language)}`}>
-                      {item.language}
+                    <span className={`px-2 py-1 rounded-full text-xs ${getLanguageColor(item.lang)}`}>
+                      {item.lang}
                     </span>
                   </div>
-                  <span className="text-slate-400 text-sm">{item.count} snippets</span>
-                </div>
+                  <span className="text-slate-400 text-sm">
+                    {item.snippets} {item.snippets === 1 ? 'snippet' : 'snippets'}
+                  </span>
+                </Link>
               ))
             ) : (
               <div className="text-center py-8">
@@ -0,0 +1,127 @@
+/**
+ * Forgot Password Page Component
+ * Requests a password reset email
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FileText, Mail } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import authService from '../services/authService';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await authService.forgotPassword(email);
+      setMessage(response.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to send reset link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-900 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl flex items-center justify-center">
+              <FileText className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="mt-6 text-3xl font-extrabold text-white">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-sm text-slate-300">
+            Enter your email and we'll send you a link to reset it
+          </p>
+        </div>
+
+        {/* Request Form */}
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div className="card space-y-6">
+            {/* Error Message */}
+            {error && (
+              <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+                {error}
+              </div>
+            )}
+
+            {/* Success Message */}
+            {message && (
+              <div className="bg-green-500/20 border border-green-500/30 text-green-400 px-4 py-3 rounded-lg">
+                {message}
+              </div>
+            )}
+
+            {/* Email Field */}
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-slate-200 mb-2">
+                Email Address
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Mail className="h-4 w-4 text-slate-400" />
+                </div>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  className="form-input pl-10"
+                  placeholder="Enter your email"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    if (error) setError('');
+                  }}
+                  disabled={isLoading}
+                />
+              </div>
+            </div>
+
+            {/* Submit Button */}
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full btn-primary flex items-center justify-center"
+            >
+              {isLoading ? (
+                <LoadingSpinner size="small" text="" />
+              ) : (
+                'Send Reset Link'
+              )}
+            </button>
+          </div>
+
+          {/* Login Link */}
+          <div className="text-center">
+            <p className="text-sm text-slate-300">
+              Remembered it?{' '}
+              <Link
+                to="/login"
+                className="font-medium text-blue-400 hover:text-blue-300 transition-colors"
+              >
+                Back to sign in
+              </Link>
+            </p>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -4,10 +4,11 @@
  */
 
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FileText, Eye, EyeOff } from 'lucide-react';
+import { FileText, Eye, EyeOff, ShieldCheck } from 'lucide-react';
 import LoadingSpinner from '../components/LoadingSpinner';
+import OidcProviderButtons from '../components/OidcProviderButtons';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -17,9 +18,15 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
-
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // Single sign-on hands over a challenge when the account also uses 2FA
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const notice = location.state?.message;
 
   const handleChange = (e) => {
     setFormData({
@@ -36,7 +43,12 @@ const Login = () => {
     setError('');
 
     try {
-      await login(formData.email, formData.password);
+      const response = await login(formData.email, formData.password);
+      if (response.twoFactorRequired) {
+        // Second step: ask for the authenticator or recovery code
+        setChallengeToken(response.challengeToken);
+        return;
+      }
       navigate('/dashboard', { replace: true }); // Navigate to dashboard after successful login
     } catch (error) {
       setError(error.response?.data?.message || 'Login failed. Please try again.');
@@ -45,10 +57,134 @@ const Login = () => {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await completeTwoFactorLogin(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+      );
+      navigate('/dashboard', { replace: true });
+    } catch (error) {
+      // An expired challenge means starting over from the password step
+      if (error.response?.data?.message?.includes('challenge')) {
+        setChallengeToken(null);
+      }
+      setError(error.response?.data?.message || 'Verification failed. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   const togglePasswordVisibility = () => {
     setShowPassword(!showPassword);
   };
 
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen bg-slate-900 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          {/* Header */}
+          <div className="text-center">
+            <div className="flex justify-center">
+              <div className="w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl flex items-center justify-center">
+                <ShieldCheck className="w-8 h-8 text-white" />
+              </div>
+            </div>
+            <h2 className="mt-6 text-3xl font-extrabold text-white">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-sm text-slate-300">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          {/* Two-Factor Form */}
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
+            <div className="card space-y-6">
+              {/* Error Message */}
+              {error && (
+                <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+                  {error}
+                </div>
+              )}
+
+              {/* Code Field */}
+              <div>
+                <label htmlFor="twoFactorCode" className="block text-sm font-medium text-slate-200 mb-2">
+                  {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                </label>
+                <input
+                  id="twoFactorCode"
+                  name="twoFactorCode"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  className="form-input tracking-widest"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value);
+                    if (error) setError('');
+                  }}
+                  disabled={isLoading}
+                />
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full btn-primary flex items-center justify-center"
+              >
+                {isLoading ? (
+                  <LoadingSpinner size="small" text="" />
+                ) : (
+                  'Verify'
+                )}
+              </button>
+
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setTwoFactorCode('');
+                }}
+                className="w-full text-sm text-blue-400 hover:text-blue-300 transition-colors"
+              >
+                {useRecoveryCode ? 'Use your authenticator app instead' : 'Use a recovery code instead'}
+              </button>
+            </div>
+
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={cancelTwoFactor}
+                className="text-sm text-slate-300 hover:text-white transition-colors"
+              >
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-slate-900 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -70,6 +206,13 @@ const Login = () => {
         {/* Login Form */}
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div className="card space-y-6">
+            {/* Notice (e.g. after resetting a password) */}
+            {notice && !error && (
+              <div className="bg-green-500/20 border border-green-500/30 text-green-400 px-4 py-3 rounded-lg">
+                {notice}
+              </div>
+            )}
+
             {/* Error Message */}
             {error && (
               <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
@@ -98,9 +241,17 @@ const Login = () => {
 
             {/* Password Field */}
             <div>
-              <label htmlFor="password" className="block text-sm font-medium text-slate-200 mb-2">
-                Password
-              </label>
+              <div className="flex items-center justify-between mb-2">
+                <label htmlFor="password" className="block text-sm font-medium text-slate-200">
+                  Password
+                </label>
+                <Link
+                  to="/forgot-password"
+                  className="text-sm text-blue-400 hover:text-blue-300 transition-colors"
+                >
+                  Forgot password?
+                </Link>
+              </div>
               <div className="relative">
                 <input
                   id="password"
@@ -141,6 +292,8 @@ const Login = () => {
                 'Sign In'
               )}
             </button>
+
+            <OidcProviderButtons label="Sign in with" />
           </div>
 
           {/* Register Link */}
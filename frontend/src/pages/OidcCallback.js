@@ -0,0 +1,72 @@
+/**
+ * OIDC Callback Page Component
+ * Finishes single sign-on using the tokens the backend put in the URL fragment
+ * (or the session cookies it set, in cookie mode)
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { XCircle } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const OidcCallback = () => {
+  const navigate = useNavigate();
+  const { loginWithTokens } = useAuth();
+  const [error, setError] = useState('');
+  const handled = useRef(false);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    // Don't leave tokens in the address bar or history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (params.get('error')) {
+      setError(params.get('error'));
+      return;
+    }
+
+    if (params.get('challengeToken')) {
+      navigate('/login', { replace: true, state: { challengeToken: params.get('challengeToken') } });
+      return;
+    }
+
+    // Cookie sessions arrive as httpOnly cookies, there is nothing to store
+    const cookieSession = params.get('session') === 'cookie';
+    const token = params.get('token');
+    const refreshToken = params.get('refreshToken');
+    if (!cookieSession && (!token || !refreshToken)) {
+      setError('Sign-in response was incomplete. Please try again.');
+      return;
+    }
+
+    loginWithTokens(cookieSession ? {} : { token, refreshToken })
+      .then(() => navigate('/dashboard', { replace: true }))
+      .catch(() => setError('Failed to complete sign-in. Please try again.'));
+  }, [loginWithTokens, navigate]);
+
+  if (!error) {
+    return (
+      <div className="min-h-screen bg-slate-900 flex items-center justify-center">
+        <LoadingSpinner text="Signing you in..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-900 flex items-center justify-center py-12 px-4">
+      <div className="max-w-md w-full card text-center space-y-6">
+        <XCircle className="w-12 h-12 text-red-400 mx-auto" />
+        <p className="text-slate-300">{error}</p>
+        <Link to="/login" className="btn-primary inline-flex items-center justify-center">
+          Back to sign in
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
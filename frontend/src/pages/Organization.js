@@ -0,0 +1,431 @@
+/**
+ * Organization Page Component
+ * Members of an organization, the snippets it owns or that are shared with it,
+ * and the workspaces it owns
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Building2, Code, FolderOpen, Globe, Lock, LogOut, Trash2, UserPlus, Users, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useOrganizations } from '../contexts/OrganizationContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import UserAvatar from '../components/UserAvatar';
+import AuthorLink from '../components/AuthorLink';
+import organizationService from '../services/organizationService';
+
+const ROLE_OPTIONS = [
+  { value: 'member', label: 'Member' },
+  { value: 'admin', label: 'Admin' },
+  { value: 'owner', label: 'Owner' },
+];
+
+const Organization = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { refreshOrganizations, switchOrganization } = useOrganizations();
+  const [organization, setOrganization] = useState(null);
+  const [role, setRole] = useState(null);
+  const [snippets, setSnippets] = useState([]);
+  const [snippetPage, setSnippetPage] = useState(1);
+  const [snippetPages, setSnippetPages] = useState(1);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [newMember, setNewMember] = useState({ username: '', role: 'member' });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const loadOrganization = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const [details, workspaceData] = await Promise.all([
+          organizationService.getOrganization(slug),
+          organizationService.getWorkspaces(slug)
+        ]);
+        setOrganization(details.organization);
+        setRole(details.role);
+        setWorkspaces(workspaceData.workspaces || []);
+        switchOrganization(details.organization._id);
+      } catch (error) {
+        console.error('Failed to load organization:', error);
+        setError(error.response?.data?.message || 'Failed to load organization');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadOrganization();
+    setSnippetPage(1);
+  }, [slug, switchOrganization]);
+
+  useEffect(() => {
+    const loadSnippets = async () => {
+      try {
+        const response = await organizationService.getSnippets(slug, { page: snippetPage });
+        setSnippets(response.snippets || []);
+        setSnippetPages(response.totalPages || 1);
+      } catch (error) {
+        console.error('Failed to load organization snippets:', error);
+      }
+    };
+    loadSnippets();
+  }, [slug, snippetPage]);
+
+  const isManager = role === 'owner' || role === 'admin';
+  const isOwner = role === 'owner';
+
+  const runMemberAction = async (action, failureMessage) => {
+    try {
+      setBusy(true);
+      setMessage({ type: '', text: '' });
+      const response = await action();
+      setOrganization({ ...organization, members: response.members });
+      setMessage({ type: 'success', text: response.message });
+      return true;
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      setMessage({ type: 'error', text: error.response?.data?.message || failureMessage });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    const added = await runMemberAction(
+      () => organizationService.addMember(slug, newMember.username.trim(), newMember.role),
+      'Failed to add member'
+    );
+    if (added) setNewMember({ username: '', role: 'member' });
+  };
+
+  const handleRoleChange = async (memberId, newRole) => {
+    const changed = await runMemberAction(
+      () => organizationService.updateMemberRole(slug, memberId, newRole),
+      'Failed to change role'
+    );
+    if (changed && memberId === user?._id) setRole(newRole);
+  };
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.user?.username} from ${organization.name}?`)) return;
+    runMemberAction(
+      () => organizationService.removeMember(slug, member.user._id),
+      'Failed to remove member'
+    );
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${organization.name}? Snippets and workspaces you created stay with the organization.`)) return;
+
+    try {
+      setBusy(true);
+      await organizationService.removeMember(slug, user._id);
+      switchOrganization(null);
+      await refreshOrganizations();
+      navigate('/organizations');
+    } catch (error) {
+      console.error('Failed to leave organization:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to leave organization' });
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${organization.name}? This cannot be undone.`)) return;
+
+    try {
+      setBusy(true);
+      await organizationService.deleteOrganization(slug);
+      switchOrganization(null);
+      await refreshOrganizations();
+      navigate('/organizations');
+    } catch (error) {
+      console.error('Failed to delete organization:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to delete organization' });
+      setBusy(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  if (loading && !organization) {
+    return <LoadingSpinner text="Loading organization..." />;
+  }
+
+  if (error || !organization) {
+    return (
+      <div className="text-center py-12">
+        <Building2 className="w-16 h-16 text-slate-500 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-white mb-2">Organization Not Available</h1>
+        <p className="text-slate-400 mb-8">{error}</p>
+        <Link to="/organizations" className="btn-primary">
+          Your organizations
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-white flex items-center">
+            <Building2 className="w-7 h-7 mr-3" />
+            {organization.name}
+          </h1>
+          <p className="mt-2 text-slate-400">
+            {organization.description || `@${organization.slug}`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleLeave}
+            disabled={busy}
+            className="btn-secondary text-sm flex items-center"
+          >
+            <LogOut className="w-4 h-4 mr-1" />
+            Leave
+          </button>
+          {isOwner && (
+            <button
+              onClick={handleDelete}
+              disabled={busy}
+              className="btn-secondary text-sm flex items-center hover:text-red-400"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      {message.text && (
+        message.type === 'success' ? (
+          <div className="bg-green-900/20 border border-green-500/30 text-green-400 px-4 py-3 rounded-lg">
+            {message.text}
+          </div>
+        ) : (
+          <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+            {message.text}
+          </div>
+        )
+      )}
+
+      {/* Snippets */}
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Code className="w-5 h-5 mr-2" />
+            Snippets
+          </h2>
+          <Link to="/snippets/new" className="btn-primary text-sm">
+            New snippet
+          </Link>
+        </div>
+
+        {snippets.length > 0 ? (
+          <div className="space-y-3">
+            {snippets.map((snippet) => (
+              <div
+                key={snippet._id}
+                className="flex items-center justify-between p-4 border border-slate-700 rounded-lg bg-slate-800/50"
+              >
+                <div className="min-w-0">
+                  <Link
+                    to={`/snippets/${snippet._id}`}
+                    className="font-medium text-white hover:text-blue-400 transition-colors"
+                  >
+                    {snippet.title}
+                  </Link>
+                  <div className="flex items-center space-x-3 text-xs text-slate-500 mt-1">
+                    <span>{snippet.lang}</span>
+                    <span>Updated {formatDate(snippet.updatedAt)}</span>
+                    <AuthorLink author={snippet.author} />
+                  </div>
+                </div>
+                {snippet.isPublic ? (
+                  <span className="flex items-center text-xs text-green-400 ml-4">
+                    <Globe className="w-3 h-3 mr-1" />
+                    Public
+                  </span>
+                ) : snippet.organization === organization._id ? (
+                  <span className="flex items-center text-xs text-slate-400 ml-4">
+                    <Lock className="w-3 h-3 mr-1" />
+                    Members only
+                  </span>
+                ) : (
+                  <span className="flex items-center text-xs text-slate-400 ml-4">
+                    <Users className="w-3 h-3 mr-1" />
+                    Shared
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-slate-400 text-center py-8">
+            No snippets yet. Snippets you create while {organization.name} is selected belong to it.
+          </p>
+        )}
+
+        {snippetPages > 1 && (
+          <div className="flex items-center justify-center space-x-2 mt-6">
+            <button
+              onClick={() => setSnippetPage(snippetPage - 1)}
+              disabled={snippetPage === 1}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-slate-400">
+              Page {snippetPage} of {snippetPages}
+            </span>
+            <button
+              onClick={() => setSnippetPage(snippetPage + 1)}
+              disabled={snippetPage === snippetPages}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Workspaces */}
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <FolderOpen className="w-5 h-5 mr-2" />
+            Workspaces
+          </h2>
+          <Link to="/workspaces" className="btn-secondary text-sm">
+            New workspace
+          </Link>
+        </div>
+
+        {workspaces.length > 0 ? (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {workspaces.map((workspace) => (
+              <Link
+                key={workspace.workspaceId}
+                to={`/workspaces/${workspace.workspaceId}`}
+                className="block p-4 border border-slate-700 rounded-lg hover:border-blue-500/50 transition-all bg-slate-800/50"
+              >
+                <h3 className="font-medium text-white">{workspace.name}</h3>
+                <p className="text-xs text-slate-500 mt-1">
+                  {workspace.files?.length || 0} files · updated {formatDate(workspace.updatedAt)}
+                </p>
+              </Link>
+            ))}
+          </div>
+        ) : (
+          <p className="text-slate-400 text-center py-8">
+            No workspaces yet.
+          </p>
+        )}
+      </div>
+
+      {/* Members */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Users className="w-5 h-5 mr-2" />
+            Members
+          </h2>
+        </div>
+
+        <div className="space-y-3">
+          {organization.members.map((member) => {
+            const memberId = member.user?._id;
+            const isSelf = memberId === user?._id;
+            const canRemove = !isSelf && (isOwner || (role === 'admin' && member.role === 'member'));
+
+            return (
+              <div key={memberId} className="flex items-center justify-between">
+                <div className="flex items-center space-x-3 min-w-0">
+                  <UserAvatar user={member.user} size="sm" />
+                  <div className="min-w-0">
+                    <AuthorLink author={member.user} />
+                    <p className="text-xs text-slate-500">Joined {formatDate(member.joinedAt)}</p>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {isOwner ? (
+                    <select
+                      className="form-input py-1 text-sm"
+                      value={member.role}
+                      disabled={busy}
+                      onChange={(e) => handleRoleChange(memberId, e.target.value)}
+                    >
+                      {ROLE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="text-sm text-slate-400 capitalize">{member.role}</span>
+                  )}
+                  {canRemove && (
+                    <button
+                      onClick={() => handleRemove(member)}
+                      disabled={busy}
+                      className="p-2 text-slate-400 hover:text-red-400 transition-colors"
+                      title="Remove member"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {isManager && (
+          <form onSubmit={handleAddMember} className="flex flex-col sm:flex-row gap-2 mt-6 pt-4 border-t border-slate-700">
+            <input
+              type="text"
+              required
+              className="form-input flex-1"
+              placeholder="Username"
+              value={newMember.username}
+              onChange={(e) => setNewMember({ ...newMember, username: e.target.value })}
+            />
+            {isOwner && (
+              <select
+                className="form-input sm:w-36"
+                value={newMember.role}
+                onChange={(e) => setNewMember({ ...newMember, role: e.target.value })}
+              >
+                {ROLE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button type="submit" disabled={busy} className="btn-primary flex items-center justify-center">
+              <UserPlus className="w-4 h-4 mr-1" />
+              Add member
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Organization;
@@ -0,0 +1,165 @@
+/**
+ * Organizations Page Component
+ * Lists the user's organizations and creates new ones
+ */
+
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Building2, Plus, Users } from 'lucide-react';
+import { useOrganizations } from '../contexts/OrganizationContext';
+import organizationService from '../services/organizationService';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  member: 'Member',
+};
+
+const Organizations = () => {
+  const { organizations, refreshOrganizations, switchOrganization } = useOrganizations();
+  const navigate = useNavigate();
+  const [form, setForm] = useState({ name: '', slug: '', description: '' });
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreating(true);
+      setError('');
+      const response = await organizationService.createOrganization(form);
+      await refreshOrganizations();
+      switchOrganization(response.organization._id);
+      navigate(`/organizations/${response.organization.slug}`);
+    } catch (error) {
+      console.error('Failed to create organization:', error);
+      setError(error.response?.data?.message || 'Failed to create organization');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6 max-w-3xl mx-auto">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-white flex items-center">
+          <Building2 className="w-7 h-7 mr-3" />
+          Organizations
+        </h1>
+        <p className="mt-2 text-slate-400">
+          Snippets and workspaces owned by an organization stay with the team when members leave
+        </p>
+      </div>
+
+      {/* Your organizations */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Users className="w-5 h-5 mr-2" />
+            Your organizations
+          </h2>
+        </div>
+
+        {organizations.length > 0 ? (
+          <div className="space-y-3">
+            {organizations.map((organization) => (
+              <Link
+                key={organization._id}
+                to={`/organizations/${organization.slug}`}
+                className="flex items-center justify-between p-4 border border-slate-700 rounded-lg hover:border-blue-500/50 transition-all bg-slate-800/50"
+              >
+                <div className="min-w-0">
+                  <h3 className="font-medium text-white">{organization.name}</h3>
+                  <p className="text-sm text-slate-400 truncate">
+                    {organization.description || `@${organization.slug}`}
+                  </p>
+                </div>
+                <div className="text-right text-sm text-slate-400 ml-4 flex-shrink-0">
+                  <p>{ROLE_LABELS[organization.role]}</p>
+                  <p>{organization.memberCount} {organization.memberCount === 1 ? 'member' : 'members'}</p>
+                </div>
+              </Link>
+            ))}
+          </div>
+        ) : (
+          <p className="text-slate-400 text-center py-8">
+            You are not a member of any organization yet.
+          </p>
+        )}
+      </div>
+
+      {/* Create */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Plus className="w-5 h-5 mr-2" />
+            New organization
+          </h2>
+        </div>
+
+        <form onSubmit={handleCreate} className="space-y-4">
+          {error && (
+            <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+              {error}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="organizationName" className="block text-sm font-medium text-slate-300 mb-2">
+                Name
+              </label>
+              <input
+                id="organizationName"
+                type="text"
+                maxLength={50}
+                required
+                className="form-input"
+                placeholder="Acme Tools"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div>
+              <label htmlFor="organizationSlug" className="block text-sm font-medium text-slate-300 mb-2">
+                Slug
+              </label>
+              <input
+                id="organizationSlug"
+                type="text"
+                maxLength={40}
+                pattern="[a-z0-9]+(-[a-z0-9]+)*"
+                className="form-input"
+                placeholder="Generated from the name"
+                value={form.slug}
+                onChange={(e) => setForm({ ...form, slug: e.target.value.toLowerCase() })}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="organizationDescription" className="block text-sm font-medium text-slate-300 mb-2">
+              Description
+            </label>
+            <textarea
+              id="organizationDescription"
+              rows={2}
+              maxLength={300}
+              className="form-input"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+            />
+          </div>
+
+          <button type="submit" disabled={creating} className="btn-primary">
+            {creating ? 'Creating...' : 'Create organization'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Organizations;
@@ -0,0 +1,266 @@
+/**
+ * Profile Page Component
+ * Public profile with the user's public snippets and a follow button
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { Calendar, Link as LinkIcon, Eye, Heart, Clock, Code, Settings, Users, UserPlus, UserCheck } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import UserAvatar from '../components/UserAvatar';
+import userService from '../services/userService';
+
+const Profile = () => {
+  const { username } = useParams();
+  const { user } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [snippets, setSnippets] = useState([]);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [isFollowing, setIsFollowing] = useState(false);
+  const [followBusy, setFollowBusy] = useState(false);
+
+  useEffect(() => {
+    setProfile(null);
+    setCurrentPage(1);
+  }, [username]);
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await userService.getProfile(username, { page: currentPage });
+        setProfile(response.user);
+        setSnippets(response.snippets || []);
+        setTotalPages(response.totalPages || 1);
+      } catch (error) {
+        console.error('Failed to load profile:', error);
+        setError(error.response?.data?.message || 'Failed to load profile');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadProfile();
+  }, [username, currentPage]);
+
+  const profileId = profile?._id;
+  const userId = user?._id;
+
+  // Whether the signed-in user already follows this profile
+  useEffect(() => {
+    if (!userId || !profileId || userId === profileId) {
+      setIsFollowing(false);
+      return;
+    }
+
+    const loadFollowing = async () => {
+      try {
+        const response = await userService.getFollowing();
+        setIsFollowing(response.following.some(followed => followed._id === profileId));
+      } catch (error) {
+        console.error('Failed to load followed users:', error);
+      }
+    };
+    loadFollowing();
+  }, [userId, profileId]);
+
+  const toggleFollow = async () => {
+    try {
+      setFollowBusy(true);
+      const response = isFollowing
+        ? await userService.unfollow(profile._id)
+        : await userService.follow(profile._id);
+      setIsFollowing(response.following);
+      setProfile({ ...profile, followers: response.followers });
+    } catch (error) {
+      console.error('Failed to update follow:', error);
+      alert(error.response?.data?.message || 'Failed to update follow');
+    } finally {
+      setFollowBusy(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const getLanguageColor = (language) => {
+    const colors = {
+      javascript: 'bg-yellow-100 text-yellow-800',
+      typescript: 'bg-blue-100 text-blue-800',
+      python: 'bg-green-100 text-green-800',
+      java: 'bg-red-100 text-red-800',
+      cpp: 'bg-purple-100 text-purple-800',
+      html: 'bg-orange-100 text-orange-800',
+      css: 'bg-pink-100 text-pink-800',
+      default: 'bg-gray-100 text-gray-800'
+    };
+    return colors[language] || colors.default;
+  };
+
+  if (loading && !profile) {
+    return <LoadingSpinner text="Loading profile..." />;
+  }
+
+  if (error || !profile) {
+    return (
+      <div className="text-center py-12">
+        <Code className="w-16 h-16 text-slate-500 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-white mb-2">Profile Not Available</h1>
+        <p className="text-slate-400 mb-8">{error}</p>
+        <Link to="/" className="btn-primary">
+          Go to DevCollab
+        </Link>
+      </div>
+    );
+  }
+
+  const isOwnProfile = user && user._id === profile._id;
+
+  return (
+    <div className="space-y-6 max-w-4xl mx-auto">
+      {/* Profile Header */}
+      <div className="card">
+        <div className="flex flex-col sm:flex-row sm:items-start gap-6">
+          <UserAvatar user={profile} size="lg" />
+          <div className="flex-1 min-w-0">
+            <div className="flex items-start justify-between">
+              <h1 className="text-3xl font-bold text-white">{profile.username}</h1>
+              {isOwnProfile && (
+                <Link to="/settings" className="btn-secondary text-sm flex items-center">
+                  <Settings className="w-4 h-4 mr-1" />
+                  Edit profile
+                </Link>
+              )}
+              {user && !isOwnProfile && (
+                <button
+                  onClick={toggleFollow}
+                  disabled={followBusy}
+                  className={`${isFollowing ? 'btn-secondary' : 'btn-primary'} text-sm flex items-center`}
+                >
+                  {isFollowing ? (
+                    <>
+                      <UserCheck className="w-4 h-4 mr-1" />
+                      Following
+                    </>
+                  ) : (
+                    <>
+                      <UserPlus className="w-4 h-4 mr-1" />
+                      Follow
+                    </>
+                  )}
+                </button>
+              )}
+            </div>
+            {profile.bio && (
+              <p className="mt-2 text-slate-300 whitespace-pre-line">{profile.bio}</p>
+            )}
+            <div className="mt-4 flex flex-wrap items-center gap-4 text-sm text-slate-400">
+              <span className="flex items-center">
+                <Calendar className="w-4 h-4 mr-1" />
+                Joined {formatDate(profile.createdAt)}
+              </span>
+              <span className="flex items-center">
+                <Users className="w-4 h-4 mr-1" />
+                {profile.followers || 0} followers · {profile.following || 0} following
+              </span>
+              {profile.links?.map((link) => (
+                <a
+                  key={link}
+                  href={link}
+                  target="_blank"
+                  rel="noopener noreferrer nofollow"
+                  className="flex items-center text-blue-400 hover:text-blue-300 truncate max-w-xs"
+                >
+                  <LinkIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+                  {link.replace(/^https?:\/\//, '')}
+                </a>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Public Snippets */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Code className="w-5 h-5 mr-2" />
+            Public Snippets
+          </h2>
+        </div>
+
+        {snippets.length > 0 ? (
+          <div className="space-y-4">
+            {snippets.map((snippet) => (
+              <Link
+                key={snippet._id}
+                to={`/snippets/${snippet._id}`}
+                className="block p-4 border border-slate-700 rounded-lg hover:border-blue-500/50 hover:shadow-sm transition-all bg-slate-800/50"
+              >
+                <h3 className="font-medium text-white mb-1">{snippet.title}</h3>
+                <p className="text-sm text-slate-400 mb-2 line-clamp-2">
+                  {snippet.description || 'No description'}
+                </p>
+                <div className="flex items-center space-x-4 text-xs text-slate-500">
+                  <span className={`px-2 py-1 rounded-full ${getLanguageColor(snippet.lang)}`}>
+                    {snippet.lang}
+                  </span>
+                  <span className="flex items-center">
+                    <Clock className="w-3 h-3 mr-1" />
+                    {formatDate(snippet.createdAt)}
+                  </span>
+                  <span className="flex items-center">
+                    <Eye className="w-3 h-3 mr-1" />
+                    {snippet.views || 0}
+                  </span>
+                  <span className="flex items-center">
+                    <Heart className="w-3 h-3 mr-1" />
+                    {snippet.likes?.length || 0}
+                  </span>
+                </div>
+              </Link>
+            ))}
+          </div>
+        ) : (
+          <p className="text-slate-400 text-center py-8">
+            {profile.username} hasn't published any snippets yet.
+          </p>
+        )}
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="flex items-center justify-center space-x-2 mt-6">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={currentPage === 1}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-slate-400">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={currentPage === totalPages}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
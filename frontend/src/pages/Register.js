@@ -8,6 +8,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { FileText, Eye, EyeOff, User, Mail, Lock } from 'lucide-react';
 import LoadingSpinner from '../components/LoadingSpinner';
+import OidcProviderButtons from '../components/OidcProviderButtons';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -237,6 +238,8 @@ const Register = () => {
                 'Create Account'
               )}
             </button>
+
+            <OidcProviderButtons label="Sign up with" />
           </div>
 
           {/* Login Link */}
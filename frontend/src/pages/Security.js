@@ -0,0 +1,213 @@
+/**
+ * Security Settings Page Component
+ * Two-factor authentication, active session management and login activity
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Shield, Monitor, LogOut, Clock, History, CheckCircle, XCircle } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import authService from '../services/authService';
+
+const FAILURE_REASONS = {
+  invalid_password: 'Wrong password',
+  invalid_2fa: 'Wrong two-factor code',
+  throttled: 'Blocked: too many attempts',
+  locked: 'Blocked: account locked',
+  suspended: 'Blocked: account suspended'
+};
+
+const Security = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loginAttempts, setLoginAttempts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadSessions();
+    loadLoginAttempts();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await authService.getSessions();
+      setSessions(response.sessions || []);
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+      setError(error.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadLoginAttempts = async () => {
+    try {
+      const response = await authService.getLoginAttempts();
+      setLoginAttempts(response.attempts || []);
+    } catch (error) {
+      console.error('Failed to load login activity:', error);
+    }
+  };
+
+  const handleRevoke = async (sessionId) => {
+    if (!window.confirm('Sign out this device?')) return;
+
+    try {
+      await authService.revokeSession(sessionId);
+      setSessions(sessions.filter(s => s._id !== sessionId));
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      setError(error.response?.data?.message || 'Failed to revoke session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device?')) return;
+
+    try {
+      await authService.revokeOtherSessions();
+      setSessions(sessions.filter(s => s.current));
+    } catch (error) {
+      console.error('Failed to revoke sessions:', error);
+      setError(error.response?.data?.message || 'Failed to revoke sessions');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="space-y-6 max-w-3xl mx-auto">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-white flex items-center">
+          <Shield className="w-7 h-7 mr-3" />
+          Security
+        </h1>
+        <p className="mt-2 text-slate-400">
+          Protect your account and manage where you are signed in
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <TwoFactorSettings />
+
+      {/* Active Sessions */}
+      <div className="card">
+        <div className="card-header">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-white flex items-center">
+              <Monitor className="w-5 h-5 mr-2" />
+              Active Sessions
+            </h2>
+            {sessions.length > 1 && (
+              <button
+                onClick={handleRevokeOthers}
+                className="btn-secondary text-sm flex items-center"
+              >
+                <LogOut className="w-4 h-4 mr-1" />
+                Sign out other devices
+              </button>
+            )}
+          </div>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner text="Loading sessions..." />
+        ) : (
+          <div className="space-y-4">
+            {sessions.map((session) => (
+              <div
+                key={session._id}
+                className="flex items-center justify-between p-4 border border-slate-700 rounded-lg bg-slate-800/50"
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-white truncate">
+                    {session.userAgent || 'Unknown device'}
+                  </p>
+                  <div className="flex items-center space-x-4 text-xs text-slate-500 mt-1">
+                    <span>{session.ipAddress || 'Unknown IP'}</span>
+                    <span className="flex items-center">
+                      <Clock className="w-3 h-3 mr-1" />
+                      Last active {formatDate(session.lastUsedAt)}
+                    </span>
+                  </div>
+                </div>
+                {session.current ? (
+                  <span className="ml-4 bg-green-500/20 text-green-400 px-2 py-1 rounded-full text-xs font-medium">
+                    This device
+                  </span>
+                ) : (
+                  <button
+                    onClick={() => handleRevoke(session._id)}
+                    className="ml-4 p-2 text-slate-400 hover:text-red-400 transition-colors"
+                    title="Sign out this device"
+                  >
+                    <LogOut className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Login Activity */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <History className="w-5 h-5 mr-2" />
+            Recent Sign-in Activity
+          </h2>
+          <p className="mt-1 text-sm text-slate-400">
+            Failed attempts you don't recognise may mean someone is guessing your password
+          </p>
+        </div>
+
+        {loginAttempts.length === 0 ? (
+          <p className="text-slate-400">No sign-in activity yet.</p>
+        ) : (
+          <div className="divide-y divide-slate-700">
+            {loginAttempts.map((attempt) => (
+              <div key={attempt._id} className="flex items-center justify-between py-3">
+                <div className="flex items-center min-w-0">
+                  {attempt.success ? (
+                    <CheckCircle className="w-4 h-4 text-green-400 mr-3 flex-shrink-0" />
+                  ) : (
+                    <XCircle className="w-4 h-4 text-red-400 mr-3 flex-shrink-0" />
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm text-white">
+                      {attempt.success ? 'Signed in' : FAILURE_REASONS[attempt.reason] || 'Failed sign-in'}
+                    </p>
+                    <p className="text-xs text-slate-500 truncate">
+                      {attempt.ipAddress || 'Unknown IP'} · {attempt.userAgent || 'Unknown device'}
+                    </p>
+                  </div>
+                </div>
+                <span className="ml-4 text-xs text-slate-500 whitespace-nowrap">
+                  {formatDate(attempt.createdAt)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Security;
@@ -0,0 +1,402 @@
+/**
+ * Settings Page Component
+ * Edit the profile (username, email, bio, links, avatar), change password,
+ * choose code editor preferences, export account data and delete the account
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { Settings as SettingsIcon, User, Lock, Upload, Plus, X, ExternalLink } from 'lucide-react';
+import UserAvatar from '../components/UserAvatar';
+import EditorPreferencesSettings from '../components/EditorPreferencesSettings';
+import AccountDataSettings from '../components/AccountDataSettings';
+import userService from '../services/userService';
+
+const MAX_LINKS = 5;
+
+const Settings = () => {
+  const { user, updateUser } = useAuth();
+  const [profile, setProfile] = useState({ username: '', email: '', currentPassword: '', bio: '', links: [] });
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [avatarPreview, setAvatarPreview] = useState(null);
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [profileMessage, setProfileMessage] = useState({ type: '', text: '' });
+
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [passwordMessage, setPasswordMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    if (user) {
+      setProfile({
+        username: user.username || '',
+        email: user.email || '',
+        currentPassword: '',
+        bio: user.bio || '',
+        links: user.links || []
+      });
+    }
+  }, [user]);
+
+  // Release the object URL used for the local preview
+  useEffect(() => {
+    return () => {
+      if (avatarPreview) URL.revokeObjectURL(avatarPreview);
+    };
+  }, [avatarPreview]);
+
+  const handleAvatarChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setAvatarFile(file);
+    setAvatarPreview(URL.createObjectURL(file));
+  };
+
+  const updateLink = (index, value) => {
+    setProfile({
+      ...profile,
+      links: profile.links.map((link, i) => (i === index ? value : link))
+    });
+  };
+
+  const addLink = () => {
+    setProfile({ ...profile, links: [...profile.links, ''] });
+  };
+
+  const removeLink = (index) => {
+    setProfile({ ...profile, links: profile.links.filter((_, i) => i !== index) });
+  };
+
+  const saveProfile = async ({ removeAvatar = false } = {}) => {
+    try {
+      setSavingProfile(true);
+      setProfileMessage({ type: '', text: '' });
+      const response = await userService.updateProfile({
+        username: profile.username,
+        email: profile.email,
+        currentPassword: profile.currentPassword,
+        bio: profile.bio,
+        links: profile.links.filter(link => link.trim()),
+        avatar: removeAvatar ? null : avatarFile,
+        removeAvatar
+      });
+      updateUser(response.user);
+      setAvatarFile(null);
+      setAvatarPreview(null);
+      setProfileMessage({ type: 'success', text: response.message });
+    } catch (error) {
+      console.error('Failed to update profile:', error);
+      setProfileMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Failed to update profile'
+      });
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handleProfileSubmit = (e) => {
+    e.preventDefault();
+    saveProfile();
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setPasswordMessage({ type: '', text: '' });
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordMessage({ type: 'error', text: 'New passwords do not match' });
+      return;
+    }
+
+    try {
+      setSavingPassword(true);
+      const response = await userService.changePassword(passwords.currentPassword, passwords.newPassword);
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setPasswordMessage({ type: 'success', text: response.message });
+    } catch (error) {
+      console.error('Failed to change password:', error);
+      setPasswordMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Failed to change password'
+      });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  // A new address needs the current password
+  const emailChanged = !!user && profile.email.trim().toLowerCase() !== (user.email || '');
+
+  const renderMessage = (message) => {
+    if (!message.text) return null;
+    return message.type === 'success' ? (
+      <div className="bg-green-900/20 border border-green-500/30 text-green-400 px-4 py-3 rounded-lg">
+        {message.text}
+      </div>
+    ) : (
+      <div className="bg-red-900/20 border border-red-500/30 text-red-400 px-4 py-3 rounded-lg">
+        {message.text}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6 max-w-3xl mx-auto">
+      {/* Header */}
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-white flex items-center">
+            <SettingsIcon className="w-7 h-7 mr-3" />
+            Settings
+          </h1>
+          <p className="mt-2 text-slate-400">
+            Manage your public profile, password and editor
+          </p>
+        </div>
+        {user && (
+          <Link
+            to={`/u/${encodeURIComponent(user.username)}`}
+            className="btn-secondary text-sm flex items-center"
+          >
+            <ExternalLink className="w-4 h-4 mr-1" />
+            View profile
+          </Link>
+        )}
+      </div>
+
+      {/* Profile */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <User className="w-5 h-5 mr-2" />
+            Profile
+          </h2>
+        </div>
+
+        <form onSubmit={handleProfileSubmit} className="space-y-4">
+          {renderMessage(profileMessage)}
+
+          <div className="flex items-center space-x-4">
+            {avatarPreview ? (
+              <img src={avatarPreview} alt="New avatar" className="w-24 h-24 rounded-full object-cover" />
+            ) : (
+              <UserAvatar user={user} size="lg" />
+            )}
+            <div className="space-y-2">
+              <label className="btn-secondary text-sm inline-flex items-center cursor-pointer">
+                <Upload className="w-4 h-4 mr-1" />
+                Choose image
+                <input
+                  type="file"
+                  accept="image/png,image/jpeg,image/gif,image/webp"
+                  className="hidden"
+                  onChange={handleAvatarChange}
+                />
+              </label>
+              {user?.avatar && !avatarFile && (
+                <button
+                  type="button"
+                  onClick={() => saveProfile({ removeAvatar: true })}
+                  disabled={savingProfile}
+                  className="block text-sm text-slate-400 hover:text-red-400 transition-colors"
+                >
+                  Remove avatar
+                </button>
+              )}
+              <p className="text-xs text-slate-500">PNG, JPEG, GIF or WebP, up to 2 MB</p>
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="username" className="block text-sm font-medium text-slate-300 mb-2">
+              Username
+            </label>
+            <input
+              id="username"
+              type="text"
+              minLength={3}
+              maxLength={30}
+              required
+              className="form-input"
+              value={profile.username}
+              onChange={(e) => setProfile({ ...profile, username: e.target.value })}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-slate-300 mb-2">
+              Email
+            </label>
+            <input
+              id="email"
+              type="email"
+              required
+              className="form-input"
+              value={profile.email}
+              onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+            />
+            {emailChanged && (
+              <p className="text-xs text-slate-500 mt-1">
+                We'll send a verification link to the new address.
+              </p>
+            )}
+          </div>
+
+          {emailChanged && (
+            <div>
+              <label htmlFor="profileCurrentPassword" className="block text-sm font-medium text-slate-300 mb-2">
+                Current password
+              </label>
+              <input
+                id="profileCurrentPassword"
+                type="password"
+                required
+                autoComplete="current-password"
+                className="form-input"
+                value={profile.currentPassword}
+                onChange={(e) => setProfile({ ...profile, currentPassword: e.target.value })}
+              />
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="bio" className="block text-sm font-medium text-slate-300 mb-2">
+              Bio
+            </label>
+            <textarea
+              id="bio"
+              rows={3}
+              maxLength={300}
+              className="form-input"
+              placeholder="Tell others a little about yourself"
+              value={profile.bio}
+              onChange={(e) => setProfile({ ...profile, bio: e.target.value })}
+            />
+            <p className="text-xs text-slate-500 mt-1">{profile.bio.length}/300</p>
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-slate-300 mb-2">Links</span>
+            <div className="space-y-2">
+              {profile.links.map((link, index) => (
+                <div key={index} className="flex">
+                  <input
+                    type="url"
+                    className="form-input flex-1 mr-2"
+                    placeholder="https://github.com/you"
+                    value={link}
+                    onChange={(e) => updateLink(index, e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeLink(index)}
+                    className="p-2 text-slate-400 hover:text-red-400 transition-colors"
+                    title="Remove link"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              {profile.links.length < MAX_LINKS && (
+                <button
+                  type="button"
+                  onClick={addLink}
+                  className="text-sm text-blue-400 hover:text-blue-300 flex items-center"
+                >
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add link
+                </button>
+              )}
+            </div>
+          </div>
+
+          <button type="submit" disabled={savingProfile} className="btn-primary">
+            {savingProfile ? 'Saving...' : 'Save profile'}
+          </button>
+        </form>
+      </div>
+
+      {/* Password */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Lock className="w-5 h-5 mr-2" />
+            Change Password
+          </h2>
+        </div>
+
+        <form onSubmit={handlePasswordSubmit} className="space-y-4">
+          {renderMessage(passwordMessage)}
+
+          <div>
+            <label htmlFor="currentPassword" className="block text-sm font-medium text-slate-300 mb-2">
+              Current password
+            </label>
+            <input
+              id="currentPassword"
+              type="password"
+              autoComplete="current-password"
+              required
+              className="form-input"
+              value={passwords.currentPassword}
+              onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+            />
+            <p className="text-xs text-slate-500 mt-1">
+              Signed up with single sign-on?{' '}
+              <Link to="/forgot-password" className="text-blue-400 hover:text-blue-300">
+                Set a password by email
+              </Link>
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="newPassword" className="block text-sm font-medium text-slate-300 mb-2">
+                New password
+              </label>
+              <input
+                id="newPassword"
+                type="password"
+                autoComplete="new-password"
+                minLength={6}
+                required
+                className="form-input"
+                value={passwords.newPassword}
+                onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+              />
+            </div>
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-slate-300 mb-2">
+                Confirm new password
+              </label>
+              <input
+                id="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                minLength={6}
+                required
+                className="form-input"
+                value={passwords.confirmPassword}
+                onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <button type="submit" disabled={savingPassword} className="btn-primary">
+            {savingPassword ? 'Updating...' : 'Change password'}
+          </button>
+        </form>
+      </div>
+
+      {/* Code editor */}
+      <EditorPreferencesSettings />
+
+      {/* Export and deletion */}
+      <AccountDataSettings />
+    </div>
+  );
+};
+
+export default Settings;
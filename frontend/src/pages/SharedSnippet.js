@@ -16,6 +16,7 @@ import {
 } from "lucide-react";
 import CodeEditor from "../components/CodeEditor";
 import LoadingSpinner from "../components/LoadingSpinner";
+import AuthorLink from "../components/AuthorLink";
 import snippetService from "../services/snippetService";
 
 const SharedSnippet = () => {
@@ -151,7 +152,9 @@ const SharedSnippet = () => {
             <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
               <div className="flex items-center">
                 <User className="w-4 h-4 mr-1" />
-                <span>by {snippet.author?.username || "Unknown"}</span>
+                <span>
+                  by <AuthorLink author={snippet.author} className="text-primary-600" />
+                </span>
               </div>
               <div className="flex items-center">
                 <Clock className="w-4 h-4 mr-1" />
@@ -207,7 +210,7 @@ const SharedSnippet = () => {
             <div className="p-4">
               <CodeEditor
                 value={snippet.content}
-                lang={snippet.lang}
+                language={snippet.lang}
                 height="400px"
                 readOnly
                 options={{
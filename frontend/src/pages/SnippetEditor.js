@@ -3,9 +3,11 @@
  * Complete snippet creation and editing with all features
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useEditorPreferences } from '../contexts/EditorPreferencesContext';
+import { useOrganizations } from '../contexts/OrganizationContext';
 import {
   Save,
   Share2,
@@ -13,6 +15,7 @@ import {
   EyeOff,
   Globe,
   Lock,
+  Building2,
   Clock,
   RotateCcw,
   Copy,
@@ -22,16 +25,22 @@ import {
   Star,
   Tag,
   X,
-  Plus
+  Plus,
+  GitCompare,
+  Users
 } from 'lucide-react';
 import CodeEditor from '../components/CodeEditor';
 import LoadingSpinner from '../components/LoadingSpinner';
+import VersionDiff from '../components/VersionDiff';
 import snippetService from '../services/snippetService';
 
 const SnippetEditor = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { preferences: editorPreferences } = useEditorPreferences();
+  const { organizations, activeOrganization } = useOrganizations();
+  const activeOrganizationId = activeOrganization?._id || null;
   const isEditing = !!id;
 
   const [snippet, setSnippet] = useState({
@@ -40,6 +49,8 @@ const SnippetEditor = () => {
     content: '',
     lang: 'javascript',
     isPublic: false,
+    organization: null,
+    sharedWithOrganizations: [],
     tags: []
   });
 
@@ -48,11 +59,21 @@ const SnippetEditor = () => {
   const [sharing, setSharing] = useState(false);
   const [shareLink, setShareLink] = useState('');
   const [copied, setCopied] = useState(false);
-  const [versions, setVersions] = useState([]);
+  const [versionCount, setVersionCount] = useState(0);
+  const [versionMessage, setVersionMessage] = useState('');
   const [showVersions, setShowVersions] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [versionsPage, setVersionsPage] = useState(1);
+  const [versionsTotalPages, setVersionsTotalPages] = useState(1);
+  const [versionsLoading, setVersionsLoading] = useState(false);
+  const [openVersion, setOpenVersion] = useState(null);
+  const [compareFrom, setCompareFrom] = useState(null);
   const [newTag, setNewTag] = useState('');
   const [previewMode, setPreviewMode] = useState(false);
 
+  // Latest save/share handlers for the window-level shortcuts
+  const shortcutsRef = useRef({});
+
   const languages = [
     'javascript', 'typescript', 'python', 'java', 'cpp', 'c', 'csharp',
     'php', 'ruby', 'go', 'rust', 'swift', 'kotlin', 'html', 'css',
@@ -65,6 +86,36 @@ const SnippetEditor = () => {
     }
   }, [id, isEditing]);
 
+  // New snippets belong to the organization selected in the navbar
+  useEffect(() => {
+    if (!isEditing) {
+      setSnippet((current) => ({ ...current, organization: activeOrganizationId }));
+    }
+  }, [isEditing, activeOrganizationId]);
+
+  // Loaded snippets come with the organization populated
+  const organizationId = snippet.organization?._id || snippet.organization || '';
+  const ownerOptions = organizationId && !organizations.some(org => org._id === organizationId)
+    ? [...organizations, { _id: organizationId, name: snippet.organization?.name || 'Organization' }]
+    : organizations;
+
+  // Organizations the snippet is shared with, besides the one owning it; ones you
+  // have left are still listed so they can be unshared
+  const sharedIds = (snippet.sharedWithOrganizations || []).map(org => org._id || org);
+  const shareOptions = [
+    ...organizations,
+    ...(snippet.sharedWithOrganizations || []).filter(org => org._id && !organizations.some(o => o._id === org._id))
+  ].filter(org => org._id !== organizationId);
+
+  const toggleSharedWith = (orgId) => {
+    setSnippet({
+      ...snippet,
+      sharedWithOrganizations: sharedIds.includes(orgId)
+        ? sharedIds.filter(value => value !== orgId)
+        : [...sharedIds, orgId]
+    });
+  };
+
   // Auto-save functionality
   useEffect(() => {
     if (isEditing && snippet.title && snippet.content) {
@@ -77,15 +128,19 @@ const SnippetEditor = () => {
   }, [snippet.content, snippet.title, isEditing]);
 
   // Keyboard shortcuts
+  // Keys pressed inside the code editor are handled by CodeEditor, which knows
+  // the Vim and Emacs bindings (C-s is search in Emacs)
   useEffect(() => {
     const handleKeyDown = (e) => {
+      if (e.target.closest && e.target.closest('.monaco-editor')) return;
+
       if ((e.ctrlKey || e.metaKey) && e.key === 's') {
         e.preventDefault();
-        handleSave();
+        shortcutsRef.current.handleSave();
       }
       if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
         e.preventDefault();
-        handleShare();
+        shortcutsRef.current.handleShare();
       }
     };
 
@@ -98,7 +153,7 @@ const SnippetEditor = () => {
       setLoading(true);
       const response = await snippetService.getSnippet(id);
       setSnippet(response.snippet);
-      setVersions(response.snippet.versions || []);
+      setVersionCount(response.snippet.versionCount || 0);
     } catch (error) {
       console.error('Failed to load snippet:', error);
       navigate('/snippets');
@@ -123,7 +178,11 @@ const SnippetEditor = () => {
         content: snippet.content,
         lang: snippet.lang,
         isPublic: snippet.isPublic,
-        tags: snippet.tags
+        organization: organizationId || null,
+        sharedWithOrganizations: sharedIds,
+        tags: snippet.tags,
+        // Autosaves are not described
+        ...(!silent && versionMessage.trim() && { message: versionMessage.trim() })
       };
 
       if (isEditing) {
@@ -134,9 +193,11 @@ const SnippetEditor = () => {
       }
 
       setSnippet(result.snippet);
-      setVersions(result.snippet.versions || []);
+      setVersionCount(result.snippet.versionCount || 0);
       
       if (!silent) {
+        setVersionMessage('');
+
         // Show success message
         const successMsg = document.createElement('div');
         successMsg.className = 'fixed top-4 right-4 bg-green-500/20 border border-green-500/30 text-green-400 px-4 py-2 rounded-lg z-50';
@@ -146,7 +207,7 @@ const SnippetEditor = () => {
       }
     } catch (error) {
       console.error('Failed to save snippet:', error);
-      if (!silent) alert('Failed to save snippet. Please try again.');
+      if (!silent) alert(error.message || 'Failed to save snippet. Please try again.');
     } finally {
       setSaving(false);
     }
@@ -170,21 +231,62 @@ const SnippetEditor = () => {
       setTimeout(() => setCopied(false), 3000);
     } catch (error) {
       console.error('Failed to share snippet:', error);
-      alert('Failed to create share link');
+      alert(error.message || 'Failed to create share link');
     } finally {
       setSharing(false);
     }
   };
 
-  const handleRestoreVersion = async (versionIndex) => {
+  shortcutsRef.current = { handleSave, handleShare };
+
+  const loadVersions = async (page) => {
+    try {
+      setVersionsLoading(true);
+      const result = await snippetService.getVersions(id, { page });
+      setVersions(result.versions);
+      setVersionsPage(result.currentPage);
+      setVersionsTotalPages(result.totalPages || 1);
+      setVersionCount(result.total);
+    } catch (error) {
+      console.error('Failed to load versions:', error);
+      alert(error.message || 'Failed to load versions');
+    } finally {
+      setVersionsLoading(false);
+    }
+  };
+
+  const openVersionHistory = () => {
+    setOpenVersion(null);
+    setCompareFrom(null);
+    setShowVersions(true);
+    loadVersions(1);
+  };
+
+  // Content is fetched on demand, the history list only has metadata
+  const toggleVersionContent = async (versionId) => {
+    if (openVersion?._id === versionId) {
+      setOpenVersion(null);
+      return;
+    }
+
+    try {
+      const result = await snippetService.getVersion(id, versionId);
+      setOpenVersion(result.version);
+    } catch (error) {
+      console.error('Failed to load version:', error);
+      alert(error.message || 'Failed to load version');
+    }
+  };
+
+  const handleRestoreVersion = async (versionId) => {
     if (!window.confirm('Are you sure you want to restore this version? Current changes will be lost.')) {
       return;
     }
 
     try {
-      const result = await snippetService.restoreVersion(id, versionIndex);
+      const result = await snippetService.restoreVersion(id, versionId);
       setSnippet(result.snippet);
-      setVersions(result.snippet.versions || []);
+      setVersionCount(result.snippet.versionCount || 0);
       setShowVersions(false);
     } catch (error) {
       console.error('Failed to restore version:', error);
@@ -192,6 +294,22 @@ const SnippetEditor = () => {
     }
   };
 
+  const handleRestoreHunks = async (versionId, hunks) => {
+    if (!window.confirm('Restore the selected changes? Unsaved edits will be lost.')) {
+      return;
+    }
+
+    try {
+      const result = await snippetService.restoreVersion(id, versionId, { hunks });
+      setSnippet(result.snippet);
+      setVersionCount(result.snippet.versionCount || 0);
+      setShowVersions(false);
+    } catch (error) {
+      console.error('Failed to restore changes:', error);
+      alert(error.message || 'Failed to restore changes');
+    }
+  };
+
   const addTag = () => {
     if (newTag.trim() && !snippet.tags.includes(newTag.trim())) {
       setSnippet({
@@ -255,13 +373,13 @@ const SnippetEditor = () => {
             </div>
 
             <div className="flex items-center space-x-3">
-              {versions.length > 0 && (
+              {versionCount > 0 && (
                 <button
-                  onClick={() => setShowVersions(!showVersions)}
+                  onClick={openVersionHistory}
                   className="btn-secondary flex items-center"
                 >
                   <Clock className="w-4 h-4 mr-2" />
-                  Versions ({versions.length})
+                  Versions ({versionCount})
                 </button>
               )}
               
@@ -344,6 +462,20 @@ const SnippetEditor = () => {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Change summary
+                </label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="Describe this change (optional, saved with the version)"
+                  maxLength={200}
+                  value={versionMessage}
+                  onChange={(e) => setVersionMessage(e.target.value)}
+                />
+              </div>
+
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-slate-300 mb-2">
@@ -376,7 +508,7 @@ const SnippetEditor = () => {
                         className="mr-2"
                       />
                       <Lock className="w-4 h-4 mr-1" />
-                      <span className="text-sm text-slate-300">Private</span>
+                      <span className="text-sm text-slate-300">{organizationId ? 'Members only' : 'Private'}</span>
                     </label>
                     <label className="flex items-center">
                       <input
@@ -392,6 +524,60 @@ const SnippetEditor = () => {
                   </div>
                 </div>
               </div>
+
+              {ownerOptions.length > 0 && (
+                <div>
+                  <label htmlFor="snippetOwner" className="block text-sm font-medium text-slate-300 mb-2">
+                    <Building2 className="w-4 h-4 inline mr-1" />
+                    Owner
+                  </label>
+                  <select
+                    id="snippetOwner"
+                    className="form-input"
+                    value={organizationId}
+                    onChange={(e) => setSnippet({ ...snippet, organization: e.target.value || null })}
+                  >
+                    <option value="">Personal</option>
+                    {ownerOptions.map((org) => (
+                      <option key={org._id} value={org._id}>
+                        {org.name}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-slate-500 mt-1">
+                    {organizationId
+                      ? 'Organization members can always see it, and it stays with the organization if you leave'
+                      : 'Belongs to your personal account'}
+                  </p>
+                </div>
+              )}
+
+              {shareOptions.length > 0 && (
+                <div>
+                  <span className="block text-sm font-medium text-slate-300 mb-2">
+                    <Users className="w-4 h-4 inline mr-1" />
+                    Share with organizations
+                  </span>
+                  <div className="flex flex-wrap gap-4">
+                    {shareOptions.map((org) => (
+                      <label key={org._id} className="flex items-center text-sm text-slate-300">
+                        <input
+                          type="checkbox"
+                          checked={sharedIds.includes(org._id)}
+                          onChange={() => toggleSharedWith(org._id)}
+                          className="mr-2"
+                        />
+                        {org.name}
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-xs text-slate-500 mt-1">
+                    {organizationId
+                      ? 'Their members can read it, and it stays with the owning organization'
+                      : 'Their members can read it, and it stays yours'}
+                  </p>
+                </div>
+              )}
             </div>
 
             {/* Code Editor */}
@@ -399,7 +585,9 @@ const SnippetEditor = () => {
               <div className="flex items-center justify-between mb-4">
                 <h3 className="text-lg font-semibold text-white">Code</h3>
                 <div className="text-sm text-slate-400">
-                  Press Ctrl+S to save • Ctrl+Enter to share
+                  {editorPreferences.keybindings === 'vim' && 'Press :w or Ctrl+S to save • Ctrl+Enter to share'}
+                  {editorPreferences.keybindings === 'emacs' && 'Press C-x C-s to save • Ctrl+Enter to share'}
+                  {editorPreferences.keybindings === 'default' && 'Press Ctrl+S to save • Ctrl+Enter to share'}
                 </div>
               </div>
               
@@ -415,7 +603,8 @@ const SnippetEditor = () => {
                   onChange={(value) => setSnippet({ ...snippet, content: value || '' })}
                   language={snippet.lang}
                   height="500px"
-                  theme="vs-dark"
+                  onSave={() => handleSave()}
+                  onShare={handleShare}
                 />
               )}
             </div>
@@ -533,7 +722,7 @@ const SnippetEditor = () => {
         {/* Version History Modal */}
         {showVersions && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-            <div className="bg-slate-800 rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] overflow-auto">
+            <div className={`bg-slate-800 rounded-lg p-6 ${compareFrom ? 'max-w-5xl' : 'max-w-2xl'} w-full mx-4 max-h-[90vh] overflow-auto`}>
               <div className="flex items-center justify-between mb-6">
                 <h3 className="text-xl font-semibold text-white">Version History</h3>
                 <button
@@ -544,33 +733,99 @@ const SnippetEditor = () => {
                 </button>
               </div>
 
-              <div className="space-y-4">
-                {versions.map((version, index) => (
-                  <div key={version._id} className="border border-slate-700 rounded-lg p-4">
-                    <div className="flex items-center justify-between mb-2">
-                      <div className="flex items-center space-x-2">
-                        <span className="bg-blue-500/20 text-blue-400 px-2 py-1 rounded text-sm">
-                          Version {versions.length - index}
-                        </span>
-                        <span className="text-slate-400 text-sm">
-                          {formatDate(version.createdAt)}
-                        </span>
+              {compareFrom ? (
+                <VersionDiff
+                  snippetId={id}
+                  versions={versions}
+                  initialFrom={compareFrom}
+                  language={snippet.lang}
+                  onBack={() => setCompareFrom(null)}
+                  onRestoreHunks={handleRestoreHunks}
+                />
+              ) : versionsLoading ? (
+                <LoadingSpinner text="Loading versions..." />
+              ) : (
+                <div className="space-y-4">
+                  {versions.map((version) => (
+                    <div key={version._id} className="border border-slate-700 rounded-lg p-4">
+                      <div className="flex items-center justify-between mb-2">
+                        <div className="flex items-center flex-wrap gap-2">
+                          <span className="bg-blue-500/20 text-blue-400 px-2 py-1 rounded text-sm">
+                            Version {version.number}
+                          </span>
+                          <span className="text-slate-400 text-sm">
+                            {formatDate(version.createdAt)}
+                          </span>
+                          {version.author && (
+                            <span className="text-slate-400 text-sm">
+                              by {version.author.username}
+                            </span>
+                          )}
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => toggleVersionContent(version._id)}
+                            className="btn-secondary text-sm flex items-center"
+                          >
+                            <Eye className="w-4 h-4 mr-1" />
+                            {openVersion?._id === version._id ? 'Hide' : 'View'}
+                          </button>
+                          <button
+                            onClick={() => setCompareFrom(version._id)}
+                            className="btn-secondary text-sm flex items-center"
+                          >
+                            <GitCompare className="w-4 h-4 mr-1" />
+                            Compare
+                          </button>
+                          <button
+                            onClick={() => handleRestoreVersion(version._id)}
+                            className="btn-secondary text-sm flex items-center"
+                          >
+                            <RotateCcw className="w-4 h-4 mr-1" />
+                            Restore
+                          </button>
+                        </div>
                       </div>
-                      <button
-                        onClick={() => handleRestoreVersion(index)}
-                        className="btn-secondary text-sm flex items-center"
-                      >
-                        <RotateCcw className="w-4 h-4 mr-1" />
-                        Restore
-                      </button>
+                      {version.message && (
+                        <p className="text-slate-200 text-sm mb-1">{version.message}</p>
+                      )}
+                      {version.title && (
+                        <p className="text-slate-500 text-xs">
+                          {version.title} · {version.lang}
+                          {version.tags?.length > 0 && ` · ${version.tags.join(', ')}`}
+                        </p>
+                      )}
+                      {openVersion?._id === version._id && (
+                        <pre className="text-slate-300 text-sm bg-slate-900 p-3 mt-3 rounded overflow-auto max-h-64">
+                          {openVersion.content}
+                        </pre>
+                      )}
                     </div>
-                    <pre className="text-slate-300 text-sm bg-slate-900 p-3 rounded overflow-auto max-h-32">
-                      {version.content.substring(0, 200)}
-                      {version.content.length > 200 && '...'}
-                    </pre>
-                  </div>
-                ))}
-              </div>
+                  ))}
+                </div>
+              )}
+
+              {!compareFrom && versionsTotalPages > 1 && (
+                <div className="flex items-center justify-between mt-6">
+                  <button
+                    onClick={() => loadVersions(versionsPage - 1)}
+                    disabled={versionsLoading || versionsPage <= 1}
+                    className="btn-secondary text-sm"
+                  >
+                    Newer
+                  </button>
+                  <span className="text-slate-400 text-sm">
+                    Page {versionsPage} of {versionsTotalPages}
+                  </span>
+                  <button
+                    onClick={() => loadVersions(versionsPage + 1)}
+                    disabled={versionsLoading || versionsPage >= versionsTotalPages}
+                    className="btn-secondary text-sm"
+                  >
+                    Older
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -5,11 +5,35 @@
 
 import React, { useState, useEffect } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
-import { Plus, Search, ListFilter as Filter, Eye, Heart, Share2, Lock, Globe, Clock, Code, Star, TrendingUp, CreditCard as Edit, Trash2, Copy, Check, User } from 'lucide-react';
+import { Plus, Search, ListFilter as Filter, Eye, Heart, Share2, Lock, Globe, Clock, Code, Star, TrendingUp, CreditCard as Edit, Trash2, Copy, Check, User, Users, Building2, X, Folder, FolderPlus, FolderMinus, ArrowLeft, ArrowRight, ChevronRight } from 'lucide-react';
 import LoadingSpinner from '../components/LoadingSpinner';
+import AuthorLink from '../components/AuthorLink';
+import HighlightedText from '../components/HighlightedText';
+import CollectionSidebar from '../components/CollectionSidebar';
+import { useAuth } from '../contexts/AuthContext';
 import snippetService from '../services/snippetService';
+import collectionService from '../services/collectionService';
+
+// Days covered by each "created within" option
+const DATE_RANGES = {
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+const PAGE_SIZE = 12;
+
+/**
+ * Collections in tree order, each with its depth, for the "add to collection" menu
+ */
+const flattenCollections = (collections, parent = null, depth = 0) => (
+  collections
+    .filter(c => (c.parent || null) === parent)
+    .flatMap(c => [{ ...c, depth }, ...flattenCollections(collections, c._id, depth + 1)])
+);
 
 const Snippets = () => {
+  const { user } = useAuth();
   const [searchParams, setSearchParams] = useSearchParams();
   const [snippets, setSnippets] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -17,9 +41,16 @@ const Snippets = () => {
   const [selectedLanguage, setSelectedLanguage] = useState(searchParams.get('language') || '');
   const [selectedFilter, setSelectedFilter] = useState(searchParams.get('filter') || 'all');
   const [sortBy, setSortBy] = useState(searchParams.get('sort') || 'recent');
+  const [selectedTag, setSelectedTag] = useState(searchParams.get('tag') || '');
+  const [dateRange, setDateRange] = useState(searchParams.get('since') || '');
+  const [trendingWindow, setTrendingWindow] = useState(searchParams.get('window') || 'week');
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [copiedId, setCopiedId] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [selectedCollection, setSelectedCollection] = useState(searchParams.get('collection') || null);
+  const [collectionView, setCollectionView] = useState(null);
+  const [collectionMenuId, setCollectionMenuId] = useState(null);
 
   const languages = [
     'javascript', 'typescript', 'python', 'java', 'cpp', 'c', 'csharp',
@@ -27,26 +58,33 @@ const Snippets = () => {
     'sql', 'json', 'xml', 'yaml', 'markdown', 'shell', 'dockerfile'
   ];
 
+  // List query parameters of each filter tab; Trending has its own ranking endpoint
   const filters = [
-    { value: 'all', label: 'All Snippets', icon: Code },
-    { value: 'my', label: 'My Snippets', icon: User },
-    { value: 'public', label: 'Public', icon: Globe },
-    { value: 'private', label: 'Private', icon: Lock },
-    { value: 'liked', label: 'Liked', icon: Heart },
+    { value: 'all', label: 'All Snippets', icon: Code, params: { scope: 'all' } },
+    { value: 'my', label: 'My Snippets', icon: User, params: { scope: 'mine' } },
+    { value: 'public', label: 'Public', icon: Globe, params: { scope: 'public' } },
+    { value: 'private', label: 'Private', icon: Lock, params: { scope: 'mine', isPublic: false } },
+    { value: 'liked', label: 'Liked', icon: Heart, params: { scope: 'liked' } },
+    { value: 'following', label: 'Following', icon: Users, params: { scope: 'followed' } },
     { value: 'trending', label: 'Trending', icon: TrendingUp }
   ];
 
   const sortOptions = [
     { value: 'recent', label: 'Most Recent' },
-    { value: 'popular', label: 'Most Popular' },
+    { value: 'updated', label: 'Recently Updated' },
+    { value: 'trending', label: 'Trending' },
     { value: 'views', label: 'Most Viewed' },
     { value: 'likes', label: 'Most Liked' },
     { value: 'title', label: 'Alphabetical' }
   ];
 
+  useEffect(() => {
+    loadCollections();
+  }, []);
+
   useEffect(() => {
     loadSnippets();
-  }, [searchTerm, selectedLanguage, selectedFilter, sortBy, currentPage]);
+  }, [searchTerm, selectedLanguage, selectedFilter, sortBy, selectedTag, dateRange, trendingWindow, selectedCollection, currentPage]);
 
   useEffect(() => {
     // Update URL params
@@ -55,21 +93,78 @@ const Snippets = () => {
     if (selectedLanguage) params.set('language', selectedLanguage);
     if (selectedFilter !== 'all') params.set('filter', selectedFilter);
     if (sortBy !== 'recent') params.set('sort', sortBy);
+    if (selectedTag) params.set('tag', selectedTag);
+    if (dateRange) params.set('since', dateRange);
+    if (selectedFilter === 'trending' && trendingWindow !== 'week') params.set('window', trendingWindow);
+    if (selectedCollection) params.set('collection', selectedCollection);
     setSearchParams(params);
-  }, [searchTerm, selectedLanguage, selectedFilter, sortBy, setSearchParams]);
+  }, [searchTerm, selectedLanguage, selectedFilter, sortBy, selectedTag, dateRange, trendingWindow, selectedCollection, setSearchParams]);
+
+  const loadCollections = async () => {
+    try {
+      const response = await collectionService.getCollections();
+      setCollections(response.collections || []);
+    } catch (error) {
+      console.error('Failed to load collections:', error);
+    }
+  };
+
+  // Search terms go to full-text search, with the language and filter as qualifiers
+  const searchSnippets = () => {
+    const q = [
+      searchTerm.trim(),
+      selectedLanguage && `lang:${selectedLanguage}`,
+      selectedTag && `tag:${selectedTag}`,
+      selectedFilter === 'public' && 'is:public',
+      selectedFilter === 'private' && 'is:private',
+      selectedFilter === 'my' && user && `author:${user.username}`
+    ].filter(Boolean).join(' ');
+
+    return snippetService.searchSnippets({ q, page: currentPage, limit: PAGE_SIZE });
+  };
 
   const loadSnippets = async () => {
     try {
       setLoading(true);
+      if (selectedCollection) {
+        const response = await collectionService.getCollection(selectedCollection, {
+          page: currentPage,
+          limit: PAGE_SIZE
+        });
+        setCollectionView(response);
+        setSnippets(response.snippets || []);
+        setTotalPages(response.totalPages || 1);
+        return;
+      }
+
+      if (searchTerm.trim()) {
+        const response = await searchSnippets();
+        setSnippets(response.snippets || []);
+        setTotalPages(response.totalPages || 1);
+        return;
+      }
+
+      if (selectedFilter === 'trending') {
+        const response = await snippetService.getTrending({
+          window: trendingWindow,
+          lang: selectedLanguage || undefined,
+          page: currentPage,
+          limit: PAGE_SIZE
+        });
+        setSnippets(response.snippets || []);
+        setTotalPages(response.totalPages || 1);
+        return;
+      }
+
+      const filter = filters.find(f => f.value === selectedFilter) || filters[0];
       const params = {
         page: currentPage,
-        limit: 12,
-        search: searchTerm,
-        language: selectedLanguage,
-        sortBy,
-        ...(selectedFilter === 'public' && { isPublic: true }),
-        ...(selectedFilter === 'private' && { isPublic: false }),
-        ...(selectedFilter === 'my' && { author: 'me' })
+        limit: PAGE_SIZE,
+        sort: sortBy,
+        ...(selectedLanguage && { lang: selectedLanguage }),
+        ...(selectedTag && { tags: selectedTag }),
+        ...(dateRange && { from: new Date(Date.now() - DATE_RANGES[dateRange] * 24 * 60 * 60 * 1000).toISOString() }),
+        ...filter.params
       };
 
       const response = await snippetService.getSnippets(params);
@@ -78,6 +173,9 @@ const Snippets = () => {
     } catch (error) {
       console.error('Failed to load snippets:', error);
       setSnippets([]);
+      if (selectedCollection && error.response?.status === 404) {
+        setSelectedCollection(null);
+      }
     } finally {
       setLoading(false);
     }
@@ -105,6 +203,47 @@ const Snippets = () => {
     }
   };
 
+  // Counts and the open collection change with any edit in the sidebar
+  const handleCollectionsChange = async () => {
+    await loadCollections();
+    if (selectedCollection) loadSnippets();
+  };
+
+  const handleAddToCollection = async (collectionId, snippetId) => {
+    setCollectionMenuId(null);
+    try {
+      await collectionService.addSnippet(collectionId, snippetId);
+      loadCollections();
+    } catch (error) {
+      console.error('Failed to add snippet to collection:', error);
+      alert(error.response?.data?.message || 'Failed to add snippet to collection.');
+    }
+  };
+
+  const handleRemoveFromCollection = async (snippetId) => {
+    try {
+      await collectionService.removeSnippet(selectedCollection, snippetId);
+      loadCollections();
+      loadSnippets();
+    } catch (error) {
+      console.error('Failed to remove snippet from collection:', error);
+    }
+  };
+
+  // Positions count across pages, index is the snippet's place on this page
+  const handleMoveInCollection = async (snippetId, index, offset) => {
+    try {
+      await collectionService.moveSnippet(
+        selectedCollection,
+        snippetId,
+        (currentPage - 1) * PAGE_SIZE + index + offset
+      );
+      loadSnippets();
+    } catch (error) {
+      console.error('Failed to move snippet:', error);
+    }
+  };
+
   const copyShareLink = async (snippet) => {
     try {
       const shareResponse = await snippetService.shareSnippet(snippet._id);
@@ -158,244 +297,470 @@ const Snippets = () => {
         </Link>
       </div>
 
-      {/* Filters and Search */}
-      <div className="card space-y-4">
-        {/* Search */}
-        <div className="relative">
-          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400 w-4 h-4" />
-          <input
-            type="text"
-            placeholder="Search snippets..."
-            className="form-input pl-10"
-            value={searchTerm}
-            onChange={(e) => {
-              setSearchTerm(e.target.value);
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <aside className="lg:col-span-1">
+          <CollectionSidebar
+            collections={collections}
+            selectedId={selectedCollection}
+            onSelect={(id) => {
+              setSelectedCollection(id);
               setCurrentPage(1);
             }}
+            onChange={handleCollectionsChange}
           />
-        </div>
+        </aside>
 
-        {/* Filter Tabs */}
-        <div className="flex flex-wrap gap-2">
-          {filters.map((filter) => {
-            const Icon = filter.icon;
-            return (
-              <button
-                key={filter.value}
-                onClick={() => {
-                  setSelectedFilter(filter.value);
-                  setCurrentPage(1);
-                }}
-                className={`flex items-center px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
-                  selectedFilter === filter.value
-                    ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
-                    : 'text-slate-400 hover:text-white hover:bg-slate-800'
-                }`}
-              >
-                <Icon className="w-4 h-4 mr-2" />
-                {filter.label}
-              </button>
-            );
-          })}
-        </div>
-
-        {/* Language and Sort */}
-        <div className="flex flex-col sm:flex-row gap-4">
-          <div className="flex-1">
-            <select
-              className="form-input"
-              value={selectedLanguage}
-              onChange={(e) => {
-                setSelectedLanguage(e.target.value);
-                setCurrentPage(1);
-              }}
-            >
-              <option value="">All Languages</option>
-              {languages.map((lang) => (
-                <option key={lang} value={lang}>
-                  {lang.charAt(0).toUpperCase() + lang.slice(1)}
-                </option>
-              ))}
-            </select>
-          </div>
-          <div className="flex-1">
-            <select
-              className="form-input"
-              value={sortBy}
-              onChange={(e) => setSortBy(e.target.value)}
-            >
-              {sortOptions.map((option) => (
-                <option key={option.value} value={option.value}>
-                  {option.label}
-                </option>
-              ))}
-            </select>
-          </div>
-        </div>
-      </div>
-
-      {/* Snippets Grid */}
-      {loading ? (
-        <LoadingSpinner text="Loading snippets..." />
-      ) : snippets.length > 0 ? (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {snippets.map((snippet) => (
-            <div key={snippet._id} className="card hover:shadow-lg transition-all duration-200">
-              {/* Header */}
-              <div className="flex items-start justify-between mb-3">
-                <div className="flex-1">
-                  <Link
-                    to={`/snippets/${snippet._id}`}
-                    className="font-semibold text-white hover:text-blue-400 transition-colors line-clamp-1"
-                  >
-                    {snippet.title}
-                  </Link>
-                  <p className="text-sm text-slate-400 mt-1 line-clamp-2">
-                    {snippet.description || 'No description'}
-                  </p>
+        <div className="lg:col-span-3 space-y-6">
+          {selectedCollection ? (
+            collectionView && (
+              <div className="card space-y-3">
+                {/* Path */}
+                <div className="flex items-center flex-wrap text-sm text-slate-400">
+                  <button onClick={() => setSelectedCollection(null)} className="hover:text-white">
+                    All snippets
+                  </button>
+                  {collectionView.path.map((parent) => (
+                    <React.Fragment key={parent._id}>
+                      <ChevronRight className="w-4 h-4 mx-1" />
+                      <button
+                        onClick={() => {
+                          setSelectedCollection(parent._id);
+                          setCurrentPage(1);
+                        }}
+                        className="hover:text-white"
+                      >
+                        {parent.name}
+                      </button>
+                    </React.Fragment>
+                  ))}
                 </div>
-                <div className="flex items-center space-x-1 ml-2">
-                  {snippet.isPublic ? (
-                    <div className="flex items-center bg-green-500/20 px-2 py-1 rounded-full">
-                      <Globe className="w-3 h-3 text-green-400 mr-1" />
-                      <span className="text-xs text-green-400 font-medium">Public</span>
-                    </div>
+
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h2 className="text-2xl font-semibold text-white">{collectionView.collection.name}</h2>
+                    {collectionView.collection.description && (
+                      <p className="text-slate-400 mt-1">{collectionView.collection.description}</p>
+                    )}
+                  </div>
+                  {collectionView.collection.isPublic ? (
+                    <Link
+                      to={`/collections/${collectionView.collection._id}`}
+                      className="flex items-center text-sm text-green-400 hover:text-green-300"
+                    >
+                      <Globe className="w-4 h-4 mr-1" />
+                      Public page
+                    </Link>
                   ) : (
-                    <div className="flex items-center bg-slate-700 px-2 py-1 rounded-full">
-                      <Lock className="w-3 h-3 text-slate-400 mr-1" />
-                      <span className="text-xs text-slate-400 font-medium">Private</span>
-                    </div>
+                    <span className="flex items-center text-sm text-slate-400">
+                      <Lock className="w-4 h-4 mr-1" />
+                      Private
+                    </span>
                   )}
                 </div>
-              </div>
 
-              {/* Language Badge */}
-              <div className="mb-3">
-                <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getLanguageColor(snippet.lang)}`}>
-                  {snippet.lang}
-                </span>
+                {/* Subcollections */}
+                {collectionView.collections.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {collectionView.collections.map((child) => (
+                      <button
+                        key={child._id}
+                        onClick={() => {
+                          setSelectedCollection(child._id);
+                          setCurrentPage(1);
+                        }}
+                        className="flex items-center px-3 py-2 rounded-lg text-sm text-slate-300 bg-slate-800 hover:bg-slate-700"
+                      >
+                        <Folder className="w-4 h-4 mr-2" />
+                        {child.name}
+                        <span className="ml-2 text-xs text-slate-500">{child.snippetCount}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )
+          ) : (
+            /* Filters and Search */
+            <div className="card space-y-4">
+              {/* Search */}
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400 w-4 h-4" />
+                <input
+                  type="text"
+                  placeholder='Search snippets and code... (try "exact phrase" lang:python tag:auth author:alice)'
+                  className="form-input pl-10"
+                  value={searchTerm}
+                  onChange={(e) => {
+                    setSearchTerm(e.target.value);
+                    setCurrentPage(1);
+                  }}
+                />
               </div>
 
-              {/* Tags */}
-              {snippet.tags && snippet.tags.length > 0 && (
-                <div className="flex flex-wrap gap-1 mb-3">
-                  {snippet.tags.slice(0, 3).map((tag, index) => (
-                    <span
-                      key={index}
-                      className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-slate-700 text-slate-300"
+              {/* Filter Tabs */}
+              <div className="flex flex-wrap gap-2">
+                {filters.map((filter) => {
+                  const Icon = filter.icon;
+                  return (
+                    <button
+                      key={filter.value}
+                      onClick={() => {
+                        setSelectedFilter(filter.value);
+                        setCurrentPage(1);
+                      }}
+                      className={`flex items-center px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                        selectedFilter === filter.value
+                          ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+                          : 'text-slate-400 hover:text-white hover:bg-slate-800'
+                      }`}
                     >
-                      #{tag}
-                    </span>
-                  ))}
-                  {snippet.tags.length > 3 && (
-                    <span className="text-xs text-slate-400">+{snippet.tags.length - 3} more</span>
-                  )}
-                </div>
-              )}
-
-              {/* Stats */}
-              <div className="flex items-center justify-between mb-4 text-xs text-slate-500">
-                <div className="flex items-center space-x-3">
-                  <span className="flex items-center">
-                    <Eye className="w-3 h-3 mr-1" />
-                    {snippet.views || 0}
-                  </span>
-                  <span className="flex items-center">
-                    <Heart className="w-3 h-3 mr-1" />
-                    {snippet.likes?.length || 0}
-                  </span>
-                </div>
-                <span className="flex items-center">
-                  <Clock className="w-3 h-3 mr-1" />
-                  {formatDate(snippet.createdAt)}
-                </span>
+                      <Icon className="w-4 h-4 mr-2" />
+                      {filter.label}
+                    </button>
+                  );
+                })}
               </div>
 
-              {/* Actions */}
-              <div className="flex items-center justify-between pt-3 border-t border-slate-700">
-                <div className="flex items-center space-x-2">
+              {selectedTag && selectedFilter !== 'trending' && (
+                <div className="flex items-center text-sm text-slate-400">
+                  Tagged
                   <button
-                    onClick={() => handleLike(snippet._id)}
-                    className="p-2 text-slate-400 hover:text-pink-400 transition-colors"
-                    title="Like snippet"
+                    onClick={() => {
+                      setSelectedTag('');
+                      setCurrentPage(1);
+                    }}
+                    className="ml-2 inline-flex items-center px-2 py-1 rounded-full bg-blue-500/20 text-blue-400 border border-blue-500/30"
+                    title="Clear tag filter"
                   >
-                    <Heart className="w-4 h-4" />
-                  </button>
-                  <button
-                    onClick={() => copyShareLink(snippet)}
-                    className="p-2 text-slate-400 hover:text-blue-400 transition-colors"
-                    title="Share snippet"
-                  >
-                    {copiedId === snippet._id ? (
-                      <Check className="w-4 h-4 text-green-400" />
-                    ) : (
-                      <Share2 className="w-4 h-4" />
-                    )}
+                    #{selectedTag}
+                    <X className="w-3 h-3 ml-1" />
                   </button>
                 </div>
-                <div className="flex items-center space-x-2">
-                  <Link
-                    to={`/snippets/${snippet._id}`}
-                    className="p-2 text-slate-400 hover:text-blue-400 transition-colors"
-                    title="Edit snippet"
-                  >
-                    <Edit className="w-4 h-4" />
-                  </Link>
-                  <button
-                    onClick={() => handleDelete(snippet._id)}
-                    className="p-2 text-slate-400 hover:text-red-400 transition-colors"
-                    title="Delete snippet"
+              )}
+
+              {/* Language, Date and Sort */}
+              <div className="flex flex-col sm:flex-row gap-4">
+                <div className="flex-1">
+                  <select
+                    className="form-input"
+                    value={selectedLanguage}
+                    onChange={(e) => {
+                      setSelectedLanguage(e.target.value);
+                      setCurrentPage(1);
+                    }}
                   >
-                    <Trash2 className="w-4 h-4" />
-                  </button>
+                    <option value="">All Languages</option>
+                    {languages.map((lang) => (
+                      <option key={lang} value={lang}>
+                        {lang.charAt(0).toUpperCase() + lang.slice(1)}
+                      </option>
+                    ))}
+                  </select>
                 </div>
+                {selectedFilter === 'trending' ? (
+                  <div className="flex-1">
+                    <select
+                      className="form-input"
+                      value={trendingWindow}
+                      onChange={(e) => {
+                        setTrendingWindow(e.target.value);
+                        setCurrentPage(1);
+                      }}
+                    >
+                      <option value="day">Trending today</option>
+                      <option value="week">Trending this week</option>
+                      <option value="month">Trending this month</option>
+                    </select>
+                  </div>
+                ) : (
+                  <>
+                    <div className="flex-1">
+                      <select
+                        className="form-input"
+                        value={dateRange}
+                        onChange={(e) => {
+                          setDateRange(e.target.value);
+                          setCurrentPage(1);
+                        }}
+                      >
+                        <option value="">Any time</option>
+                        <option value="week">Past week</option>
+                        <option value="month">Past month</option>
+                        <option value="year">Past year</option>
+                      </select>
+                    </div>
+                    <div className="flex-1">
+                      <select
+                        className="form-input"
+                        value={sortBy}
+                        onChange={(e) => {
+                          setSortBy(e.target.value);
+                          setCurrentPage(1);
+                        }}
+                      >
+                        {sortOptions.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
-          ))}
-        </div>
-      ) : (
-        <div className="text-center py-12">
-          <Code className="w-16 h-16 text-slate-500 mx-auto mb-4" />
-          <h3 className="text-lg font-medium text-white mb-2">No snippets found</h3>
-          <p className="text-slate-400 mb-6">
-            {searchTerm || selectedLanguage || selectedFilter !== 'all'
-              ? 'Try adjusting your search criteria'
-              : 'Get started by creating your first snippet'}
-          </p>
-          <Link
-            to="/snippets/new"
-            className="btn-primary"
-          >
-            <Plus className="w-4 h-4 mr-2" />
-            Create Snippet
-          </Link>
-        </div>
-      )}
-
-      {/* Pagination */}
-      {totalPages > 1 && (
-        <div className="flex items-center justify-center space-x-2">
-          <button
-            onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
-            disabled={currentPage === 1}
-            className="px-3 py-2 text-sm border border-slate-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-800 text-white"
-          >
-            Previous
-          </button>
+          )}
+
+          {/* Snippets Grid */}
+          {loading ? (
+            <LoadingSpinner text="Loading snippets..." />
+          ) : snippets.length > 0 ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+              {snippets.map((snippet, index) => (
+                <div key={snippet._id} className="card hover:shadow-lg transition-all duration-200">
+                  {/* Header */}
+                  <div className="flex items-start justify-between mb-3">
+                    <div className="flex-1">
+                      <Link
+                        to={`/snippets/${snippet._id}`}
+                        className="font-semibold text-white hover:text-blue-400 transition-colors line-clamp-1"
+                      >
+                        <HighlightedText segments={snippet.highlights?.title} fallback={snippet.title} />
+                      </Link>
+                      <p className="text-sm text-slate-400 mt-1 line-clamp-2">
+                        <HighlightedText
+                          segments={snippet.highlights?.description}
+                          fallback={snippet.description || 'No description'}
+                        />
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-1 ml-2">
+                      {snippet.isPublic ? (
+                        <div className="flex items-center bg-green-500/20 px-2 py-1 rounded-full">
+                          <Globe className="w-3 h-3 text-green-400 mr-1" />
+                          <span className="text-xs text-green-400 font-medium">Public</span>
+                        </div>
+                      ) : snippet.organization ? (
+                        <div className="flex items-center bg-slate-700 px-2 py-1 rounded-full" title="Visible to organization members">
+                          <Building2 className="w-3 h-3 text-slate-400 mr-1" />
+                          <span className="text-xs text-slate-400 font-medium">{snippet.organization.name}</span>
+                        </div>
+                      ) : (
+                        <div className="flex items-center bg-slate-700 px-2 py-1 rounded-full">
+                          <Lock className="w-3 h-3 text-slate-400 mr-1" />
+                          <span className="text-xs text-slate-400 font-medium">Private</span>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Language Badge */}
+                  <div className="mb-3">
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getLanguageColor(snippet.lang)}`}>
+                      {snippet.lang}
+                    </span>
+                  </div>
+
+                  {/* Matching code lines from search */}
+                  {snippet.highlights?.content?.length > 0 && (
+                    <div className="mb-3 bg-slate-900 rounded p-2 text-xs font-mono text-slate-300 overflow-hidden">
+                      {snippet.highlights.content.map((match) => (
+                        <div key={match.line} className="flex whitespace-pre overflow-hidden">
+                          <span className="text-slate-500 w-8 flex-shrink-0 text-right mr-2">{match.line}</span>
+                          <span className="truncate">
+                            <HighlightedText segments={match.segments} />
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Tags */}
+                  {snippet.tags && snippet.tags.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mb-3">
+                      {snippet.tags.slice(0, 3).map((tag, index) => (
+                        <button
+                          key={index}
+                          onClick={() => {
+                            setSelectedTag(tag);
+                            setCurrentPage(1);
+                          }}
+                          className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-slate-700 text-slate-300 hover:bg-slate-600"
+                          title={`Show snippets tagged ${tag}`}
+                        >
+                          #{tag}
+                        </button>
+                      ))}
+                      {snippet.tags.length > 3 && (
+                        <span className="text-xs text-slate-400">+{snippet.tags.length - 3} more</span>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Stats */}
+                  <div className="flex items-center justify-between mb-4 text-xs text-slate-500">
+                    <div className="flex items-center space-x-3">
+                      <span className="flex items-center">
+                        <Eye className="w-3 h-3 mr-1" />
+                        {snippet.views || 0}
+                      </span>
+                      <span className="flex items-center">
+                        <Heart className="w-3 h-3 mr-1" />
+                        {snippet.likes?.length || 0}
+                      </span>
+                      <span className="flex items-center">
+                        <User className="w-3 h-3 mr-1" />
+                        <AuthorLink author={snippet.author} />
+                      </span>
+                    </div>
+                    <span className="flex items-center">
+                      <Clock className="w-3 h-3 mr-1" />
+                      {formatDate(snippet.createdAt)}
+                    </span>
+                  </div>
+
+                  {/* Actions */}
+                  <div className="flex items-center justify-between pt-3 border-t border-slate-700">
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => handleLike(snippet._id)}
+                        className="p-2 text-slate-400 hover:text-pink-400 transition-colors"
+                        title="Like snippet"
+                      >
+                        <Heart className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => copyShareLink(snippet)}
+                        className="p-2 text-slate-400 hover:text-blue-400 transition-colors"
+                        title="Share snippet"
+                      >
+                        {copiedId === snippet._id ? (
+                          <Check className="w-4 h-4 text-green-400" />
+                        ) : (
+                          <Share2 className="w-4 h-4" />
+                        )}
+                      </button>
+                      {collections.length > 0 && (
+                        <button
+                          onClick={() => setCollectionMenuId(collectionMenuId === snippet._id ? null : snippet._id)}
+                          className="p-2 text-slate-400 hover:text-blue-400 transition-colors"
+                          title="Add to collection"
+                        >
+                          <FolderPlus className="w-4 h-4" />
+                        </button>
+                      )}
+                      {selectedCollection && (
+                        <>
+                          <button
+                            onClick={() => handleMoveInCollection(snippet._id, index, -1)}
+                            disabled={currentPage === 1 && index === 0}
+                            className="p-2 text-slate-400 hover:text-blue-400 transition-colors disabled:opacity-30"
+                            title="Move earlier"
+                          >
+                            <ArrowLeft className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleMoveInCollection(snippet._id, index, 1)}
+                            disabled={currentPage === totalPages && index === snippets.length - 1}
+                            className="p-2 text-slate-400 hover:text-blue-400 transition-colors disabled:opacity-30"
+                            title="Move later"
+                          >
+                            <ArrowRight className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleRemoveFromCollection(snippet._id)}
+                            className="p-2 text-slate-400 hover:text-red-400 transition-colors"
+                            title="Remove from collection"
+                          >
+                            <FolderMinus className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <Link
+                        to={`/snippets/${snippet._id}`}
+                        className="p-2 text-slate-400 hover:text-blue-400 transition-colors"
+                        title="Edit snippet"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </Link>
+                      <button
+                        onClick={() => handleDelete(snippet._id)}
+                        className="p-2 text-slate-400 hover:text-red-400 transition-colors"
+                        title="Delete snippet"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Add to collection */}
+                  {collectionMenuId === snippet._id && (
+                    <div className="mt-3 border border-slate-700 rounded-lg py-1 max-h-48 overflow-auto">
+                      {flattenCollections(collections).map((collection) => (
+                        <button
+                          key={collection._id}
+                          onClick={() => handleAddToCollection(collection._id, snippet._id)}
+                          className="w-full flex items-center px-3 py-1 text-sm text-slate-300 hover:bg-slate-700 text-left"
+                          style={{ paddingLeft: `${0.75 + collection.depth}rem` }}
+                        >
+                          <Folder className="w-4 h-4 mr-2 flex-shrink-0" />
+                          <span className="truncate">{collection.name}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <Code className="w-16 h-16 text-slate-500 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-white mb-2">No snippets found</h3>
+              <p className="text-slate-400 mb-6">
+                {selectedCollection
+                  ? 'Add snippets to this collection with the folder button on a snippet'
+                  : searchTerm || selectedLanguage || selectedTag || dateRange || selectedFilter !== 'all'
+                  ? 'Try adjusting your search criteria'
+                  : 'Get started by creating your first snippet'}
+              </p>
+              <Link
+                to="/snippets/new"
+                className="btn-primary"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                Create Snippet
+              </Link>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {totalPages > 1 && (
+            <div className="flex items-center justify-center space-x-2">
+              <button
+                onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                disabled={currentPage === 1}
+                className="px-3 py-2 text-sm border border-slate-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-800 text-white"
+              >
+                Previous
+              </button>
           
-          <span className="px-4 py-2 text-sm text-slate-400">
-            Page {currentPage} of {totalPages}
-          </span>
+              <span className="px-4 py-2 text-sm text-slate-400">
+                Page {currentPage} of {totalPages}
+              </span>
           
-          <button
-            onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
-            disabled={currentPage === totalPages}
-            className="px-3 py-2 text-sm border border-slate-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-800 text-white"
-          >
-            Next
-          </button>
+              <button
+                onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                disabled={currentPage === totalPages}
+                className="px-3 py-2 text-sm border border-slate-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-800 text-white"
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
-      )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,86 @@
+/**
+ * Unlock Account Page Component
+ * Lifts a failed-login lockout from the link in the account locked email
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FileText, CheckCircle, XCircle } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import authService from '../services/authService';
+
+const UnlockAccount = () => {
+  const { token } = useParams();
+  const [status, setStatus] = useState('unlocking');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so guard against StrictMode double effects
+    if (requested.current) return;
+    requested.current = true;
+
+    const unlock = async () => {
+      try {
+        const response = await authService.unlockAccount(token);
+        setStatus('success');
+        setMessage(response.message);
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to unlock account. Please try again.');
+      }
+    };
+    unlock();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-slate-900 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl flex items-center justify-center">
+              <FileText className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="mt-6 text-3xl font-extrabold text-white">
+            Unlock account
+          </h2>
+        </div>
+
+        <div className="card text-center space-y-6">
+          {status === 'unlocking' && <LoadingSpinner text="Unlocking your account..." />}
+
+          {status === 'success' && (
+            <>
+              <CheckCircle className="w-12 h-12 text-green-400 mx-auto" />
+              <p className="text-slate-300">{message}</p>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <XCircle className="w-12 h-12 text-red-400 mx-auto" />
+              <p className="text-slate-300">{message}</p>
+            </>
+          )}
+
+          {status !== 'unlocking' && (
+            <div className="space-y-3">
+              <Link to="/login" className="btn-primary inline-flex items-center justify-center">
+                Sign In
+              </Link>
+              <p className="text-sm text-slate-400">
+                Don't recognise the failed attempts?{' '}
+                <Link to="/forgot-password" className="text-blue-400 hover:text-blue-300">
+                  Reset your password
+                </Link>
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,84 @@
+/**
+ * Verify Email Page Component
+ * Confirms an email address from the verification link
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { FileText, CheckCircle, XCircle } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import authService from '../services/authService';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so guard against StrictMode double effects
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authService.verifyEmail(token);
+        setStatus('success');
+        setMessage(response.message);
+        updateUser({ emailVerified: true });
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify email. Please try again.');
+      }
+    };
+    verify();
+  }, [token, updateUser]);
+
+  return (
+    <div className="min-h-screen bg-slate-900 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl flex items-center justify-center">
+              <FileText className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="mt-6 text-3xl font-extrabold text-white">
+            Email verification
+          </h2>
+        </div>
+
+        <div className="card text-center space-y-6">
+          {status === 'verifying' && <LoadingSpinner text="Verifying your email..." />}
+
+          {status === 'success' && (
+            <>
+              <CheckCircle className="w-12 h-12 text-green-400 mx-auto" />
+              <p className="text-slate-300">{message}</p>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <XCircle className="w-12 h-12 text-red-400 mx-auto" />
+              <p className="text-slate-300">{message}</p>
+            </>
+          )}
+
+          {status !== 'verifying' && (
+            <Link
+              to={user ? '/dashboard' : '/login'}
+              className="btn-primary inline-flex items-center justify-center"
+            >
+              {user ? 'Go to Dashboard' : 'Sign In'}
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -2,7 +2,8 @@ import React, { useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import io from 'socket.io-client';
 import workspaceService from '../services/workspaceService';
-import Editor from '@monaco-editor/react';
+import authService from '../services/authService';
+import CodeEditor from '../components/CodeEditor';
 
 function WorkspaceEditor() {
   const { workspaceId } = useParams();
@@ -26,11 +27,34 @@ function WorkspaceEditor() {
 
   // Setup socket
   useEffect(() => {
+    // Read the token on every (re)connect so a refreshed one is picked up
     const newSocket = io(process.env.REACT_APP_API_URL || 'http://localhost:5000', {
-      auth: { token: localStorage.getItem('token') },
+      auth: (cb) => cb({ token: authService.getToken() }),
+      withCredentials: authService.usesCookies, // cookie sessions authenticate the handshake
     });
 
-    newSocket.emit('join-workspace', workspaceId);
+    newSocket.on('connect', () => {
+      newSocket.emit('join-workspace', workspaceId, (response) => {
+        if (response?.error) {
+          console.error('Failed to join workspace:', response.message);
+        }
+      });
+    });
+
+    // The server rejects expired access tokens; refresh once and retry
+    let retried = false;
+    newSocket.on('connect_error', async (error) => {
+      console.error('Socket connection error:', error.message);
+      if (retried || error.message !== 'Token expired') return;
+
+      retried = true;
+      try {
+        await authService.refreshAccessToken();
+        newSocket.connect();
+      } catch (refreshError) {
+        console.error('Failed to refresh token for socket:', refreshError);
+      }
+    });
 
     newSocket.on('workspace-updated', (updatedWorkspace) => {
       setWorkspace(updatedWorkspace);
@@ -101,12 +125,11 @@ function WorkspaceEditor() {
       {/* Editor */}
       <div className="flex-1">
         {activeFile ? (
-          <Editor
+          <CodeEditor
             height="100%"
             language={activeFile.language}
             value={activeFile.content}
             onChange={handleCodeChange}
-            theme="vs-dark"
           />
         ) : (
           <div className="h-full flex items-center justify-center text-gray-500">
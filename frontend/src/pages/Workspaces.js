@@ -1,11 +1,13 @@
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import workspaceService from '../services/workspaceService';
+import { useOrganizations } from '../contexts/OrganizationContext';
 
 function Workspaces() {
   const [workspaces, setWorkspaces] = useState([]);
   const [newName, setNewName] = useState('');
   const [error, setError] = useState('');
+  const { organizations, activeOrganization } = useOrganizations();
 
   // Fetch workspaces on component mount
   useEffect(() => {
@@ -27,7 +29,8 @@ function Workspaces() {
     if (!newName.trim()) return;
 
     try {
-      const response = await workspaceService.createWorkspace(newName);
+      // New workspaces belong to the organization selected in the navbar
+      const response = await workspaceService.createWorkspace(newName, activeOrganization?._id || null);
       // Backend returns { message: '...', workspace: {...} }
       setWorkspaces([...workspaces, response.workspace]);
       setNewName('');
@@ -37,6 +40,17 @@ function Workspaces() {
     }
   };
 
+  // Move a workspace between the personal account and an organization
+  const handleMove = async (workspace, organizationId) => {
+    try {
+      const response = await workspaceService.moveWorkspace(workspace.workspaceId, organizationId || null);
+      setWorkspaces(workspaces.map((w) => (w.workspaceId === workspace.workspaceId ? response.workspace : w)));
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to move workspace');
+    }
+  };
+
   return (
     <div className="p-6 max-w-3xl mx-auto">
       <h1 className="text-2xl font-bold mb-4">Your Workspaces</h1>
@@ -48,7 +62,7 @@ function Workspaces() {
           type="text"
           value={newName}
           onChange={(e) => setNewName(e.target.value)}
-          placeholder="New workspace name"
+          placeholder={activeOrganization ? `New workspace in ${activeOrganization.name}` : 'New workspace name'}
           className="flex-1 border rounded px-2 py-1"
         />
         <button type="submit" className="bg-blue-600 text-white px-3 py-1 rounded">
@@ -61,16 +75,32 @@ function Workspaces() {
       ) : (
         <div className="grid gap-3">
           {workspaces.map((workspace) => (
-            <Link
+            <div
               key={workspace.workspaceId}  // ✅ use UUID consistently
-              to={`/workspaces/${workspace.workspaceId}`}
-              className="block p-4 border rounded-lg hover:shadow"
+              className="flex items-center justify-between p-4 border rounded-lg hover:shadow"
             >
-              <h2 className="font-semibold">{workspace.name}</h2>
-              <p className="text-sm text-gray-500">
-                {(workspace.collaborators?.length ?? 0) + 1} collaborators
-              </p>
-            </Link>
+              <Link to={`/workspaces/${workspace.workspaceId}`} className="flex-1">
+                <h2 className="font-semibold">{workspace.name}</h2>
+                <p className="text-sm text-gray-500">
+                  {workspace.organization
+                    ? `${workspace.organization.name} · all members`
+                    : `${(workspace.collaborators?.length ?? 0) + 1} collaborators`}
+                </p>
+              </Link>
+              {organizations.length > 0 && (
+                <select
+                  value={workspace.organization?._id || ''}
+                  onChange={(e) => handleMove(workspace, e.target.value)}
+                  className="border rounded px-2 py-1 text-sm"
+                  title="Owner"
+                >
+                  <option value="">Personal</option>
+                  {organizations.map((org) => (
+                    <option key={org._id} value={org._id}>{org.name}</option>
+                  ))}
+                </select>
+              )}
+            </div>
           ))}
         </div>
       )}
@@ -0,0 +1,57 @@
+/**
+ * Admin Service
+ * Handles API calls for the moderation console
+ */
+
+import axios from 'axios';
+import { setupAuthInterceptors } from './authService';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const api = setupAuthInterceptors(axios.create({
+  baseURL: `${API_URL}/admin`,
+}));
+
+const adminService = {
+  getStats: async () => {
+    const response = await api.get('/stats');
+    return response.data;
+  },
+
+  getUsers: async (params = {}) => {
+    const response = await api.get('/users', { params });
+    return response.data;
+  },
+
+  setUserStatus: async (id, { status, reason, durationDays }) => {
+    const response = await api.patch(`/users/${id}/status`, { status, reason, durationDays });
+    return response.data;
+  },
+
+  getSnippets: async (params = {}) => {
+    const response = await api.get('/snippets', { params });
+    return response.data;
+  },
+
+  unpublishSnippet: async (id, reason) => {
+    const response = await api.post(`/snippets/${id}/unpublish`, { reason });
+    return response.data;
+  },
+
+  clearSnippetModeration: async (id) => {
+    const response = await api.delete(`/snippets/${id}/moderation`);
+    return response.data;
+  },
+
+  getWorkspaces: async (params = {}) => {
+    const response = await api.get('/workspaces', { params });
+    return response.data;
+  },
+
+  deleteWorkspace: async (workspaceId) => {
+    const response = await api.delete(`/workspaces/${workspaceId}`);
+    return response.data;
+  },
+};
+
+export default adminService;
@@ -7,6 +7,12 @@ import axios from 'axios';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// 'cookie' keeps the session in httpOnly cookies that page scripts (and so any
+// XSS) cannot read; the default 'token' mode stores tokens in localStorage
+const USES_COOKIES = process.env.REACT_APP_AUTH_MODE === 'cookie';
+
+const UNSAFE_METHODS = ['post', 'put', 'patch', 'delete'];
+
 // Create axios instance with default config
 const api = axios.create({
   baseURL: API_URL,
@@ -15,36 +21,182 @@ const api = axios.create({
   },
 });
 
-// Add token to requests if available
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    console.log('Making API request to:', config.url, 'with token:', !!token);
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh'];
+
+// Errors returned for suspended or banned accounts
+const ACCOUNT_BLOCKED_ERRORS = ['Account suspended', 'Account banned'];
+
+/**
+ * Token storage helpers
+ * In cookie mode only a "signed in" marker and the CSRF token live client-side
+ */
+let csrfToken = null;
+
+const getToken = () => (USES_COOKIES ? null : localStorage.getItem('token'));
+const getRefreshToken = () => (USES_COOKIES ? null : localStorage.getItem('refreshToken'));
+
+const hasSession = () => (USES_COOKIES ? localStorage.getItem('hasSession') === 'true' : !!getToken());
+
+const setTokens = ({ token, refreshToken, csrfToken: newCsrfToken } = {}) => {
+  if (USES_COOKIES) {
+    if (newCsrfToken) csrfToken = newCsrfToken;
+    localStorage.setItem('hasSession', 'true');
+    return;
+  }
+  if (token) localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('hasSession');
+  csrfToken = null;
+};
+
+/**
+ * Get the CSRF token cookie sessions must send with state-changing requests
+ * It is fetched once per page load unless a login or refresh already returned it
+ */
+const getCsrfToken = async () => {
+  if (!csrfToken) {
+    const { data } = await axios.get(`${API_URL}/auth/csrf`, { withCredentials: true });
+    csrfToken = data.csrfToken;
+  }
+  return csrfToken;
+};
+
+const redirectToLogin = () => {
+  // Only redirect if not already on login/register page
+  if (!window.location.pathname.includes('/login') && !window.location.pathname.includes('/register')) {
+    window.location.href = '/login';
+  }
+};
+
+// Single in-flight refresh shared by every request that hits a 401
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+
+    // Cookie sessions send the refresh token cookie instead of a body
+    const request = USES_COOKIES
+      ? getCsrfToken().then((token) => axios.post(`${API_URL}/auth/refresh`, {}, {
+        withCredentials: true,
+        headers: { 'X-CSRF-Token': token },
+      }))
+      : axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+
+    refreshPromise = request
+      .then(({ data }) => {
+        setTokens(data);
+        return data.token;
+      })
+      .catch((error) => {
+        // Another tab may have rotated the token while we were waiting
+        const latestRefreshToken = getRefreshToken();
+        if (latestRefreshToken && latestRefreshToken !== refreshToken) {
+          return getToken();
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
   }
-);
-
-// Handle token expiration
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401 && error.config.url !== '/auth/login' && error.config.url !== '/auth/register') {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      // Only redirect if not already on login/register page
-      if (!window.location.pathname.includes('/login') && !window.location.pathname.includes('/register')) {
-        window.location.href = '/login';
+  return refreshPromise;
+};
+
+/**
+ * Attach the access token to requests and transparently refresh it on 401
+ */
+export const setupAuthInterceptors = (instance) => {
+  instance.interceptors.request.use(
+    async (config) => {
+      if (USES_COOKIES) {
+        config.withCredentials = true;
+        config.headers['X-Auth-Mode'] = 'cookie';
+        if (UNSAFE_METHODS.includes(config.method)) {
+          config.headers['X-CSRF-Token'] = await getCsrfToken();
+        }
+        return config;
+      }
+
+      const token = getToken();
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
       }
+      return config;
+    },
+    (error) => {
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
-  }
-);
+  );
+
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const originalRequest = error.config;
+
+      // The CSRF cookie was replaced (e.g. cleared by the browser); fetch it again once
+      if (
+        USES_COOKIES &&
+        error.response?.status === 403 &&
+        error.response.data?.error === 'Invalid CSRF token' &&
+        originalRequest &&
+        !originalRequest._csrfRetry
+      ) {
+        originalRequest._csrfRetry = true;
+        csrfToken = null;
+        return instance(originalRequest);
+      }
+
+      // The account was suspended or banned while signed in
+      if (error.response?.status === 403 && ACCOUNT_BLOCKED_ERRORS.includes(error.response.data?.error)) {
+        clearTokens();
+        redirectToLogin();
+        return Promise.reject(error);
+      }
+
+      if (
+        error.response?.status !== 401 ||
+        !originalRequest ||
+        originalRequest._retry ||
+        AUTH_ENDPOINTS.includes(originalRequest.url)
+      ) {
+        return Promise.reject(error);
+      }
+
+      if (!hasSession() || (!USES_COOKIES && !getRefreshToken())) {
+        clearTokens();
+        redirectToLogin();
+        return Promise.reject(error);
+      }
+
+      try {
+        originalRequest._retry = true;
+        const token = await refreshAccessToken();
+        if (token) {
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+        }
+        return instance(originalRequest);
+      } catch (refreshError) {
+        // Refresh token expired or revoked
+        clearTokens();
+        redirectToLogin();
+        return Promise.reject(error);
+      }
+    }
+  );
+
+  return instance;
+};
+
+setupAuthInterceptors(api);
 
 const authService = {
   /**
@@ -78,6 +230,42 @@ const authService = {
     }
   },
 
+  /**
+   * Complete a two-factor login with a TOTP code or a recovery code
+   */
+  loginTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await api.post('/auth/login/2fa', {
+        challengeToken,
+        code,
+        recoveryCode,
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Get configured single sign-on (OIDC) providers
+   */
+  getOidcProviders: async () => {
+    try {
+      const response = await api.get('/auth/oidc/providers');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * URL that starts a single sign-on login with the given provider
+   */
+  getOidcLoginUrl: (providerId) => {
+    const mode = USES_COOKIES ? '?mode=cookie' : '';
+    return `${API_URL}/auth/oidc/${encodeURIComponent(providerId)}/authorize${mode}`;
+  },
+
   /**
    * Get current user information
    */
@@ -91,11 +279,182 @@ const authService = {
   },
 
   /**
-   * Logout user (client-side only)
+   * Logout user and revoke the current session on the server
    */
-  logout: () => {
-    localStorage.removeItem('token');
+  logout: async () => {
+    try {
+      if (hasSession()) {
+        await api.post('/auth/logout');
+      }
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      clearTokens();
+    }
+  },
+
+  /**
+   * Verify an email address using the token from the verification email
+   */
+  verifyEmail: async (token) => {
+    try {
+      const response = await api.get(`/auth/verify/${token}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Resend the email verification link
+   */
+  resendVerification: async () => {
+    try {
+      const response = await api.post('/auth/verify/resend');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
   },
+
+  /**
+   * Request a password reset email
+   */
+  forgotPassword: async (email) => {
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Set a new password using a reset token
+   */
+  resetPassword: async (token, password) => {
+    try {
+      const response = await api.post('/auth/reset-password', { token, password });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Unlock an account locked after too many failed logins
+   */
+  unlockAccount: async (token) => {
+    try {
+      const response = await api.get(`/auth/unlock/${token}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Start two-factor enrollment (returns QR code and secret)
+   */
+  setupTwoFactor: async () => {
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm two-factor enrollment (returns recovery codes)
+   */
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Turn off two-factor authentication
+   */
+  disableTwoFactor: async (password, { code, recoveryCode }) => {
+    try {
+      const response = await api.post('/auth/2fa/disable', { password, code, recoveryCode });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Replace two-factor recovery codes
+   */
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/recovery-codes', { code });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Get active sessions for the current user
+   */
+  getSessions: async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a single session
+   */
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await api.delete(`/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke every session except the current one
+   */
+  revokeOtherSessions: async () => {
+    try {
+      const response = await api.delete('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Get recent login attempts on the current account
+   */
+  getLoginAttempts: async () => {
+    try {
+      const response = await api.get('/auth/login-attempts');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  getToken,
+  setTokens,
+  clearTokens,
+  hasSession,
+  refreshAccessToken,
+  usesCookies: USES_COOKIES,
 };
 
 export default authService;
\ No newline at end of file
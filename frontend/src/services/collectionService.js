@@ -0,0 +1,79 @@
+/**
+ * Collection Service
+ * Handles API calls for snippet collections (nested folders)
+ */
+
+import axios from 'axios';
+import { setupAuthInterceptors } from './authService';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const api = setupAuthInterceptors(axios.create({
+  baseURL: `${API_URL}/collections`,
+}));
+
+const collectionService = {
+  /**
+   * All of your collections, flat; nest them by `parent`
+   */
+  getCollections: async () => {
+    const response = await api.get('/');
+    return response.data;
+  },
+
+  /**
+   * A collection with its path, subcollections and a page of its snippets
+   */
+  getCollection: async (id, { page = 1, limit = 12 } = {}) => {
+    const response = await api.get(`/${id}`, { params: { page, limit } });
+    return response.data;
+  },
+
+  /**
+   * A public collection, works without signing in
+   */
+  getPublicCollection: async (id, { page = 1, limit = 12 } = {}) => {
+    const response = await axios.get(`${API_URL}/collections/public/${id}`, { params: { page, limit } });
+    return response.data;
+  },
+
+  createCollection: async ({ name, description, parent = null, isPublic = false }) => {
+    const response = await api.post('/', { name, description, parent, isPublic });
+    return response.data;
+  },
+
+  updateCollection: async (id, { name, description, isPublic }) => {
+    const response = await api.put(`/${id}`, { name, description, isPublic });
+    return response.data;
+  },
+
+  /**
+   * Move a collection under another parent (null for the top level) and/or to a position among its siblings
+   */
+  moveCollection: async (id, { parent, position }) => {
+    const response = await api.put(`/${id}/move`, { parent, position });
+    return response.data;
+  },
+
+  deleteCollection: async (id) => {
+    const response = await api.delete(`/${id}`);
+    return response.data;
+  },
+
+  addSnippet: async (id, snippetId) => {
+    const response = await api.post(`/${id}/snippets`, { snippetId });
+    return response.data;
+  },
+
+  moveSnippet: async (id, snippetId, position) => {
+    const response = await api.put(`/${id}/snippets/${snippetId}/position`, { position });
+    return response.data;
+  },
+
+  removeSnippet: async (id, snippetId) => {
+    const response = await api.delete(`/${id}/snippets/${snippetId}`);
+    return response.data;
+  },
+};
+
+export default collectionService;
@@ -0,0 +1,22 @@
+/**
+ * Feed Service
+ * Handles API calls for the activity feed of followed users
+ */
+
+import axios from 'axios';
+import { setupAuthInterceptors } from './authService';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const api = setupAuthInterceptors(axios.create({
+  baseURL: `${API_URL}/feed`,
+}));
+
+const feedService = {
+  getFeed: async ({ page = 1, limit = 10 } = {}) => {
+    const response = await api.get('/', { params: { page, limit } });
+    return response.data;
+  },
+};
+
+export default feedService;
@@ -0,0 +1,73 @@
+/**
+ * Organization Service
+ * Handles API calls for organizations, their members and shared assets
+ */
+
+import axios from 'axios';
+import { setupAuthInterceptors } from './authService';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const api = setupAuthInterceptors(axios.create({
+  baseURL: `${API_URL}/organizations`,
+}));
+
+const organizationService = {
+  getOrganizations: async () => {
+    const response = await api.get('/');
+    return response.data;
+  },
+
+  /**
+   * Create an organization, the slug is derived from the name when left out
+   */
+  createOrganization: async ({ name, slug, description }) => {
+    const response = await api.post('/', { name, slug: slug || undefined, description });
+    return response.data;
+  },
+
+  getOrganization: async (slug) => {
+    const response = await api.get(`/${encodeURIComponent(slug)}`);
+    return response.data;
+  },
+
+  updateOrganization: async (slug, { name, description }) => {
+    const response = await api.patch(`/${encodeURIComponent(slug)}`, { name, description });
+    return response.data;
+  },
+
+  deleteOrganization: async (slug) => {
+    const response = await api.delete(`/${encodeURIComponent(slug)}`);
+    return response.data;
+  },
+
+  addMember: async (slug, username, role = 'member') => {
+    const response = await api.post(`/${encodeURIComponent(slug)}/members`, { username, role });
+    return response.data;
+  },
+
+  updateMemberRole: async (slug, userId, role) => {
+    const response = await api.patch(`/${encodeURIComponent(slug)}/members/${userId}`, { role });
+    return response.data;
+  },
+
+  /**
+   * Remove a member, pass your own id to leave the organization
+   */
+  removeMember: async (slug, userId) => {
+    const response = await api.delete(`/${encodeURIComponent(slug)}/members/${userId}`);
+    return response.data;
+  },
+
+  getSnippets: async (slug, { page = 1, limit = 20 } = {}) => {
+    const response = await api.get(`/${encodeURIComponent(slug)}/snippets`, { params: { page, limit } });
+    return response.data;
+  },
+
+  getWorkspaces: async (slug) => {
+    const response = await api.get(`/${encodeURIComponent(slug)}/workspaces`);
+    return response.data;
+  },
+};
+
+export default organizationService;
@@ -4,6 +4,7 @@
  */
 
 import axios from "axios";
+import { setupAuthInterceptors } from "./authService";
 
 const API_URL = process.env.REACT_APP_API_URL;
 if (!API_URL) {
@@ -14,19 +15,44 @@ const api = axios.create({
   baseURL: `${API_URL}/snippets`,
 });
 
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem("token");
-  if (token) config.headers.Authorization = `Bearer ${token}`;
-  return config;
-});
+setupAuthInterceptors(api);
 
 const formatError = (error) =>
   error.response?.data?.message || error.message || "Something went wrong";
 
 const snippetService = {
-  getSnippets: async () => {
+  /**
+   * List snippets: scope, sort, search, lang, tags, isPublic, from, to, page, limit
+   * Returns { snippets, totalPages, currentPage, total }
+   */
+  getSnippets: async (params = {}) => {
     try {
-      const { data } = await api.get("/");
+      const { data } = await api.get("/", { params });
+      return data;
+    } catch (error) {
+      throw new Error(formatError(error));
+    }
+  },
+
+  /**
+   * Full-text search; q accepts "phrases", -exclusions and lang:, tag:, author:, is: qualifiers
+   */
+  searchSnippets: async ({ q, page = 1, limit = 12 } = {}) => {
+    try {
+      const { data } = await api.get("/search", { params: { q, page, limit } });
+      return data;
+    } catch (error) {
+      throw new Error(formatError(error));
+    }
+  },
+
+  /**
+   * Public snippets ranked by recent views and likes: window (day | week | month), lang, page, limit
+   * Returns { snippets, languages, window, computedAt, totalPages, currentPage, total }
+   */
+  getTrending: async (params = {}) => {
+    try {
+      const { data } = await api.get("/trending", { params });
       return data;
     } catch (error) {
       throw new Error(formatError(error));
@@ -77,9 +103,48 @@ const snippetService = {
     }
   },
 
-  restoreVersion: async (id, versionId) => {
+  /**
+   * Page through a snippet's version history, newest first (without content)
+   */
+  getVersions: async (id, { page = 1, limit = 10 } = {}) => {
+    try {
+      const { data } = await api.get(`/${id}/versions`, { params: { page, limit } });
+      return data;
+    } catch (error) {
+      throw new Error(formatError(error));
+    }
+  },
+
+  /**
+   * Get a single version with its content
+   */
+  getVersion: async (id, versionId) => {
+    try {
+      const { data } = await api.get(`/${id}/versions/${versionId}`);
+      return data;
+    } catch (error) {
+      throw new Error(formatError(error));
+    }
+  },
+
+  /**
+   * Line diff between two versions; "current" stands for the snippet's current content
+   */
+  getDiff: async (id, { from, to = 'current', context } = {}) => {
+    try {
+      const { data } = await api.get(`/${id}/diff`, { params: { from, to, context } });
+      return data;
+    } catch (error) {
+      throw new Error(formatError(error));
+    }
+  },
+
+  /**
+   * Restore a version, or with `hunks` only those changes of its diff against the current content
+   */
+  restoreVersion: async (id, versionId, { hunks, context } = {}) => {
     try {
-      const { data } = await api.post(`/${id}/restore/${versionId}`);
+      const { data } = await api.post(`/${id}/restore/${versionId}`, { hunks, context });
       return data;
     } catch (error) {
       throw new Error(formatError(error));
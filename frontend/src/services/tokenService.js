@@ -0,0 +1,32 @@
+/**
+ * Token Service
+ * Handles API calls for personal access tokens
+ */
+
+import axios from 'axios';
+import { setupAuthInterceptors } from './authService';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const api = setupAuthInterceptors(axios.create({
+  baseURL: `${API_URL}/tokens`,
+}));
+
+const tokenService = {
+  getTokens: async () => {
+    const response = await api.get('/');
+    return response.data;
+  },
+
+  createToken: async ({ name, scopes, expiresInDays }) => {
+    const response = await api.post('/', { name, scopes, expiresInDays });
+    return response.data;
+  },
+
+  revokeToken: async (id) => {
+    const response = await api.delete(`/${id}`);
+    return response.data;
+  },
+};
+
+export default tokenService;
@@ -0,0 +1,106 @@
+/**
+ * User Service
+ * Handles API calls for profiles and account settings
+ */
+
+import axios from 'axios';
+import { setupAuthInterceptors } from './authService';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Uploaded files are served by the backend outside of /api
+const SERVER_URL = API_URL.replace(/\/api\/?$/, '');
+
+const api = setupAuthInterceptors(axios.create({
+  baseURL: `${API_URL}/users`,
+}));
+
+const userService = {
+  getProfile: async (username, { page = 1 } = {}) => {
+    const response = await api.get(`/${encodeURIComponent(username)}`, { params: { page } });
+    return response.data;
+  },
+
+  /**
+   * Update the current user's profile
+   * Pass an avatar File to upload a new picture, or removeAvatar: true to clear it
+   */
+  updateProfile: async ({ username, email, currentPassword, bio, links, avatar, removeAvatar }) => {
+    const formData = new FormData();
+    if (username !== undefined) formData.append('username', username);
+    if (email !== undefined) formData.append('email', email);
+    if (currentPassword) formData.append('currentPassword', currentPassword);
+    if (bio !== undefined) formData.append('bio', bio);
+    if (links !== undefined) formData.append('links', JSON.stringify(links));
+    if (avatar) formData.append('avatar', avatar);
+    if (removeAvatar) formData.append('removeAvatar', 'true');
+
+    const response = await api.patch('/me', formData);
+    return response.data;
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.post('/me/password', { currentPassword, newPassword });
+    return response.data;
+  },
+
+  getFollowing: async () => {
+    const response = await api.get('/me/following');
+    return response.data;
+  },
+
+  follow: async (userId) => {
+    const response = await api.post(`/${userId}/follow`);
+    return response.data;
+  },
+
+  unfollow: async (userId) => {
+    const response = await api.delete(`/${userId}/follow`);
+    return response.data;
+  },
+
+  getPreferences: async () => {
+    const response = await api.get('/me/preferences');
+    return response.data;
+  },
+
+  /**
+   * Save code editor preferences, fields left out are not changed
+   */
+  updatePreferences: async (preferences) => {
+    const response = await api.patch('/me/preferences', preferences);
+    return response.data;
+  },
+
+  /**
+   * Download a ZIP of all the current user's data
+   * Returns the archive as a Blob along with its suggested file name
+   */
+  exportData: async () => {
+    const response = await api.get('/me/export', { responseType: 'blob' });
+    const disposition = response.headers['content-disposition'] || '';
+    const match = disposition.match(/filename="?([^"]+)"?/);
+    return {
+      blob: response.data,
+      fileName: match ? match[1] : 'devcollab-export.zip'
+    };
+  },
+
+  /**
+   * Permanently delete the current user's account
+   * snippets: 'delete' | 'anonymize', workspaces: 'transfer' | 'delete'
+   */
+  deleteAccount: async ({ password, code, recoveryCode, snippets, workspaces }) => {
+    const response = await api.delete('/me', {
+      data: { password, code, recoveryCode, snippets, workspaces }
+    });
+    return response.data;
+  },
+
+  getAvatarUrl: (avatar) => {
+    if (!avatar) return null;
+    return avatar.startsWith('/') ? `${SERVER_URL}${avatar}` : avatar;
+  },
+};
+
+export default userService;
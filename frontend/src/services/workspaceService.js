@@ -4,44 +4,43 @@
  */
 
 import axios from 'axios';
+import { setupAuthInterceptors } from './authService';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
-const getAuthHeader = () => {
-  const token = localStorage.getItem('token'); // ✅ fixed to read directly
-  return token ? { Authorization: `Bearer ${token}` } : {};
-};
+const api = setupAuthInterceptors(axios.create({
+  baseURL: `${API_URL}/workspaces`,
+}));
 
 const workspaceService = {
-  createWorkspace: async (name) => {
-    const response = await axios.post(
-      `${API_URL}/workspaces`,
-      { name },
-      { headers: getAuthHeader() }
-    );
+  /**
+   * Create a workspace, owned by the given organization id or personal when left out
+   */
+  createWorkspace: async (name, organization = null) => {
+    const response = await api.post('/', { name, organization });
     return response.data;
   },
 
   getWorkspaces: async () => {
-    const response = await axios.get(`${API_URL}/workspaces`, {
-      headers: getAuthHeader(),
-    });
+    const response = await api.get('/');
     return response.data;
   },
 
   getWorkspace: async (id) => {
-    const response = await axios.get(`${API_URL}/workspaces/${id}`, {
-      headers: getAuthHeader(),
-    });
+    const response = await api.get(`/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Move a workspace into an organization, or back to a personal account with null
+   */
+  moveWorkspace: async (workspaceId, organization) => {
+    const response = await api.put(`/${workspaceId}/organization`, { organization });
     return response.data;
   },
 
   updateFile: async (workspaceId, fileId, data) => {
-    const response = await axios.put(
-      `${API_URL}/workspaces/${workspaceId}/files/${fileId}`,
-      data,
-      { headers: getAuthHeader() }
-    );
+    const response = await api.put(`/${workspaceId}/files/${fileId}`, data);
     return response.data;
   },
 };